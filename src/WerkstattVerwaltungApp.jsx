@@ -138,41 +138,97 @@ function getAssignmentCsvHeaders(bandIds = DEFAULT_BAND_IDS) {
   return ['Student', ...bandIds.map(id => getBandLabel(id).replace(/ /g, '')), 'Timestamp'];
 }
 
-function buildStudentReportRows(student, assignments, bandIds, rooms, teachers) {
+// ----------------------------
+// Ranked choices (Q1…Qn)
+// ----------------------------
+const DEFAULT_CHOICE_COUNT = 2;
+const MAX_CHOICE_COUNT = 6;
+
+function getChoiceRankLabel(assigned, studentChoices = []) {
+  const rank = assigned && !isNotAssigned(assigned) ? studentChoices.indexOf(assigned) : -1;
+  return rank === -1 ? '—' : `${rank + 1}. Wahl`;
+}
+
+function createRankCounts() {
+  return { num1: 0, num2: 0, numOther: 0, numByRank: [] };
+}
+
+// rank is the 0-based index in the student's choice list
+function addRankCount(counts, rank) {
+  counts.numByRank[rank] = (counts.numByRank[rank] || 0) + 1;
+  if (rank === 0) counts.num1 += 1;
+  else if (rank === 1) counts.num2 += 1;
+  else counts.numOther += 1;
+}
+
+function removeRankCount(counts, rank) {
+  if (counts.numByRank?.[rank]) counts.numByRank[rank] -= 1;
+  if (rank === 0) counts.num1 = Math.max(0, counts.num1 - 1);
+  else if (rank === 1) counts.num2 = Math.max(0, counts.num2 - 1);
+  else counts.numOther = Math.max(0, (counts.numOther || 0) - 1);
+}
+
+// Takes back exactly the rank a band engine counted for the student (bandResult.countedRanks)
+function takeBackRankCount(bandResult, student) {
+  if (bandResult.countedRanks && student in bandResult.countedRanks) {
+    removeRankCount(bandResult, bandResult.countedRanks[student]);
+    delete bandResult.countedRanks[student];
+  }
+}
+
+function getMaxChoiceLength(choicesByStudent, minimum = DEFAULT_CHOICE_COUNT) {
+  return Object.values(choicesByStudent || {}).reduce(
+    (max, choices) => Math.max(max, Array.isArray(choices) ? choices.length : 0),
+    minimum
+  );
+}
+
+function buildStudentReportRows(student, assignments, bandIds, rooms, teachers, choices = {}) {
   return bandIds.map((bandId, index) => {
     const workshop = assignments[bandId]?.[student] || 'Nicht zugeordnet';
     const room = workshop !== 'Nicht zugeordnet' ? (rooms[workshop] || 'N/A') : '-';
     const teacher = workshop !== 'Nicht zugeordnet' ? (teachers[workshop] || 'N/A') : '-';
-    return [index === 0 ? student : '', getBandShortLabel(bandId), workshop, room, teacher];
+    const rankLabel = getChoiceRankLabel(workshop, choices[bandId]?.[student] || []);
+    return [index === 0 ? student : '', getBandShortLabel(bandId), workshop, rankLabel, room, teacher];
   });
 }
 
-function computeBandStatistics(assignments, choices, bandIds) {
+// forced: { bandId: { student: workshop } } placements made by the fallback pass ("Zwangszuweisung")
+function computeBandStatistics(assignments, choices, bandIds, forced = {}) {
   const perBand = {};
   let totalFirst = 0;
   let totalSecond = 0;
+  let totalOther = 0;
+  let totalForced = 0;
   let totalAssignments = 0;
+  const totalByRank = [];
 
   bandIds.forEach(bandId => {
-    let num1 = 0;
-    let num2 = 0;
+    const counts = createRankCounts();
     let total = 0;
+    let numForced = 0;
     Object.entries(assignments[bandId] || {}).forEach(([student, assignedWorkshop]) => {
       const studentChoices = choices[bandId]?.[student] || [];
       if (studentChoices.length > 0 && assignedWorkshop && !isNotAssigned(assignedWorkshop)) {
         total++;
-        if (assignedWorkshop === studentChoices[0]) num1++;
-        else if (studentChoices.length > 1 && assignedWorkshop === studentChoices[1]) num2++;
+        const rank = studentChoices.indexOf(assignedWorkshop);
+        if (rank !== -1) addRankCount(counts, rank);
+        else if (forced[bandId]?.[student] === assignedWorkshop) numForced++;
       }
     });
     perBand[bandId] = {
-      num1,
-      num2,
+      ...counts,
+      numForced,
       total,
-      percentFirst: total > 0 ? (num1 / total) * 100 : 0,
+      percentFirst: total > 0 ? (counts.num1 / total) * 100 : 0,
     };
-    totalFirst += num1;
-    totalSecond += num2;
+    counts.numByRank.forEach((count, rank) => {
+      totalByRank[rank] = (totalByRank[rank] || 0) + (count || 0);
+    });
+    totalFirst += counts.num1;
+    totalSecond += counts.num2;
+    totalOther += counts.numOther;
+    totalForced += numForced;
     totalAssignments += total;
   });
 
@@ -180,6 +236,9 @@ function computeBandStatistics(assignments, choices, bandIds) {
     percentFirst: totalAssignments > 0 ? (totalFirst / totalAssignments) * 100 : 0,
     totalFirst,
     totalSecond,
+    totalOther,
+    totalForced,
+    totalByRank,
     perBand,
   };
 }
@@ -208,9 +267,10 @@ function processPriorityChangeForBand(assigned, studentChoices) {
   if (studentChoices.length === 0 || !assigned || isNotAssigned(assigned)) {
     return null;
   }
-  const gotFirstChoice = assigned === studentChoices[0];
-  const gotSecondChoice = assigned === studentChoices[1];
-  if (gotFirstChoice || gotSecondChoice) return -1;
+  const rank = studentChoices.indexOf(assigned);
+  if (rank === 0 || rank === 1) return -1;
+  // A lower-ranked wish (3rd or later) was fulfilled: only a small reduction
+  if (rank >= 2) return -0.5;
   return studentChoices.length >= 2 ? 1.5 : 1;
 }
 
@@ -240,6 +300,85 @@ function getWorkshopAvailableBands(workshop, workshopName) {
   return ['erstesBand', 'zweitesBand'];
 }
 
+// Max. number of students with a Lernbegleitung per band (null = no limit)
+function getWorkshopMaxAssistance(workshop) {
+  if (workshop && typeof workshop === 'object' && Number.isInteger(workshop.maxAssistance) && workshop.maxAssistance >= 0) {
+    return workshop.maxAssistance;
+  }
+  return null;
+}
+
+// Min. number of participants per band, below which the workshop is cancelled (null = no minimum)
+function getWorkshopMinParticipants(workshop) {
+  if (workshop && typeof workshop === 'object' && Number.isInteger(workshop.minParticipants) && workshop.minParticipants > 0) {
+    return workshop.minParticipants;
+  }
+  return null;
+}
+
+const REPEAT_POLICIES = [
+  { id: 'previousYear', label: 'Nicht im folgenden Schuljahr (Standard)' },
+  { id: 'never', label: 'Nie wiederholen' },
+  { id: 'after', label: 'Wiederholen nach N Trimestern' },
+  { id: 'unlimited', label: 'Beliebig wiederholbar' },
+];
+
+// Repeat policy: { mode: 'previousYear' | 'never' | 'after' | 'unlimited', afterTrimesters: number|null }.
+// The default 'previousYear' is the rule from before repeat policies: no workshop taken last school year.
+function getWorkshopRepeatPolicy(workshop) {
+  const policy = workshop && typeof workshop === 'object' ? workshop.repeatPolicy : null;
+  const mode = REPEAT_POLICIES.some(p => p.id === policy?.mode) ? policy.mode : 'previousYear';
+  const afterTrimesters = Number.isInteger(policy?.afterTrimesters) && policy.afterTrimesters > 0 ? policy.afterTrimesters : null;
+  // 'after' without a number behaves like 'never'
+  return mode === 'after' && afterTrimesters === null ? { mode: 'never', afterTrimesters: null } : { mode, afterTrimesters: mode === 'after' ? afterTrimesters : null };
+}
+
+// Eligibility: { classes: ['5*', '6a'], minGrade: number|null, maxGrade: number|null }
+// Class patterns use * (any text) and ? (one character), case-insensitive. Empty = no restriction.
+function getWorkshopEligibility(workshop) {
+  const eligibility = workshop && typeof workshop === 'object' ? workshop.eligibility : null;
+  return {
+    classes: Array.isArray(eligibility?.classes) ? eligibility.classes.filter(Boolean) : [],
+    minGrade: Number.isInteger(eligibility?.minGrade) ? eligibility.minGrade : null,
+    maxGrade: Number.isInteger(eligibility?.maxGrade) ? eligibility.maxGrade : null,
+  };
+}
+
+function hasEligibilityRestriction(workshop) {
+  const { classes, minGrade, maxGrade } = getWorkshopEligibility(workshop);
+  return classes.length > 0 || minGrade !== null || maxGrade !== null;
+}
+
+// "5a" -> 5, "10b" -> 10, "Q1" -> null
+function getGradeFromClass(className) {
+  const match = String(className || '').trim().match(/^(\d{1,2})/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function matchesClassPattern(className, pattern) {
+  const escaped = String(pattern).trim().replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i').test(String(className || '').trim());
+}
+
+// Returns null if the student may take the workshop, otherwise a German reason
+function getEligibilityViolation(workshops, workshopName, className) {
+  const workshop = workshops[workshopName];
+  if (!hasEligibilityRestriction(workshop)) return null;
+  const { classes, minGrade, maxGrade } = getWorkshopEligibility(workshop);
+  if (!className) return `${workshopName} ist nur für bestimmte Klassen freigegeben, die Klasse ist aber unbekannt.`;
+  if (classes.length > 0 && !classes.some(pattern => matchesClassPattern(className, pattern))) {
+    return `${workshopName} ist nur für Klassen ${classes.join(', ')} freigegeben (Klasse ${className}).`;
+  }
+  if (minGrade !== null || maxGrade !== null) {
+    const grade = getGradeFromClass(className);
+    if (grade === null || (minGrade !== null && grade < minGrade) || (maxGrade !== null && grade > maxGrade)) {
+      const range = minGrade !== null && maxGrade !== null ? `${minGrade}–${maxGrade}` : minGrade !== null ? `ab ${minGrade}` : `bis ${maxGrade}`;
+      return `${workshopName} ist nur für Jahrgang ${range} freigegeben (Klasse ${className}).`;
+    }
+  }
+  return null;
+}
+
 function isWorkshopAvailableInBand(workshops, workshopName, band) {
   const workshop = workshops[workshopName];
   if (!workshop) return false;
@@ -262,7 +401,11 @@ function normalizeWorkshopData(workshops) {
       // New format: ensure it has all required fields
       normalized[name] = {
         capacity: value.capacity || 0,
-        availableBands: value.availableBands || ['erstesBand', 'zweitesBand']
+        availableBands: value.availableBands || ['erstesBand', 'zweitesBand'],
+        maxAssistance: getWorkshopMaxAssistance(value),
+        eligibility: getWorkshopEligibility(value),
+        minParticipants: getWorkshopMinParticipants(value),
+        repeatPolicy: getWorkshopRepeatPolicy(value)
       };
     }
   });
@@ -367,7 +510,18 @@ const LS_KEYS = {
   studentComments: "wv_studentComments", // NEW: map student -> comment/notes
   workshopTeachers: "wv_workshopTeachers", // NEW: map workshop -> teacher name
   workshopRooms: "wv_workshopRooms", // NEW: map workshop -> room number
-  archivedWorkshops: "wv_archivedWorkshops" // NEW: map workshop -> { capacity, archivedAt }
+  archivedWorkshops: "wv_archivedWorkshops", // NEW: map workshop -> { capacity, archivedAt }
+  assignmentEngine: "wv_assignmentEngine", // NEW: selected auto-assignment engine ('greedy' | 'optimal' | 'joint')
+  choiceCount: "wv_choiceCount", // NEW: number of ranked choices (Q1…Qn) read from uploads
+  fallbackPlacement: "wv_fallbackPlacement", // NEW: boolean, enable "Zwangszuweisung" pass in auto-assignment
+  tieBreakStrategy: "wv_tieBreakStrategy", // NEW: order among equal priorities ('lottery' | 'submission' | 'class' | 'alphabetical')
+  tieBreakSeed: "wv_tieBreakSeed", // NEW: fixed lottery seed (empty = new random seed per run)
+  cancelUnderfilled: "wv_cancelUnderfilled", // NEW: boolean, close workshops below their minimum participants in auto-assignment
+  rulePriority: "wv_rulePriority", // NEW: auto-assignment treatment of students at risk of missing a Belegungsregel ('off' | 'boost' | 'force')
+  studentBandConstraints: "wv_studentBandConstraints", // NEW: map student -> { blockedBands, pins, sameBand } band blocks and pins
+  studentPairs: "wv_studentPairs", // NEW: list of { id, type: 'together' | 'apart', students: [a, b], hard } student pairs
+  uploadMappingPresets: "wv_uploadMappingPresets", // NEW: map preset name -> header texts of the Name/Klasse/Übermittelt/Q columns
+  nameAliases: "wv_nameAliases" // NEW: { students, workshops } maps confirmed upload spellings -> existing names
 };
 
 // CSV storage helpers
@@ -435,19 +589,6 @@ function parseSchoolYearKey(key) {
   return null;
 }
 
-// Get previous trimester key (handles school year transitions)
-// If T1, go to previous school year T3
-// Otherwise, go to previous trimester in same school year
-function getPreviousTrimesterKey(schoolYearStart, schoolYearEnd, currentTrimester) {
-  if (currentTrimester === 1) {
-    // If T1, go to previous school year T3
-    return getSchoolYearKey(schoolYearStart - 1, schoolYearEnd - 1, 3);
-  } else {
-    // Otherwise, go to previous trimester in same school year
-    return getSchoolYearKey(schoolYearStart, schoolYearEnd, currentTrimester - 1);
-  }
-}
-
 // Storage with CSV auto-export
 const save = (key, obj, autoExport = true) => {
   try {
@@ -507,15 +648,28 @@ function parseCSVToData(key, csvData) {
         const capacity = parseInt(row[1]) || 0;
         // Support both old format (just capacity) and new format (capacity, availableBands)
         const availableBands = row[2] ? row[2].split(',').map(b => b.trim()).filter(b => b) : ['erstesBand', 'zweitesBand'];
+        const parseOptionalInt = value => {
+          const parsed = value !== undefined && value !== '' ? parseInt(value) : NaN;
+          return Number.isNaN(parsed) ? null : parsed;
+        };
         result[name] = {
           capacity: capacity,
-          availableBands: availableBands
+          availableBands: availableBands,
+          maxAssistance: parseOptionalInt(row[3]),
+          eligibility: {
+            classes: row[4] ? row[4].split(',').map(c => c.trim()).filter(c => c) : [],
+            minGrade: parseOptionalInt(row[5]),
+            maxGrade: parseOptionalInt(row[6])
+          },
+          minParticipants: parseOptionalInt(row[7]),
+          repeatPolicy: { mode: row[8] || 'previousYear', afterTrimesters: parseOptionalInt(row[9]) }
         };
       });
       return result;
     } else if (key === 'wv_prevAssignments' || key === 'wv_prereqs' || key === 'wv_cannotBeParallel' || key === 'wv_studentTrimesters' || 
                key === 'wv_studentAssistants' || key === 'wv_studentClasses' || key === 'wv_studentPriorityScores' || key === 'wv_studentPriorityScoresLastChanged' ||
-               key === 'wv_workshopColors' || key === 'wv_studentComments' || key === 'wv_workshopTeachers' || key === 'wv_workshopRooms' || key === 'wv_archivedWorkshops') {
+               key === 'wv_workshopColors' || key === 'wv_studentComments' || key === 'wv_workshopTeachers' || key === 'wv_workshopRooms' || key === 'wv_archivedWorkshops' ||
+               key === 'wv_studentBandConstraints') {
       const result = {};
       rows.forEach(row => {
         if (key === 'wv_studentAssistants') {
@@ -524,7 +678,9 @@ function parseCSVToData(key, csvData) {
                    key === 'wv_workshopTeachers' || key === 'wv_workshopRooms') {
           // For comments, teachers, rooms, timestamps, preserve the value as-is (may contain newlines, semicolons, etc.)
           result[row[0]] = row[1] || '';
-        } else if (key === 'wv_prereqs' || key === 'wv_cannotBeParallel') {
+        } else if (key === 'wv_prereqs') {
+          result[row[0]] = parsePrereqExpression(row[1]);
+        } else if (key === 'wv_cannotBeParallel') {
           result[row[0]] = row[1] ? row[1].split(',').map(s => s.trim()) : [];
         } else if (key === 'wv_archivedWorkshops') {
           const capacity = parseInt(row[1]) || 0;
@@ -535,11 +691,22 @@ function parseCSVToData(key, csvData) {
             availableBands: availableBands,
             archivedAt: archivedAt
           };
+        } else if (key === 'wv_studentBandConstraints') {
+          result[row[0]] = parseBandConstraintColumns(row[1], row[2], row[3]);
         } else {
           result[row[0]] = row[1];
         }
       });
       return result;
+    } else if (key === 'wv_studentPairs') {
+      return rows
+        .filter(row => row[1] && row[2] && row[1] !== row[2])
+        .map((row, idx) => ({
+          id: Date.now() + Math.random() + idx,
+          type: row[0] === 'apart' ? 'apart' : 'together',
+          students: [row[1], row[2]],
+          hard: row[3] === 'true' || row[3] === 'Ja'
+        }));
     } else if (key === 'wv_rules') {
       return rows.map((row, idx) => {
         const ruleType = row[0] || 'belegung'; // Default to belegung for backward compatibility
@@ -550,16 +717,26 @@ function parseCSVToData(key, csvData) {
         };
         
         if (ruleType === 'belegung') {
+          const minCount = parseInt(row[6]);
+          const windowLength = parseInt(row[7]);
           return {
             ...baseRule,
-            options: row[2] ? row[2].split(',').map(s => s.trim()) : []
+            options: row[2] ? row[2].split(',').map(s => s.trim()) : [],
+            minCount: Number.isNaN(minCount) ? null : minCount,
+            windowLength: Number.isNaN(windowLength) ? null : windowLength,
+            windowUnit: row[8] === 'trimesters' ? 'trimesters' : 'years'
           };
         } else if (ruleType === 'folgekurs') {
+          // ToCourse may list alternatives, separated by commas
+          const toCourses = row[4] ? row[4].split(',').map(s => s.trim()).filter(Boolean) : [];
+          const withinTrimesters = parseInt(row[9]);
           return {
             ...baseRule,
             fromCourse: row[3] || '',
-            toCourse: row[4] || '',
-            sameBand: row[5] === 'true' || row[5] === 'Ja'
+            toCourse: toCourses[0] || '',
+            toCourses,
+            sameBand: row[5] === 'true' || row[5] === 'Ja',
+            withinTrimesters: Number.isNaN(withinTrimesters) ? 1 : withinTrimesters
           };
         }
         return baseRule;
@@ -575,11 +752,11 @@ function parseCSVToData(key, csvData) {
 // Auto-export configuration
 const EXPORT_CONFIG = {
   'wv_students': { filename: 'students.csv', headers: ['Name'] },
-  'wv_workshops': { filename: 'workshops.csv', headers: ['WorkshopName', 'Capacity', 'AvailableBands'] },
+  'wv_workshops': { filename: 'workshops.csv', headers: ['WorkshopName', 'Capacity', 'AvailableBands', 'MaxAssistance', 'AllowedClasses', 'MinGrade', 'MaxGrade', 'MinParticipants', 'RepeatPolicy', 'RepeatAfterTrimesters'] },
   'wv_prevAssignments': { filename: 'previous-assignments.csv', headers: ['Student', 'Workshop'] },
   'wv_prereqs': { filename: 'prerequisites.csv', headers: ['Workshop', 'RequiredCourses'] },
   'wv_cannotBeParallel': { filename: 'cannot-be-parallel.csv', headers: ['Workshop', 'CannotBeParallelWith'] },
-  'wv_rules': { filename: 'rules.csv', headers: ['RuleType', 'RuleName', 'Options', 'FromCourse', 'ToCourse', 'SameBand'] },
+  'wv_rules': { filename: 'rules.csv', headers: ['RuleType', 'RuleName', 'Options', 'FromCourse', 'ToCourse', 'SameBand', 'MinCount', 'WindowLength', 'WindowUnit', 'WithinTrimesters'] },
   'wv_studentTrimesters': { filename: 'student-trimesters.csv', headers: ['Student', 'Trimester'] },
   'wv_studentAssistants': { filename: 'student-assistants.csv', headers: ['Student', 'NeedsAssistance'] },
   'wv_studentClasses': { filename: 'student-classes.csv', headers: ['Student', 'Class'] },
@@ -589,7 +766,9 @@ const EXPORT_CONFIG = {
   'wv_studentComments': { filename: 'student-comments.csv', headers: ['Student', 'Comment'] },
   'wv_workshopTeachers': { filename: 'workshop-teachers.csv', headers: ['Workshop', 'Teacher'] },
   'wv_workshopRooms': { filename: 'workshop-rooms.csv', headers: ['Workshop', 'Room'] },
-  'wv_archivedWorkshops': { filename: 'archived-workshops.csv', headers: ['Workshop', 'Capacity', 'AvailableBands', 'ArchivedAt'] }
+  'wv_archivedWorkshops': { filename: 'archived-workshops.csv', headers: ['Workshop', 'Capacity', 'AvailableBands', 'ArchivedAt'] },
+  'wv_studentBandConstraints': { filename: 'student-band-constraints.csv', headers: ['Student', 'BlockedBands', 'Pins', 'SameBand'] },
+  'wv_studentPairs': { filename: 'student-pairs.csv', headers: ['PairType', 'StudentA', 'StudentB', 'Hard'] }
 };
 
 function shouldAutoExport(key) {
@@ -615,7 +794,11 @@ function autoExportToCSV(key, data) {
                   (item.options || []).join(', '),
                   '', // FromCourse
                   '', // ToCourse
-                  ''  // SameBand
+                  '', // SameBand
+                  item.minCount ?? '',
+                  item.windowLength ?? '',
+                  item.windowLength ? (item.windowUnit || 'years') : '',
+                  '' // WithinTrimesters
                 ];
               } else if (ruleType === 'folgekurs') {
                 return [
@@ -623,8 +806,12 @@ function autoExportToCSV(key, data) {
                   item.name || '',
                   '', // Options
                   item.fromCourse || '',
-                  item.toCourse || '',
-                  item.sameBand ? 'true' : 'false'
+                  getFolgekursTargets(item).join(', '),
+                  item.sameBand ? 'true' : 'false',
+                  '', // MinCount
+                  '', // WindowLength
+                  '', // WindowUnit
+                  getFolgekursWithin(item)
                 ];
               }
               return ['belegung', item.name || '', (item.options || []).join(', '), '', '', ''];
@@ -637,9 +824,11 @@ function autoExportToCSV(key, data) {
                 return [item.name || '', (item.options || []).join(', ')];
               } else {
                 // Convert folgekurs to legacy format (not ideal, but for compatibility)
-                return [item.name || '', `${item.fromCourse} → ${item.toCourse}`];
+                return [item.name || '', `${item.fromCourse} → ${getFolgekursTargets(item).join(' / ')}`];
               }
             });
+          } else if (config.headers[0] === 'PairType') {
+            csvData = data.map(pair => [pair.type, pair.students[0], pair.students[1], pair.hard ? 'true' : 'false']);
           } else if (config.headers[0] === 'Name') {
         csvData = data.map(item => [item]);
       }
@@ -648,11 +837,18 @@ function autoExportToCSV(key, data) {
         csvData = Object.entries(data).map(([name, workshop]) => {
           const capacity = getWorkshopCapacity(workshop, name);
           const availableBands = getWorkshopAvailableBands(workshop, name);
-          return [name, capacity, availableBands.join(', ')];
+          const maxAssistance = getWorkshopMaxAssistance(workshop);
+          const eligibility = getWorkshopEligibility(workshop);
+          const repeatPolicy = getWorkshopRepeatPolicy(workshop);
+          return [name, capacity, availableBands.join(', '), maxAssistance === null ? '' : maxAssistance,
+            eligibility.classes.join(', '), eligibility.minGrade ?? '', eligibility.maxGrade ?? '', getWorkshopMinParticipants(workshop) ?? '',
+            repeatPolicy.mode, repeatPolicy.afterTrimesters ?? ''];
         });
       } else if (key === 'wv_prevAssignments') {
         csvData = Object.entries(data).map(([student, workshop]) => [student, workshop]);
-      } else if (key === 'wv_prereqs' || key === 'wv_cannotBeParallel') {
+      } else if (key === 'wv_prereqs') {
+        csvData = Object.entries(data).map(([workshop, required]) => [workshop, formatPrereqExpression(required)]);
+      } else if (key === 'wv_cannotBeParallel') {
         csvData = Object.entries(data).map(([workshop, list]) => [workshop, (list || []).join(', ')]);
       } else if (key === 'wv_studentTrimesters') {
         csvData = Object.entries(data).map(([student, trimester]) => [student, trimester]);
@@ -688,6 +884,8 @@ function autoExportToCSV(key, data) {
           const archivedAt = info.archivedAt || new Date().toISOString();
           return [workshop, capacity, availableBands.join(', '), archivedAt];
         });
+      } else if (key === 'wv_studentBandConstraints') {
+        csvData = Object.entries(data).map(([student, constraints]) => [student, ...formatBandConstraintColumns(constraints)]);
       }
     }
     
@@ -780,10 +978,11 @@ async function exportAllDataAsZIP(allData) {
           
           ALL_BAND_IDS.forEach(bandId => {
             const bandData = [];
-            bandData.push(['Student', 'Wahl 1', 'Wahl 2']);
+            const choiceCount = getMaxChoiceLength(choicesData[bandId]);
+            bandData.push(['Student', ...Array.from({ length: choiceCount }, (_, i) => `Wahl ${i + 1}`)]);
             Object.entries(choicesData[bandId] || {}).forEach(([student, choices]) => {
               if (Array.isArray(choices) && choices.length > 0) {
-                bandData.push([student, choices[0] || '', choices[1] || '']);
+                bandData.push([student, ...Array.from({ length: choiceCount }, (_, i) => choices[i] || '')]);
               }
             });
             
@@ -851,7 +1050,11 @@ async function exportAllDataAsZIP(allData) {
                   (item.options || []).join(', '),
                   '', // FromCourse
                   '', // ToCourse
-                  ''  // SameBand
+                  '', // SameBand
+                  item.minCount ?? '',
+                  item.windowLength ?? '',
+                  item.windowLength ? (item.windowUnit || 'years') : '',
+                  '' // WithinTrimesters
                 ];
               } else if (ruleType === 'folgekurs') {
                 return [
@@ -859,8 +1062,12 @@ async function exportAllDataAsZIP(allData) {
                   item.name || '',
                   '', // Options
                   item.fromCourse || '',
-                  item.toCourse || '',
-                  item.sameBand ? 'true' : 'false'
+                  getFolgekursTargets(item).join(', '),
+                  item.sameBand ? 'true' : 'false',
+                  '', // MinCount
+                  '', // WindowLength
+                  '', // WindowUnit
+                  getFolgekursWithin(item)
                 ];
               }
               return ['belegung', item.name || '', (item.options || []).join(', '), '', '', ''];
@@ -873,9 +1080,11 @@ async function exportAllDataAsZIP(allData) {
                 return [item.name || '', (item.options || []).join(', ')];
               } else {
                 // Convert folgekurs to legacy format (not ideal, but for compatibility)
-                return [item.name || '', `${item.fromCourse} → ${item.toCourse}`];
+                return [item.name || '', `${item.fromCourse} → ${getFolgekursTargets(item).join(' / ')}`];
               }
             });
+          } else if (config.headers[0] === 'PairType') {
+            csvData = data.map(pair => [pair.type, pair.students[0], pair.students[1], pair.hard ? 'true' : 'false']);
           } else if (config.headers[0] === 'Name') {
             csvData = data.map(item => [item]);
           }
@@ -884,11 +1093,18 @@ async function exportAllDataAsZIP(allData) {
             csvData = Object.entries(data).map(([name, workshop]) => {
               const capacity = getWorkshopCapacity(workshop, name);
               const availableBands = getWorkshopAvailableBands(workshop, name);
-              return [name, capacity, availableBands.join(', ')];
+              const maxAssistance = getWorkshopMaxAssistance(workshop);
+              const eligibility = getWorkshopEligibility(workshop);
+              const repeatPolicy = getWorkshopRepeatPolicy(workshop);
+              return [name, capacity, availableBands.join(', '), maxAssistance === null ? '' : maxAssistance,
+                eligibility.classes.join(', '), eligibility.minGrade ?? '', eligibility.maxGrade ?? '', getWorkshopMinParticipants(workshop) ?? '',
+                repeatPolicy.mode, repeatPolicy.afterTrimesters ?? ''];
             });
           } else if (lsKey === 'wv_prevAssignments') {
             csvData = Object.entries(data).map(([student, workshop]) => [student, workshop]);
-          } else if (lsKey === 'wv_prereqs' || lsKey === 'wv_cannotBeParallel') {
+          } else if (lsKey === 'wv_prereqs') {
+            csvData = Object.entries(data).map(([workshop, required]) => [workshop, formatPrereqExpression(required)]);
+          } else if (lsKey === 'wv_cannotBeParallel') {
             csvData = Object.entries(data).map(([workshop, list]) => [workshop, (list || []).join(', ')]);
           } else if (lsKey === 'wv_studentTrimesters') {
             csvData = Object.entries(data).map(([student, trimester]) => [student, trimester]);
@@ -929,6 +1145,8 @@ async function exportAllDataAsZIP(allData) {
               const availableBands = info.availableBands || ['erstesBand', 'zweitesBand'];
               return [workshop, capacity, availableBands.join(', '), archivedAt];
             });
+          } else if (lsKey === 'wv_studentBandConstraints') {
+            csvData = Object.entries(data).map(([student, constraints]) => [student, ...formatBandConstraintColumns(constraints)]);
           }
         }
         
@@ -1092,13 +1310,11 @@ async function importDataFromZIP(file) {
             importedData[choicesKey] = createEmptyChoicesMap();
           }
           
-          // Parse choices from CSV (format: Student, Wahl 1, Wahl 2)
+          // Parse choices from CSV (format: Student, Wahl 1, Wahl 2, …, Wahl n)
           rows.forEach(row => {
             if (row[0]) {
               const student = row[0].trim();
-              const choices = [];
-              if (row[1] && row[1].trim()) choices.push(row[1].trim());
-              if (row[2] && row[2].trim()) choices.push(row[2].trim());
+              const choices = row.slice(1).map(value => (value || '').trim()).filter(Boolean);
               if (choices.length > 0) {
                 importedData[choicesKey][band][student] = choices;
               }
@@ -1123,7 +1339,9 @@ async function importDataFromZIP(file) {
           'student-comments.csv': 'wv_studentComments',
           'workshop-teachers.csv': 'wv_workshopTeachers',
           'workshop-rooms.csv': 'wv_workshopRooms',
-          'archived-workshops.csv': 'wv_archivedWorkshops'
+          'archived-workshops.csv': 'wv_archivedWorkshops',
+          'student-band-constraints.csv': 'wv_studentBandConstraints',
+          'student-pairs.csv': 'wv_studentPairs'
         };
         
         const dataKey = keyMap[filename];
@@ -1140,214 +1358,2749 @@ async function importDataFromZIP(file) {
   }
 }
 
+// ----------------------------
+// Choice file parsing (CSV)
+// ----------------------------
+// Uploaded CSVs come from online forms and from Excel in any version, so encoding and delimiter are detected
+// and fields are read according to RFC 4180 (quoted delimiters, "" escapes, line breaks inside quotes).
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+const CSV_SNIFF_RECORDS = 10;
+
+// { text, encoding } from the raw bytes: BOM first, then UTF-16 by zero bytes, then strict UTF-8, else Windows-1252
+function decodeCsvBytes(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16' };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16' };
+  }
+  // Without BOM, UTF-16 text of latin letters has a zero byte in every other position
+  const sample = bytes.subarray(0, 200);
+  let zeroEven = 0;
+  let zeroOdd = 0;
+  sample.forEach((b, i) => {
+    if (b === 0) {
+      if (i % 2 === 0) zeroEven++;
+      else zeroOdd++;
+    }
+  });
+  if (zeroOdd > sample.length / 4) return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'UTF-16' };
+  if (zeroEven > sample.length / 4) return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'UTF-16' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+  }
+}
+
+// RFC 4180 reader. Returns { records: [{ line, fields }], errors: [{ line, message }] };
+// line is the 1-based line a record starts on, empty lines are skipped.
+function parseCsvRecords(text, delimiter, maxRecords = Infinity) {
+  const records = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quoted = false; // current field started with a quote
+  let afterQuote = false; // closing quote seen, only a delimiter or line end may follow
+  let recordError = null;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+    afterQuote = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (recordError) errors.push({ line: recordLine, message: recordError });
+    else if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+    fields = [];
+    recordError = null;
+    recordLine = line;
+  };
 
-function hasPrereqs(student, workshopName, prevAssignments, prereqs) {
-    const required = prereqs[workshopName] || [];
-    if (required.length === 0) return true;
+  for (let i = 0; i < text.length && records.length < maxRecords; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else if (char === '"' && !quoted && field.trim() === '') {
+      inQuotes = true;
+      quoted = true;
+      field = '';
+    } else if (afterQuote) {
+      if (char.trim() !== '' && !recordError) recordError = 'Zeichen nach schließendem Anführungszeichen.';
+    } else {
+      if (char === '"' && !recordError) recordError = 'Anführungszeichen mitten im Feld (Feld muss ganz in Anführungszeichen stehen, "" für ein Zeichen).';
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'Anführungszeichen wird bis zum Dateiende nicht geschlossen.' });
+  } else if (records.length < maxRecords && (field !== '' || fields.length > 0)) {
+    endRecord();
+  }
+  return { records, errors };
+}
 
-    const prevWorkshops = prevAssignments[student] || []; // array of past workshops
-    return required.every(req => prevWorkshops.includes(req));
+// Delimiter that splits the first records into the same number (> 1) of fields most often; ties go to ';' (German Excel)
+function sniffCsvDelimiter(text) {
+  let best = { delimiter: ';', score: 0 };
+  CSV_DELIMITERS.forEach(delimiter => {
+    const { records } = parseCsvRecords(text, delimiter, CSV_SNIFF_RECORDS);
+    if (records.length === 0) return;
+    const width = records[0].fields.length;
+    if (width < 2) return;
+    const score = records.filter(r => r.fields.length === width).length * width;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
 }
 
-// Check if student needs to follow a Folgekurs rule
-function getRequiredFolgekurs(student, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band) {
-  const folgekursRules = rules.filter(r => (r.type || 'belegung') === 'folgekurs');
-  if (folgekursRules.length === 0) return null;
-  
-  const prevKey = getPreviousTrimesterKey(schoolYearStart, schoolYearEnd, currentTrimester);
-  const prevAssignment = confirmedAssignments[prevKey];
-  
-  if (!prevAssignment || !prevAssignment.assignments) return null;
-  
-  const prevBandIds = getPayloadBandIds(prevAssignment);
-  let prevCourseByBand = {};
-  
-  if (isLegacySingleBandAssignments(prevAssignment.assignments)) {
-    const legacyCourse = prevAssignment.assignments[student];
-    if (legacyCourse && !isNotAssigned(legacyCourse)) {
-      prevCourseByBand[ALL_BAND_IDS[0]] = legacyCourse;
+// { data, encoding, delimiter, errors } for an uploaded CSV. Records that are malformed or have more
+// non-empty fields than the header are left out of data and reported with their line number.
+function parseCsvFile(bytes) {
+  const { text, encoding } = decodeCsvBytes(bytes);
+  const delimiter = sniffCsvDelimiter(text);
+  const { records, errors } = parseCsvRecords(text, delimiter);
+  const width = records.length > 0 ? records[0].fields.length : 0;
+  const data = [];
+  records.forEach(({ line, fields }, idx) => {
+    if (idx > 0 && fields.slice(width).some(value => value !== '')) {
+      errors.push({ line, message: `${fields.length} Spalten statt ${width} – vermutlich ein Trennzeichen ohne Anführungszeichen.` });
+      return;
     }
-  } else {
-    prevBandIds.forEach(bandId => {
-      const course = prevAssignment.assignments[bandId]?.[student];
-      if (course && !isNotAssigned(course)) {
-        prevCourseByBand[bandId] = course;
-      }
+    // Trailing empty fields (delimiters at the line end) are dropped
+    data.push(fields.slice(0, Math.max(width, 1)));
+  });
+  errors.sort((a, b) => a.line - b.line);
+  return { data, encoding, delimiter, errors };
+}
+
+// ----------------------------
+// Choice upload column mapping
+// ----------------------------
+// mapping: { name, klasse, submitted, choices: [Q1, …, Qn] } as column indices, -1 = not in the file.
+// Presets store header texts instead of indices, so they still fit when the form provider reorders columns:
+// { presetName: { name, klasse, submitted, choices } } with header texts or null.
+const UPLOAD_PREVIEW_ROWS = 5;
+
+function normalizeHeaderText(value) {
+  return String(value ?? '').toLowerCase().trim();
+}
+
+// Band named in a column header or sheet name ("Band2 Q1", "2. Band", "Zweites Band"); null if none or not in bandIds
+function findBandInText(text, bandIds) {
+  const normalized = normalizeNameForMatch(text);
+  const match = normalized.match(/(?:^|\s)band\s*(\d)(?!\d)/) || normalized.match(/(?:^|\s)(\d)\s*band/);
+  const band = match
+    ? BANDS.find(b => b.number === parseInt(match[1], 10))
+    : BANDS.find(b => normalized.includes(normalizeNameForMatch(b.label)) || normalized.includes(b.id.toLowerCase()));
+  return band && bandIds.includes(band.id) ? band.id : null;
+}
+
+// Bands with their own columns in a combined upload ("Band1 Q1, Band1 Q2, Band2 Q1, …")
+function detectHeaderBands(headerRow, bandIds) {
+  const found = new Set(headerRow.map(h => findBandInText(h, bandIds)).filter(Boolean));
+  return bandIds.filter(id => found.has(id));
+}
+
+// Guesses the columns from the header row; Q-columns that are not found stay -1 (no positional guess).
+// With bandId only Q-columns whose header names that band are used.
+function proposeColumnMapping(headerRow, choiceCount, bandId = null, bandIds = []) {
+  const header = headerRow.map(normalizeHeaderText);
+  const find = predicate => header.findIndex(predicate);
+  const inBand = idx => !bandId || findBandInText(headerRow[idx], bandIds) === bandId;
+  // "q1" must not match "q10"
+  const choices = Array.from({ length: choiceCount }, (_, i) =>
+    find((h, idx) => new RegExp(`(^|[^a-z0-9])q${i + 1}($|[^0-9])`).test(h) && inBand(idx))
+  );
+  return {
+    name: find(h => h.includes('name') || h.includes('schüler') || h.includes('student')),
+    klasse: find(h => h.includes('klasse') || h.includes('class')),
+    submitted: find(h => h.includes('übermittelt') || h.includes('submitted') || h.includes('zeitstempel') || h.includes('timestamp')),
+    choices,
+  };
+}
+
+function mappingToPreset(headerRow, mapping) {
+  const headerOf = idx => (idx >= 0 ? String(headerRow[idx] ?? '').trim() : null);
+  return {
+    name: headerOf(mapping.name),
+    klasse: headerOf(mapping.klasse),
+    submitted: headerOf(mapping.submitted),
+    choices: mapping.choices.map(headerOf),
+  };
+}
+
+// Mapping for the header row, or null if a column of the preset is missing in the file
+function applyMappingPreset(headerRow, preset, choiceCount) {
+  const header = headerRow.map(normalizeHeaderText);
+  let complete = true;
+  const indexOf = text => {
+    if (!text) return -1;
+    const idx = header.indexOf(normalizeHeaderText(text));
+    if (idx === -1) complete = false;
+    return idx;
+  };
+  const mapping = {
+    name: indexOf(preset.name),
+    klasse: indexOf(preset.klasse),
+    submitted: indexOf(preset.submitted),
+    choices: Array.from({ length: choiceCount }, (_, i) => indexOf(preset.choices?.[i])),
+  };
+  return complete ? mapping : null;
+}
+
+// First preset whose columns all exist in the file: { name, mapping } or null.
+// With bandId a preset is skipped if one of its Q-columns names another band.
+function findMatchingPreset(headerRow, presets, choiceCount, bandId = null, bandIds = []) {
+  for (const [name, preset] of Object.entries(presets || {})) {
+    const mapping = applyMappingPreset(headerRow, preset, choiceCount);
+    const otherBand = bandId && mapping?.choices.some(idx => {
+      const band = idx >= 0 ? findBandInText(headerRow[idx], bandIds) : null;
+      return band !== null && band !== bandId;
     });
+    if (mapping && !otherBand) return { name, mapping };
   }
-  
-  for (const rule of folgekursRules) {
-    let prevBand = null;
-    for (const bandId of prevBandIds) {
-      if (prevCourseByBand[bandId] === rule.fromCourse) {
-        prevBand = bandId;
-        break;
-      }
-    }
-    
-    if (prevBand) {
-      if (rule.sameBand) {
-        return { course: rule.toCourse, band: prevBand };
-      }
-      return { course: rule.toCourse, band: null };
-    }
-  }
-  
   return null;
 }
 
-function isFolgekursFulfilled(requiredFolgekurs, assignments, student, activeBandIds) {
-  if (!requiredFolgekurs) return true;
-  if (requiredFolgekurs.band !== null) {
-    return assignments[requiredFolgekurs.band]?.[student] === requiredFolgekurs.course;
+// German error text, or null if the mapping can be applied
+function validateColumnMapping(mapping) {
+  if (mapping.name < 0) return 'Bitte die Spalte mit dem Namen zuordnen.';
+  if (!mapping.choices.some(idx => idx >= 0)) return 'Bitte mindestens eine Wahl-Spalte (Q1) zuordnen.';
+  const firstGap = mapping.choices.findIndex(idx => idx < 0);
+  if (firstGap !== -1 && mapping.choices.slice(firstGap).some(idx => idx >= 0)) {
+    return `Q${firstGap + 1} fehlt, obwohl spätere Wahlen zugeordnet sind.`;
   }
-  return activeBandIds.some(
-    bandId => assignments[bandId]?.[student] === requiredFolgekurs.course
-  );
+  const used = [mapping.name, mapping.klasse, mapping.submitted, ...mapping.choices].filter(idx => idx >= 0);
+  if (new Set(used).size < used.length) return 'Eine Spalte ist mehreren Feldern zugeordnet.';
+  return null;
 }
 
-// Auto-assignment algorithm for all active bands
-function autoAssignAllBands(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel = {}, activeBandIds = DEFAULT_BAND_IDS) {
-  const sortedStudents = [...students].sort((a, b) => {
-    const scoreA = studentPriorityScores[a] || 5;
-    const scoreB = studentPriorityScores[b] || 5;
-    return scoreB - scoreA;
+// Splits a parsed file into one part per band: [{ bandId, sheetName, data, byHeader }].
+// targetBand set: the first sheet fills that band. Otherwise (all bands) sheets named after a band fill it;
+// without such sheets the first sheet is split by band columns (byHeader, all parts share its data).
+// Returns { parts, ignoredSheets }; parts is empty if no band could be detected.
+function splitUploadByBand(sheets, targetBand, bandIds) {
+  const nonEmpty = sheets.filter(sheet => sheet.data.length > 0);
+  if (nonEmpty.length === 0) return { parts: [], ignoredSheets: [] };
+  if (targetBand) {
+    return { parts: [{ bandId: targetBand, sheetName: nonEmpty[0].name, data: nonEmpty[0].data, byHeader: false }], ignoredSheets: [] };
+  }
+  const bySheet = [];
+  const ignoredSheets = [];
+  nonEmpty.forEach(sheet => {
+    const bandId = findBandInText(sheet.name, bandIds);
+    if (bandId && !bySheet.some(part => part.bandId === bandId)) {
+      bySheet.push({ bandId, sheetName: sheet.name, data: sheet.data, byHeader: false });
+    } else {
+      ignoredSheets.push(sheet.name);
+    }
   });
+  if (bySheet.length > 0) {
+    bySheet.sort((a, b) => bandIds.indexOf(a.bandId) - bandIds.indexOf(b.bandId));
+    return { parts: bySheet, ignoredSheets };
+  }
+  const [first] = nonEmpty;
+  const parts = detectHeaderBands(first.data[0], bandIds)
+    .map(bandId => ({ bandId, sheetName: first.name, data: first.data, byHeader: true }));
+  return { parts, ignoredSheets: nonEmpty.slice(1).map(sheet => sheet.name) };
+}
 
-  const bandResults = {};
-  const cumulativeByStudent = {};
-  const allProblems = [];
-  const conflicts = [];
+// ----------------------------
+// Choice upload staging
+// ----------------------------
+// An upload is first computed as a list of changes per category, shown for review and only then applied.
+const UPLOAD_CHANGE_CATEGORIES = [
+  { id: 'newStudents', label: 'Neue Schüler' },
+  { id: 'classChanges', label: 'Geänderte Klassen' },
+  { id: 'newWorkshops', label: 'Neue Werkstätten' },
+  { id: 'newChoices', label: 'Neue Wahlen' },
+  { id: 'changedChoices', label: 'Überschriebene Wahlen' },
+  { id: 'missingStudents', label: 'Nicht mehr in der Datei' },
+];
 
-  activeBandIds.forEach(bandId => {
-    const priorWorkshopsByStudent = {};
-    Object.keys(cumulativeByStudent).forEach(student => {
-      priorWorkshopsByStudent[student] = [...(cumulativeByStudent[student] || [])];
-    });
+// Parses Q1…Qn values, ignoring text after colon
+function parseChoiceValue(value) {
+  if (!value) return '';
+  const trimmed = value.trim();
+  // If there's a colon, take only the part before it
+  const colonIndex = trimmed.indexOf(':');
+  if (colonIndex !== -1) {
+    return trimmed.substring(0, colonIndex).trim();
+  }
+  return trimmed;
+}
 
-    const modifiedChoices = {};
-    Object.keys(choicesMap[bandId] || {}).forEach(student => {
-      const originalChoices = choicesMap[bandId][student] || [];
-      const priorWorkshops = priorWorkshopsByStudent[student] || [];
-      let filteredChoices = originalChoices.filter(choice => !priorWorkshops.includes(choice));
+// Computes the changes an upload would make without touching any state.
+// parts: [{ bandId, data, mapping }], one per band filled by the file (several parts may share data).
+// current: { students, studentClasses, workshops, bandChoices: { bandId: map }, submissionTimes, renames }
+// renames: { students, workshops } maps uploaded spellings to existing names (see suggestNameMatches).
+// Returns one list per UPLOAD_CHANGE_CATEGORIES id (choice items carry their band) plus
+// rows (student -> { className, submittedAt, choices: { bandId: [...] } }), ineligibleChoices and unchangedChoices (count).
+function stageChoiceRows(parts, current) {
+  const { students, studentClasses, workshops, bandChoices, submissionTimes, renames = {} } = current;
+  const renameStudent = name => renames.students?.[name] || name;
+  const renameWorkshop = name => renames.workshops?.[name] || name;
+  const existingWorkshops = new Set(Object.keys(workshops).map(w => parseChoiceValue(w)));
+  const staging = {
+    newStudents: [],
+    classChanges: [],
+    newWorkshops: [],
+    newChoices: [],
+    changedChoices: [],
+    missingStudents: [],
+    ineligibleChoices: [],
+    unchangedChoices: 0,
+    rows: {},
+  };
 
-      priorWorkshops.forEach(priorWorkshop => {
-        const cannotList = cannotBeParallel[priorWorkshop] || [];
-        filteredChoices = filteredChoices.filter(choice => !cannotList.includes(choice));
-      });
+  parts.forEach(({ bandId, data, mapping }) => {
+    const choiceIdxs = mapping.choices.filter(idx => idx >= 0);
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row.length < 2) continue;
 
-      if (filteredChoices.length > 0) {
-        modifiedChoices[student] = filteredChoices;
+      const studentName = renameStudent(String(row[mapping.name] || '').trim());
+      if (!studentName) continue;
+
+      const className = mapping.klasse >= 0 ? String(row[mapping.klasse] || '').trim() : '';
+      const submittedAt = mapping.submitted >= 0 ? parseSubmissionTime(row[mapping.submitted]) : null;
+      const choices = choiceIdxs.map(idx => renameWorkshop(parseChoiceValue(String(row[idx] || '').trim()))).filter(Boolean);
+
+      if (!students.includes(studentName) && !staging.rows[studentName]) {
+        staging.newStudents.push(studentName);
       }
-    });
+      const entry = staging.rows[studentName] || { className: '', submittedAt: null, choices: {} };
+      // A later row of the same student wins, like the previous direct import
+      if (className) entry.className = className;
+      if (submittedAt !== null && !(entry.submittedAt <= submittedAt)) entry.submittedAt = submittedAt;
+      entry.choices[bandId] = choices;
+      staging.rows[studentName] = entry;
+    }
+  });
 
-    Object.keys(choicesMap[bandId] || {}).forEach(student => {
-      if (!(priorWorkshopsByStudent[student]?.length) && choicesMap[bandId][student] && !modifiedChoices[student]) {
-        modifiedChoices[student] = choicesMap[bandId][student];
+  Object.entries(staging.rows).forEach(([student, { className, choices: choicesByBand }]) => {
+    if (className && studentClasses[student] !== className) {
+      staging.classChanges.push({ student, old: studentClasses[student] || null, new: className });
+    }
+    Object.entries(choicesByBand).forEach(([band, choices]) => {
+      choices.forEach(choice => {
+        if (!existingWorkshops.has(choice) && workshops[choice] === undefined && !staging.newWorkshops.includes(choice)) {
+          staging.newWorkshops.push(choice);
+        }
+        // Kept in the choices, the engine skips them
+        const eligibilityViolation = getEligibilityViolation(workshops, choice, className || studentClasses[student]);
+        if (eligibilityViolation) {
+          staging.ineligibleChoices.push({ student, band, workshop: choice, reason: eligibilityViolation });
+        }
+      });
+      if (choices.length === 0) return;
+      const old = bandChoices[band]?.[student];
+      if (!old || old.length === 0) {
+        staging.newChoices.push({ student, band, new: choices });
+      } else if (old.join('\n') !== choices.join('\n')) {
+        staging.changedChoices.push({ student, band, old, new: choices });
+      } else {
+        staging.unchangedChoices++;
       }
     });
+  });
 
-    const bandResult = autoAssignSingleBand(
-      sortedStudents,
-      workshops,
-      prevAssignments,
-      prereqs,
-      modifiedChoices,
-      studentAssistants,
-      studentPriorityScores,
-      rules,
-      confirmedAssignments,
-      schoolYearStart,
-      schoolYearEnd,
-      currentTrimester,
-      bandId
-    );
-
-    bandResults[bandId] = bandResult;
-
-    Object.keys(bandResult.assignments).forEach(student => {
-      const workshop = bandResult.assignments[student];
-      if (workshop) {
-        if (!cumulativeByStudent[student]) cumulativeByStudent[student] = [];
-        cumulativeByStudent[student].push(workshop);
+  [...new Set(parts.map(part => part.bandId))].forEach(band => {
+    Object.entries(bandChoices[band] || {}).forEach(([student, choices]) => {
+      if (!staging.rows[student]?.choices[band] && choices && choices.length > 0) {
+        staging.missingStudents.push({ student, band, old: choices });
       }
     });
+  });
 
-    allProblems.push(
-      ...bandResult.problems.map(p => ({ message: p, band: bandId, bandLabel: getBandLabel(bandId) }))
-    );
+  // Earliest submission over all band uploads
+  staging.submissionTimes = { ...submissionTimes };
+  Object.entries(staging.rows).forEach(([student, { submittedAt }]) => {
+    if (submittedAt !== null && !(staging.submissionTimes[student] <= submittedAt)) {
+      staging.submissionTimes[student] = submittedAt;
+    }
+  });
 
-    priorWorkshopsByStudent && Object.keys(bandResult.assignments).forEach(student => {
-      const currentWorkshop = bandResult.assignments[student];
-      const priorWorkshops = priorWorkshopsByStudent[student] || [];
-      if (!currentWorkshop) return;
+  return staging;
+}
 
-      if (priorWorkshops.includes(currentWorkshop)) {
-        delete bandResult.assignments[student];
-        const capacity = getWorkshopCapacity(workshops[currentWorkshop], currentWorkshop);
-        if (bandResult.kap) {
-          bandResult.kap[currentWorkshop] = (bandResult.kap[currentWorkshop] || capacity) + 1;
-        }
-        if (bandResult.num1 > 0) bandResult.num1--;
-        if (bandResult.num2 > 0) bandResult.num2--;
-        conflicts.push(`${student} wurde in mehreren Bändern ${currentWorkshop} zugeordnet. Die Zuordnung in ${getBandLabel(bandId)} wurde entfernt - bitte manuell zuordnen.`);
+// Applies the accepted categories (accepted: { [category]: boolean }) to copies of the current data.
+// Rejected new students also drop their classes and choices; rejected new workshops are removed from the choices.
+// bandChoices of the result holds a copy of every band in current.bandChoices.
+function applyChoiceStaging(staging, accepted, current) {
+  const skipped = new Set(accepted.newStudents ? [] : staging.newStudents);
+  const droppedWorkshops = new Set(accepted.newWorkshops ? [] : staging.newWorkshops);
+  const students = [...current.students, ...staging.newStudents.filter(s => !skipped.has(s))];
+  const studentClasses = { ...current.studentClasses };
+  const workshops = { ...current.workshops };
+  const bandChoices = {};
+  Object.entries(current.bandChoices).forEach(([band, map]) => { bandChoices[band] = { ...map }; });
+  const withoutDropped = choices => choices.filter(c => !droppedWorkshops.has(c));
+
+  if (accepted.classChanges) {
+    staging.classChanges.filter(item => !skipped.has(item.student)).forEach(item => {
+      studentClasses[item.student] = item.new;
+    });
+  }
+  staging.newWorkshops.filter(w => !droppedWorkshops.has(w)).forEach(w => {
+    workshops[w] = 6; // Default capacity
+  });
+  ['newChoices', 'changedChoices'].filter(category => accepted[category]).forEach(category => {
+    staging[category].filter(item => !skipped.has(item.student)).forEach(item => {
+      const choices = withoutDropped(item.new);
+      if (choices.length > 0) {
+        bandChoices[item.band] = bandChoices[item.band] || {};
+        bandChoices[item.band][item.student] = choices;
       }
-
-      priorWorkshops.forEach(priorWorkshop => {
-        const priorCannot = cannotBeParallel[priorWorkshop] || [];
-        const currentCannot = cannotBeParallel[currentWorkshop] || [];
-        if (priorCannot.includes(currentWorkshop) || currentCannot.includes(priorWorkshop)) {
-          if (bandResult.assignments[student] === currentWorkshop) {
-            delete bandResult.assignments[student];
-            const capacity = getWorkshopCapacity(workshops[currentWorkshop], currentWorkshop);
-            if (bandResult.kap) {
-              bandResult.kap[currentWorkshop] = (bandResult.kap[currentWorkshop] || capacity) + 1;
-            }
-            if (bandResult.num1 > 0) bandResult.num1--;
-            if (bandResult.num2 > 0) bandResult.num2--;
-            conflicts.push(`${student} wurde ${priorWorkshop} und ${currentWorkshop} parallel zugeordnet, aber diese können nicht parallel belegt werden. Die Zuordnung in ${getBandLabel(bandId)} wurde entfernt - bitte manuell zuordnen.`);
-          }
-        }
-      });
     });
   });
+  if (accepted.missingStudents) {
+    staging.missingStudents.forEach(item => delete bandChoices[item.band][item.student]);
+  }
 
-  allProblems.push(...conflicts.map(p => ({ message: p, band: 'all', bandLabel: 'Alle Bänder' })));
-
-  let totalFirst = 0;
-  let totalSecond = 0;
-  activeBandIds.forEach(bandId => {
-    totalFirst += bandResults[bandId]?.num1 || 0;
-    totalSecond += bandResults[bandId]?.num2 || 0;
+  const submissionTimes = { ...current.submissionTimes };
+  Object.entries(staging.submissionTimes).forEach(([student, time]) => {
+    if (!skipped.has(student)) submissionTimes[student] = time;
   });
-  const percentFirst = students.length > 0 && activeBandIds.length > 0
-    ? (totalFirst / (students.length * activeBandIds.length)) * 100
-    : 0;
 
-  return {
-    bandResults,
-    problems: allProblems,
-    totalFirst,
-    totalSecond,
-    percentFirst,
-    activeBandIds,
-    // Backward compatibility for code expecting erstesBand/zweitesBand
-    erstesBand: bandResults[activeBandIds[0]] || { assignments: {}, problems: [], num1: 0, num2: 0 },
-    zweitesBand: bandResults[activeBandIds[1]] || { assignments: {}, problems: [], num1: 0, num2: 0 },
-  };
+  return { students, studentClasses, workshops, bandChoices, submissionTimes, skipped };
 }
 
-// Legacy alias kept for external references
-// eslint-disable-next-line no-unused-vars
-function autoAssignBothBands(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, studentPriorityScores, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel) {
-  return autoAssignAllBands(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, studentPriorityScores, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel, DEFAULT_BAND_IDS);
+// ----------------------------
+// Name matching for uploads
+// ----------------------------
+// aliases: { students: { uploadedName: name }, workshops: { uploadedName: name } }, stored after a confirmed merge
+// so the next upload maps the same spelling without asking.
+const NAME_MATCH_REASONS = {
+  normalized: 'Schreibweise',
+  swapped: 'Vor-/Nachname vertauscht',
+  fuzzy: 'Tippfehler',
+};
+
+// "Müller, Anna" -> "mueller anna"; case, umlauts, accents and punctuation do not matter
+function normalizeNameForMatch(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
 }
 
-// Single Band auto-assignment algorithm
-function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, band) {
-  // choicesMap: { studentName: [choice1, choice2] }
-  // Filter workshops to only those available in this band
-  const availableWorkshops = {};
+// Same key for "Müller, Anna" and "Anna Müller"
+function nameTokenKey(name) {
+  return normalizeNameForMatch(name).split(' ').filter(Boolean).sort().join(' ');
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a name of this length: none for very short names, 1 up to 8 characters, then 2
+function allowedEditDistance(length) {
+  if (length <= 4) return 0;
+  return length <= 8 ? 1 : 2;
+}
+
+// Best candidate for a name that has no exact match: { match, reason, distance } or null.
+// Fuzzy matches are only suggested if exactly one candidate has the smallest distance.
+function findNameMatch(name, candidates) {
+  const normalized = normalizeNameForMatch(name);
+  const tokenKey = nameTokenKey(name);
+  if (!normalized) return null;
+  const sameNormalized = candidates.filter(c => normalizeNameForMatch(c) === normalized);
+  if (sameNormalized.length === 1) return { match: sameNormalized[0], reason: 'normalized', distance: 0 };
+  const sameTokens = candidates.filter(c => nameTokenKey(c) === tokenKey);
+  if (sameTokens.length === 1) return { match: sameTokens[0], reason: 'swapped', distance: 0 };
+  if (sameNormalized.length > 1 || sameTokens.length > 1) return null;
+
+  const limit = allowedEditDistance(tokenKey.length);
+  if (limit === 0) return null;
+  let best = null;
+  let ambiguous = false;
+  candidates.forEach(candidate => {
+    const candidateKey = nameTokenKey(candidate);
+    if (Math.abs(candidateKey.length - tokenKey.length) > limit) return;
+    const distance = editDistance(tokenKey, candidateKey);
+    if (distance > limit) return;
+    if (!best || distance < best.distance) {
+      best = { match: candidate, reason: 'fuzzy', distance };
+      ambiguous = false;
+    } else if (distance === best.distance) {
+      ambiguous = true;
+    }
+  });
+  return best && !ambiguous ? best : null;
+}
+
+// Resolves the student and workshop names of an upload (parts as in stageChoiceRows) against the existing data.
+// Returns { renames: { students, workshops } } from stored aliases and
+// suggestions: [{ kind: 'student' | 'workshop', from, to, reason, distance }] that need a confirmation.
+function suggestNameMatches(parts, { students, workshops, aliases = {} }) {
+  const workshopNames = Object.keys(workshops);
+  const existingWorkshops = new Set(workshopNames.map(w => parseChoiceValue(w)));
+  const renames = { students: {}, workshops: {} };
+  const suggestions = [];
+  const seen = { student: new Set(), workshop: new Set() };
+
+  const resolve = (kind, name, exists, candidates, aliasMap) => {
+    if (!name || exists(name) || seen[kind].has(name)) return;
+    seen[kind].add(name);
+    const aliasTarget = aliasMap?.[name];
+    if (aliasTarget && candidates.includes(aliasTarget)) {
+      renames[kind === 'student' ? 'students' : 'workshops'][name] = aliasTarget;
+      return;
+    }
+    const found = findNameMatch(name, candidates);
+    if (found) suggestions.push({ kind, from: name, to: found.match, reason: found.reason, distance: found.distance });
+  };
+
+  parts.forEach(({ data, mapping }) => {
+    const choiceIdxs = mapping.choices.filter(idx => idx >= 0);
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row.length < 2) continue;
+      const studentName = String(row[mapping.name] || '').trim();
+      if (!studentName) continue;
+      resolve('student', studentName, s => students.includes(s), students, aliases.students);
+      choiceIdxs.forEach(idx => {
+        const choice = parseChoiceValue(String(row[idx] || '').trim());
+        resolve('workshop', choice, w => existingWorkshops.has(w), workshopNames, aliases.workshops);
+      });
+    }
+  });
+  return { renames, suggestions };
+}
+
+// ----------------------------
+// Prerequisites
+// ----------------------------
+// prereqs[workshop] is a list of groups that must all be met. A group is either a workshop name
+// (legacy format: that workshop must have been taken) or { courses: [...], min: k } (at least k of these).
+function getPrereqGroups(required) {
+  return (required || [])
+    .map(group => typeof group === 'string'
+      ? { courses: [group], min: 1 }
+      : { courses: (group?.courses || []).filter(Boolean), min: Math.max(1, parseInt(group?.min) || 1) })
+    .filter(group => group.courses.length > 0);
+}
+
+// Stored form: single required workshops stay plain strings so old data and CSVs keep their shape
+function toStoredPrereqGroups(groups) {
+  return groups
+    .map(group => ({ courses: [...new Set(group.courses)], min: group.min }))
+    .filter(group => group.courses.length > 0)
+    .map(group => {
+      const min = Math.min(Math.max(1, group.min || 1), group.courses.length);
+      return group.courses.length === 1 ? group.courses[0] : { courses: group.courses, min };
+    });
+}
+
+function getPrereqCourses(required) {
+  return [...new Set(getPrereqGroups(required).flatMap(group => group.courses))];
+}
+
+// Names that would read as syntax are quoted: "Kunst UND Design", "Holz (alt)"
+function quotePrereqName(name) {
+  const needsQuotes = /\s(UND|ODER)\s|[,()"]|^\d+\s+aus\s/.test(name) || name !== name.trim();
+  return needsQuotes ? `"${name.replace(/"/g, '""')}"` : name;
+}
+
+// "(Holz I ODER Metall I) UND Sicherheitseinweisung", "2 aus (Holz I, Metall I, Textil I)"
+function formatPrereqExpression(required) {
+  return getPrereqGroups(required).map(group => {
+    const names = group.courses.map(quotePrereqName);
+    if (names.length === 1) return names[0];
+    if (group.min === 1) return `(${names.join(' ODER ')})`;
+    if (group.min >= names.length) return names.join(' UND ');
+    return `${group.min} aus (${names.join(', ')})`;
+  }).join(' UND ');
+}
+
+// Splits at the separator (a regex anchored with ^), ignoring separators inside parentheses and quotes
+function splitOutsideParens(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const match = depth === 0 && !quoted ? text.slice(i).match(separator) : null;
+    if (match && match[0].length > 0) {
+      parts.push(current);
+      current = '';
+      i += match[0].length - 1;
+      continue;
+    }
+    if (text[i] === '"') quoted = !quoted;
+    if (!quoted && text[i] === '(') depth++;
+    if (!quoted && text[i] === ')') depth = Math.max(0, depth - 1);
+    current += text[i];
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function unquotePrereqName(token) {
+  const match = token.match(/^"(.*)"$/);
+  return match ? match[1].replace(/""/g, '"') : token;
+}
+
+// Inverse of formatPrereqExpression; a legacy comma-separated list means "all of these".
+// UND/ODER only separate in upper case, so "Kunst und Design" stays one name.
+function parsePrereqExpression(text) {
+  const alternatives = list => splitOutsideParens(list, /^(\s*,\s*|\s+ODER\s+)/).map(unquotePrereqName);
+  const groups = splitOutsideParens(text || '', /^(\s*,\s*|\s+UND\s+)/).map(part => {
+    const countMatch = part.match(/^(\d+)\s+aus\s*\((.*)\)$/i);
+    if (countMatch) return { courses: alternatives(countMatch[2]), min: parseInt(countMatch[1]) };
+    const parenMatch = part.match(/^\((.*)\)$/);
+    if (parenMatch) return { courses: alternatives(parenMatch[1]), min: 1 };
+    return { courses: alternatives(part), min: 1 };
+  });
+  return toStoredPrereqGroups(groups);
+}
+
+// Courses the student completed before the given trimester: all confirmed trimesters plus the legacy previous assignment
+function getCompletedCourses(student, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const prev = prevAssignments[student];
+  const courses = Array.isArray(prev) ? [...prev] : prev ? [prev] : [];
+  getStudentCourseHistory(student, confirmedAssignments)
+    .filter(entry => entry.ordinal < currentOrdinal)
+    .forEach(entry => courses.push(...entry.workshops));
+  return [...new Set(courses)];
+}
+
+function collectCompletedCourses(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const completed = {};
+  students.forEach(student => {
+    completed[student] = getCompletedCourses(student, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  });
+  return completed;
+}
+
+// Per group: [{ courses, min, taken, met }]
+function evaluatePrereqs(workshopName, prereqs, completed) {
+  return getPrereqGroups(prereqs[workshopName]).map(group => {
+    const taken = group.courses.filter(course => completed.includes(course));
+    return { ...group, taken, met: taken.length >= group.min };
+  });
+}
+
+// completedCourses: { student: [workshops taken before] } (see collectCompletedCourses)
+function hasPrereqs(student, workshopName, completedCourses, prereqs) {
+  return evaluatePrereqs(workshopName, prereqs, completedCourses[student] || []).every(group => group.met);
+}
+
+// ----------------------------
+// Repeat policy ("nicht nochmal")
+// ----------------------------
+// { workshop: ordinal of the last trimester the student took it } before the given trimester.
+// The legacy previous assignment counts as the last trimester of the previous school year.
+function getLastTakenOrdinals(student, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const lastTaken = {};
+  const prev = prevAssignments[student];
+  (Array.isArray(prev) ? prev : prev ? [prev] : []).forEach(workshop => {
+    lastTaken[workshop] = getSlotOrdinal(schoolYearStart - 1, 3);
+  });
+  getStudentCourseHistory(student, confirmedAssignments)
+    .filter(entry => entry.ordinal < currentOrdinal)
+    .forEach(entry => entry.workshops.forEach(workshop => {
+      lastTaken[workshop] = Math.max(lastTaken[workshop] ?? -Infinity, entry.ordinal);
+    }));
+  return lastTaken;
+}
+
+function collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const lastTaken = {};
+  students.forEach(student => {
+    lastTaken[student] = getLastTakenOrdinals(student, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  });
+  return lastTaken;
+}
+
+// Why the workshop's repeat policy forbids taking it again in the current trimester, or null.
+// studentLastTaken: the student's entry of collectLastTakenOrdinals
+function getRepeatViolation(workshops, workshopName, studentLastTaken, currentOrdinal) {
+  const last = studentLastTaken?.[workshopName];
+  if (last === undefined) return null;
+  const policy = getWorkshopRepeatPolicy(workshops[workshopName]);
+  if (policy.mode === 'unlimited') return null;
+  if (policy.mode === 'previousYear') {
+    return Math.floor(last / 3) === Math.floor(currentOrdinal / 3) - 1
+      ? `${workshopName} wurde bereits im letzten Schuljahr belegt (${formatSlotOrdinal(last)}).`
+      : null;
+  }
+  if (policy.mode === 'after' && currentOrdinal - last >= policy.afterTrimesters) return null;
+  return policy.mode === 'after'
+    ? `${workshopName} wurde ${formatSlotOrdinal(last)} belegt und ist erst nach ${policy.afterTrimesters} Trimester(n) wieder wählbar.`
+    : `${workshopName} wurde bereits ${formatSlotOrdinal(last)} belegt.`;
+}
+
+// ----------------------------
+// Band constraints per student
+// ----------------------------
+// studentBandConstraints[student]: { blockedBands: [bandId], pins: [{ workshop, band }], sameBand: [[workshopA, workshopB]] }
+// blockedBands: no workshop at all in these bands (e.g. therapy appointments)
+// pins: the workshop may only be taken in that band
+// sameBand: both workshops must be taken in the same band - whichever is taken first decides,
+// so they can never be taken in the same trimester
+function getStudentBandConstraints(studentBandConstraints, student) {
+  const entry = studentBandConstraints?.[student] || {};
+  return {
+    blockedBands: entry.blockedBands || [],
+    pins: entry.pins || [],
+    sameBand: entry.sameBand || [],
+  };
+}
+
+function hasStudentBandConstraints(studentBandConstraints, student) {
+  const { blockedBands, pins, sameBand } = getStudentBandConstraints(studentBandConstraints, student);
+  return blockedBands.length + pins.length + sameBand.length > 0;
+}
+
+// Resolved constraints of one student as of the given trimester:
+// { blockedBands, requiredBands: { workshop: { band, reason } }, sameBand }
+// Pins win over same-band pairs; for a pair the band of the latest earlier placement counts.
+function getStudentBandRestrictions(student, studentBandConstraints, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const { blockedBands, pins, sameBand } = getStudentBandConstraints(studentBandConstraints, student);
+  const requiredBands = {};
+  if (sameBand.length > 0) {
+    const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+    const lastBand = {};
+    getStudentCourseHistory(student, confirmedAssignments)
+      .filter(entry => entry.ordinal < currentOrdinal)
+      .forEach(entry => Object.entries(entry.byBand).forEach(([bandId, workshop]) => {
+        lastBand[workshop] = { band: bandId, ordinal: entry.ordinal };
+      }));
+    sameBand.forEach(pair => {
+      pair.forEach((workshop, idx) => {
+        const partner = pair[1 - idx];
+        if (!lastBand[partner]) return;
+        requiredBands[workshop] = { band: lastBand[partner].band, reason: `wie ${partner} in ${formatSlotOrdinal(lastBand[partner].ordinal)}` };
+      });
+    });
+  }
+  pins.forEach(pin => {
+    requiredBands[pin.workshop] = { band: pin.band, reason: 'festgelegt' };
+  });
+  return { blockedBands, requiredBands, sameBand };
+}
+
+// { student: restrictions } for all students with band constraints (see getStudentBandRestrictions)
+function collectBandRestrictions(students, studentBandConstraints, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const restrictions = {};
+  students.forEach(student => {
+    if (!hasStudentBandConstraints(studentBandConstraints, student)) return;
+    restrictions[student] = getStudentBandRestrictions(student, studentBandConstraints, confirmedAssignments, schoolYearStart, currentTrimester);
+  });
+  return restrictions;
+}
+
+// Why the student may not take the workshop in the given band, or null.
+// studentRestrictions: the student's entry of collectBandRestrictions
+function getBandConstraintViolation(studentRestrictions, workshopName, band) {
+  if (!studentRestrictions) return null;
+  if (studentRestrictions.blockedBands.includes(band)) return `${getBandLabel(band)} ist gesperrt.`;
+  const required = studentRestrictions.requiredBands[workshopName];
+  if (required && required.band !== band) return `${workshopName} nur in ${getBandLabel(required.band)} (${required.reason}).`;
+  return null;
+}
+
+// Human-readable lines for badges and the student view
+function describeBandConstraints(studentBandConstraints, student) {
+  const { blockedBands, pins, sameBand } = getStudentBandConstraints(studentBandConstraints, student);
+  return [
+    ...blockedBands.map(bandId => `${getBandLabel(bandId)} gesperrt`),
+    ...pins.map(pin => `${pin.workshop} nur in ${getBandLabel(pin.band)}`),
+    ...sameBand.map(([workshopA, workshopB]) => `${workshopA} und ${workshopB} im selben Band`),
+  ];
+}
+
+// CSV columns BlockedBands, Pins, SameBand: "zweitesBand", "Holz=erstesBand, Metall=zweitesBand", "Holz+Metall"
+function formatBandConstraintColumns(constraints) {
+  const { blockedBands = [], pins = [], sameBand = [] } = constraints || {};
+  return [
+    blockedBands.join(', '),
+    pins.map(pin => `${pin.workshop}=${pin.band}`).join(', '),
+    sameBand.map(pair => pair.join('+')).join(', '),
+  ];
+}
+
+function parseBandConstraintColumns(blockedText, pinsText, sameBandText) {
+  const split = text => (text || '').split(',').map(part => part.trim()).filter(Boolean);
+  return {
+    blockedBands: split(blockedText),
+    pins: split(pinsText)
+      .map(part => part.split('=').map(value => value.trim()))
+      .filter(([workshop, band]) => workshop && band)
+      .map(([workshop, band]) => ({ workshop, band })),
+    sameBand: split(sameBandText)
+      .map(part => part.split('+').map(value => value.trim()))
+      .filter(pair => pair.length === 2 && pair[0] && pair[1] && pair[0] !== pair[1]),
+  };
+}
+
+// Same-band pairs exclude each other within one trimester
+function isSameBandPair(studentRestrictions, workshopA, workshopB) {
+  return !!studentRestrictions && studentRestrictions.sameBand.some(pair =>
+    (pair[0] === workshopA && pair[1] === workshopB) || (pair[0] === workshopB && pair[1] === workshopA)
+  );
+}
+
+// ----------------------------
+// Student pairs ("zusammen" / "getrennt")
+// ----------------------------
+// studentPairs: [{ id, type: 'together' | 'apart', students: [studentA, studentB], hard }]
+// together: both in the same workshop in every band; apart: never in the same workshop of a band.
+// Soft pairs are only repaired within the students' choices, hard pairs also outside them.
+const STUDENT_PAIR_TYPES = [
+  { id: 'together', label: 'Zusammen' },
+  { id: 'apart', label: 'Getrennt' },
+];
+
+function describeStudentPair(pair) {
+  const [studentA, studentB] = pair.students;
+  const strength = pair.hard ? 'hart' : 'weich';
+  return pair.type === 'apart'
+    ? `${studentA} und ${studentB} getrennt (${strength})`
+    : `${studentA} und ${studentB} zusammen (${strength})`;
+}
+
+// [{ pair, partner }] for all pairs of the student
+function getStudentPairPartners(studentPairs, student) {
+  return (studentPairs || [])
+    .filter(pair => pair.students.includes(student))
+    .map(pair => ({ pair, partner: pair.students[0] === student ? pair.students[1] : pair.students[0] }));
+}
+
+// Why placing the student into the workshop breaks one of their pairs, or null.
+// bandAssignments: { student: workshop } of the band
+function getStudentPairViolation(studentPairs, student, workshopName, bandAssignments) {
+  for (const { pair, partner } of getStudentPairPartners(studentPairs, student)) {
+    const partnerWorkshop = bandAssignments[partner];
+    if (!partnerWorkshop || isNotAssigned(partnerWorkshop)) continue;
+    const strength = pair.hard ? 'harte' : 'weiche';
+    if (pair.type === 'apart' && partnerWorkshop === workshopName) {
+      return `Getrennt-Vorgabe (${strength}): ${partner} ist ebenfalls in ${workshopName}.`;
+    }
+    if (pair.type === 'together' && partnerWorkshop !== workshopName) {
+      return `Zusammen-Vorgabe (${strength}): ${partner} ist in ${partnerWorkshop}.`;
+    }
+  }
+  return null;
+}
+
+// ----------------------------
+// Belegungsregeln with time window
+// ----------------------------
+// rule: { type: 'belegung', name, options, minCount?, windowLength?, windowUnit?: 'years' | 'trimesters' }
+// minCount defaults to all options, no windowLength means "at any time".
+// The window starts with the first trimester in which the student got a workshop;
+// a window in school years starts with that trimester's school year (T1) and ends with a T3.
+const RULE_RISK_SLACK = 1; // at risk when at most this many spare course slots (trimester × band) are left
+
+// Consecutive number per trimester: 2024-2025 T1 -> 2024 * 3
+function getSlotOrdinal(schoolYearStart, trimester) {
+  return schoolYearStart * 3 + (trimester - 1);
+}
+
+function formatSlotOrdinal(ordinal) {
+  const schoolYearStart = Math.floor(ordinal / 3);
+  return getSchoolYearKey(schoolYearStart, schoolYearStart + 1, (ordinal % 3) + 1);
+}
+
+function getRuleMinCount(rule) {
+  const options = rule.options || [];
+  return Number.isInteger(rule.minCount) && rule.minCount > 0 ? Math.min(rule.minCount, options.length) : options.length;
+}
+
+function getRuleWindowTrimesters(rule) {
+  if (!Number.isInteger(rule.windowLength) || rule.windowLength <= 0) return null;
+  return rule.windowUnit === 'trimesters' ? rule.windowLength : rule.windowLength * 3;
+}
+
+function describeBelegungRule(rule) {
+  const options = rule.options || [];
+  const minCount = getRuleMinCount(rule);
+  const countText = minCount >= options.length ? `alle ${options.length}` : `mind. ${minCount} von ${options.length}`;
+  const windowText = getRuleWindowTrimesters(rule) === null
+    ? 'jederzeit'
+    : rule.windowUnit === 'trimesters'
+      ? `innerhalb von ${rule.windowLength} ${rule.windowLength === 1 ? 'Trimester' : 'Trimestern'}`
+      : `innerhalb von ${rule.windowLength} ${rule.windowLength === 1 ? 'Schuljahr' : 'Schuljahren'}`;
+  return `${countText} Kursen, ${windowText}`;
+}
+
+// Confirmed workshops of a student per trimester, oldest first: [{ ordinal, slotKey, workshops, byBand }]
+function getStudentCourseHistory(student, confirmedAssignments) {
+  const history = [];
+  Object.entries(confirmedAssignments).forEach(([slotKey, payload]) => {
+    const parsed = parseSchoolYearKey(slotKey);
+    if (!parsed) return;
+    const byBand = {};
+    if (isMultiBandPayload(payload)) {
+      getPayloadBandIds(payload).forEach(bandId => {
+        byBand[bandId] = payload.assignments[bandId]?.[student];
+      });
+    } else {
+      byBand[ALL_BAND_IDS[0]] = payload.assignments?.[student];
+    }
+    Object.keys(byBand).forEach(bandId => {
+      if (!byBand[bandId] || isNotAssigned(byBand[bandId])) delete byBand[bandId];
+    });
+    const taken = Object.values(byBand);
+    if (taken.length === 0) return;
+    history.push({ ordinal: getSlotOrdinal(parsed.schoolYearStart, parsed.trimester), slotKey, workshops: taken, byBand });
+  });
+  return history.sort((a, b) => a.ordinal - b.ordinal);
+}
+
+// Evaluates a Belegungsregel for one student as of the given trimester.
+// status: 'fulfilled' | 'open' | 'atRisk' | 'missed'
+// bandsPerTrimester: courses a student takes per trimester (one per active band), which sets the remaining slots.
+// History after the current trimester (entered ahead of time) does not count yet.
+function evaluateBelegungRule(rule, history, currentOrdinal, bandsPerTrimester = 1) {
+  history = history.filter(entry => entry.ordinal <= currentOrdinal);
+  const options = rule.options || [];
+  const required = getRuleMinCount(rule);
+  const windowTrimesters = getRuleWindowTrimesters(rule);
+  const firstOrdinal = history.length > 0 ? Math.min(history[0].ordinal, currentOrdinal) : currentOrdinal;
+  const windowStart = rule.windowUnit === 'trimesters' ? firstOrdinal : Math.floor(firstOrdinal / 3) * 3;
+  const windowEnd = windowTrimesters === null ? null : windowStart + windowTrimesters - 1;
+
+  const taken = [];
+  history.forEach(entry => {
+    if (windowEnd !== null && entry.ordinal > windowEnd) return;
+    entry.workshops.forEach(w => {
+      if (options.includes(w) && !taken.includes(w)) taken.push(w);
+    });
+  });
+  const needed = Math.max(0, required - taken.length);
+  const base = { required, taken, needed, windowStart, windowEnd, remaining: null, spare: null };
+  if (needed === 0) return { ...base, status: 'fulfilled' };
+  if (windowEnd === null) return { ...base, status: 'open' };
+
+  // Trimesters still to be assigned: the current one counts unless it is already confirmed
+  const currentDone = history.some(entry => entry.ordinal === currentOrdinal);
+  const remaining = Math.max(0, windowEnd - currentOrdinal + (currentDone ? 0 : 1));
+  if (remaining === 0) return { ...base, remaining, status: 'missed' };
+  const spare = remaining * Math.max(1, bandsPerTrimester) - needed;
+  return { ...base, remaining, spare, status: spare <= RULE_RISK_SLACK ? 'atRisk' : 'open' };
+}
+
+// How auto-assignment treats students at risk of missing a Belegungsregel
+const RULE_PRIORITY_MODES = [
+  { id: 'off', label: 'nicht berücksichtigen' },
+  { id: 'boost', label: 'gefährdete Schüler bevorzugen' },
+  { id: 'force', label: 'gefährdete Schüler notfalls zuweisen' },
+];
+
+// Belegungsregeln each student is at risk of missing: { student: [{ ruleId, ruleName, options, needed, remaining }] }
+// options are the rule courses the student has not taken yet.
+function collectRuleNeeds(students, rules, confirmedAssignments, schoolYearStart, currentTrimester, bandsPerTrimester = 1) {
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const belegungRules = rules.filter(r => (r.type || 'belegung') === 'belegung' && getRuleWindowTrimesters(r) !== null);
+  const needs = {};
+  if (belegungRules.length === 0) return needs;
+  students.forEach(student => {
+    // Only trimesters before the current one: the saved result of an earlier run must not count as taken
+    const history = getStudentCourseHistory(student, confirmedAssignments).filter(entry => entry.ordinal < currentOrdinal);
+    belegungRules.forEach(rule => {
+      const evaluation = evaluateBelegungRule(rule, history, currentOrdinal, bandsPerTrimester);
+      if (evaluation.status !== 'atRisk') return;
+      if (!needs[student]) needs[student] = [];
+      needs[student].push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        options: (rule.options || []).filter(option => !evaluation.taken.includes(option)),
+        needed: evaluation.needed,
+        remaining: evaluation.remaining,
+      });
+    });
+  });
+  return needs;
+}
+
+// Needs still open after the given workshops were placed; options that clash with them are dropped
+function getOpenRuleNeeds(needs = [], placedWorkshops = [], cannotBeParallel = {}) {
+  return needs
+    .map(need => ({
+      ...need,
+      needed: need.needed - need.options.filter(option => placedWorkshops.includes(option)).length,
+      options: need.options.filter(option =>
+        !placedWorkshops.includes(option) &&
+        placedWorkshops.every(placed =>
+          !(cannotBeParallel[placed] || []).includes(option) && !(cannotBeParallel[option] || []).includes(placed)
+        )
+      ),
+    }))
+    .filter(need => need.needed > 0 && need.options.length > 0);
+}
+
+// Rule needs for one band, given a lookup of the workshops each student already got in other bands
+function getBandRuleNeeds(ruleNeeds = {}, getPlacedWorkshops, cannotBeParallel) {
+  const bandNeeds = {};
+  Object.entries(ruleNeeds).forEach(([student, needs]) => {
+    const open = getOpenRuleNeeds(needs, getPlacedWorkshops(student), cannotBeParallel);
+    if (open.length > 0) bandNeeds[student] = open;
+  });
+  return bandNeeds;
+}
+
+// Placements driven by a Belegungsregel, and students still at risk after the run
+function collectRuleReport(ruleNeeds, bandResults, activeBandIds) {
+  const placements = [];
+  const unresolved = [];
+  Object.entries(ruleNeeds).forEach(([student, needs]) => {
+    activeBandIds.forEach(bandId => {
+      const entry = bandResults[bandId]?.ruleDriven?.[student];
+      if (entry && bandResults[bandId].assignments[student] === entry.workshop) {
+        placements.push({ student, band: bandId, ...entry });
+      }
+    });
+    const placed = activeBandIds.map(bandId => bandResults[bandId]?.assignments[student]).filter(Boolean);
+    needs.forEach(need => {
+      const needed = need.needed - need.options.filter(option => placed.includes(option)).length;
+      if (needed > 0) unresolved.push({ student, ruleName: need.ruleName, needed, remaining: need.remaining - 1 });
+    });
+  });
+  return { placements, unresolved };
+}
+
+// ----------------------------
+// Folgekurs rules
+// ----------------------------
+// { type: 'folgekurs', name, fromCourse, toCourses: [alternatives], toCourse (first alternative, legacy),
+//   sameBand, withinTrimesters } - after fromCourse, one of toCourses must follow within the next withinTrimesters
+// trimesters (default 1). Chains like "Holz I → Holz II → Holz III" are consecutive rules.
+function getFolgekursTargets(rule) {
+  if (Array.isArray(rule.toCourses) && rule.toCourses.length > 0) return rule.toCourses;
+  return rule.toCourse ? [rule.toCourse] : [];
+}
+
+function getFolgekursWithin(rule) {
+  return Number.isInteger(rule.withinTrimesters) && rule.withinTrimesters > 0 ? rule.withinTrimesters : 1;
+}
+
+function describeFolgekursRule(rule) {
+  const within = getFolgekursWithin(rule);
+  const windowText = within === 1 ? 'im nächsten Trimester' : `innerhalb der nächsten ${within} Trimester`;
+  return `${rule.fromCourse} → ${getFolgekursTargets(rule).join(' oder ')} (${windowText}${rule.sameBand ? ', gleiches Band' : ''})`;
+}
+
+// Existing rules that demand a different course in the same slot as the given rule
+function findConflictingFolgekursRules(rule, rules) {
+  if (!rule.sameBand) return [];
+  const targets = getFolgekursTargets(rule);
+  return rules.filter(other =>
+    other !== rule &&
+    other.id !== rule.id &&
+    other.type === 'folgekurs' &&
+    other.sameBand &&
+    other.fromCourse === rule.fromCourse &&
+    getFolgekursWithin(other) === getFolgekursWithin(rule) &&
+    !getFolgekursTargets(other).some(course => targets.includes(course))
+  );
+}
+
+// Every time the student took the rule's fromCourse, and when a follow-up was taken:
+// [{ band, takenOrdinal, dueOrdinal, followedOrdinal }] (followedOrdinal null = no follow-up yet)
+function getFolgekursOccurrences(rule, history) {
+  const targets = getFolgekursTargets(rule);
+  const within = getFolgekursWithin(rule);
+  const occurrences = [];
+  history.forEach(entry => {
+    Object.entries(entry.byBand).forEach(([band, course]) => {
+      if (course !== rule.fromCourse) return;
+      const dueOrdinal = entry.ordinal + within;
+      const followUp = history.find(later =>
+        later.ordinal > entry.ordinal &&
+        later.ordinal <= dueOrdinal &&
+        (rule.sameBand ? targets.includes(later.byBand[band]) : later.workshops.some(w => targets.includes(w)))
+      );
+      occurrences.push({ band, takenOrdinal: entry.ordinal, dueOrdinal, followedOrdinal: followUp ? followUp.ordinal : null });
+    });
+  });
+  return occurrences;
+}
+
+// status: 'inactive' (fromCourse never taken) | 'fulfilled' | 'open' (window still running) | 'missed'
+function evaluateFolgekursRule(rule, history, currentOrdinal) {
+  const occurrences = getFolgekursOccurrences(rule, history);
+  if (occurrences.length === 0) return { status: 'inactive', occurrences };
+  const pending = occurrences.filter(o => o.followedOrdinal === null);
+  if (pending.some(o => o.dueOrdinal < currentOrdinal)) return { status: 'missed', occurrences };
+  if (pending.length > 0) return { status: 'open', occurrences };
+  return { status: 'fulfilled', occurrences };
+}
+
+// Follow-ups the student still owes in the given trimester (earlier trimesters only):
+// [{ ruleId, ruleName, fromCourse, courses, band, takenOrdinal, dueOrdinal }], most urgent first
+function getFolgekursRequirements(student, rules, confirmedAssignments, schoolYearStart, currentTrimester) {
+  const folgekursRules = rules.filter(r => (r.type || 'belegung') === 'folgekurs');
+  if (folgekursRules.length === 0) return [];
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const history = getStudentCourseHistory(student, confirmedAssignments).filter(entry => entry.ordinal < currentOrdinal);
+  const requirements = [];
+  folgekursRules.forEach(rule => {
+    getFolgekursOccurrences(rule, history).forEach(occurrence => {
+      if (occurrence.followedOrdinal !== null || occurrence.dueOrdinal < currentOrdinal) return;
+      requirements.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        fromCourse: rule.fromCourse,
+        courses: getFolgekursTargets(rule),
+        band: rule.sameBand ? occurrence.band : null,
+        takenOrdinal: occurrence.takenOrdinal,
+        dueOrdinal: occurrence.dueOrdinal,
+      });
+    });
+  });
+  return requirements.sort((a, b) => a.dueOrdinal - b.dueOrdinal);
+}
+
+// Spreads requirements over the bands so that one course per band satisfies all requirements placed there.
+// Returns { bandId: { courses, requirements } } or null if that is impossible.
+function planFolgekursBands(requirements, activeBandIds, plan = {}) {
+  if (requirements.length === 0) return plan;
+  const [first, ...rest] = requirements;
+  const bands = first.band && activeBandIds.includes(first.band) ? [first.band] : activeBandIds;
+  for (const bandId of bands) {
+    const courses = plan[bandId] ? plan[bandId].courses.filter(course => first.courses.includes(course)) : first.courses;
+    if (courses.length === 0) continue;
+    const entry = { courses, requirements: [...(plan[bandId]?.requirements || []), first] };
+    const result = planFolgekursBands(rest, activeBandIds, { ...plan, [bandId]: entry });
+    if (result) return result;
+  }
+  return null;
+}
+
+// Plan for the follow-ups due in the current trimester; requirements that do not fit are returned as conflicting
+function getFolgekursPlan(student, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds) {
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const due = getFolgekursRequirements(student, rules, confirmedAssignments, schoolYearStart, currentTrimester)
+    .filter(requirement => requirement.dueOrdinal === currentOrdinal);
+  let plan = {};
+  const accepted = [];
+  const conflicting = [];
+  due.forEach(requirement => {
+    const next = planFolgekursBands([...accepted, requirement], activeBandIds);
+    if (next) {
+      plan = next;
+      accepted.push(requirement);
+    } else {
+      conflicting.push(requirement);
+    }
+  });
+  return { plan, accepted, conflicting };
+}
+
+// Check if student needs to follow a Folgekurs rule in the given band (only follow-ups due now are enforced).
+// Returns { course, courses, band, requirements } - band is null if any band will do; a requirement pinned
+// to another band is returned with that band so callers can reject the course here.
+function getRequiredFolgekurs(student, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band, activeBandIds = DEFAULT_BAND_IDS) {
+  const bandIds = activeBandIds.includes(band) ? activeBandIds : [...activeBandIds, band];
+  const { plan } = getFolgekursPlan(student, rules, confirmedAssignments, schoolYearStart, currentTrimester, bandIds);
+  const toRequired = (bandId, entry) => ({
+    course: entry.courses[0],
+    courses: entry.courses,
+    band: entry.requirements.some(requirement => requirement.band) ? bandId : null,
+    requirements: entry.requirements,
+  });
+  if (plan[band]) return toRequired(band, plan[band]);
+  const pinned = Object.entries(plan).find(([, entry]) => entry.requirements.some(requirement => requirement.band));
+  return pinned ? toRequired(pinned[0], pinned[1]) : null;
+}
+
+// Why the student cannot be placed into the Folgekurs course in this band: { reason, detail } (trace reasons) or null.
+// The rule does not lift the hard constraints: band constraints, class eligibility, prerequisites and repeat policy.
+// context: { workshops, prereqs, studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions }
+function getFolgekursCourseViolation(student, course, band, context) {
+  const { workshops, prereqs, studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions } = context;
+  const bandViolation = getBandConstraintViolation(bandRestrictions[student], course, band);
+  if (bandViolation) return { reason: 'bandConstraint', detail: bandViolation };
+  const eligibilityViolation = getEligibilityViolation(workshops, course, studentClasses[student]);
+  if (eligibilityViolation) return { reason: 'classIneligible', detail: eligibilityViolation };
+  if (!hasPrereqs(student, course, completedCourses, prereqs)) {
+    return { reason: 'prereqs', detail: `Voraussetzungen für ${course} nicht erfüllt (${formatPrereqExpression(prereqs[course])}).` };
+  }
+  const repeatViolation = getRepeatViolation(workshops, course, lastTaken[student], currentOrdinal);
+  if (repeatViolation) return { reason: 'repeat', detail: repeatViolation };
+  return null;
+}
+
+// Filters the Folgekurs courses offered in the band down to those the student may take; the others are traced
+// and, if none is left, reported as an unsatisfiable rule
+function getAllowedFolgekursCourses(student, requiredFolgekurs, band, kap, context, trace, problems) {
+  const violations = [];
+  const allowed = requiredFolgekurs.courses.filter(course => {
+    if (!(course in kap)) {
+      violations.push(`${course} wird in ${getBandLabel(band)} nicht angeboten.`);
+      return false;
+    }
+    const violation = getFolgekursCourseViolation(student, course, band, context);
+    if (!violation) return true;
+    violations.push(violation.detail);
+    addTraceStep(trace, student, { type: 'filtered', workshop: course, ...violation });
+    return false;
+  });
+  if (allowed.length === 0) {
+    problems.push(`${student} muss ${requiredFolgekurs.courses.join(' oder ')} belegen (Folgekurs-Regel), das ist aber nicht möglich: ${violations.join(' ')}`);
+  }
+  return allowed;
+}
+
+function isFolgekursFulfilled(requiredFolgekurs, assignments, student, activeBandIds) {
+  if (!requiredFolgekurs) return true;
+  const courses = requiredFolgekurs.courses || [requiredFolgekurs.course];
+  if (requiredFolgekurs.band !== null) {
+    return courses.includes(assignments[requiredFolgekurs.band]?.[student]);
+  }
+  return activeBandIds.some(
+    bandId => courses.includes(assignments[bandId]?.[student])
+  );
+}
+
+function describeRequiredFolgekurs(requiredFolgekurs) {
+  const source = requiredFolgekurs.requirements[0];
+  return `Folgekurs-Regel: Schüler muss ${requiredFolgekurs.courses.join(' oder ')} belegen (hat ${source.fromCourse} in ${formatSlotOrdinal(source.takenOrdinal)} belegt).`;
+}
+
+// Follow-ups due now that cannot be met together with the student's other due follow-ups: [{ student, requirement, accepted }]
+function collectFolgekursConflicts(students, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds) {
+  if (!rules.some(r => r.type === 'folgekurs')) return [];
+  const conflicts = [];
+  students.forEach(student => {
+    const { accepted, conflicting } = getFolgekursPlan(student, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds);
+    conflicting.forEach(requirement => conflicts.push({ student, requirement, accepted }));
+  });
+  return conflicts;
+}
+
+// ----------------------------
+// Feasibility check (Regeln tab, and before every auto-assignment)
+// ----------------------------
+// Cycles among the prerequisites (self-references are reported separately): [[A, B, A]]
+function findPrereqCycles(prereqs) {
+  const cycles = [];
+  const seen = new Set();
+  const finished = new Set();
+  const visit = (node, path) => {
+    (prereqs[node] || []).forEach(next => {
+      if (next === node || finished.has(next)) return;
+      const idx = path.indexOf(next);
+      if (idx !== -1) {
+        const cycle = path.slice(idx);
+        const key = [...cycle].sort().join('|');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...cycle, next]);
+        }
+        return;
+      }
+      visit(next, [...path, next]);
+    });
+    finished.add(node);
+  };
+  Object.keys(prereqs).forEach(node => {
+    if (!finished.has(node)) visit(node, [node]);
+  });
+  return cycles;
+}
+
+// Contradictions between workshops, prerequisites, "nicht parallel", bands and rules.
+// Returns [{ severity: 'error' | 'warning', message, target: { type: 'workshop' | 'rule', id, label } }]
+function validateConfiguration({ students, workshops, prereqs, cannotBeParallel, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds, studentBandConstraints = {}, studentPairs = [] }) {
+  const issues = [];
+  const addIssue = (severity, message, target) => issues.push({ severity, message, target });
+  const workshopTarget = name => ({ type: 'workshop', id: name, label: name });
+  const ruleTarget = rule => ({ type: 'rule', id: rule.id, label: rule.name });
+  const offeredBands = name => (name in workshops
+    ? getWorkshopAvailableBands(workshops[name], name).filter(bandId => activeBandIds.includes(bandId))
+    : []);
+
+  // Workshops
+  Object.keys(workshops).forEach(name => {
+    const capacity = getWorkshopCapacity(workshops[name], name);
+    const minParticipants = getWorkshopMinParticipants(workshops[name]);
+    const eligibility = getWorkshopEligibility(workshops[name]);
+    if (offeredBands(name).length === 0) {
+      addIssue('warning', `${name} wird in keinem aktiven Band angeboten.`, workshopTarget(name));
+    }
+    if (capacity <= 0) {
+      addIssue('error', `${name} hat keine Plätze.`, workshopTarget(name));
+    }
+    if (minParticipants !== null && minParticipants > capacity) {
+      addIssue('error', `${name}: Mindestteilnehmer (${minParticipants}) übersteigen die Kapazität (${capacity}).`, workshopTarget(name));
+    }
+    if (eligibility.minGrade !== null && eligibility.maxGrade !== null && eligibility.minGrade > eligibility.maxGrade) {
+      addIssue('error', `${name}: Jahrgang von ${eligibility.minGrade} bis ${eligibility.maxGrade} schließt alle Schüler aus.`, workshopTarget(name));
+    }
+  });
+  activeBandIds.forEach(bandId => {
+    const seats = Object.keys(workshops)
+      .filter(name => offeredBands(name).includes(bandId))
+      .reduce((sum, name) => sum + getWorkshopCapacity(workshops[name], name), 0);
+    if (seats < students.length) {
+      addIssue('warning', `${getBandLabel(bandId)}: nur ${seats} Plätze für ${students.length} Schüler.`, null);
+    }
+  });
+
+  // Prerequisites
+  const mandatoryPrereqs = {};
+  Object.entries(prereqs).forEach(([name, required]) => {
+    const groups = getPrereqGroups(required);
+    groups.forEach(group => {
+      if (group.courses.filter(course => course !== name).length < group.min) {
+        addIssue('error', `${name} ist seine eigene Voraussetzung – niemand kann ${name} belegen.`, workshopTarget(name));
+      }
+    });
+    getPrereqCourses(required).filter(course => course !== name && !(course in workshops)).forEach(course => {
+      addIssue('warning', `${name}: Voraussetzung ${course} ist keine aktive Werkstatt.`, workshopTarget(name));
+    });
+    // Only groups without alternatives make a cycle unsatisfiable
+    mandatoryPrereqs[name] = groups.filter(group => group.min >= group.courses.length).flatMap(group => group.courses);
+  });
+  findPrereqCycles(mandatoryPrereqs).forEach(cycle => {
+    addIssue('error', `Voraussetzungen bilden einen Kreis: ${cycle.join(' → ')}.`, workshopTarget(cycle[0]));
+  });
+
+  // Nicht parallel
+  Object.entries(cannotBeParallel).forEach(([name, others]) => {
+    (others || []).filter(other => !(other in workshops)).forEach(other => {
+      addIssue('warning', `${name}: „nicht parallel zu“ ${other}, aber ${other} ist keine aktive Werkstatt.`, workshopTarget(name));
+    });
+  });
+
+  // Band constraints per student
+  students.filter(student => hasStudentBandConstraints(studentBandConstraints, student)).forEach(student => {
+    const { blockedBands, pins, sameBand } = getStudentBandConstraints(studentBandConstraints, student);
+    pins.forEach(pin => {
+      if (blockedBands.includes(pin.band)) {
+        addIssue('error', `${student}: ${pin.workshop} ist auf ${getBandLabel(pin.band)} festgelegt, aber ${getBandLabel(pin.band)} ist gesperrt.`, null);
+      } else if (!offeredBands(pin.workshop).includes(pin.band)) {
+        addIssue('warning', `${student}: ${pin.workshop} ist auf ${getBandLabel(pin.band)} festgelegt, wird dort aber nicht angeboten.`, workshopTarget(pin.workshop));
+      }
+    });
+    sameBand.forEach(([workshopA, workshopB]) => {
+      const pinA = pins.find(pin => pin.workshop === workshopA);
+      const pinB = pins.find(pin => pin.workshop === workshopB);
+      if (pinA && pinB && pinA.band !== pinB.band) {
+        addIssue('error', `${student}: ${workshopA} und ${workshopB} sollen im selben Band liegen, sind aber auf verschiedene Bänder festgelegt.`, null);
+      }
+    });
+  });
+
+  // Student pairs
+  studentPairs.forEach(pair => {
+    pair.students.filter(student => !students.includes(student)).forEach(student => {
+      addIssue('warning', `${describeStudentPair(pair)}: ${student} ist kein aktiver Schüler.`, null);
+    });
+  });
+  studentPairs.filter(pair => pair.type === 'together').forEach(pair => {
+    studentPairs
+      .filter(other => other.type === 'apart' && other.students.every(student => pair.students.includes(student)))
+      .forEach(() => {
+        addIssue('error', `${pair.students[0]} und ${pair.students[1]} sollen zugleich zusammen und getrennt sein.`, null);
+      });
+  });
+
+  // Rules
+  rules.forEach(rule => {
+    if (rule.type === 'folgekurs') {
+      const targets = getFolgekursTargets(rule);
+      if (!(rule.fromCourse in workshops)) {
+        addIssue('warning', `Regel „${rule.name}“: Ausgangskurs ${rule.fromCourse} ist keine aktive Werkstatt.`, ruleTarget(rule));
+      }
+      if (!targets.some(course => offeredBands(course).length > 0)) {
+        addIssue('error', `Regel „${rule.name}“: ${targets.join(' oder ')} wird in keinem aktiven Band angeboten.`, ruleTarget(rule));
+      } else if (rule.sameBand) {
+        offeredBands(rule.fromCourse)
+          .filter(bandId => !targets.some(course => offeredBands(course).includes(bandId)))
+          .forEach(bandId => {
+            addIssue('error', `Regel „${rule.name}“: Nach ${rule.fromCourse} im ${getBandLabel(bandId)} muss der Folgekurs im selben Band liegen, aber ${targets.join(' oder ')} wird dort nicht angeboten.`, ruleTarget(rule));
+          });
+      }
+      findConflictingFolgekursRules(rule, rules)
+        .filter(other => rules.indexOf(other) > rules.indexOf(rule))
+        .forEach(other => {
+          addIssue('error', `Regeln „${rule.name}“ und „${other.name}“ verlangen nach ${rule.fromCourse} verschiedene Folgekurse im selben Band.`, ruleTarget(rule));
+        });
+    } else {
+      const options = rule.options || [];
+      const offered = options.filter(option => offeredBands(option).length > 0);
+      options.filter(option => !(option in workshops)).forEach(option => {
+        addIssue('warning', `Regel „${rule.name}“: ${option} ist keine aktive Werkstatt.`, ruleTarget(rule));
+      });
+      if (offered.length < getRuleMinCount(rule)) {
+        addIssue('error', `Regel „${rule.name}“ verlangt ${getRuleMinCount(rule)} Kurse, aber nur ${offered.length} davon ${offered.length === 1 ? 'wird' : 'werden'} angeboten.`, ruleTarget(rule));
+      }
+    }
+  });
+
+  // Folgekurs demand of the current trimester against the seats
+  const demand = {};
+  students.forEach(student => {
+    const { plan } = getFolgekursPlan(student, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds);
+    Object.entries(plan).forEach(([bandId, entry]) => {
+      const pinned = entry.requirements.some(requirement => requirement.band);
+      const key = `${pinned ? bandId : 'any'}|${entry.courses.join(',')}`;
+      if (!demand[key]) demand[key] = { band: pinned ? bandId : null, courses: entry.courses, ruleId: entry.requirements[0].ruleId, count: 0 };
+      demand[key].count += 1;
+    });
+  });
+  Object.values(demand).forEach(({ band, courses, ruleId, count }) => {
+    const seats = courses.reduce((sum, course) => {
+      const bands = offeredBands(course).filter(bandId => !band || bandId === band);
+      return sum + bands.length * (course in workshops ? getWorkshopCapacity(workshops[course], course) : 0);
+    }, 0);
+    if (count > seats) {
+      const rule = rules.find(r => r.id === ruleId);
+      addIssue('error', `${count} Schüler müssen ${courses.join(' oder ')} als Folgekurs belegen${band ? ` (${getBandLabel(band)})` : ''}, es gibt aber nur ${seats} Plätze.`, rule ? ruleTarget(rule) : null);
+    }
+  });
+  collectFolgekursConflicts(students, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds).forEach(({ student, requirement }) => {
+    const rule = rules.find(r => r.id === requirement.ruleId);
+    addIssue('warning', `${student}: Folgekurs-Regel „${requirement.ruleName}“ lässt sich nicht mit den anderen fälligen Folgekursen vereinbaren.`, rule ? ruleTarget(rule) : null);
+  });
+
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+// ----------------------------
+// Rule preview: impact of draft rules before they are added
+// ----------------------------
+// Evaluates the draft rules against the confirmed history and the current choices (choicesMap: { bandId: { student: [choices] } }).
+// Returns { violations, atRisk, folgekurs } - each a list of { student, ruleName, detail }; folgekurs entries also carry
+// chosen (a target is among the student's choices) and conflict (clashes with an existing Folgekurs rule)
+function simulateRuleImpact({ draftRules, students, rules, confirmedAssignments, choicesMap, schoolYearStart, currentTrimester, activeBandIds }) {
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const withDraft = [...rules, ...draftRules];
+  const impact = { violations: [], atRisk: [], folgekurs: [] };
+  students.forEach(student => {
+    const history = getStudentCourseHistory(student, confirmedAssignments);
+    const choices = activeBandIds.flatMap(bandId => choicesMap[bandId]?.[student] || []);
+    draftRules.forEach(rule => {
+      if ((rule.type || 'belegung') === 'belegung') {
+        const evaluation = evaluateBelegungRule(rule, history, currentOrdinal, activeBandIds.length);
+        const detail = `${evaluation.taken.length}/${evaluation.required} belegt`;
+        if (evaluation.status === 'missed') {
+          impact.violations.push({ student, ruleName: rule.name, detail });
+        } else if (evaluation.status === 'atRisk') {
+          const chosen = choices.some(choice => (rule.options || []).includes(choice));
+          impact.atRisk.push({ student, ruleName: rule.name, detail: `${detail}, noch ${evaluation.remaining} Trimester${chosen ? '' : ' – keine passende Wahl'}` });
+        }
+      } else {
+        const evaluation = evaluateFolgekursRule(rule, history, currentOrdinal);
+        if (evaluation.status === 'missed') {
+          impact.violations.push({ student, ruleName: rule.name, detail: `${rule.fromCourse} ohne ${getFolgekursTargets(rule).join(' oder ')}` });
+        }
+      }
+    });
+    // Follow-ups the draft adds to this trimester's plan
+    const { accepted, conflicting } = getFolgekursPlan(student, withDraft, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds);
+    const isDraft = requirement => draftRules.some(rule => rule.id === requirement.ruleId);
+    [...accepted.filter(isDraft).map(requirement => ({ requirement, conflict: false })),
+     ...conflicting.filter(isDraft).map(requirement => ({ requirement, conflict: true }))].forEach(({ requirement, conflict }) => {
+      impact.folgekurs.push({
+        student,
+        ruleName: requirement.ruleName,
+        detail: `${requirement.courses.join(' oder ')}${requirement.band ? ` (${getBandLabel(requirement.band)})` : ''}`,
+        chosen: choices.some(choice => requirement.courses.includes(choice)),
+        conflict,
+      });
+    });
+  });
+  return impact;
+}
+
+// Students whose placement differs between two auto-assignment results: [{ student, band, before, after }]
+function diffAutoAssignResults(before, after, activeBandIds) {
+  const changes = [];
+  activeBandIds.forEach(bandId => {
+    const beforeAssignments = before.bandResults[bandId]?.assignments || {};
+    const afterAssignments = after.bandResults[bandId]?.assignments || {};
+    [...new Set([...Object.keys(beforeAssignments), ...Object.keys(afterAssignments)])].sort().forEach(student => {
+      if (beforeAssignments[student] !== afterAssignments[student]) {
+        changes.push({ student, band: bandId, before: beforeAssignments[student] || null, after: afterAssignments[student] || null });
+      }
+    });
+  });
+  return changes;
+}
+
+// ----------------------------
+// Rule set exchange (versioned JSON with rules, prerequisites and "nicht parallel")
+// ----------------------------
+const RULE_SET_FORMAT = 'werkstatt-regelwerk';
+const RULE_SET_VERSION = 1;
+const RULE_SET_KINDS = [
+  { id: 'rule', label: 'Regel' },
+  { id: 'prereqs', label: 'Voraussetzungen' },
+  { id: 'cannotBeParallel', label: 'Nicht parallel' },
+];
+
+// Rules are exchanged without their local ids; items are matched by rule name / workshop name
+function buildRuleSet(rules, prereqs, cannotBeParallel) {
+  return {
+    format: RULE_SET_FORMAT,
+    version: RULE_SET_VERSION,
+    exportedAt: new Date().toISOString(),
+    rules: rules.map(({ id, ...rule }) => rule),
+    prereqs: Object.fromEntries(Object.entries(prereqs).filter(([, required]) => getPrereqGroups(required).length > 0)),
+    cannotBeParallel: Object.fromEntries(Object.entries(cannotBeParallel).filter(([, others]) => (others || []).length > 0)),
+  };
+}
+
+const isCourseList = value => Array.isArray(value) && value.every(course => typeof course === 'string' && course.trim() !== '');
+const isOptionalCount = value => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+// Why an imported rule cannot be used (completes "Regel „name“ …"), or null
+function getRuleSetRuleError(rule) {
+  const type = rule.type || 'belegung';
+  if (type === 'folgekurs') {
+    if (typeof rule.fromCourse !== 'string' || !rule.fromCourse.trim()) return 'hat keinen Ausgangskurs.';
+    if (rule.toCourses !== undefined && !isCourseList(rule.toCourses)) return 'hat eine ungültige Folgekurs-Liste.';
+    if (rule.toCourse !== undefined && typeof rule.toCourse !== 'string') return 'hat einen ungültigen Folgekurs.';
+    if (getFolgekursTargets(rule).length === 0) return 'hat keinen Folgekurs.';
+    if (!isOptionalCount(rule.withinTrimesters)) return 'hat einen ungültigen Zeitraum.';
+    return null;
+  }
+  if (type !== 'belegung') return `hat den unbekannten Typ „${type}“.`;
+  if (!isCourseList(rule.options) || rule.options.length === 0) return 'hat keine gültige Kursliste.';
+  if (!isOptionalCount(rule.minCount) || !isOptionalCount(rule.windowLength)) return 'hat eine ungültige Anzahl oder Zeitspanne.';
+  if (![undefined, null, 'years', 'trimesters'].includes(rule.windowUnit)) return 'hat eine ungültige Zeiteinheit.';
+  return null;
+}
+
+// A prerequisite value as stored: a list of workshop names and { courses, min } groups
+function isValidPrereqValue(required) {
+  return Array.isArray(required) && required.every(group => (typeof group === 'string' && group.trim() !== '') || (
+    group && typeof group === 'object' && isCourseList(group.courses) && isOptionalCount(group.min)
+  ));
+}
+
+// Throws with a readable message if the text is not a rule set this version can read.
+// Items with a wrong shape and repeated rule names are left out and listed in skipped.
+function parseRuleSet(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Die Datei ist kein gültiges JSON.');
+  }
+  if (!data || data.format !== RULE_SET_FORMAT) {
+    throw new Error('Die Datei ist kein exportiertes Regelwerk.');
+  }
+  if (!Number.isInteger(data.version) || data.version > RULE_SET_VERSION) {
+    throw new Error(`Regelwerk-Version ${data.version} wird nicht unterstützt (höchstens ${RULE_SET_VERSION}). Bitte die App aktualisieren.`);
+  }
+  const isMap = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  const skipped = [];
+  const rules = [];
+  (Array.isArray(data.rules) ? data.rules : []).forEach((rule, idx) => {
+    if (!isMap(rule) || typeof rule.name !== 'string' || !rule.name.trim()) {
+      skipped.push(`Regel Nr. ${idx + 1} hat keinen Namen.`);
+      return;
+    }
+    const error = getRuleSetRuleError(rule);
+    if (error) {
+      skipped.push(`Regel „${rule.name}“ ${error}`);
+    } else if (rules.some(other => other.name === rule.name)) {
+      skipped.push(`Regel „${rule.name}“ kommt mehrfach vor – nur die erste wird importiert.`);
+    } else {
+      rules.push(rule);
+    }
+  });
+  const pickValid = (map, isValid, describe) => Object.fromEntries(Object.entries(isMap(map) ? map : {}).filter(([workshop, value]) => {
+    if (isValid(value)) return true;
+    skipped.push(describe(workshop));
+    return false;
+  }));
+  return {
+    rules,
+    prereqs: pickValid(data.prereqs, isValidPrereqValue, workshop => `Voraussetzungen für „${workshop}“ sind ungültig.`),
+    cannotBeParallel: pickValid(data.cannotBeParallel, isCourseList, workshop => `„Nicht parallel“ für „${workshop}“ ist keine Liste von Werkstätten.`),
+    skipped,
+  };
+}
+
+function describeRuleSetValue(kind, value) {
+  if (value === undefined) return '–';
+  if (kind === 'prereqs') return formatPrereqExpression(value);
+  if (kind === 'cannotBeParallel') return value.join(', ');
+  return (value.type || 'belegung') === 'folgekurs'
+    ? describeFolgekursRule(value)
+    : `${(value.options || []).join(', ')} · ${describeBelegungRule(value)}`;
+}
+
+// Rules are matched by name; a name repeated locally gets a number ("Name #2") so no rule is lost
+function keyRulesByName(rules) {
+  const seen = {};
+  return Object.fromEntries(rules.map(rule => {
+    seen[rule.name] = (seen[rule.name] || 0) + 1;
+    return [seen[rule.name] === 1 ? rule.name : `${rule.name} #${seen[rule.name]}`, rule];
+  }));
+}
+
+// One entry per rule / workshop: status 'new' | 'changed' | 'same' | 'localOnly'
+function diffRuleSet(current, imported) {
+  const normalize = {
+    rule: ({ id, ...rule }) => JSON.stringify(rule),
+    prereqs: required => JSON.stringify(toStoredPrereqGroups(getPrereqGroups(required))),
+    cannotBeParallel: others => JSON.stringify([...(others || [])].sort()),
+  };
+  const byKind = set => ({
+    rule: keyRulesByName(set.rules),
+    prereqs: Object.fromEntries(Object.entries(set.prereqs).filter(([, required]) => getPrereqGroups(required).length > 0)),
+    cannotBeParallel: Object.fromEntries(Object.entries(set.cannotBeParallel).filter(([, others]) => (others || []).length > 0)),
+  });
+  const currentItems = byKind(current);
+  const importedItems = byKind(imported);
+  const items = [];
+  RULE_SET_KINDS.forEach(({ id: kind }) => {
+    const names = [...new Set([...Object.keys(importedItems[kind]), ...Object.keys(currentItems[kind])])];
+    names.forEach(name => {
+      const currentValue = currentItems[kind][name];
+      const importedValue = importedItems[kind][name];
+      const status = currentValue === undefined ? 'new'
+        : importedValue === undefined ? 'localOnly'
+        : normalize[kind](currentValue) === normalize[kind](importedValue) ? 'same' : 'changed';
+      items.push({ key: `${kind}:${name}`, kind, name, status, current: currentValue, imported: importedValue });
+    });
+  });
+  return items;
+}
+
+// Applies the selected diff items: new/changed items take the imported value, selected local-only items are removed
+function mergeRuleSet(current, items, selectedKeys) {
+  const rules = [...current.rules];
+  const prereqs = { ...current.prereqs };
+  const cannotBeParallel = { ...current.cannotBeParallel };
+  const localRules = keyRulesByName(current.rules);
+  items.filter(item => selectedKeys.includes(item.key) && item.status !== 'same').forEach(item => {
+    if (item.kind === 'rule') {
+      const idx = rules.indexOf(localRules[item.name]);
+      if (item.status === 'localOnly') {
+        rules.splice(idx, 1);
+      } else if (idx === -1) {
+        rules.push({ ...item.imported, id: Date.now() + Math.random() });
+      } else {
+        rules[idx] = { ...item.imported, id: rules[idx].id };
+      }
+    } else {
+      const target = item.kind === 'prereqs' ? prereqs : cannotBeParallel;
+      if (item.status === 'localOnly') {
+        delete target[item.name];
+      } else {
+        target[item.name] = item.imported;
+      }
+    }
+  });
+  return { rules, prereqs, cannotBeParallel };
+}
+
+// ----------------------------
+// Tie-breaking between students with equal priority
+// ----------------------------
+const TIE_BREAK_STRATEGIES = [
+  { id: 'lottery', label: 'Losverfahren (Seed)' },
+  { id: 'submission', label: 'Früheste Abgabe (Übermittelt)' },
+  { id: 'class', label: 'Klasse' },
+  { id: 'alphabetical', label: 'Alphabetisch' },
+];
+
+function getTieBreakLabel(strategyId) {
+  return TIE_BREAK_STRATEGIES.find(t => t.id === strategyId)?.label || strategyId;
+}
+
+function createRandomSeed() {
+  return String(Math.floor(Math.random() * 1e9));
+}
+
+// mulberry32, seeded with a string hash so any seed text works
+function createSeededRandom(seed) {
+  let h = 1779033703;
+  for (const ch of String(seed)) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "Übermittelt" values: Excel serial number, "dd.mm.yyyy hh:mm[:ss]" or anything Date.parse understands
+function parseSubmissionTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Math.round((value - 25569) * 86400000);
+  const text = String(value).trim();
+  const german = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (german) {
+    const year = german[3].length === 2 ? 2000 + parseInt(german[3], 10) : parseInt(german[3], 10);
+    return new Date(year, parseInt(german[2], 10) - 1, parseInt(german[1], 10),
+      parseInt(german[4] || '0', 10), parseInt(german[5] || '0', 10), parseInt(german[6] || '0', 10)).getTime();
+  }
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Returns the students in tie-break order. The engines sort by priority with a stable sort,
+// so this order decides between students with equal priority.
+// tieBreak: { strategy, seed }, data: { studentClasses, submissionTimes }
+function orderStudentsForTieBreak(students, tieBreak, data = {}) {
+  const byName = (a, b) => a.localeCompare(b, 'de');
+  const strategy = tieBreak?.strategy || 'alphabetical';
+  if (strategy === 'lottery') {
+    const random = createSeededRandom(tieBreak.seed);
+    // Fisher-Yates on the alphabetical order, so the result does not depend on insertion order
+    const shuffled = [...students].sort(byName);
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+  if (strategy === 'submission') {
+    const times = data.submissionTimes || {};
+    // Students without a timestamp come last
+    const timeOf = s => (typeof times[s] === 'number' ? times[s] : Infinity);
+    return [...students].sort((a, b) => (timeOf(a) - timeOf(b)) || byName(a, b));
+  }
+  if (strategy === 'class') {
+    const classes = data.studentClasses || {};
+    return [...students].sort((a, b) => (classes[a] || '').localeCompare(classes[b] || '', 'de', { numeric: true }) || byName(a, b));
+  }
+  return [...students].sort(byName);
+}
+
+// ----------------------------
+// Decision trace (why did a student get / not get a workshop)
+// ----------------------------
+// trace: { student: { priorityRank, rankedCount, priorityScore, assistance, steps: [step] } }
+// step.type: 'filtered' | 'full' | 'assistanceCap' | 'folgekurs' | 'assigned' | 'removed' | 'unassigned'
+// step.via (assigned): 'choice' | 'folgekurs' | 'rule' | 'forced' | 'repair' | 'pair'
+function addTraceStep(trace, student, step) {
+  if (!trace[student]) trace[student] = { steps: [] };
+  trace[student].steps.push(step);
+}
+
+function setTracePriority(trace, orderedStudents, studentPriorityScores, studentAssistants) {
+  orderedStudents.forEach((student, idx) => {
+    if (!trace[student]) trace[student] = { steps: [] };
+    trace[student].priorityRank = idx + 1;
+    trace[student].rankedCount = orderedStudents.length;
+    trace[student].priorityScore = studentAssistants[student] ? 10 : (studentPriorityScores[student] || 5);
+    trace[student].assistance = !!studentAssistants[student];
+  });
+}
+
+function describeTraceReason(step) {
+  switch (step.reason) {
+    case 'bandUnavailable': return `${step.workshop} wird in diesem Band nicht angeboten.`;
+    case 'cancelled': return `${step.workshop} wurde in diesem Band wegen Unterbelegung geschlossen.`;
+    case 'duplicate': return `${step.workshop} wurde mehrfach gewählt.`;
+    case 'repeat': return step.detail || `${step.workshop} wurde bereits belegt.`;
+    case 'prereqs': return `Voraussetzungen für ${step.workshop} sind nicht erfüllt.`;
+    case 'classIneligible': return step.detail || `${step.workshop} ist für diese Klasse nicht freigegeben.`;
+    case 'bandConstraint': return step.detail || `${step.workshop} ist für diesen Schüler in diesem Band nicht erlaubt.`;
+    case 'apartPair': return `${step.partner} ist ebenfalls in ${step.workshop} (Getrennt-Vorgabe).`;
+    case 'sameBandPair': return `${step.workshop} muss im selben Band wie ${step.otherWorkshop} belegt werden, nicht parallel${step.otherBand ? ` (${getBandLabel(step.otherBand)})` : ''}.`;
+    case 'sameWorkshopOtherBand': return `${step.workshop} ist bereits in ${getBandLabel(step.otherBand)} zugeordnet.`;
+    case 'cannotBeParallel': return `${step.workshop} kann nicht parallel zu ${step.otherWorkshop}${step.otherBand ? ` (${getBandLabel(step.otherBand)})` : ''} belegt werden.`;
+    default: return step.workshop || '';
+  }
+}
+
+function describeTraceStep(step) {
+  const rankLabel = step.rank >= 0 ? `${step.rank + 1}. Wahl` : 'keine Wahl';
+  switch (step.type) {
+    case 'filtered':
+      return `Aussortiert: ${describeTraceReason(step)}`;
+    case 'full':
+      if (step.filledBy) {
+        return `${step.workshop} (${rankLabel}) war voll – der letzte Platz ging an ${step.filledBy} (Zuweisung Nr. ${step.filledAtPlacement}).`;
+      }
+      return `${step.workshop} (${rankLabel}): Die Plätze wurden in der optimalen Gesamtlösung an andere Schüler vergeben.`;
+    case 'assistanceCap':
+      return `${step.workshop} (${rankLabel}): max. ${step.max} Schüler mit Lernbegleitung bereits erreicht.`;
+    case 'folgekurs':
+      return `Folgekurs-Regel verlangt ${step.workshop}.`;
+    case 'assigned':
+      if (step.via === 'folgekurs') return `Zugeordnet: ${step.workshop} (Folgekurs).`;
+      if (step.via === 'rule') return `Zugeordnet: ${step.workshop} (${rankLabel}) wegen Belegungsregel „${step.ruleName}“.`;
+      if (step.via === 'forced') return `Zugeordnet per Zwangszuweisung: ${step.workshop}.`;
+      if (step.via === 'repair') return `Nachträglich zugeordnet: ${step.workshop} (${rankLabel}).`;
+      if (step.via === 'pair') return `Umgesetzt nach ${step.workshop} (${rankLabel}) wegen Paar-Vorgabe mit ${step.partner}.`;
+      return `Zugeordnet: ${step.workshop} (${rankLabel}).`;
+    case 'removed':
+      return `Zuordnung zu ${step.workshop} wieder entfernt: ${describeTraceReason(step)}`;
+    case 'unassigned':
+      return 'Keine der Wahlen konnte erfüllt werden.';
+    default:
+      return '';
+  }
+}
+
+function describeTracePriority(entry) {
+  if (!entry || !entry.priorityRank) return 'Nicht in der Zuteilung berücksichtigt.';
+  return `Priorität: Platz ${entry.priorityRank} von ${entry.rankedCount} (Score ${entry.priorityScore}${entry.assistance ? ', Assistenz' : ''})`;
+}
+
+// Auto-assignment algorithm for all active bands
+// options.engine: 'greedy' (default), 'optimal' or 'joint'
+// options.fallbackPlacement: place students without any fulfilled wish into free workshops
+// options.tieBreak: { strategy, seed } order among equal priorities, stored with the result
+// options.tieBreakData: { submissionTimes } used by the 'submission' strategy
+// options.studentClasses: { student: className } for class eligibility and the 'class' strategy
+// options.cancelUnderfilled: close workshops below their minimum participants for that band and re-place their students
+// options.rulePriority: 'off' | 'boost' | 'force' treatment of students at risk of missing a Belegungsregel
+// options.studentBandConstraints: { student: { blockedBands, pins, sameBand } } (see getStudentBandConstraints)
+// options.studentPairs: [{ type: 'together' | 'apart', students, hard }] repaired after placement (see applyStudentPairs)
+function autoAssignAllBands(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel = {}, activeBandIds = DEFAULT_BAND_IDS, options = {}) {
+  const engine = options.engine || 'greedy';
+  const tieBreak = options.tieBreak || { strategy: 'alphabetical', seed: null };
+  const orderedStudents = orderStudentsForTieBreak(students, tieBreak, { ...options.tieBreakData, studentClasses: options.studentClasses });
+  const rulePriority = options.rulePriority || 'off';
+  const ruleNeeds = rulePriority === 'off' ? {} : collectRuleNeeds(students, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds.length);
+  const completedCourses = collectCompletedCourses(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const lastTaken = collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const bandRestrictions = collectBandRestrictions(students, options.studentBandConstraints, confirmedAssignments, schoolYearStart, currentTrimester);
+  const engineOptions = { ...options, rulePriority, ruleNeeds, completedCourses, lastTaken, bandRestrictions };
+  const runEngine = (runWorkshops) => {
+    const runChoices = JSON.parse(JSON.stringify(choicesMap));
+    return engine === 'joint'
+      ? autoAssignAllBandsJoint(orderedStudents, runWorkshops, prevAssignments, prereqs, runChoices, studentAssistants, studentPriorityScores, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel, activeBandIds, engineOptions)
+      : autoAssignAllBandsSequential(orderedStudents, runWorkshops, prevAssignments, prereqs, runChoices, studentAssistants, studentPriorityScores, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel, activeBandIds, engineOptions);
+  };
+
+  let runWorkshops = workshops;
+  let result = runEngine(runWorkshops);
+  const cancelledWorkshops = {};
+  if (options.cancelUnderfilled) {
+    // Close the emptiest under-filled workshop per band and re-run, until every open workshop reaches its minimum
+    let underfilled = findUnderfilledWorkshops(runWorkshops, result.bandResults, activeBandIds);
+    while (Object.keys(underfilled).length > 0) {
+      const closed = closeEmptiestUnderfilled(runWorkshops, underfilled);
+      runWorkshops = closed.workshops;
+      Object.entries(closed.closing).forEach(([bandId, entries]) => {
+        if (!cancelledWorkshops[bandId]) cancelledWorkshops[bandId] = [];
+        cancelledWorkshops[bandId].push(...entries);
+      });
+      result = runEngine(runWorkshops);
+      underfilled = findUnderfilledWorkshops(runWorkshops, result.bandResults, activeBandIds);
+    }
+    Object.entries(cancelledWorkshops).forEach(([bandId, list]) => {
+      const closed = new Set(list.map(entry => entry.workshop));
+      Object.values(result.bandResults[bandId]?.trace || {}).forEach(entry => {
+        entry.steps.forEach(step => {
+          if (step.reason === 'bandUnavailable' && closed.has(step.workshop)) step.reason = 'cancelled';
+        });
+      });
+      list.forEach(entry => {
+        result.problems.push({
+          message: entry.count === 0
+            ? `${entry.workshop} wurde geschlossen, weil niemand zugeordnet war (Mindestbelegung ${entry.min}).`
+            : `${entry.workshop} wurde wegen Unterbelegung (${entry.count}/${entry.min}) geschlossen, die Schüler wurden neu verteilt.`,
+          band: bandId,
+          bandLabel: getBandLabel(bandId),
+        });
+      });
+    });
+  }
+  result.cancelledWorkshops = cancelledWorkshops;
+  result.underfilledWorkshops = findUnderfilledWorkshops(runWorkshops, result.bandResults, activeBandIds);
+  Object.entries(result.underfilledWorkshops).forEach(([bandId, list]) => {
+    list.forEach(entry => {
+      result.problems.push({
+        message: `${entry.workshop} ist unter Mindestbelegung (${entry.count}/${entry.min}).`,
+        band: bandId,
+        bandLabel: getBandLabel(bandId),
+      });
+    });
+  });
+
+  result.folgekursConflicts = collectFolgekursConflicts(students, rules, confirmedAssignments, schoolYearStart, currentTrimester, activeBandIds);
+  result.problems.push(...result.folgekursConflicts.map(({ student, requirement }) => ({
+    message: `${student}: Folgekurs-Regel „${requirement.ruleName}“ (${requirement.courses.join(' oder ')}) widerspricht einer anderen Folgekurs-Regel und wurde nicht berücksichtigt.`,
+    band: 'all',
+    bandLabel: 'Alle Bänder',
+  })));
+
+  result.rulePriority = rulePriority;
+  result.ruleReport = collectRuleReport(ruleNeeds, result.bandResults, activeBandIds);
+  result.problems.push(...result.ruleReport.unresolved.map(entry => ({
+    message: `${entry.student}: Belegungsregel „${entry.ruleName}“ bleibt gefährdet (noch ${entry.needed} Kurs(e) offen, ${entry.remaining} Trimester übrig).`,
+    band: 'all',
+    bandLabel: 'Alle Bänder',
+  })));
+
+  result.tieBreak = { strategy: tieBreak.strategy, seed: tieBreak.strategy === 'lottery' ? tieBreak.seed : null };
+  result.assistanceCapReport = collectAssistanceCapDeviations(students, workshops, choicesMap, studentAssistants, result.bandResults, activeBandIds);
+  result.problems.push(...result.assistanceCapReport.map(entry => ({
+    message: `${entry.student} (Lernbegleitung) hat ${entry.workshop} (${entry.rank + 1}. Wahl) nicht bekommen: max. ${entry.max} Schüler mit Lernbegleitung erreicht.`,
+    band: entry.band,
+    bandLabel: getBandLabel(entry.band),
+  })));
+  return result;
+}
+
+// Removes the band from the emptiest under-filled workshop of each band (from all empty ones at once, which
+// moves nobody); returns the new workshops and { bandId: [entries] }
+function closeEmptiestUnderfilled(workshops, underfilled) {
+  const next = { ...workshops };
+  const closing = {};
+  Object.entries(underfilled).forEach(([bandId, list]) => {
+    const empty = list.filter(entry => entry.count === 0);
+    const entries = empty.length > 0 ? empty : [list.reduce((min, candidate) => (candidate.count < min.count ? candidate : min), list[0])];
+    entries.forEach(entry => {
+      const current = next[entry.workshop];
+      next[entry.workshop] = {
+        ...current,
+        availableBands: getWorkshopAvailableBands(current, entry.workshop).filter(b => b !== bandId),
+      };
+    });
+    closing[bandId] = entries;
+  });
+  return { workshops: next, closing };
+}
+
+// { bandId: [{ workshop, count, min }] } for workshops offered in the band with fewer participants than their minimum
+// (an offered workshop nobody was placed into counts with 0)
+function findUnderfilledWorkshops(workshops, bandResults, activeBandIds) {
+  const underfilled = {};
+  activeBandIds.forEach(bandId => {
+    const counts = {};
+    Object.values(bandResults[bandId]?.assignments || {}).forEach(workshop => {
+      counts[workshop] = (counts[workshop] || 0) + 1;
+    });
+    const list = Object.keys(workshops)
+      .filter(workshop => isWorkshopAvailableInBand(workshops, workshop, bandId))
+      .map(workshop => ({ workshop, count: counts[workshop] || 0, min: getWorkshopMinParticipants(workshops[workshop]) }))
+      .filter(({ count, min }) => min !== null && count < min);
+    if (list.length > 0) underfilled[bandId] = list;
+  });
+  return underfilled;
+}
+
+// Students with a Lernbegleitung who missed a better-ranked wish whose assistance cap was reached
+function collectAssistanceCapDeviations(students, workshops, choicesMap, studentAssistants, bandResults, activeBandIds) {
+  const report = [];
+  activeBandIds.forEach(bandId => {
+    const result = bandResults[bandId];
+    if (!result) return;
+    const assistanceCount = {};
+    Object.entries(result.assignments).forEach(([student, workshop]) => {
+      if (studentAssistants[student]) assistanceCount[workshop] = (assistanceCount[workshop] || 0) + 1;
+    });
+    students.filter(student => studentAssistants[student]).forEach(student => {
+      const choices = choicesMap[bandId]?.[student] || [];
+      const assigned = result.assignments[student] || null;
+      const assignedRank = choices.indexOf(assigned);
+      // A placement outside the choices that is not forced is a Folgekurs
+      if (assigned && assignedRank === -1 && !result.forced?.[student]) return;
+      const better = assignedRank === -1 ? choices : choices.slice(0, assignedRank);
+      const rank = better.findIndex(workshop => {
+        const maxAssistance = getWorkshopMaxAssistance(workshops[workshop]);
+        return maxAssistance !== null && (assistanceCount[workshop] || 0) >= maxAssistance;
+      });
+      if (rank === -1) return;
+      report.push({
+        student,
+        band: bandId,
+        workshop: better[rank],
+        rank,
+        max: getWorkshopMaxAssistance(workshops[better[rank]]),
+        assigned,
+      });
+    });
+  });
+  return report;
+}
+
+// Band-by-band assignment (greedy or optimal per band); conflicts across bands are removed afterwards
+function autoAssignAllBandsSequential(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel = {}, activeBandIds = DEFAULT_BAND_IDS, options = {}) {
+  const engine = options.engine || 'greedy';
+  const assignSingleBand = engine === 'optimal' ? autoAssignSingleBandOptimal : autoAssignSingleBand;
+  const completedCourses = options.completedCourses || collectCompletedCourses(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const lastTaken = options.lastTaken || collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const bandRestrictions = options.bandRestrictions || collectBandRestrictions(students, options.studentBandConstraints, confirmedAssignments, schoolYearStart, currentTrimester);
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const sortedStudents = [...students].sort((a, b) => {
+    const scoreA = studentPriorityScores[a] || 5;
+    const scoreB = studentPriorityScores[b] || 5;
+    return scoreB - scoreA;
+  });
+
+  const bandResults = {};
+  const cumulativeByStudent = {};
+  const allProblems = [];
+  const conflicts = [];
+
+  // Takes back a placement: frees the seat and removes exactly the rank the band engine counted
+  const unassign = (bandResult, student, workshop) => {
+    delete bandResult.assignments[student];
+    if (bandResult.kap) bandResult.kap[workshop] = (bandResult.kap[workshop] ?? getWorkshopCapacity(workshops[workshop], workshop) - 1) + 1;
+    takeBackRankCount(bandResult, student);
+  };
+
+  activeBandIds.forEach(bandId => {
+    const priorWorkshopsByStudent = {};
+    Object.keys(cumulativeByStudent).forEach(student => {
+      priorWorkshopsByStudent[student] = [...(cumulativeByStudent[student] || [])];
+    });
+
+    // Band in which a student already got a workshop (for the decision trace)
+    const findPriorBand = (student, workshop) =>
+      Object.keys(bandResults).find(other => bandResults[other].assignments[student] === workshop);
+
+    const modifiedChoices = {};
+    const preTrace = {};
+    Object.keys(choicesMap[bandId] || {}).forEach(student => {
+      const originalChoices = choicesMap[bandId][student] || [];
+      const priorWorkshops = priorWorkshopsByStudent[student] || [];
+      let filteredChoices = originalChoices.filter(choice => !priorWorkshops.includes(choice));
+      originalChoices.filter(choice => priorWorkshops.includes(choice)).forEach(choice => {
+        addTraceStep(preTrace, student, { type: 'filtered', reason: 'sameWorkshopOtherBand', workshop: choice, otherBand: findPriorBand(student, choice) });
+      });
+
+      priorWorkshops.forEach(priorWorkshop => {
+        const cannotList = cannotBeParallel[priorWorkshop] || [];
+        filteredChoices.filter(choice => cannotList.includes(choice)).forEach(choice => {
+          addTraceStep(preTrace, student, { type: 'filtered', reason: 'cannotBeParallel', workshop: choice, otherWorkshop: priorWorkshop, otherBand: findPriorBand(student, priorWorkshop) });
+        });
+        filteredChoices = filteredChoices.filter(choice => !cannotList.includes(choice));
+        filteredChoices.filter(choice => isSameBandPair(bandRestrictions[student], priorWorkshop, choice)).forEach(choice => {
+          addTraceStep(preTrace, student, { type: 'filtered', reason: 'sameBandPair', workshop: choice, otherWorkshop: priorWorkshop, otherBand: findPriorBand(student, priorWorkshop) });
+        });
+        filteredChoices = filteredChoices.filter(choice => !isSameBandPair(bandRestrictions[student], priorWorkshop, choice));
+      });
+
+      if (filteredChoices.length > 0) {
+        modifiedChoices[student] = filteredChoices;
+      }
+    });
+
+    Object.keys(choicesMap[bandId] || {}).forEach(student => {
+      if (!(priorWorkshopsByStudent[student]?.length) && choicesMap[bandId][student] && !modifiedChoices[student]) {
+        modifiedChoices[student] = choicesMap[bandId][student];
+      }
+    });
+
+    const bandResult = assignSingleBand(
+      sortedStudents,
+      workshops,
+      prevAssignments,
+      prereqs,
+      modifiedChoices,
+      studentAssistants,
+      studentPriorityScores,
+      rules,
+      confirmedAssignments,
+      schoolYearStart,
+      schoolYearEnd,
+      currentTrimester,
+      bandId,
+      {
+        studentClasses: options.studentClasses,
+        completedCourses,
+        lastTaken,
+        bandRestrictions,
+        activeBandIds,
+        rulePriority: options.rulePriority,
+        ruleNeeds: getBandRuleNeeds(options.ruleNeeds, student => cumulativeByStudent[student] || [], cannotBeParallel),
+      }
+    );
+
+    bandResults[bandId] = bandResult;
+    Object.keys(preTrace).forEach(student => {
+      const entry = bandResult.trace[student] || { steps: [] };
+      bandResult.trace[student] = { ...entry, steps: [...preTrace[student].steps, ...entry.steps] };
+    });
+
+    Object.keys(bandResult.assignments).forEach(student => {
+      const workshop = bandResult.assignments[student];
+      if (workshop) {
+        if (!cumulativeByStudent[student]) cumulativeByStudent[student] = [];
+        cumulativeByStudent[student].push(workshop);
+      }
+    });
+
+    allProblems.push(
+      ...bandResult.problems.map(p => ({ message: p, band: bandId, bandLabel: getBandLabel(bandId) }))
+    );
+
+    priorWorkshopsByStudent && Object.keys(bandResult.assignments).forEach(student => {
+      const currentWorkshop = bandResult.assignments[student];
+      const priorWorkshops = priorWorkshopsByStudent[student] || [];
+      if (!currentWorkshop) return;
+
+      if (priorWorkshops.includes(currentWorkshop)) {
+        unassign(bandResult, student, currentWorkshop);
+        addTraceStep(bandResult.trace, student, { type: 'removed', reason: 'sameWorkshopOtherBand', workshop: currentWorkshop, otherBand: findPriorBand(student, currentWorkshop) });
+        conflicts.push(`${student} wurde in mehreren Bändern ${currentWorkshop} zugeordnet. Die Zuordnung in ${getBandLabel(bandId)} wurde entfernt - bitte manuell zuordnen.`);
+      }
+
+      priorWorkshops.forEach(priorWorkshop => {
+        const priorCannot = cannotBeParallel[priorWorkshop] || [];
+        const currentCannot = cannotBeParallel[currentWorkshop] || [];
+        const samePair = isSameBandPair(bandRestrictions[student], priorWorkshop, currentWorkshop);
+        if (priorCannot.includes(currentWorkshop) || currentCannot.includes(priorWorkshop) || samePair) {
+          if (bandResult.assignments[student] === currentWorkshop) {
+            unassign(bandResult, student, currentWorkshop);
+            addTraceStep(bandResult.trace, student, { type: 'removed', reason: samePair ? 'sameBandPair' : 'cannotBeParallel', workshop: currentWorkshop, otherWorkshop: priorWorkshop, otherBand: findPriorBand(student, priorWorkshop) });
+            conflicts.push(`${student} wurde ${priorWorkshop} und ${currentWorkshop} parallel zugeordnet, aber diese können nicht parallel belegt werden. Die Zuordnung in ${getBandLabel(bandId)} wurde entfernt - bitte manuell zuordnen.`);
+          }
+        }
+      });
+    });
+  });
+
+  allProblems.push(...conflicts.map(p => ({ message: p, band: 'all', bandLabel: 'Alle Bänder' })));
+
+  if (options.fallbackPlacement) {
+    allProblems.push(...applyFallbackPlacement(sortedStudents, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, cannotBeParallel, bandResults, activeBandIds, options.studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions));
+  }
+
+  if ((options.studentPairs || []).length > 0) {
+    allProblems.push(...applyStudentPairs(options.studentPairs, students, bandResults, activeBandIds, {
+      workshops, prereqs, choicesMap, studentAssistants, cannotBeParallel, studentClasses: options.studentClasses || {},
+      completedCourses, lastTaken, currentOrdinal, bandRestrictions,
+    }));
+  }
+
+  return buildAllBandsResult(students, bandResults, allProblems, activeBandIds, engine);
+}
+
+// Fallback pass: students who got none of their wishes are placed into a workshop with free seats
+// they are eligible for, preferring workshops with the fewest assistance students.
+// Placements are recorded in bandResult.forced ("Zwangszuweisung").
+function applyFallbackPlacement(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, cannotBeParallel, bandResults, activeBandIds, studentClasses = {}, completedCourses = {}, lastTaken = {}, currentOrdinal = null, bandRestrictions = {}) {
+  const messages = [];
+  activeBandIds.forEach(bandId => {
+    const result = bandResults[bandId];
+    result.forced = result.forced || {};
+    result.numForced = result.numForced || 0;
+
+    const assistancePerWorkshop = {};
+    Object.entries(result.assignments).forEach(([student, workshop]) => {
+      if (studentAssistants[student]) {
+        assistancePerWorkshop[workshop] = (assistancePerWorkshop[workshop] || 0) + 1;
+      }
+    });
+
+    students.forEach(student => {
+      if (result.assignments[student]) return;
+      if ((choicesMap[bandId]?.[student] || []).length === 0) return;
+      if (bandRestrictions[student]?.blockedBands.includes(bandId)) return;
+
+      const otherWorkshops = activeBandIds
+        .filter(other => other !== bandId)
+        .map(other => bandResults[other]?.assignments[student])
+        .filter(Boolean);
+      const candidates = Object.keys(result.kap).filter(workshop =>
+        (result.kap[workshop] ?? 0) > 0 &&
+        isWorkshopAvailableInBand(workshops, workshop, bandId) &&
+        !getEligibilityViolation(workshops, workshop, studentClasses[student]) &&
+        !getBandConstraintViolation(bandRestrictions[student], workshop, bandId) &&
+        !(studentAssistants[student] && getWorkshopMaxAssistance(workshops[workshop]) !== null &&
+          (assistancePerWorkshop[workshop] || 0) >= getWorkshopMaxAssistance(workshops[workshop])) &&
+        !getRepeatViolation(workshops, workshop, lastTaken[student], currentOrdinal) &&
+        hasPrereqs(student, workshop, completedCourses, prereqs) &&
+        otherWorkshops.every(other =>
+          other !== workshop &&
+          !isSameBandPair(bandRestrictions[student], other, workshop) &&
+          !(cannotBeParallel[other] || []).includes(workshop) &&
+          !(cannotBeParallel[workshop] || []).includes(other)
+        )
+      );
+      if (candidates.length === 0) {
+        messages.push({ message: `${student} konnte auch per Zwangszuweisung keiner Werkstatt zugeordnet werden.`, band: bandId, bandLabel: getBandLabel(bandId) });
+        return;
+      }
+
+      // Fewest assistance students first, then most free seats
+      candidates.sort((a, b) =>
+        (assistancePerWorkshop[a] || 0) - (assistancePerWorkshop[b] || 0) || result.kap[b] - result.kap[a]
+      );
+      const workshop = candidates[0];
+      result.assignments[student] = workshop;
+      result.kap[workshop] -= 1;
+      result.forced[student] = workshop;
+      result.numForced += 1;
+      if (result.trace) addTraceStep(result.trace, student, { type: 'assigned', workshop, rank: -1, via: 'forced' });
+      if (studentAssistants[student]) {
+        assistancePerWorkshop[workshop] = (assistancePerWorkshop[workshop] || 0) + 1;
+      }
+      messages.push({ message: `${student} wurde per Zwangszuweisung ${workshop} zugeordnet.`, band: bandId, bandLabel: getBandLabel(bandId) });
+    });
+  });
+  return messages;
+}
+
+// Repair pass for "zusammen" / "getrennt" pairs (see STUDENT_PAIR_TYPES), run after all other placements.
+// Only students placed by choice or Zwangszuweisung are moved - Folgekurs and rule placements stay.
+// A move never breaks another hard pair (nor any pair while repairing a soft one). Moves outside the
+// student's choices count as Zwangszuweisung. A hard "getrennt" pair that cannot be repaired takes the
+// second student out of the workshop; a hard pair that stays broken is reported with severity 'error'.
+// context: { workshops, prereqs, choicesMap, studentAssistants, cannotBeParallel, studentClasses,
+//            completedCourses, lastTaken, currentOrdinal, bandRestrictions }
+function applyStudentPairs(studentPairs, students, bandResults, activeBandIds, context) {
+  const { workshops, prereqs, choicesMap, studentAssistants, cannotBeParallel, studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions } = context;
+  const messages = [];
+  const pairs = studentPairs.filter(pair => pair.students.every(student => students.includes(student)));
+  const choicesOf = (bandId, student) => choicesMap[bandId]?.[student] || [];
+  // The choices the band engines rank against (see autoAssign): available, allowed and not repeated
+  const validChoicesOf = (bandId, student) => choicesOf(bandId, student).filter((workshop, idx, choices) =>
+    choices.indexOf(workshop) === idx &&
+    isWorkshopAvailableInBand(workshops, workshop, bandId) &&
+    !getEligibilityViolation(workshops, workshop, studentClasses[student]) &&
+    !getBandConstraintViolation(bandRestrictions[student], workshop, bandId) &&
+    !getRepeatViolation(workshops, workshop, lastTaken[student], currentOrdinal)
+  );
+  const costOf = (bandId, student, workshop) => {
+    const rank = validChoicesOf(bandId, student).indexOf(workshop);
+    return rank === -1 ? choicesOf(bandId, student).length : rank;
+  };
+
+  const isMovable = (bandId, student) => {
+    const result = bandResults[bandId];
+    const current = result.assignments[student];
+    return !!current && !result.ruleDriven?.[student] &&
+      (choicesOf(bandId, student).includes(current) || result.forced?.[student] === current);
+  };
+
+  // Would moving the student into the workshop break one of their other pairs that holds now?
+  const breaksOtherPair = (bandId, student, workshop, hard, repairPartner) => {
+    const assignments = bandResults[bandId].assignments;
+    const current = assignments[student];
+    return getStudentPairPartners(pairs, student).some(({ pair, partner }) => {
+      if (partner === repairPartner || (!pair.hard && hard)) return false;
+      const partnerWorkshop = assignments[partner];
+      if (!partnerWorkshop) return false;
+      return pair.type === 'apart'
+        ? partnerWorkshop === workshop
+        : partnerWorkshop === current && partnerWorkshop !== workshop;
+    });
+  };
+
+  const isPlaceable = (bandId, student, workshop, hard, repairPartner) => {
+    const result = bandResults[bandId];
+    if (!hard && !choicesOf(bandId, student).includes(workshop)) return false;
+    if ((result.kap[workshop] ?? 0) <= 0 || !isWorkshopAvailableInBand(workshops, workshop, bandId)) return false;
+    if (getEligibilityViolation(workshops, workshop, studentClasses[student])) return false;
+    if (getBandConstraintViolation(bandRestrictions[student], workshop, bandId)) return false;
+    if (getRepeatViolation(workshops, workshop, lastTaken[student], currentOrdinal)) return false;
+    if (!hasPrereqs(student, workshop, completedCourses, prereqs)) return false;
+    const maxAssistance = getWorkshopMaxAssistance(workshops[workshop]);
+    if (studentAssistants[student] && maxAssistance !== null &&
+      Object.entries(result.assignments).filter(([other, w]) => w === workshop && studentAssistants[other]).length >= maxAssistance) return false;
+    const otherWorkshops = activeBandIds
+      .filter(other => other !== bandId)
+      .map(other => bandResults[other]?.assignments[student])
+      .filter(Boolean);
+    if (otherWorkshops.some(other =>
+      other === workshop || isSameBandPair(bandRestrictions[student], other, workshop) ||
+      (cannotBeParallel[other] || []).includes(workshop) || (cannotBeParallel[workshop] || []).includes(other)
+    )) return false;
+    return !breaksOtherPair(bandId, student, workshop, hard, repairPartner);
+  };
+
+  const move = (bandId, student, workshop, partner) => {
+    const result = bandResults[bandId];
+    const current = result.assignments[student];
+    takeBackRankCount(result, student);
+    if (result.forced?.[student] === current) {
+      delete result.forced[student];
+      result.numForced -= 1;
+    }
+    result.kap[current] = (result.kap[current] ?? 0) + 1;
+    result.assignments[student] = workshop;
+    result.kap[workshop] -= 1;
+    const rank = validChoicesOf(bandId, student).indexOf(workshop);
+    if (rank >= 0) {
+      addRankCount(result, rank);
+      result.countedRanks[student] = rank;
+    } else {
+      result.forced[student] = workshop;
+      result.numForced += 1;
+    }
+    if (result.trace) addTraceStep(result.trace, student, { type: 'assigned', workshop, rank: choicesOf(bandId, student).indexOf(workshop), via: 'pair', partner });
+  };
+
+  // Cheapest move among [student, workshop, partner] options, or null
+  const findMove = (bandId, options, hard) => options
+    .filter(([student, workshop, partner]) => isMovable(bandId, student) && isPlaceable(bandId, student, workshop, hard, partner))
+    .sort((a, b) =>
+      (costOf(bandId, a[0], a[1]) - costOf(bandId, a[0], bandResults[bandId].assignments[a[0]])) -
+      (costOf(bandId, b[0], b[1]) - costOf(bandId, b[0], bandResults[bandId].assignments[b[0]]))
+    )[0] || null;
+
+  activeBandIds.forEach(bandId => {
+    const result = bandResults[bandId];
+    if (!result) return;
+    result.forced = result.forced || {};
+    result.numForced = result.numForced || 0;
+    result.countedRanks = result.countedRanks || {};
+    const toMessage = (message, hard = false) => ({ message, band: bandId, bandLabel: getBandLabel(bandId), ...(hard ? { severity: 'error' } : {}) });
+    pairs.forEach(pair => {
+      const [studentA, studentB] = pair.students;
+      const workshopA = result.assignments[studentA];
+      const workshopB = result.assignments[studentB];
+      if (!workshopA || !workshopB) return;
+
+      if (pair.type === 'together') {
+        if (workshopA === workshopB) return;
+        const found = findMove(bandId, [[studentA, workshopB, studentB], [studentB, workshopA, studentA]], pair.hard);
+        if (found) {
+          move(bandId, ...found);
+          messages.push(toMessage(`${studentA} und ${studentB} wurden zusammengelegt (${found[1]}).`));
+        } else {
+          messages.push(toMessage(`${studentA} und ${studentB} sollen zusammen sein, sind aber in ${workshopA} und ${workshopB}.`, pair.hard));
+        }
+        return;
+      }
+
+      if (workshopA !== workshopB) return;
+      // Other workshops: the students' own choices first, for hard pairs then the ones with most free seats
+      const alternatives = student => {
+        const own = choicesOf(bandId, student).filter(workshop => workshop !== workshopA);
+        const rest = pair.hard
+          ? Object.keys(result.kap).filter(workshop => workshop !== workshopA && !own.includes(workshop)).sort((a, b) => result.kap[b] - result.kap[a])
+          : [];
+        return [...own, ...rest].map(workshop => [student, workshop, student === studentA ? studentB : studentA]);
+      };
+      const found = findMove(bandId, [...alternatives(studentB), ...alternatives(studentA)], pair.hard);
+      if (found) {
+        move(bandId, ...found);
+        messages.push(toMessage(`${found[0]} wurde nach ${found[1]} verschoben (getrennt von ${found[2]}).`));
+      } else if (pair.hard && [studentB, studentA].some(student => isMovable(bandId, student))) {
+        const student = isMovable(bandId, studentB) ? studentB : studentA;
+        const partner = student === studentB ? studentA : studentB;
+        takeBackRankCount(result, student);
+        if (result.forced?.[student] === workshopA) {
+          delete result.forced[student];
+          result.numForced -= 1;
+        }
+        delete result.assignments[student];
+        result.kap[workshopA] += 1;
+        if (result.trace) addTraceStep(result.trace, student, { type: 'removed', reason: 'apartPair', workshop: workshopA, partner });
+        messages.push(toMessage(`${student} wurde aus ${workshopA} entfernt (getrennt von ${partner}) - bitte manuell zuordnen.`));
+      } else {
+        messages.push(toMessage(`${studentA} und ${studentB} sollen getrennt sein, sind aber beide in ${workshopA}.`, pair.hard));
+      }
+    });
+  });
+  return messages;
+}
+
+function buildAllBandsResult(students, bandResults, allProblems, activeBandIds, engine) {
+  let totalFirst = 0;
+  let totalSecond = 0;
+  let totalOther = 0;
+  let totalForced = 0;
+  activeBandIds.forEach(bandId => {
+    totalFirst += bandResults[bandId]?.num1 || 0;
+    totalSecond += bandResults[bandId]?.num2 || 0;
+    totalOther += bandResults[bandId]?.numOther || 0;
+    totalForced += bandResults[bandId]?.numForced || 0;
+  });
+  const percentFirst = students.length > 0 && activeBandIds.length > 0
+    ? (totalFirst / (students.length * activeBandIds.length)) * 100
+    : 0;
+
+  return {
+    bandResults,
+    problems: allProblems,
+    totalFirst,
+    totalSecond,
+    totalOther,
+    totalForced,
+    percentFirst,
+    activeBandIds,
+    engine,
+    // Backward compatibility for code expecting erstesBand/zweitesBand
+    erstesBand: bandResults[activeBandIds[0]] || { assignments: {}, problems: [], num1: 0, num2: 0 },
+    zweitesBand: bandResults[activeBandIds[1]] || { assignments: {}, problems: [], num1: 0, num2: 0 },
+  };
+}
+
+// What a saved scenario keeps of a result: assignments and summary, without the decision traces and
+// working data that can fill the localStorage quota (traces are recomputed when the scenario is used)
+function compactAutoAssignResult(result) {
+  const { bandResults, erstesBand, zweitesBand, ...summary } = result;
+  const compactBands = Object.fromEntries(Object.entries(bandResults).map(([bandId, bandResult]) => {
+    const { trace, kap, unplaced, countedRanks, problems, ...band } = bandResult;
+    return [bandId, { ...band, problems: [] }];
+  }));
+  const emptyBand = { assignments: {}, problems: [], num1: 0, num2: 0 };
+  return {
+    ...summary,
+    bandResults: compactBands,
+    erstesBand: compactBands[result.activeBandIds[0]] || emptyBand,
+    zweitesBand: compactBands[result.activeBandIds[1]] || emptyBand,
+  };
+}
+
+// Joint multi-band assignment: one model over student x band x workshop. Within a band it is the
+// min-cost flow of autoAssignSingleBandOptimal; the constraints between bands - no workshop twice,
+// "cannot be parallel" and same-band pairs - are hard:
+// 1. Lagrangian relaxation: each broken constraint gets a multiplier that is added to the cost of its
+//    placements and all bands are solved again (subgradient steps). This gives a lower bound on the
+//    joint optimum; every round also builds a valid solution by excluding the worse-ranked placement
+//    of each conflict and re-solving, and the cheapest one is kept.
+// 2. If that does not close the gap, branch and bound from the bands solved on their own: a conflict
+//    splits into "not this workshop in the one band" and "not that one in the other", re-solving only
+//    that band. Every valid solution lies in one of the branches, so the search ends at the optimum.
+// After JOINT_MAX_SOLVES band solves the best valid solution is used and the result says so.
+function autoAssignAllBandsJoint(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel = {}, activeBandIds = DEFAULT_BAND_IDS, options = {}) {
+  const sortedStudents = [...students].sort((a, b) => (studentPriorityScores[b] || 5) - (studentPriorityScores[a] || 5));
+  const completedCourses = options.completedCourses || collectCompletedCourses(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const lastTaken = options.lastTaken || collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const bandRestrictions = options.bandRestrictions || collectBandRestrictions(students, options.studentBandConstraints, confirmedAssignments, schoolYearStart, currentTrimester);
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  // The same rule preference in every band: which band fulfils a need is up to the joint solve
+  const ruleNeeds = getBandRuleNeeds(options.ruleNeeds, () => [], cannotBeParallel);
+
+  const isParallelConflict = (workshopA, workshopB) =>
+    (cannotBeParallel[workshopA] || []).includes(workshopB) || (cannotBeParallel[workshopB] || []).includes(workshopA);
+  // Folgekurs placements (not among the choices) rank best so they are kept
+  const getRank = (bandId, student, workshop) => (choicesMap[bandId]?.[student] || []).indexOf(workshop);
+
+  let folgekursCost;
+  let solves = 0;
+  const solveBand = (bandId, excluded = {}, penalties = {}) => {
+    solves += 1;
+    return autoAssignSingleBandOptimal(
+      sortedStudents, workshops, prevAssignments, prereqs, choicesMap[bandId] || {}, studentAssistants, studentPriorityScores,
+      rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, bandId,
+      { excluded, edgePenalties: penalties, folgekursCost, studentClasses: options.studentClasses, completedCourses, lastTaken, bandRestrictions, activeBandIds, rulePriority: options.rulePriority, ruleNeeds }
+    );
+  };
+  const solveAllBands = (penaltiesByBand = {}) => Object.fromEntries(activeBandIds.map(bandId => [bandId, solveBand(bandId, {}, penaltiesByBand[bandId])]));
+  const totalOf = (results, key) => activeBandIds.reduce((sum, bandId) => sum + results[bandId][key], 0);
+
+  // Placements that break a constraint between bands, with the placements the constraint covers:
+  // [{ key, student, members: [[bandId, workshop]], bandA, bandB, workshopA, workshopB, samePair }]
+  const findConflicts = (results) => {
+    const conflicts = [];
+    students.forEach(student => {
+      for (let i = 0; i < activeBandIds.length; i++) {
+        for (let j = i + 1; j < activeBandIds.length; j++) {
+          const bandA = activeBandIds[i];
+          const bandB = activeBandIds[j];
+          const workshopA = results[bandA].assignments[student];
+          const workshopB = results[bandB].assignments[student];
+          if (!workshopA || !workshopB) continue;
+          const conflict = { student, bandA, bandB, workshopA, workshopB };
+          if (workshopA === workshopB) {
+            conflicts.push({ ...conflict, key: `${student}\n${workshopA}`, members: activeBandIds.map(bandId => [bandId, workshopA]) });
+            continue;
+          }
+          const samePair = isSameBandPair(bandRestrictions[student], workshopA, workshopB);
+          if (!samePair && !isParallelConflict(workshopA, workshopB)) continue;
+          conflicts.push({
+            ...conflict, samePair,
+            key: `${student}\n${bandA}\n${workshopA}\n${bandB}\n${workshopB}`,
+            members: [[bandA, workshopA], [bandB, workshopB]],
+          });
+        }
+      }
+    });
+    return conflicts;
+  };
+  const getExclusion = ({ bandA, bandB, workshopA, workshopB, samePair }, dropBand) => {
+    const [keepBand, keepWorkshop] = dropBand === bandA ? [bandB, workshopB] : [bandA, workshopA];
+    return workshopA === workshopB
+      ? { reason: 'sameWorkshopOtherBand', otherBand: keepBand }
+      : { reason: samePair ? 'sameBandPair' : 'cannotBeParallel', otherWorkshop: keepWorkshop, otherBand: keepBand };
+  };
+  // Copy of the exclusions with one more; the other bands and students are shared
+  const withExclusion = (excludedByBand, bandId, student, workshop, exclusion) => ({
+    ...excludedByBand,
+    [bandId]: { ...excludedByBand[bandId], [student]: { ...excludedByBand[bandId][student], [workshop]: exclusion } },
+  });
+
+  // Valid solution from a relaxed one: drop the placement the student ranked lower (on a tie the
+  // later band yields) and re-solve the affected bands, until no conflict is left
+  const resolveConflicts = (node, penaltiesByBand = {}) => {
+    let { excludedByBand, results } = node;
+    for (;;) {
+      const conflicts = findConflicts(results);
+      if (conflicts.length === 0) return { excludedByBand, results, cost: totalOf(results, 'cost') };
+      const previous = excludedByBand;
+      for (const conflict of conflicts) {
+        const { student, bandA, bandB, workshopA, workshopB } = conflict;
+        const dropA = getRank(bandA, student, workshopA) > getRank(bandB, student, workshopB);
+        const [dropBand, dropWorkshop] = dropA ? [bandA, workshopA] : [bandB, workshopB];
+        if (excludedByBand[dropBand][student]?.[dropWorkshop]) continue;
+        excludedByBand = withExclusion(excludedByBand, dropBand, student, dropWorkshop, getExclusion(conflict, dropBand));
+      }
+      results = { ...results };
+      for (const bandId of activeBandIds) {
+        if (excludedByBand[bandId] !== previous[bandId]) results[bandId] = solveBand(bandId, excludedByBand[bandId], penaltiesByBand[bandId]);
+      }
+    }
+  };
+
+  // A fixed Folgekurs cost that outweighs every band keeps the costs of all solutions comparable
+  folgekursCost = Math.min(...Object.values(solveAllBands()).map(result => result.folgekursCost));
+
+  // Lagrangian rounds: each constraint broken so far gets a multiplier, added to the cost of its placements
+  const noExclusions = Object.fromEntries(activeBandIds.map(bandId => [bandId, {}]));
+  const multipliers = new Map(); // conflict key -> { student, members, value }
+  let best = null;
+  let root = null; // relaxed solution of the round with the best bound
+  let stepScale = 2;
+  let roundsWithoutProgress = 0;
+  for (let round = 0; round < JOINT_LAGRANGE_ROUNDS; round++) {
+    const penaltiesByBand = Object.fromEntries(activeBandIds.map(bandId => [bandId, {}]));
+    let multiplierSum = 0;
+    multipliers.forEach(({ student, members, value }) => {
+      if (value <= 0) return;
+      multiplierSum += value;
+      members.forEach(([bandId, workshop]) => {
+        const penalties = penaltiesByBand[bandId][student] || (penaltiesByBand[bandId][student] = {});
+        penalties[workshop] = (penalties[workshop] || 0) + value;
+      });
+    });
+
+    const relaxed = solveAllBands(penaltiesByBand);
+    const bound = totalOf(relaxed, 'flowCost') - multiplierSum;
+    if (!root || bound > root.bound) {
+      root = { excludedByBand: noExclusions, results: relaxed, bound, penaltiesByBand, multiplierSum, depth: 0 };
+      roundsWithoutProgress = 0;
+    } else if (++roundsWithoutProgress >= 3) {
+      stepScale /= 2;
+      roundsWithoutProgress = 0;
+    }
+
+    const resolved = resolveConflicts({ excludedByBand: noExclusions, results: relaxed }, penaltiesByBand);
+    if (!best || resolved.cost < best.cost) best = resolved;
+    // Costs are integers, so a bound within 1 of the best solution proves it optimal
+    if (best.cost - root.bound < 1 || solves >= JOINT_MAX_SOLVES / 2) break;
+
+    // Subgradient step: raise the multipliers of broken constraints, lower those with slack
+    findConflicts(relaxed).forEach(({ key, student, members }) => {
+      if (!multipliers.has(key)) multipliers.set(key, { student, members, value: 0 });
+    });
+    const gradients = [...multipliers.values()].map(multiplier => {
+      const used = multiplier.members.filter(([bandId, workshop]) => relaxed[bandId].assignments[multiplier.student] === workshop).length;
+      return [multiplier, multiplier.value > 0 || used > 1 ? used - 1 : 0];
+    });
+    const norm = gradients.reduce((sum, [, gradient]) => sum + gradient * gradient, 0);
+    if (norm === 0 || stepScale < 0.01) break;
+    const step = stepScale * (best.cost - bound) / norm;
+    gradients.forEach(([multiplier, gradient]) => {
+      // Whole numbers keep the flow costs integral; a broken constraint always moves
+      const change = gradient > 0 ? Math.max(1, Math.round(step * gradient)) : Math.round(step * gradient);
+      multiplier.value = Math.max(0, multiplier.value + change);
+    });
+  }
+
+  // Branch and bound for a gap the rounds did not close, with the best multipliers in every node's bound
+  // (they keep it valid, as exclusions only take placements away). A valid node whose cost stays above
+  // its bound is solved again without multipliers and searched on with the plain bound.
+  let lowerBound = root.bound;
+  let optimal = true;
+  const open = [root];
+  while (open.length > 0) {
+    // Lowest bound first; on a tie the deeper node, it is closer to a valid solution
+    let next = 0;
+    open.forEach((node, idx) => {
+      if (node.bound < open[next].bound || (node.bound === open[next].bound && node.depth > open[next].depth)) next = idx;
+    });
+    const node = open.splice(next, 1)[0];
+    if (best.cost - node.bound < 1) break;
+    if (solves + activeBandIds.length > JOINT_MAX_SOLVES) {
+      lowerBound = Math.max(lowerBound, node.bound);
+      optimal = false;
+      break;
+    }
+    const penaltiesByBand = node.penaltiesByBand || {};
+    const bestCost = best.cost;
+    const pushNode = (excludedByBand, results, depth) => {
+      const bound = totalOf(results, 'flowCost') - (node.multiplierSum || 0);
+      if (bestCost - bound >= 1) open.push({ excludedByBand, results, bound, penaltiesByBand: node.penaltiesByBand, multiplierSum: node.multiplierSum, depth });
+    };
+    const conflict = findConflicts(node.results)[0];
+    if (!conflict) {
+      const cost = totalOf(node.results, 'cost');
+      if (cost < best.cost) best = { ...node, cost };
+      if (node.penaltiesByBand && cost - node.bound >= 1) {
+        const results = Object.fromEntries(activeBandIds.map(bandId => [bandId, solveBand(bandId, node.excludedByBand[bandId])]));
+        const bound = totalOf(results, 'cost');
+        if (best.cost - bound >= 1) open.push({ excludedByBand: node.excludedByBand, results, bound, depth: node.depth });
+      }
+      continue;
+    }
+    [[conflict.bandA, conflict.workshopA], [conflict.bandB, conflict.workshopB]].forEach(([bandId, workshop]) => {
+      const excludedByBand = withExclusion(node.excludedByBand, bandId, conflict.student, workshop, getExclusion(conflict, bandId));
+      pushNode(excludedByBand, { ...node.results, [bandId]: solveBand(bandId, excludedByBand[bandId], penaltiesByBand[bandId]) }, node.depth + 1);
+    });
+  }
+  if (optimal) lowerBound = best.cost;
+  const bandResults = best.results;
+
+  const isBelowAssistanceCap = (result, student, workshop) => {
+    const maxAssistance = getWorkshopMaxAssistance(workshops[workshop]);
+    if (!studentAssistants[student] || maxAssistance === null) return true;
+    return Object.entries(result.assignments).filter(([other, w]) => w === workshop && studentAssistants[other]).length < maxAssistance;
+  };
+
+  // When the search stopped early, exclusions can be stale once the other band changed. Give students
+  // left without a workshop, in priority order, their required Folgekurs or else their best choice that
+  // still fits all hard constraints.
+  const repairedProblems = new Set();
+  activeBandIds.forEach(bandId => {
+    const result = bandResults[bandId];
+    result.forced = result.forced || {};
+    result.numForced = result.numForced || 0;
+    sortedStudents.forEach(student => {
+      if (result.assignments[student]) return;
+      const otherWorkshops = activeBandIds
+        .filter(other => other !== bandId)
+        .map(other => bandResults[other].assignments[student])
+        .filter(Boolean);
+      const fits = workshop =>
+        (result.kap[workshop] ?? 0) > 0 &&
+        isBelowAssistanceCap(result, student, workshop) &&
+        !getEligibilityViolation(workshops, workshop, options.studentClasses?.[student]) &&
+        !getBandConstraintViolation(bandRestrictions[student], workshop, bandId) &&
+        !getRepeatViolation(workshops, workshop, lastTaken[student], currentOrdinal) &&
+        hasPrereqs(student, workshop, completedCourses, prereqs) &&
+        otherWorkshops.every(other => other !== workshop && !isParallelConflict(other, workshop) && !isSameBandPair(bandRestrictions[student], other, workshop));
+      const choices = choicesMap[bandId]?.[student] || [];
+      // Ranked like the band engine: offered, not repeated and without duplicates
+      const rankedChoices = choices.filter((choice, idx) =>
+        choices.indexOf(choice) === idx &&
+        isWorkshopAvailableInBand(workshops, choice, bandId) &&
+        !getRepeatViolation(workshops, choice, lastTaken[student], currentOrdinal)
+      );
+      const requiredFolgekurs = getRequiredFolgekurs(student, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, bandId, activeBandIds);
+      const folgekursCourses = requiredFolgekurs && (requiredFolgekurs.band === null || requiredFolgekurs.band === bandId)
+        ? requiredFolgekurs.courses
+        : [];
+      const folgekurs = folgekursCourses.find(fits);
+      const workshop = folgekurs || rankedChoices.find(fits);
+      if (!workshop) return;
+      result.assignments[student] = workshop;
+      result.kap[workshop] -= 1;
+      const rank = rankedChoices.indexOf(workshop);
+      if (rank >= 0) {
+        addRankCount(result, rank);
+        result.countedRanks[student] = rank;
+      } else {
+        // A Folgekurs outside the choices, counted like any other placement outside them
+        result.forced[student] = workshop;
+        result.numForced += 1;
+      }
+      addTraceStep(result.trace, student, { type: 'assigned', workshop, rank: choices.indexOf(workshop), via: folgekurs ? 'folgekurs' : 'repair' });
+      // The band engine's "left without a workshop" problem no longer applies, unless the Folgekurs is still unmet
+      const unplaced = result.unplaced[student];
+      if (unplaced && (folgekurs || unplaced.reason !== 'folgekursFull')) repairedProblems.add(unplaced.message);
+      delete result.unplaced[student];
+    });
+  });
+
+  const allProblems = [];
+  activeBandIds.forEach(bandId => {
+    allProblems.push(
+      ...bandResults[bandId].problems
+        .filter(p => !repairedProblems.has(p))
+        .map(p => ({ message: p, band: bandId, bandLabel: getBandLabel(bandId) }))
+    );
+  });
+  if (!optimal) {
+    allProblems.push({
+      message: `Die gemeinsame Optimierung wurde nach ${solves} Teillösungen beendet, ohne das Optimum nachzuweisen - die Zuordnung ist gültig, aber möglicherweise nicht die beste.`,
+      band: 'all',
+      bandLabel: 'Alle Bänder',
+    });
+  }
+
+  if (options.fallbackPlacement) {
+    allProblems.push(...applyFallbackPlacement(sortedStudents, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, cannotBeParallel, bandResults, activeBandIds, options.studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions));
+  }
+
+  if ((options.studentPairs || []).length > 0) {
+    allProblems.push(...applyStudentPairs(options.studentPairs, students, bandResults, activeBandIds, {
+      workshops, prereqs, choicesMap, studentAssistants, cannotBeParallel, studentClasses: options.studentClasses || {},
+      completedCourses, lastTaken, currentOrdinal, bandRestrictions,
+    }));
+  }
+
+  const result = buildAllBandsResult(students, bandResults, allProblems, activeBandIds, 'joint');
+  result.jointSearch = { solves, optimal, cost: best.cost, lowerBound };
+  return result;
+}
+
+// Legacy alias kept for external references
+// eslint-disable-next-line no-unused-vars
+function autoAssignBothBands(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, studentPriorityScores, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel) {
+  return autoAssignAllBands(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants, studentPriorityScores, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, cannotBeParallel, DEFAULT_BAND_IDS);
+}
+
+// Single Band auto-assignment algorithm
+// constraints.studentClasses: { student: className } for class eligibility
+// constraints.completedCourses: { student: [workshops] } taken before, for prerequisites (see collectCompletedCourses)
+// constraints.lastTaken: { student: { workshop: ordinal } } for the repeat policy (see collectLastTakenOrdinals)
+// constraints.bandRestrictions: { student: restrictions } band blocks and pins (see collectBandRestrictions)
+// constraints.activeBandIds: bands of this run (Folgekurs follow-ups are spread over them)
+// constraints.rulePriority / constraints.ruleNeeds: at-risk Belegungsregeln (see collectRuleNeeds)
+function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, band, constraints = {}) {
+  const studentClasses = constraints.studentClasses || {};
+  const completedCourses = constraints.completedCourses || collectCompletedCourses(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const lastTaken = constraints.lastTaken || collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const bandRestrictions = constraints.bandRestrictions || {};
+  const isBandBlocked = student => !!bandRestrictions[student]?.blockedBands.includes(band);
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const activeBandIds = constraints.activeBandIds || DEFAULT_BAND_IDS;
+  const rulePriority = constraints.rulePriority || 'off';
+  const ruleNeeds = rulePriority === 'off' ? {} : (constraints.ruleNeeds || {});
+  // choicesMap: { studentName: [choice1, choice2, …, choiceN] }
+  // Filter workshops to only those available in this band
+  const availableWorkshops = {};
   const kap = {};
   Object.keys(workshops).forEach(workshopName => {
     if (isWorkshopAvailableInBand(workshops, workshopName, band)) {
@@ -1358,8 +4111,14 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
   
   const assignments = {};
   const problems = [];
-  let num1 = 0;
-  let num2 = 0;
+  const counts = createRankCounts();
+  const countedRanks = {}; // student -> rank added to counts, so a later removal can take it back
+  const trace = {};
+  const ruleDriven = {}; // student -> { workshop, ruleId, ruleName, rank } placed because of a Belegungsregel
+  const fullAt = {}; // workshop -> { student, placement } that took the last seat
+  let placementCount = 0;
+  const originalRank = (student, workshop) => (choicesMap[student] || []).indexOf(workshop);
+  const folgekursContext = { workshops, prereqs, studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions };
 
   // Track special assistance students per workshop
   const specialAssistancePerWorkshop = {};
@@ -1370,12 +4129,31 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
   // Filter choices to only include workshops available in this band
   const filteredChoicesMap = {};
   Object.keys(choicesMap).forEach(student => {
-    const choices = (choicesMap[student] || []).filter(choice => 
-      isWorkshopAvailableInBand(workshops, choice, band)
-    );
+    (choicesMap[student] || []).forEach(choice => {
+      if (!isWorkshopAvailableInBand(workshops, choice, band)) {
+        addTraceStep(trace, student, { type: 'filtered', reason: 'bandUnavailable', workshop: choice });
+      }
+    });
+    const choices = (choicesMap[student] || []).filter(choice => {
+      if (!isWorkshopAvailableInBand(workshops, choice, band)) return false;
+      const eligibilityViolation = getEligibilityViolation(workshops, choice, studentClasses[student]);
+      if (eligibilityViolation) {
+        problems.push(`${student}: ${eligibilityViolation}`);
+        addTraceStep(trace, student, { type: 'filtered', reason: 'classIneligible', workshop: choice, detail: eligibilityViolation });
+        return false;
+      }
+      const bandViolation = getBandConstraintViolation(bandRestrictions[student], choice, band);
+      if (bandViolation) {
+        // A blocked band is planned, only pins that rule out a choice are reported
+        if (!isBandBlocked(student)) problems.push(`${student}: ${bandViolation}`);
+        addTraceStep(trace, student, { type: 'filtered', reason: 'bandConstraint', workshop: choice, detail: bandViolation });
+        return false;
+      }
+      return true;
+    });
     if (choices.length > 0) {
       filteredChoicesMap[student] = choices;
-    } else if (choicesMap[student] && choicesMap[student].length > 0) {
+    } else if (choicesMap[student]?.length > 0 && !choicesMap[student].some(choice => isWorkshopAvailableInBand(workshops, choice, band))) {
       // Student has choices but none are available in this band
       problems.push(`${student} hat nur Werkstätten gewählt, die in ${getBandLabel(band)} nicht verfügbar sind.`);
     }
@@ -1384,44 +4162,47 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
   // Use filtered choices map
   const workingChoicesMap = filteredChoicesMap;
 
-  // sanitize choices: if both choices same -> reduce to single
+  // sanitize choices: drop repeated workshops, keeping the best rank
   for (const s of students) {
     const choices = workingChoicesMap[s] || [];
-    if (choices.length === 2 && choices[0] === choices[1]) {
-      problems.push(`${s} hat zweimal die gleiche Werkstatt ${choices[0]} gewählt.`);
-      workingChoicesMap[s] = [choices[0]];
+    const unique = choices.filter((choice, idx) => choices.indexOf(choice) === idx);
+    if (unique.length < choices.length) {
+      choices.filter((choice, idx) => choices.indexOf(choice) !== idx).forEach(choice => {
+        problems.push(`${s} hat zweimal die gleiche Werkstatt ${choice} gewählt.`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'duplicate', workshop: choice });
+      });
+      workingChoicesMap[s] = unique;
     }
   }
 
-  // remove previous year's workshop from choices
+  // remove workshops the student may not repeat yet (repeat policy of the workshop)
   for (const s of students) {
-    const ch = workingChoicesMap[s] || [];
-    if (s in prevAssignments) {
-      const last = prevAssignments[s];
-      const idx = ch.indexOf(last);
-      if (idx !== -1) {
-        ch.splice(idx, 1);
-        problems.push(`${s} hatte bereits ${last} im letzten Jahr, daher entfernt aus den Wahlen.`);
-      }
-    }
-    workingChoicesMap[s] = ch;
+    workingChoicesMap[s] = (workingChoicesMap[s] || []).filter(choice => {
+      const repeatViolation = getRepeatViolation(workshops, choice, lastTaken[s], currentOrdinal);
+      if (!repeatViolation) return true;
+      problems.push(`${s}: ${repeatViolation} Daher entfernt aus den Wahlen.`);
+      addTraceStep(trace, s, { type: 'filtered', reason: 'repeat', workshop: choice, detail: repeatViolation });
+      return false;
+    });
   }
 
   // Separate students by priority: those needing assistance (always first), then by priority score
   // Also prioritize students who need to follow Folgekurs rules
-  const studentsNeedingAssistance = students.filter(s => studentAssistants[s]);
-  const regularStudents = students.filter(s => !studentAssistants[s]);
+  // Students who have this band blocked are left out entirely
+  const studentsNeedingAssistance = students.filter(s => studentAssistants[s] && !isBandBlocked(s));
+  const regularStudents = students.filter(s => !studentAssistants[s] && !isBandBlocked(s));
   
   // Check which students need to follow Folgekurs rules
   const studentsWithFolgekurs = new Set();
   students.forEach(s => {
-    const required = getRequiredFolgekurs(s, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band);
+    const required = getRequiredFolgekurs(s, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band, activeBandIds);
     if (required) {
       studentsWithFolgekurs.add(s);
     }
   });
   
-  // Sort both groups by priority: Folgekurs first, then by priority score (higher score = higher priority)
+  // Sort both groups by priority: Folgekurs first, then students at risk of missing a Belegungsregel,
+  // then by priority score (higher score = higher priority)
   const sortByPriority = (a, b) => {
     const hasFolgekursA = studentsWithFolgekurs.has(a);
     const hasFolgekursB = studentsWithFolgekurs.has(b);
@@ -1429,6 +4210,11 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
     // Students with Folgekurs rules come first
     if (hasFolgekursA && !hasFolgekursB) return -1;
     if (!hasFolgekursA && hasFolgekursB) return 1;
+
+    const atRiskA = !!ruleNeeds[a];
+    const atRiskB = !!ruleNeeds[b];
+    if (atRiskA && !atRiskB) return -1;
+    if (!atRiskA && atRiskB) return 1;
     
     // Then sort by priority score
     const scoreA = studentPriorityScores[a] || 5;
@@ -1438,31 +4224,60 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
   
   studentsNeedingAssistance.sort(sortByPriority);
   regularStudents.sort(sortByPriority);
+  setTracePriority(
+    trace,
+    [...studentsNeedingAssistance, ...regularStudents].filter(s => choicesMap[s] || studentsWithFolgekurs.has(s)),
+    studentPriorityScores,
+    studentAssistants
+  );
+
+  const isAssistanceCapReached = (student, workshop) => {
+    const maxAssistance = getWorkshopMaxAssistance(workshops[workshop]);
+    return !!studentAssistants[student] && maxAssistance !== null && (specialAssistancePerWorkshop[workshop] || 0) >= maxAssistance;
+  };
 
-  // Helper function to assign a student to a workshop
-  function assignStudent(student, workshop, isFirstChoice) {
+  // Helper function to assign a student to a workshop (rank: index in the choice list, Folgekurs counts as 0,
+  // -1 for a rule course outside the choices)
+  function assignStudent(student, workshop, rank, via = 'choice', detail = {}) {
+    if (isAssistanceCapReached(student, workshop)) {
+      addTraceStep(trace, student, { type: 'assistanceCap', workshop, rank: originalRank(student, workshop), max: getWorkshopMaxAssistance(workshops[workshop]) });
+      return false;
+    }
     if ((kap[workshop] ?? 0) > 0) {
       assignments[student] = workshop;
       kap[workshop] -= 1;
+      placementCount += 1;
+      if (kap[workshop] === 0) {
+        fullAt[workshop] = { student, placement: placementCount };
+      }
       if (studentAssistants[student]) {
         specialAssistancePerWorkshop[workshop] += 1;
       }
-      if (isFirstChoice) {
-        num1 += 1;
-      } else {
-        num2 += 1;
+      if (rank >= 0) {
+        addRankCount(counts, rank);
+        countedRanks[student] = rank;
       }
+      addTraceStep(trace, student, { type: 'assigned', workshop, rank: originalRank(student, workshop), via, ...detail });
       return true;
     }
+    addTraceStep(trace, student, {
+      type: 'full',
+      workshop,
+      rank: originalRank(student, workshop),
+      filledBy: fullAt[workshop]?.student || null,
+      filledAtPlacement: fullAt[workshop]?.placement || null,
+    });
     return false;
   }
 
-  // Helper function to find the workshop with the least special assistance students
-  function findWorkshopWithLeastSpecialAssistance(choices) {
-    let bestWorkshop = choices[0];
-    let minSpecialAssistance = specialAssistancePerWorkshop[choices[0]] || 0;
+  // Helper function to find the workshop with the least special assistance students (below its cap)
+  function findWorkshopWithLeastSpecialAssistance(choices, student) {
+    const open = choices.filter(choice => !isAssistanceCapReached(student, choice));
+    if (open.length === 0) return choices[0];
+    let bestWorkshop = open[0];
+    let minSpecialAssistance = specialAssistancePerWorkshop[open[0]] || 0;
     
-    for (const choice of choices) {
+    for (const choice of open) {
       const currentSpecialAssistance = specialAssistancePerWorkshop[choice] || 0;
       if (currentSpecialAssistance < minSpecialAssistance) {
         minSpecialAssistance = currentSpecialAssistance;
@@ -1473,39 +4288,84 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
     return bestWorkshop;
   }
 
+  // Students who owe a Folgekurs are placed into it; alternatives they chose are tried first
+  function assignFolgekurs(student) {
+    const requiredFolgekurs = getRequiredFolgekurs(student, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band, activeBandIds);
+    if (!requiredFolgekurs || (requiredFolgekurs.band !== null && requiredFolgekurs.band !== band)) return false;
+    const choices = choicesMap[student] || [];
+    const choiceIndex = course => (choices.includes(course) ? choices.indexOf(course) : choices.length);
+    addTraceStep(trace, student, { type: 'folgekurs', workshop: requiredFolgekurs.courses.join(' oder ') });
+    const courses = getAllowedFolgekursCourses(student, requiredFolgekurs, band, kap, folgekursContext, trace, problems)
+      .sort((a, b) => choiceIndex(a) - choiceIndex(b));
+    if (courses.length === 0) return false;
+    if (courses.some(course => assignStudent(student, course, 0, 'folgekurs'))) return true;
+    problems.push(`${student} muss ${requiredFolgekurs.courses.join(' oder ')} belegen (Folgekurs-Regel), aber Kapazität ist erreicht.`);
+    return false;
+  }
+
+  // Students at risk of missing a Belegungsregel: their choices that fulfil the rule are tried first;
+  // in 'force' mode they are otherwise placed into a rule course with free seats
+  function assignForRule(student) {
+    const needs = ruleNeeds[student];
+    if (!needs) return false;
+    const ch = workingChoicesMap[student] || [];
+    for (const [rank, choice] of ch.entries()) {
+      const need = needs.find(n => n.options.includes(choice));
+      if (!need || !hasPrereqs(student, choice, completedCourses, prereqs)) continue;
+      if (assignStudent(student, choice, rank, 'rule', { ruleName: need.ruleName })) {
+        ruleDriven[student] = { workshop: choice, ruleId: need.ruleId, ruleName: need.ruleName, rank: originalRank(student, choice) };
+        return true;
+      }
+    }
+    if (rulePriority !== 'force' || !choicesMap[student]) return false;
+    for (const need of needs) {
+      const candidates = need.options
+        .filter(workshop =>
+          !ch.includes(workshop) &&
+          (kap[workshop] ?? 0) > 0 &&
+          !isAssistanceCapReached(student, workshop) &&
+          !getEligibilityViolation(workshops, workshop, studentClasses[student]) &&
+          !getBandConstraintViolation(bandRestrictions[student], workshop, band) &&
+          !getRepeatViolation(workshops, workshop, lastTaken[student], currentOrdinal) &&
+          hasPrereqs(student, workshop, completedCourses, prereqs)
+        )
+        .sort((a, b) => kap[b] - kap[a]);
+      if (candidates.length > 0 && assignStudent(student, candidates[0], -1, 'rule', { ruleName: need.ruleName })) {
+        ruleDriven[student] = { workshop: candidates[0], ruleId: need.ruleId, ruleName: need.ruleName, rank: -1 };
+        return true;
+      }
+    }
+    problems.push(`${student} ist bei der Belegungsregel „${needs[0].ruleName}“ gefährdet, aber kein passender Kurs hat freie Plätze.`);
+    return false;
+  }
+
   // First pass: Assign students needing special assistance (prioritize even distribution)
   // Also prioritize students with Folgekurs rules
   for (const s of studentsNeedingAssistance) {
     // Check if student needs to follow a Folgekurs rule
-    const requiredFolgekurs = getRequiredFolgekurs(s, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band);
-    if (requiredFolgekurs) {
-      // Student must be assigned to the Folgekurs
-      if (requiredFolgekurs.band === null || requiredFolgekurs.band === band) {
-        if (assignStudent(s, requiredFolgekurs.course, true)) {
-          continue;
-        } else {
-          problems.push(`${s} muss ${requiredFolgekurs.course} belegen (Folgekurs-Regel), aber Kapazität ist erreicht.`);
-        }
-      }
-    }
+    if (assignFolgekurs(s)) continue;
+
+    if (assignForRule(s)) continue;
     
     const ch = workingChoicesMap[s] || [];
     if (ch.length > 0) {
       const first = ch[0];
-      if (!hasPrereqs(s, first, prevAssignments, prereqs)) {
+      if (!hasPrereqs(s, first, completedCourses, prereqs)) {
         problems.push(`${s} erfüllt die Voraussetzungen für ${first} nicht.`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'prereqs', workshop: first });
         continue;
       }
       
       // Try to assign to the workshop with least special assistance students
-      const bestWorkshop = findWorkshopWithLeastSpecialAssistance(ch);
-      if (assignStudent(s, bestWorkshop, true)) {
+      const bestWorkshop = findWorkshopWithLeastSpecialAssistance(ch, s);
+      if (assignStudent(s, bestWorkshop, ch.indexOf(bestWorkshop))) {
         continue;
       }
       
       // If that doesn't work, try any available choice
-      for (const choice of ch) {
-        if (hasPrereqs(s, choice, prevAssignments, prereqs) && assignStudent(s, choice, true)) {
+      for (const [rank, choice] of ch.entries()) {
+        if (choice === bestWorkshop) continue;
+        if (hasPrereqs(s, choice, completedCourses, prereqs) && assignStudent(s, choice, rank)) {
           break;
         }
       }
@@ -1517,63 +4377,437 @@ function autoAssignSingleBand(students, workshops, prevAssignments, prereqs, cho
   // Second pass: Assign regular students
   for (const s of regularStudents) {
     // Check if student needs to follow a Folgekurs rule
-    const requiredFolgekurs = getRequiredFolgekurs(s, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band);
-    if (requiredFolgekurs) {
-      // Student must be assigned to the Folgekurs
-      if (requiredFolgekurs.band === null || requiredFolgekurs.band === band) {
-        if (assignStudent(s, requiredFolgekurs.course, true)) {
-          continue;
-        } else {
-          problems.push(`${s} muss ${requiredFolgekurs.course} belegen (Folgekurs-Regel), aber Kapazität ist erreicht.`);
-        }
-      }
-    }
+    if (assignFolgekurs(s)) continue;
+
+    if (assignForRule(s)) continue;
     
     const ch = workingChoicesMap[s] || [];
     if (ch.length > 0) {
       const first = ch[0];
-      if (!hasPrereqs(s, first, prevAssignments, prereqs)) {
+      if (!hasPrereqs(s, first, completedCourses, prereqs)) {
         problems.push(`${s} erfüllt die Voraussetzungen für ${first} nicht.`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'prereqs', workshop: first });
         continue;
       }
-      if ((kap[first] ?? 0) > 0) {
-        assignments[s] = first;
-        kap[first] -= 1;
-        num1 += 1;
-      }
+      assignStudent(s, first, 0);
     } else {
       problems.push(`${s} hat keine gültigen Wahlen.`);
     }
   }
 
-  // Third pass: Second choice allocation for those without assignment
-  for (const s of students) {
-    if (!(s in assignments)) {
-      const ch = workingChoicesMap[s] || [];
-      if (ch.length > 1) {
-        const second = ch[1];
-        if (!hasPrereqs(s, second, prevAssignments, prereqs)) {
-          problems.push(`${s} erfüllt die Voraussetzungen für ${second} nicht.`);
-          continue;
-        }
-        if ((kap[second] ?? 0) > 0) {
-          assignments[s] = second;
-          kap[second] -= 1;
-          num2 += 1;
+  // Further passes: next-ranked choice (2nd, 3rd, …) for those still without assignment
+  const maxRank = getMaxChoiceLength(workingChoicesMap, 0);
+  for (let rank = 1; rank < maxRank; rank++) {
+    for (const s of students) {
+      if (s in assignments) continue;
+      const ch = workingChoicesMap[s] || [];
+      if (rank >= ch.length) continue;
+      const choice = ch[rank];
+      if (!hasPrereqs(s, choice, completedCourses, prereqs)) {
+        problems.push(`${s} erfüllt die Voraussetzungen für ${choice} nicht.`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'prereqs', workshop: choice });
+        continue;
+      }
+      assignStudent(s, choice, rank);
+    }
+  }
+
+  for (const s of students) {
+    const validChoices = (workingChoicesMap[s] || []).length;
+    if (!(s in assignments) && validChoices > 0 && !isBandBlocked(s)) {
+      problems.push(validChoices === 1
+        ? `${s} hat seine einzige gültige Wahl nicht bekommen.`
+        : `${s} hat keine seiner ${validChoices} gültigen Wahlen bekommen.`);
+    }
+    if (!(s in assignments) && trace[s]) {
+      addTraceStep(trace, s, { type: 'unassigned' });
+    }
+  }
+
+  const percentFirst = (counts.num1 / students.length) * 100;
+
+  return { assignments, problems, kap, ...counts, countedRanks, percentFirst, trace, ruleDriven };
+}
+
+// ----------------------------
+// Optimal assignment (min-cost flow)
+// ----------------------------
+const ASSIGNMENT_ENGINES = [
+  { id: 'greedy', label: 'Greedy (Prioritätsreihenfolge)', description: 'Schüler werden nach Priorität der Reihe nach auf ihre beste freie Wahl gesetzt.' },
+  { id: 'optimal', label: 'Optimal (globale Optimierung)', description: 'Jedes Band wird für sich optimal gelöst, Band für Band.' },
+  {
+    id: 'joint',
+    label: 'Optimal, alle Bänder gemeinsam',
+    description: 'Alle Bänder werden zusammen optimiert; keine Werkstatt doppelt und keine nicht parallel belegbaren Werkstätten sind feste Bedingungen. Wird das Optimum nicht in vertretbarer Zeit nachgewiesen, gibt es einen Hinweis.',
+  },
+];
+const OPTIMAL_UNASSIGNED_PENALTY = 10; // cost multiplier for leaving a student without a workshop
+const OPTIMAL_RULE_FORCE_BONUS = 10000; // 'force' mode: outweighs every other placement and the unassigned penalty
+const JOINT_LAGRANGE_ROUNDS = 20; // multiplier rounds of the joint engine
+const JOINT_MAX_SOLVES = 300; // band solves of the joint engine before it settles for the best valid solution
+
+function getAssignmentEngineLabel(engineId) {
+  return ASSIGNMENT_ENGINES.find(e => e.id === engineId)?.label || engineId;
+}
+
+function createFlowGraph(nodeCount) {
+  return Array.from({ length: nodeCount }, () => []);
+}
+
+function addFlowEdge(graph, from, to, capacity, cost) {
+  const forward = { to, capacity, cost, flow: 0, rev: graph[to].length };
+  const backward = { to: from, capacity: 0, cost: -cost, flow: 0, rev: graph[from].length };
+  graph[from].push(forward);
+  graph[to].push(backward);
+  return forward;
+}
+
+// Successive shortest paths (SPFA); graphs are small (students x workshops)
+function runMinCostFlow(graph, source, sink) {
+  const n = graph.length;
+  let totalCost = 0;
+  for (;;) {
+    const dist = new Array(n).fill(Infinity);
+    const inQueue = new Array(n).fill(false);
+    const prevNode = new Array(n).fill(-1);
+    const prevEdge = new Array(n).fill(-1);
+    dist[source] = 0;
+    const queue = [source];
+    inQueue[source] = true;
+    while (queue.length > 0) {
+      const u = queue.shift();
+      inQueue[u] = false;
+      graph[u].forEach((edge, idx) => {
+        if (edge.capacity - edge.flow > 0 && dist[u] + edge.cost < dist[edge.to]) {
+          dist[edge.to] = dist[u] + edge.cost;
+          prevNode[edge.to] = u;
+          prevEdge[edge.to] = idx;
+          if (!inQueue[edge.to]) {
+            queue.push(edge.to);
+            inQueue[edge.to] = true;
+          }
+        }
+      });
+    }
+    if (dist[sink] === Infinity) break;
+
+    let push = Infinity;
+    for (let v = sink; v !== source; v = prevNode[v]) {
+      const edge = graph[prevNode[v]][prevEdge[v]];
+      push = Math.min(push, edge.capacity - edge.flow);
+    }
+    for (let v = sink; v !== source; v = prevNode[v]) {
+      const edge = graph[prevNode[v]][prevEdge[v]];
+      edge.flow += push;
+      graph[v][edge.rev].flow -= push;
+    }
+    totalCost += push * dist[sink];
+  }
+  return totalCost;
+}
+
+// Optimal single band assignment: minimizes the priority-weighted rank of all placements.
+// Same signature and result shape as autoAssignSingleBand.
+// constraints.excluded: { student: { workshop: { reason, otherWorkshop, otherBand } } } not usable in this band (joint mode)
+// constraints.edgePenalties: { student: { workshop: cost } } added to the placement cost (joint mode multipliers)
+// constraints.folgekursCost: fixed cost of a required Folgekurs placement, so costs compare across runs (joint mode)
+// The result carries flowCost (with penalties) and cost (without) of the solution, and the folgekursCost used.
+// constraints.studentClasses: { student: className } for class eligibility
+// constraints.completedCourses: { student: [workshops] } taken before, for prerequisites (see collectCompletedCourses)
+// constraints.lastTaken: { student: { workshop: ordinal } } for the repeat policy (see collectLastTakenOrdinals)
+// constraints.bandRestrictions: { student: restrictions } band blocks and pins (see collectBandRestrictions)
+// constraints.activeBandIds: bands of this run (Folgekurs follow-ups are spread over them)
+// constraints.rulePriority / constraints.ruleNeeds: at-risk Belegungsregeln (see collectRuleNeeds)
+function autoAssignSingleBandOptimal(students, workshops, prevAssignments, prereqs, choicesMap, studentAssistants = {}, studentPriorityScores = {}, rules = [], confirmedAssignments = {}, schoolYearStart, schoolYearEnd, currentTrimester, band, constraints = {}) {
+  const excluded = constraints.excluded || {};
+  const edgePenalties = constraints.edgePenalties || {};
+  const studentClasses = constraints.studentClasses || {};
+  const completedCourses = constraints.completedCourses || collectCompletedCourses(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const lastTaken = constraints.lastTaken || collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, schoolYearStart, currentTrimester);
+  const bandRestrictions = constraints.bandRestrictions || {};
+  const isBandBlocked = student => !!bandRestrictions[student]?.blockedBands.includes(band);
+  const currentOrdinal = getSlotOrdinal(schoolYearStart, currentTrimester);
+  const activeBandIds = constraints.activeBandIds || DEFAULT_BAND_IDS;
+  const rulePriority = constraints.rulePriority || 'off';
+  const ruleNeeds = rulePriority === 'off' ? {} : (constraints.ruleNeeds || {});
+  const kap = {};
+  Object.keys(workshops).forEach(workshopName => {
+    if (isWorkshopAvailableInBand(workshops, workshopName, band)) {
+      kap[workshopName] = getWorkshopCapacity(workshops[workshopName], workshopName);
+    }
+  });
+  const workshopNames = Object.keys(kap);
+
+  const assignments = {};
+  const problems = [];
+  const unplaced = {}; // student -> { reason, message } of the problem reported for leaving them without a workshop
+  const counts = createRankCounts();
+  const countedRanks = {};
+  const trace = {};
+  const ruleDriven = {};
+  const originalRank = (student, workshop) => (choicesMap[student] || []).indexOf(workshop);
+  const folgekursContext = { workshops, prereqs, studentClasses, completedCourses, lastTaken, currentOrdinal, bandRestrictions };
+
+  // Build the candidate list per student: [{ workshop, rank, rule }] (rank -1 = Folgekurs or rule course outside the choices)
+  const candidatesByStudent = {};
+  const excludedOut = []; // students whose every candidate was excluded
+  students.forEach(s => {
+    const originalChoices = choicesMap[s] || [];
+    if (isBandBlocked(s)) {
+      // Band blocked for this student: no placement at all
+      const detail = getBandConstraintViolation(bandRestrictions[s], null, band);
+      originalChoices.forEach(choice => addTraceStep(trace, s, { type: 'filtered', reason: 'bandConstraint', workshop: choice, detail }));
+      return;
+    }
+    originalChoices.forEach(choice => {
+      if (!isWorkshopAvailableInBand(workshops, choice, band)) {
+        addTraceStep(trace, s, { type: 'filtered', reason: 'bandUnavailable', workshop: choice });
+      }
+    });
+    let choices = originalChoices.filter(choice => isWorkshopAvailableInBand(workshops, choice, band));
+    if (choices.length === 0 && originalChoices.length > 0) {
+      problems.push(`${s} hat nur Werkstätten gewählt, die in ${getBandLabel(band)} nicht verfügbar sind.`);
+    }
+    const unique = choices.filter((choice, idx) => choices.indexOf(choice) === idx);
+    if (unique.length < choices.length) {
+      choices.filter((choice, idx) => choices.indexOf(choice) !== idx).forEach(choice => {
+        problems.push(`${s} hat zweimal die gleiche Werkstatt ${choice} gewählt.`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'duplicate', workshop: choice });
+      });
+      choices = unique;
+    }
+    choices = choices.filter(choice => {
+      const repeatViolation = getRepeatViolation(workshops, choice, lastTaken[s], currentOrdinal);
+      if (!repeatViolation) return true;
+      problems.push(`${s}: ${repeatViolation} Daher entfernt aus den Wahlen.`);
+      addTraceStep(trace, s, { type: 'filtered', reason: 'repeat', workshop: choice, detail: repeatViolation });
+      return false;
+    });
+
+    const candidates = [];
+    const requiredFolgekurs = getRequiredFolgekurs(s, rules, confirmedAssignments, schoolYearStart, schoolYearEnd, currentTrimester, band, activeBandIds);
+    if (requiredFolgekurs && (requiredFolgekurs.band === null || requiredFolgekurs.band === band)) {
+      getAllowedFolgekursCourses(s, requiredFolgekurs, band, kap, folgekursContext, trace, problems)
+        .forEach(course => candidates.push({ workshop: course, rank: -1 }));
+      if (candidates.length > 0) {
+        addTraceStep(trace, s, { type: 'folgekurs', workshop: requiredFolgekurs.courses.join(' oder ') });
+      }
+    }
+    choices.forEach((choice, rank) => {
+      if (candidates.some(c => c.workshop === choice)) return;
+      if (!hasPrereqs(s, choice, completedCourses, prereqs)) {
+        problems.push(`${s} erfüllt die Voraussetzungen für ${choice} nicht.`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'prereqs', workshop: choice });
+        return;
+      }
+      const eligibilityViolation = getEligibilityViolation(workshops, choice, studentClasses[s]);
+      if (eligibilityViolation) {
+        problems.push(`${s}: ${eligibilityViolation}`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'classIneligible', workshop: choice, detail: eligibilityViolation });
+        return;
+      }
+      const bandViolation = getBandConstraintViolation(bandRestrictions[s], choice, band);
+      if (bandViolation) {
+        problems.push(`${s}: ${bandViolation}`);
+        addTraceStep(trace, s, { type: 'filtered', reason: 'bandConstraint', workshop: choice, detail: bandViolation });
+        return;
+      }
+      candidates.push({ workshop: choice, rank });
+    });
+
+    // At-risk Belegungsregeln: choices that fulfil them rank ahead of the student's other choices;
+    // in 'force' mode the other rule courses are offered, too
+    const needs = ruleNeeds[s];
+    if (needs) {
+      candidates.forEach(candidate => {
+        if (candidate.rank === -1) return;
+        candidate.rule = needs.find(n => n.options.includes(candidate.workshop));
+        if (candidate.rule) candidate.costRank = candidate.rank - choices.length;
+      });
+      if (rulePriority === 'force' && originalChoices.length > 0) {
+        needs.forEach(need => need.options.forEach(workshop => {
+          if (!(workshop in kap) || candidates.some(c => c.workshop === workshop)) return;
+          if (getRepeatViolation(workshops, workshop, lastTaken[s], currentOrdinal) || !hasPrereqs(s, workshop, completedCourses, prereqs)) return;
+          if (getEligibilityViolation(workshops, workshop, studentClasses[s])) return;
+          if (getBandConstraintViolation(bandRestrictions[s], workshop, band)) return;
+          candidates.push({ workshop, rank: -1, rule: need, costRank: 0 });
+        }));
+      }
+    }
+
+    const excludedForStudent = excluded[s];
+    if (excludedForStudent && candidates.length > 0) {
+      candidates.forEach(candidate => {
+        const exclusion = excludedForStudent[candidate.workshop];
+        if (exclusion) addTraceStep(trace, s, { type: 'filtered', workshop: candidate.workshop, ...exclusion });
+      });
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        if (excludedForStudent[candidates[i].workshop]) candidates.splice(i, 1);
+      }
+      if (candidates.length === 0) excludedOut.push(s);
+    }
+
+    if (candidates.length > 0) {
+      candidatesByStudent[s] = { candidates, requiredFolgekurs: candidates[0].rank === -1 && !candidates[0].rule ? requiredFolgekurs : null };
+    } else if (originalChoices.length > 0 || requiredFolgekurs) {
+      unplaced[s] = { reason: 'noValidChoice', message: `${s} hat keine gültigen Wahlen.` };
+      problems.push(unplaced[s].message);
+      addTraceStep(trace, s, { type: 'unassigned' });
+    }
+  });
+
+  const flowStudents = Object.keys(candidatesByStudent);
+  const weightOf = s => Math.round((studentAssistants[s] ? 10 : (studentPriorityScores[s] || 5)) * 10);
+  setTracePriority(
+    trace,
+    [...flowStudents].sort((a, b) => weightOf(b) - weightOf(a)),
+    studentPriorityScores,
+    studentAssistants
+  );
+  // Node layout: source, sink, students, workshop nodes, assistance nodes per workshop
+  const SOURCE = 0;
+  const SINK = 1;
+  const studentNode = idx => 2 + idx;
+  const workshopNode = idx => 2 + flowStudents.length + idx;
+  const assistanceNode = idx => 2 + flowStudents.length + workshopNames.length + idx;
+  const graph = createFlowGraph(2 + flowStudents.length + workshopNames.length * 2);
+
+  workshopNames.forEach((workshopName, wIdx) => {
+    addFlowEdge(graph, workshopNode(wIdx), SINK, kap[workshopName], 0);
+    // Unit edges with growing cost spread assistance students evenly across workshops;
+    // their number is the per-workshop cap for students with a Lernbegleitung
+    const maxAssistance = getWorkshopMaxAssistance(workshops[workshopName]);
+    const assistanceSlots = maxAssistance === null ? kap[workshopName] : Math.min(kap[workshopName], maxAssistance);
+    for (let k = 0; k < assistanceSlots; k++) {
+      addFlowEdge(graph, assistanceNode(wIdx), workshopNode(wIdx), 1, k);
+    }
+  });
+
+  const candidateCost = (candidate, weight) => (candidate.rule
+    ? candidate.costRank * weight - (rulePriority === 'force' ? OPTIMAL_RULE_FORCE_BONUS : 0)
+    : candidate.rank * weight);
+  // A required Folgekurs is a must: its edge is cheaper than what any other student could lose by giving up
+  // the seat (their cheapest candidate turned into leaving them unassigned), so the flow never trades it away
+  let cheapestOther = 0;
+  flowStudents.forEach(s => candidatesByStudent[s].candidates
+    .filter(candidate => candidate.rank !== -1 || candidate.rule)
+    .forEach(candidate => { cheapestOther = Math.min(cheapestOther, candidateCost(candidate, weightOf(s))); }));
+  const maxWeight = Math.max(0, ...flowStudents.map(weightOf));
+  const folgekursCost = constraints.folgekursCost ?? 2 * cheapestOther - OPTIMAL_UNASSIGNED_PENALTY * maxWeight - 1;
+
+  const choiceEdges = {};
+  flowStudents.forEach((s, sIdx) => {
+    // Integer weights: assistance students always count as highest priority
+    const weight = weightOf(s);
+    addFlowEdge(graph, SOURCE, studentNode(sIdx), 1, 0);
+    addFlowEdge(graph, studentNode(sIdx), SINK, 1, OPTIMAL_UNASSIGNED_PENALTY * weight);
+    choiceEdges[s] = candidatesByStudent[s].candidates.map(candidate => {
+      const wIdx = workshopNames.indexOf(candidate.workshop);
+      const target = studentAssistants[s] ? assistanceNode(wIdx) : workshopNode(wIdx);
+      const cost = candidate.rank === -1 && !candidate.rule ? folgekursCost : candidateCost(candidate, weight);
+      const penalty = edgePenalties[s]?.[candidate.workshop] || 0;
+      return { candidate, cost, edge: addFlowEdge(graph, studentNode(sIdx), target, 1, cost + penalty) };
+    });
+  });
+
+  // Leaving a student out by exclusion costs the same as leaving them unassigned
+  const excludedOutCost = excludedOut.reduce((sum, s) => sum + OPTIMAL_UNASSIGNED_PENALTY * weightOf(s), 0);
+  const flowCost = runMinCostFlow(graph, SOURCE, SINK) + excludedOutCost;
+  let cost = excludedOutCost;
+
+  const assistanceUsed = {};
+  flowStudents.filter(s => studentAssistants[s]).forEach(s => {
+    const used = choiceEdges[s].find(entry => entry.edge.flow > 0);
+    if (used) assistanceUsed[used.candidate.workshop] = (assistanceUsed[used.candidate.workshop] || 0) + 1;
+  });
+
+  flowStudents.forEach(s => {
+    const { requiredFolgekurs } = candidatesByStudent[s];
+    const used = choiceEdges[s].find(entry => entry.edge.flow > 0);
+    cost += used ? used.cost : OPTIMAL_UNASSIGNED_PENALTY * weightOf(s);
+    // Better-ranked candidates went to other students in the optimal solution (or hit the assistance cap);
+    // a rule placement only skipped the other rule candidates
+    choiceEdges[s]
+      .slice(0, used ? choiceEdges[s].indexOf(used) : choiceEdges[s].length)
+      .filter(({ candidate }) => !used?.candidate.rule || candidate.rule)
+      .forEach(({ candidate }) => {
+        const maxAssistance = getWorkshopMaxAssistance(workshops[candidate.workshop]);
+        if (studentAssistants[s] && maxAssistance !== null && (assistanceUsed[candidate.workshop] || 0) >= maxAssistance) {
+          addTraceStep(trace, s, { type: 'assistanceCap', workshop: candidate.workshop, rank: originalRank(s, candidate.workshop), max: maxAssistance });
+          return;
         }
-      } else {
-        problems.push(`${s} hat seine erste Wahl nicht bekommen und hat keine gültige zweite Wahl.`);
-      }
+        addTraceStep(trace, s, { type: 'full', workshop: candidate.workshop, rank: originalRank(s, candidate.workshop), filledBy: null });
+      });
+    if (!used) {
+      addTraceStep(trace, s, { type: 'unassigned' });
+      unplaced[s] = requiredFolgekurs
+        ? { reason: 'folgekursFull', message: `${s} muss ${requiredFolgekurs.courses.join(' oder ')} belegen (Folgekurs-Regel), aber Kapazität ist erreicht.` }
+        : { reason: 'choicesFull', message: `${s} hat keine seiner Wahlen bekommen (alle gewählten Werkstätten sind voll).` };
+      problems.push(unplaced[s].message);
+      return;
     }
-  }
+    const { workshop, rank, rule } = used.candidate;
+    if (requiredFolgekurs && (rank !== -1 || rule)) {
+      problems.push(`${s} muss ${requiredFolgekurs.courses.join(' oder ')} belegen (Folgekurs-Regel), aber Kapazität ist erreicht.`);
+    }
+    assignments[s] = workshop;
+    kap[workshop] -= 1;
+    if (!(rule && rank === -1)) {
+      addRankCount(counts, Math.max(0, rank));
+      countedRanks[s] = Math.max(0, rank);
+    }
+    if (rule) {
+      ruleDriven[s] = { workshop, ruleId: rule.ruleId, ruleName: rule.ruleName, rank: originalRank(s, workshop) };
+      addTraceStep(trace, s, { type: 'assigned', workshop, rank: originalRank(s, workshop), via: 'rule', ruleName: rule.ruleName });
+      return;
+    }
+    addTraceStep(trace, s, { type: 'assigned', workshop, rank: originalRank(s, workshop), via: rank === -1 ? 'folgekurs' : 'choice' });
+  });
 
-  const percentFirst = (num1 / students.length) * 100;
+  const percentFirst = students.length > 0 ? (counts.num1 / students.length) * 100 : 0;
 
-  return { assignments, problems, kap, num1, num2, percentFirst };
+  return { assignments, problems, unplaced, kap, ...counts, countedRanks, percentFirst, trace, ruleDriven, flowCost, cost, folgekursCost };
 }
 
 // (isNotAssigned defined above with band helpers)
 
+// Pure helpers, exported for the unit tests in WerkstattVerwaltungApp.test.js
+export {
+  formatPrereqExpression,
+  parsePrereqExpression,
+  createFlowGraph,
+  addFlowEdge,
+  runMinCostFlow,
+  autoAssignAllBands,
+  collectRuleNeeds,
+  evaluateBelegungRule,
+  findUnderfilledWorkshops,
+  getRepeatViolation,
+  compactAutoAssignResult,
+  parseRuleSet,
+  diffRuleSet,
+  mergeRuleSet,
+  findNameMatch,
+  suggestNameMatches,
+  decodeCsvBytes,
+  parseCsvRecords,
+  sniffCsvDelimiter,
+  parseCsvFile,
+  stageChoiceRows,
+  applyChoiceStaging,
+  findBandInText,
+  detectHeaderBands,
+  splitUploadByBand,
+  proposeColumnMapping,
+  mappingToPreset,
+  applyMappingPreset,
+  findMatchingPreset,
+  planFolgekursBands,
+  getRequiredFolgekurs,
+  collectFolgekursConflicts,
+  validateConfiguration,
+};
+
 // ----------------------------
 // Main component
 // ----------------------------
@@ -1598,6 +4832,8 @@ export default function WerkstattVerwaltungApp() {
   const [studentPriorityScoresLastChanged, setStudentPriorityScoresLastChanged] = useState(() => load(LS_KEYS.studentPriorityScoresLastChanged, {})); // NEW: map student -> ISO timestamp of last manual change
   const [workshopColors, setWorkshopColors] = useState(() => load(LS_KEYS.workshopColors, {})); // NEW: map workshop -> color hex
   const [studentComments, setStudentComments] = useState(() => load(LS_KEYS.studentComments, {})); // NEW: map student -> comment/notes
+  const [studentBandConstraints, setStudentBandConstraints] = useState(() => load(LS_KEYS.studentBandConstraints, {})); // NEW: map student -> band blocks and pins
+  const [studentPairs, setStudentPairs] = useState(() => load(LS_KEYS.studentPairs, [])); // NEW: "zusammen" / "getrennt" student pairs
   const [workshopTeachers, setWorkshopTeachers] = useState(() => {
     const loaded = load(LS_KEYS.workshopTeachers, {});
     console.log('🔵 Initializing workshopTeachers state:', loaded);
@@ -1634,6 +4870,8 @@ export default function WerkstattVerwaltungApp() {
   useEffect(() => save(LS_KEYS.studentPriorityScoresLastChanged, studentPriorityScoresLastChanged), [studentPriorityScoresLastChanged]); // persist last changed timestamps
   useEffect(() => save(LS_KEYS.workshopColors, workshopColors), [workshopColors]); // persist workshop colors
   useEffect(() => save(LS_KEYS.studentComments, studentComments), [studentComments]); // persist student comments
+  useEffect(() => save(LS_KEYS.studentBandConstraints, studentBandConstraints), [studentBandConstraints]); // persist band constraints
+  useEffect(() => save(LS_KEYS.studentPairs, studentPairs), [studentPairs]); // persist student pairs
   // Skip saving on initial mount to avoid overwriting loaded data
   useEffect(() => {
     if (isInitialMount) {
@@ -1680,6 +4918,28 @@ export default function WerkstattVerwaltungApp() {
   // Wahl tab state
   const [uploadedChoices, setUploadedChoices] = useState(() => createEmptyChoicesMap());
   const [autoResult, setAutoResult] = useState(null);
+  const [assignmentEngine, setAssignmentEngine] = useState(() => load(LS_KEYS.assignmentEngine, 'greedy'));
+  const [engineComparison, setEngineComparison] = useState(null); // { greedy: res, optimal: res } for side-by-side view
+  const [validationIssues, setValidationIssues] = useState(null); // result of the last feasibility check (null = not run yet)
+  const [highlightedIssueTarget, setHighlightedIssueTarget] = useState(null); // { type, id } of the workshop/rule a check issue points to
+  const [scenarios, setScenarios] = useState([]); // named auto-assignment runs of the current trimester
+  useEffect(() => save(LS_KEYS.assignmentEngine, assignmentEngine, false), [assignmentEngine]); // persist engine selection
+  const [choiceCount, setChoiceCount] = useState(() => load(LS_KEYS.choiceCount, DEFAULT_CHOICE_COUNT));
+  useEffect(() => save(LS_KEYS.choiceCount, choiceCount, false), [choiceCount]); // persist number of ranked choices
+  const [fallbackPlacement, setFallbackPlacement] = useState(() => load(LS_KEYS.fallbackPlacement, false));
+  useEffect(() => save(LS_KEYS.fallbackPlacement, fallbackPlacement, false), [fallbackPlacement]); // persist fallback pass toggle
+  const [cancelUnderfilled, setCancelUnderfilled] = useState(() => load(LS_KEYS.cancelUnderfilled, false));
+  useEffect(() => save(LS_KEYS.cancelUnderfilled, cancelUnderfilled, false), [cancelUnderfilled]); // persist cancellation toggle
+  const [rulePriority, setRulePriority] = useState(() => load(LS_KEYS.rulePriority, 'off'));
+  useEffect(() => save(LS_KEYS.rulePriority, rulePriority, false), [rulePriority]); // persist rule priority mode
+  const [tieBreakStrategy, setTieBreakStrategy] = useState(() => load(LS_KEYS.tieBreakStrategy, 'lottery'));
+  useEffect(() => save(LS_KEYS.tieBreakStrategy, tieBreakStrategy, false), [tieBreakStrategy]); // persist tie-break strategy
+  const [tieBreakSeed, setTieBreakSeed] = useState(() => load(LS_KEYS.tieBreakSeed, ''));
+  useEffect(() => save(LS_KEYS.tieBreakSeed, tieBreakSeed, false), [tieBreakSeed]); // persist fixed lottery seed
+  const [uploadMappingPresets, setUploadMappingPresets] = useState(() => load(LS_KEYS.uploadMappingPresets, {}));
+  useEffect(() => save(LS_KEYS.uploadMappingPresets, uploadMappingPresets, false), [uploadMappingPresets]); // persist column mapping presets
+  const [nameAliases, setNameAliases] = useState(() => load(LS_KEYS.nameAliases, { students: {}, workshops: {} }));
+  useEffect(() => save(LS_KEYS.nameAliases, nameAliases, false), [nameAliases]); // persist confirmed name aliases
   const [dragAssignments, setDragAssignments] = useState(() => createEmptyBandMap());
   const [activeBandCount, setActiveBandCount] = useState(DEFAULT_BAND_COUNT);
   const activeBandIds = useMemo(() => getBandIds(activeBandCount), [activeBandCount]);
@@ -1691,6 +4951,20 @@ export default function WerkstattVerwaltungApp() {
       trimester: 1 
     };
   });
+  // Workshops each student took before the selected trimester (for prerequisites)
+  const completedCourses = useMemo(
+    () => collectCompletedCourses(students, prevAssignments, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester),
+    [students, prevAssignments, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester]
+  );
+  // When each student last took each workshop (for the repeat policy)
+  const lastTaken = useMemo(
+    () => collectLastTakenOrdinals(students, prevAssignments, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester),
+    [students, prevAssignments, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester]
+  );
+  const bandRestrictions = useMemo(
+    () => collectBandRestrictions(students, studentBandConstraints, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester),
+    [students, studentBandConstraints, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester]
+  );
   const [activeBand, setActiveBand] = useState('erstesBand'); // Track which Band is currently active
   const [checkedWarnings, setCheckedWarnings] = useState(() => {
     // Load checked warnings from localStorage
@@ -1784,6 +5058,7 @@ export default function WerkstattVerwaltungApp() {
     } else {
       setAutoResult(null);
     }
+    setScenarios(load(`wv_scenarios_${key}`, []));
     
     // Reset all warnings and violations when switching trimester
     // Load checked warnings for this specific trimester (if they exist)
@@ -1892,18 +5167,39 @@ export default function WerkstattVerwaltungApp() {
   }, [checkedWarnings, yearTrimester, hasVisitedWahlTab]);
 
 
+  // Fallback placements of the last auto-assignment: { bandId: { student: workshop } }
+  const forcedAssignments = useMemo(() => {
+    const forced = {};
+    Object.entries(autoResult?.bandResults || {}).forEach(([bandId, result]) => {
+      forced[bandId] = result.forced || {};
+    });
+    return forced;
+  }, [autoResult]);
+
+  // Placements of the last auto-assignment driven by a Belegungsregel: { bandId: { student: { workshop, ruleName } } }
+  const ruleDrivenAssignments = useMemo(() => {
+    const ruleDriven = {};
+    (autoResult?.ruleReport?.placements || []).forEach(entry => {
+      if (!ruleDriven[entry.band]) ruleDriven[entry.band] = {};
+      ruleDriven[entry.band][entry.student] = entry;
+    });
+    return ruleDriven;
+  }, [autoResult]);
+
   // Calculate real-time statistics from drag assignments
   const currentStatistics = useMemo(() => {
-    const stats = computeBandStatistics(dragAssignments, uploadedChoices, activeBandIds);
+    const stats = computeBandStatistics(dragAssignments, uploadedChoices, activeBandIds, forcedAssignments);
     return {
       percentFirst: stats.percentFirst,
       totalFirst: stats.totalFirst,
       totalSecond: stats.totalSecond,
+      totalOther: stats.totalOther,
+      totalForced: stats.totalForced,
       perBand: stats.perBand,
       erstesBand: stats.perBand[activeBandIds[0]] || { num1: 0, num2: 0, total: 0, percentFirst: 0 },
       zweitesBand: stats.perBand[activeBandIds[1]] || { num1: 0, num2: 0, total: 0, percentFirst: 0 },
     };
-  }, [dragAssignments, uploadedChoices, activeBandIds]);
+  }, [dragAssignments, uploadedChoices, activeBandIds, forcedAssignments]);
 
   // drag/drop UI state
   const [dragHover, setDragHover] = useState({ workshop: null, invalid: false, message: null });
@@ -1914,6 +5210,7 @@ export default function WerkstattVerwaltungApp() {
   const [windowWidth, setWindowWidth] = useState(window.innerWidth);
   const [studentSearchQuery, setStudentSearchQuery] = useState(''); // Search query for students in drag & drop
   const studentCardRefs = React.useRef({}); // Refs for student cards to enable scrolling
+  const issueTargetRefs = React.useRef({}); // Refs for workshop and rule cards, keyed "workshop:name" / "rule:id"
 
   // Update window width on resize
   useEffect(() => {
@@ -1948,21 +5245,15 @@ export default function WerkstattVerwaltungApp() {
 
   // CSV upload handler for student choices
   const [uploadSummary, setUploadSummary] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null); // { fileName, parts: [{ bandId, sheetName, data, byHeader, mapping, presetName }], active, ignoredSheets, parseReport } while the mapping dialog is open
+  const [nameMatching, setNameMatching] = useState(null); // { fileName, parts, renames, suggestions } while merges are confirmed
+  const [uploadStaging, setUploadStaging] = useState(null); // result of stageChoiceRows plus { fileName, bandIds, accepted } while the review dialog is open
+  const [uploadUndo, setUploadUndo] = useState(null); // { fileName, bandIds, submissionsKey, snapshot } of the last applied upload
+  useEffect(() => setUploadUndo(null), [yearTrimester]); // the snapshot belongs to the trimester it was taken in
   const fileInputRefs = React.useRef({});
 
-  // Helper function to parse Q1/Q2 values, ignoring text after colon
-  function parseChoiceValue(value) {
-    if (!value) return '';
-    const trimmed = value.trim();
-    // If there's a colon, take only the part before it
-    const colonIndex = trimmed.indexOf(':');
-    if (colonIndex !== -1) {
-      return trimmed.substring(0, colonIndex).trim();
-    }
-    return trimmed;
-  }
-
-  // Helper function to parse file (CSV or XLSX) into data array
+  // Helper function to parse file (CSV or XLSX) into data arrays.
+  // Resolves to { sheets: [{ name, data }], report } with report = { encoding, delimiter, errors } for CSV files, null for XLSX.
   async function parseFileToData(file) {
     return new Promise((resolve, reject) => {
       const fileName = file.name.toLowerCase();
@@ -1974,10 +5265,11 @@ export default function WerkstattVerwaltungApp() {
           try {
             const data = new Uint8Array(e.target.result);
             const workbook = XLSX.read(data, { type: 'array' });
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-            resolve(jsonData);
+            const sheets = workbook.SheetNames.map(name => ({
+              name,
+              data: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' }),
+            }));
+            resolve({ sheets, report: null });
           } catch (error) {
             reject(error);
           }
@@ -1985,227 +5277,439 @@ export default function WerkstattVerwaltungApp() {
         reader.onerror = () => reject(new Error('Fehler beim Lesen der XLSX-Datei.'));
         reader.readAsArrayBuffer(file);
       } else {
-        // CSV file
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result;
-        const lines = text.split(/\r?\n/).filter(line => line.trim());
-        
-        if (lines.length === 0) {
-              reject(new Error('Die Datei ist leer.'));
-          return;
-        }
-
-        // Parse CSV (handle semicolon or comma separator)
-        const data = lines.map(line => {
-          const values = [];
-          let current = '';
-          let inQuotes = false;
-          
-          for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-              inQuotes = !inQuotes;
-            } else if ((char === ';' || char === ',') && !inQuotes) {
-              values.push(current.trim());
-              current = '';
-            } else {
-              current += char;
-            }
-          }
-          values.push(current.trim());
-          return values;
-        });
-            resolve(data);
+        // CSV file: read as bytes so the encoding can be detected
+        const reader = new FileReader();
+        reader.onload = (e) => {
+          try {
+            const { data, encoding, delimiter, errors } = parseCsvFile(new Uint8Array(e.target.result));
+            resolve({ sheets: [{ name: file.name, data }], report: { encoding, delimiter, errors } });
           } catch (error) {
             reject(error);
           }
         };
         reader.onerror = () => reject(new Error('Fehler beim Lesen der CSV-Datei.'));
-        reader.readAsText(file, 'UTF-8');
+        reader.readAsArrayBuffer(file);
       }
     });
   }
 
+  // targetBand = null: one file with the choices of all active bands
   async function handleFileUpload(event, targetBand) {
     const file = event.target.files[0];
     if (!file) return;
 
     try {
-      const data = await parseFileToData(file);
+      const { sheets, report } = await parseFileToData(file);
       
-      if (data.length === 0) {
-        alert('Die Datei ist leer.');
+      if (sheets.every(sheet => sheet.data.length === 0)) {
+        const errorLines = (report?.errors || []).map(err => `Zeile ${err.line}: ${err.message}`);
+        alert(errorLines.length > 0 ? `Die Datei enthält keine lesbaren Zeilen:\n${errorLines.join('\n')}` : 'Die Datei ist leer.');
         return;
       }
 
-      // Expected format: Name; Klasse; Übermittelt, Klasse, Q1, Q2
-      // We ignore "Übermittelt" column
-      const header = data[0].map(h => String(h).toLowerCase().trim());
-      
-      // Find column indices
-      const nameIdx = header.findIndex(h => h.includes('name') || h.includes('schüler') || h.includes('student'));
-      const klasseIdx = header.findIndex(h => h.includes('klasse') || h.includes('class'));
-      const q1Idx = header.findIndex(h => {
-        const hLower = h.toLowerCase();
-        return hLower === 'q1' || hLower.includes('q1') || hLower.startsWith('q1');
-      });
-      const q2Idx = header.findIndex(h => {
-        const hLower = h.toLowerCase();
-        return hLower === 'q2' || hLower.includes('q2') || hLower.startsWith('q2');
-      });
-
-      // Fallback: if Q1/Q2 not found by name, try positional (after Klasse)
-      let finalQ1Idx = q1Idx;
-      let finalQ2Idx = q2Idx;
-      
-      if (finalQ1Idx === -1 || finalQ2Idx === -1) {
-        // Try to find Q1/Q2 after Klasse column
-        // Format: Name, Klasse, Übermittelt, Klasse, Q1, Q2
-        // Look for columns that might be Q1/Q2 by position
-        if (klasseIdx !== -1 && data[0].length > klasseIdx + 3) {
-          // Check if columns after Klasse might be Q1/Q2
-          // Usually Q1/Q2 are the last two columns
-          if (data[0].length >= 2) {
-            finalQ1Idx = data[0].length - 2; // Second to last
-            finalQ2Idx = data[0].length - 1; // Last
-          }
-        }
+      const { parts, ignoredSheets } = splitUploadByBand(sheets, targetBand, activeBandIds);
+      if (parts.length === 0) {
+        alert(`Fehler: Keine Bänder erkannt. Benennen Sie die Blätter nach den Bändern (z. B. „Band 1“) oder die Spalten wie „Band1 Q1, Band1 Q2, Band2 Q1, …“. Aktive Bänder: ${activeBandIds.map(getBandLabel).join(', ')}.`);
+        return;
       }
 
-      if (nameIdx === -1) {
-        alert('Fehler: Spalte "Name", "Student" oder "Schüler" nicht gefunden.');
-        return;
+      // Expected format: Name; Klasse; Übermittelt, Klasse, Q1, Q2, …, Qn
+      // "Übermittelt" is only used for the "Früheste Abgabe" tie-break.
+      // A saved preset whose columns all exist wins over the guess from the header texts.
+      setColumnMapping({
+        fileName: file.name,
+        parts: parts.map(part => {
+          const header = part.data[0];
+          const headerBand = part.byHeader ? part.bandId : null;
+          const preset = findMatchingPreset(header, uploadMappingPresets, choiceCount, headerBand, activeBandIds);
+          return {
+            ...part,
+            mapping: preset ? preset.mapping : proposeColumnMapping(header, choiceCount, headerBand, activeBandIds),
+            presetName: preset ? preset.name : '',
+          };
+        }),
+        active: 0,
+        ignoredSheets,
+        parseReport: report,
+      });
+    } catch (error) {
+      alert(`Fehler beim Lesen der Datei: ${error.message}`);
+    } finally {
+      // Reset file input so the same file can be chosen again
+      const input = fileInputRefs.current[targetBand || 'all'];
+      if (input) {
+        input.value = '';
       }
+    }
+  }
 
-      if (finalQ1Idx === -1 || finalQ2Idx === -1) {
-        alert('Fehler: Spalten "Q1" und "Q2" nicht gefunden. Erwartetes Format: Name; Klasse; Übermittelt, Klasse, Q1, Q2');
-          return;
-        }
+  // Changes the part (band) currently shown in the mapping dialog
+  function updateActiveMappingPart(changes) {
+    setColumnMapping(prev => ({
+      ...prev,
+      parts: prev.parts.map((part, i) => (i === prev.active ? { ...part, ...changes(part) } : part)),
+    }));
+  }
 
-        const summary = {
-          newStudents: [],
-          updatedClasses: [],
-          newWorkshops: [],
-          updatedChoices: 0,
-        errors: [],
-        band: targetBand === 'erstesBand' ? 'Erstes Band' : 'Zweites Band'
-        };
+  // field: 'name' | 'klasse' | 'submitted' | 'choices' (rank = 0-based Q index)
+  function updateColumnMapping(field, idx, rank = null) {
+    updateActiveMappingPart(part => {
+      const mapping = { ...part.mapping, choices: [...part.mapping.choices] };
+      if (field === 'choices') mapping.choices[rank] = idx;
+      else mapping[field] = idx;
+      return { mapping };
+    });
+  }
 
-        const newStudentClasses = { ...studentClasses };
-        const newStudents = [...students];
-        const newWorkshops = { ...workshops };
-      const bandMap = { ...uploadedChoices[targetBand] };
-
-        // Process each row
-        for (let i = 1; i < data.length; i++) {
-          const row = data[i];
-          if (row.length < 2) continue;
-
-        const studentName = String(row[nameIdx] || '').trim();
-          if (!studentName) continue;
-
-        const className = klasseIdx >= 0 ? String(row[klasseIdx] || '').trim() : '';
-        const q1Value = finalQ1Idx >= 0 ? String(row[finalQ1Idx] || '').trim() : '';
-        const q2Value = finalQ2Idx >= 0 ? String(row[finalQ2Idx] || '').trim() : '';
-
-        // Parse Q1 and Q2, ignoring text after colon
-        const q1 = parseChoiceValue(q1Value);
-        const q2 = parseChoiceValue(q2Value);
-
-          // Add new student if doesn't exist
-          if (!students.includes(studentName)) {
-            newStudents.push(studentName);
-            summary.newStudents.push(studentName);
-            // Initialize priority score for new student
-            if (!studentPriorityScores[studentName]) {
-              setStudentPriorityScores(prev => ({ ...prev, [studentName]: 5 }));
-            }
-          }
+  function selectMappingPreset(name) {
+    if (!name) {
+      updateActiveMappingPart(part => ({
+        presetName: '',
+        mapping: proposeColumnMapping(part.data[0], choiceCount, part.byHeader ? part.bandId : null, activeBandIds),
+      }));
+      return;
+    }
+    const part = columnMapping.parts[columnMapping.active];
+    const mapping = applyMappingPreset(part.data[0], uploadMappingPresets[name], choiceCount);
+    if (!mapping) {
+      alert(`Die Vorlage „${name}“ passt nicht zu dieser Datei – mindestens eine ihrer Spalten fehlt.`);
+      return;
+    }
+    updateActiveMappingPart(() => ({ presetName: name, mapping }));
+  }
 
-          // Update class information
-          if (className && newStudentClasses[studentName] !== className) {
-            const oldClass = newStudentClasses[studentName];
-            newStudentClasses[studentName] = className;
-            if (oldClass) {
-              summary.updatedClasses.push({ student: studentName, old: oldClass, new: className });
-            } else {
-              summary.updatedClasses.push({ student: studentName, old: null, new: className });
-            }
-          }
+  function saveMappingPreset() {
+    const part = columnMapping.parts[columnMapping.active];
+    const name = part.presetName.trim();
+    if (!name) {
+      alert('Bitte einen Namen für die Vorlage eingeben.');
+      return;
+    }
+    if (uploadMappingPresets[name] && !window.confirm(`Vorlage „${name}“ überschreiben?`)) return;
+    setUploadMappingPresets(prev => ({ ...prev, [name]: mappingToPreset(part.data[0], part.mapping) }));
+  }
 
-        // Collect workshop choices (already normalized by parseChoiceValue)
-        const choices = [];
-        if (q1) choices.push(q1);
-        if (q2) choices.push(q2);
+  function deleteMappingPreset(name) {
+    if (!window.confirm(`Vorlage „${name}“ löschen?`)) return;
+    setUploadMappingPresets(prev => {
+      const copy = { ...prev };
+      delete copy[name];
+      return copy;
+    });
+    setColumnMapping(prev => (prev ? {
+      ...prev,
+      parts: prev.parts.map(part => (part.presetName === name ? { ...part, presetName: '' } : part)),
+    } : prev));
+  }
 
-        // Normalize choices and check/add workshops
-        const normalizedChoices = choices.map(choice => {
-          if (!choice) return '';
-          const normalized = parseChoiceValue(choice);
-          
-          // Check if workshop exists (normalize existing workshop names for comparison)
-          const existingWorkshop = Object.keys(workshops).find(w => {
-            const normalizedW = parseChoiceValue(w);
-            return normalizedW === normalized;
-          });
-          
-          // If workshop doesn't exist, add it with normalized name
-          if (!existingWorkshop && normalized) {
-            newWorkshops[normalized] = 6; // Default capacity
-            if (!summary.newWorkshops.includes(normalized)) {
-              summary.newWorkshops.push(normalized);
-            }
-          }
-          
-          return normalized;
-        }).filter(c => c); // Remove empty choices
+  // German error text for the first part whose mapping cannot be applied, or null
+  function getColumnMappingError(parts) {
+    for (const part of parts) {
+      const error = validateColumnMapping(part.mapping);
+      if (error) return parts.length > 1 ? `${getBandLabel(part.bandId)}: ${error}` : error;
+    }
+    return null;
+  }
 
-        // Update choices for the target band (using normalized names)
-        if (normalizedChoices.length > 0) {
-          bandMap[studentName] = normalizedChoices;
-            summary.updatedChoices++;
-          }
-        }
+  function applyColumnMapping() {
+    const error = getColumnMappingError(columnMapping.parts);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const { parts, fileName } = columnMapping;
+    setColumnMapping(null);
+    matchUploadNames(parts, fileName);
+  }
 
-        // Apply all changes
-        setStudents(newStudents);
-    setStudentClasses(newStudentClasses);
-        setWorkshops(newWorkshops);
-      setUploadedChoices(prev => {
-        const updated = {
-          ...prev,
-          [targetBand]: bandMap
-        };
-        // Save choices for current year/trimester immediately
-        const key = getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
-        const choicesKey = `wv_choices_${key}`;
-        // Save immediately to localStorage (bypassing the useEffect to avoid race conditions)
-        try {
-          localStorage.setItem(choicesKey, JSON.stringify(updated));
-          console.log(`💾 Saved choices to ${choicesKey}:`, updated);
-        } catch (error) {
-          console.error(`Failed to save choices to ${choicesKey}:`, error);
-        }
-        return updated;
-      });
-        setUploadSummary(summary);
+  // Stored aliases are applied silently; similar but unknown names are offered as merges first
+  function matchUploadNames(parts, fileName) {
+    const { renames, suggestions } = suggestNameMatches(parts, { students, workshops, aliases: nameAliases });
+    if (suggestions.length === 0) {
+      importChoiceRows(parts, fileName, renames);
+      return;
+    }
+    setNameMatching({ fileName, parts, renames, suggestions: suggestions.map(s => ({ ...s, accepted: true })) });
+  }
 
-        // Reset file input
-      if (fileInputRefs.current[targetBand]) {
-        fileInputRefs.current[targetBand].value = '';
-      }
+  function toggleNameSuggestion(index) {
+    setNameMatching(prev => ({
+      ...prev,
+      suggestions: prev.suggestions.map((s, i) => (i === index ? { ...s, accepted: !s.accepted } : s)),
+    }));
+  }
+
+  // Accepted merges are remembered as aliases; rejected names are imported as they are
+  function confirmNameMatching() {
+    const { parts, fileName, suggestions } = nameMatching;
+    const renames = { students: { ...nameMatching.renames.students }, workshops: { ...nameMatching.renames.workshops } };
+    const newAliases = { students: {}, workshops: {} };
+    suggestions.filter(s => s.accepted).forEach(s => {
+      const key = s.kind === 'student' ? 'students' : 'workshops';
+      renames[key][s.from] = s.to;
+      newAliases[key][s.from] = s.to;
+    });
+    setNameAliases(prev => ({
+      students: { ...prev.students, ...newAliases.students },
+      workshops: { ...prev.workshops, ...newAliases.workshops },
+    }));
+    setNameMatching(null);
+    importChoiceRows(parts, fileName, renames);
+  }
+
+  function removeNameAlias(kind, alias) {
+    setNameAliases(prev => {
+      const copy = { ...prev[kind] };
+      delete copy[alias];
+      return { ...prev, [kind]: copy };
+    });
+  }
+
+  // Current choices of the given bands: { bandId: map }
+  function pickBandChoices(bandIds) {
+    const picked = {};
+    bandIds.forEach(bandId => { picked[bandId] = uploadedChoices[bandId] || {}; });
+    return picked;
+  }
+
+  // Computes the changes of an uploaded choice file and opens the review dialog; nothing is written yet
+  function importChoiceRows(parts, fileName, renames = {}) {
+    const bandIds = [...new Set(parts.map(part => part.bandId))];
+    const submissionTimes = load(getSubmissionsKey(), {});
+    const staging = stageChoiceRows(parts, {
+      students,
+      studentClasses,
+      workshops,
+      bandChoices: pickBandChoices(bandIds),
+      submissionTimes,
+      renames,
+    });
+    const accepted = {};
+    // Removing choices of students missing in the file is opt-in, all other changes are preselected
+    UPLOAD_CHANGE_CATEGORIES.forEach(({ id }) => { accepted[id] = id !== 'missingStudents'; });
+    setUploadStaging({ ...staging, fileName, bandIds, accepted });
+  }
+
+  function getSubmissionsKey() {
+    return `wv_submissions_${getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)}`;
+  }
+
+  function toggleUploadCategory(category) {
+    setUploadStaging(prev => ({ ...prev, accepted: { ...prev.accepted, [category]: !prev.accepted[category] } }));
+  }
 
-      alert(`Datei erfolgreich hochgeladen für ${summary.band}!\n${summary.updatedChoices} Schüler aktualisiert.`);
+  // Sets the choices of the given bands ({ bandId: map }) and saves them immediately
+  // (bypassing the useEffect to avoid race conditions)
+  function writeBandChoices(bandMaps) {
+    setUploadedChoices(prev => {
+      const updated = {
+        ...prev,
+        ...bandMaps
+      };
+      const key = getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
+      const choicesKey = `wv_choices_${key}`;
+      try {
+        localStorage.setItem(choicesKey, JSON.stringify(updated));
+        console.log(`💾 Saved choices to ${choicesKey}:`, updated);
       } catch (error) {
-      alert(`Fehler beim Lesen der Datei: ${error.message}`);
+        console.error(`Failed to save choices to ${choicesKey}:`, error);
       }
+      return updated;
+    });
+  }
+
+  // Writes the accepted categories of the staged upload and keeps a snapshot for undo
+  function applyUploadStaging() {
+    const { bandIds, fileName, accepted } = uploadStaging;
+    const submissionsKey = getSubmissionsKey();
+    const current = {
+      students,
+      studentClasses,
+      workshops,
+      bandChoices: pickBandChoices(bandIds),
+      submissionTimes: load(submissionsKey, {}),
+    };
+    const result = applyChoiceStaging(uploadStaging, accepted, current);
+    const addedStudents = uploadStaging.newStudents.filter(s => !result.skipped.has(s));
+
+    setUploadUndo({ fileName, bandIds, submissionsKey, snapshot: { ...current, studentPriorityScores } });
+    save(submissionsKey, result.submissionTimes, false);
+    setStudents(result.students);
+    setStudentClasses(result.studentClasses);
+    setWorkshops(result.workshops);
+    // Initialize priority score for new students
+    if (addedStudents.length > 0) {
+      setStudentPriorityScores(prev => {
+        const next = { ...prev };
+        addedStudents.forEach(s => { if (!next[s]) next[s] = 5; });
+        return next;
+      });
+    }
+    writeBandChoices(result.bandChoices);
+
+    const notSkipped = item => !result.skipped.has(item.student);
+    setUploadSummary({
+      newStudents: addedStudents,
+      updatedClasses: accepted.classChanges ? uploadStaging.classChanges.filter(notSkipped) : [],
+      newWorkshops: accepted.newWorkshops ? uploadStaging.newWorkshops : [],
+      updatedChoices: ['newChoices', 'changedChoices'].filter(c => accepted[c]).reduce((sum, c) => sum + uploadStaging[c].filter(notSkipped).length, 0),
+      removedChoices: accepted.missingStudents ? uploadStaging.missingStudents.length : 0,
+      ineligibleChoices: uploadStaging.ineligibleChoices.filter(notSkipped),
+      errors: [],
+      band: bandIds.map(getBandLabel).join(', ')
+    });
+    setUploadStaging(null);
+  }
+
+  // Restores students, classes, workshops, priorities, submissions and band choices from before the last upload
+  function undoLastUpload() {
+    if (!uploadUndo) return;
+    if (!window.confirm(`Upload „${uploadUndo.fileName}“ rückgängig machen? Änderungen an Schülern, Klassen, Werkstätten und Wahlen seit dem Upload gehen dabei verloren.`)) return;
+    const { snapshot, submissionsKey } = uploadUndo;
+    save(submissionsKey, snapshot.submissionTimes, false);
+    setStudents(snapshot.students);
+    setStudentClasses(snapshot.studentClasses);
+    setWorkshops(snapshot.workshops);
+    setStudentPriorityScores(snapshot.studentPriorityScores);
+    writeBandChoices(snapshot.bandChoices);
+    setUploadUndo(null);
+    setUploadSummary(null);
+  }
+
+  // Tie-break options for one run; without a fixed seed every run draws a new lottery seed
+  function getTieBreakOptions(seed = tieBreakSeed.trim() || createRandomSeed()) {
+    const key = getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
+    return {
+      tieBreak: { strategy: tieBreakStrategy, seed },
+      tieBreakData: { submissionTimes: load(`wv_submissions_${key}`, {}) },
+    };
+  }
+
+  function computeAutoAssignResult(engine, tieBreakOptions = getTieBreakOptions(), ruleSet = rules) {
+    return autoAssignAllBands(students, workshops, prevAssignments, prereqs, JSON.parse(JSON.stringify(uploadedChoices)), studentAssistants, studentPriorityScores, ruleSet, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, cannotBeParallel, activeBandIds, { engine, fallbackPlacement, cancelUnderfilled, rulePriority, studentClasses, studentBandConstraints, studentPairs, ...tieBreakOptions });
+  }
+
+  function runValidation() {
+    const issues = validateConfiguration({
+      students, workshops, prereqs, cannotBeParallel, rules, confirmedAssignments,
+      schoolYearStart: yearTrimester.schoolYearStart, currentTrimester: yearTrimester.trimester, activeBandIds, studentBandConstraints, studentPairs,
+    });
+    setValidationIssues(issues);
+    return issues;
+  }
+
+  // Jump from a check issue to the workshop or rule it is about
+  function showIssueTarget(target) {
+    setTab(target.type === 'workshop' ? 'workshops' : 'rules');
+    setHighlightedIssueTarget(target);
+    setTimeout(() => {
+      issueTargetRefs.current[`${target.type}:${target.id}`]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 100);
   }
 
   function runAutoAssign() {
-    const res = autoAssignAllBands(students, workshops, prevAssignments, prereqs, JSON.parse(JSON.stringify(uploadedChoices)), studentAssistants, studentPriorityScores, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, cannotBeParallel, activeBandIds);
+    const errors = runValidation().filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      const list = errors.slice(0, 5).map(issue => `• ${issue.message}`).join('\n');
+      const more = errors.length > 5 ? `\n… und ${errors.length - 5} weitere` : '';
+      if (!window.confirm(`Die Konfiguration ist nicht erfüllbar:\n\n${list}${more}\n\nDetails unter "Belegungs-Regeln" → "Konfiguration prüfen". Trotzdem automatisch zuordnen?`)) {
+        return;
+      }
+    }
+    applyAutoAssignResult(computeAutoAssignResult(assignmentEngine));
+  }
+
+  // Run both engines on the same input (and the same lottery seed) so the coordinator can compare before applying one
+  function compareAssignmentEngines() {
+    const comparison = {};
+    const tieBreakOptions = getTieBreakOptions();
+    ASSIGNMENT_ENGINES.forEach(engine => {
+      comparison[engine.id] = computeAutoAssignResult(engine.id, tieBreakOptions);
+    });
+    setEngineComparison(comparison);
+  }
+
+  function getAutoResultSummary(res) {
+    const bandAssignments = {};
+    let unassigned = 0;
+    res.activeBandIds.forEach(bandId => {
+      bandAssignments[bandId] = res.bandResults[bandId]?.assignments || {};
+      Object.keys(uploadedChoices[bandId] || {}).forEach(student => {
+        if ((uploadedChoices[bandId][student] || []).length > 0 && !bandAssignments[bandId][student]) {
+          unassigned++;
+        }
+      });
+    });
+    const forced = {};
+    res.activeBandIds.forEach(bandId => {
+      forced[bandId] = res.bandResults[bandId]?.forced || {};
+    });
+    const stats = computeBandStatistics(bandAssignments, uploadedChoices, res.activeBandIds, forced);
+    return { ...stats, unassigned, problemCount: res.problems.length };
+  }
+
+  function saveScenarios(list) {
+    const key = getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
+    // Scenarios saved before results were compacted are shrunk on the next save
+    const compact = list.map(scenario => ({ ...scenario, result: compactAutoAssignResult(scenario.result) }));
+    save(`wv_scenarios_${key}`, compact, false);
+    setScenarios(compact);
+  }
+
+  function runScenario(settings, tieBreakOptions) {
+    const scenarioWorkshops = {};
+    Object.entries(workshops).forEach(([workshopName, workshop]) => {
+      const override = settings.capacityOverrides[workshopName];
+      scenarioWorkshops[workshopName] = override !== undefined ? { ...workshop, capacity: override } : workshop;
+    });
+    return autoAssignAllBands(students, scenarioWorkshops, prevAssignments, prereqs, JSON.parse(JSON.stringify(uploadedChoices)), studentAssistants, studentPriorityScores, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, cannotBeParallel, getBandIds(settings.bandCount), { engine: settings.engine, fallbackPlacement: settings.fallbackPlacement, cancelUnderfilled, rulePriority, studentClasses, studentBandConstraints, studentPairs, ...tieBreakOptions });
+  }
+
+  function createScenario(name, settings) {
+    const tieBreakOptions = getTieBreakOptions();
+    saveScenarios([...scenarios, {
+      id: Date.now(),
+      name,
+      createdAt: new Date().toISOString(),
+      settings: { ...settings, tieBreak: tieBreakOptions.tieBreak },
+      result: compactAutoAssignResult(runScenario(settings, tieBreakOptions)),
+    }]);
+  }
+
+  function deleteScenario(id) {
+    if (!window.confirm('Szenario wirklich löschen?')) return;
+    saveScenarios(scenarios.filter(s => s.id !== id));
+  }
+
+  // Promoting makes the scenario result the confirmed assignment of this trimester
+  function promoteScenario(id) {
+    const scenario = scenarios.find(s => s.id === id);
+    if (!scenario) return;
+    if (!window.confirm(`Szenario "${scenario.name}" übernehmen? Die aktuelle Zuordnung dieses Trimesters wird ersetzt.`)) return;
+
+    const overrides = Object.entries(scenario.settings.capacityOverrides || {});
+    if (overrides.length > 0 && window.confirm('Sollen auch die Kapazitätsänderungen des Szenarios übernommen werden?')) {
+      overrides.forEach(([workshopName, capacity]) => updateWorkshopCapacity(workshopName, capacity));
+    }
+
+    const bandIds = getBandIds(scenario.settings.bandCount);
+    setActiveBandCount(bandIds.length);
+    if (!bandIds.includes(activeBand)) {
+      setActiveBand(bandIds[0]);
+    }
+    // Re-run with the scenario's settings and seed to get the decision traces back; if the inputs changed
+    // since and the run differs, the saved assignments win (without traces)
+    const { tieBreak } = scenario.settings;
+    const rerun = tieBreak ? runScenario(scenario.settings, { ...getTieBreakOptions(tieBreak.seed), tieBreak }) : null;
+    const sameAssignments = rerun && bandIds.every(bandId =>
+      JSON.stringify(rerun.bandResults[bandId]?.assignments || {}) === JSON.stringify(scenario.result.bandResults[bandId]?.assignments || {})
+    );
+    applyAutoAssignResult(sameAssignments ? rerun : scenario.result);
+  }
+
+  function applyAutoAssignResult(res) {
     setAutoResult(res);
+    setEngineComparison(null);
     
     const key = getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
     const autoResultKey = `wv_autoResult_${key}`;
@@ -2213,7 +5717,7 @@ export default function WerkstattVerwaltungApp() {
     
     const newDragAssignments = createEmptyBandMap();
     for (const s of students) {
-      activeBandIds.forEach(bandId => {
+      res.activeBandIds.forEach(bandId => {
         newDragAssignments[bandId][s] = res.bandResults[bandId]?.assignments[s] || "Nicht Zugeordnen";
       });
     }
@@ -2321,6 +5825,7 @@ export default function WerkstattVerwaltungApp() {
     
     const assignments = assignmentData.assignments;
     const reportBandIds = getPayloadBandIds(assignmentData);
+    const reportChoices = normalizeBandDataObject(load(`wv_choices_${key}`, createEmptyChoicesMap()));
     const wb = XLSX.utils.book_new();
     
     // Group students by class
@@ -2346,11 +5851,11 @@ export default function WerkstattVerwaltungApp() {
         [`${reportYearTrimester.schoolYearStart}-${reportYearTrimester.schoolYearEnd} - Trimester ${reportYearTrimester.trimester}`],
         [`Erstellt am: ${new Date().toLocaleDateString('de-DE')}`],
         [], // Empty row
-        ['Schüler', 'Band', 'Werkstatt', 'Raum', 'Lehrer'] // Header row
+        ['Schüler', 'Band', 'Werkstatt', 'Wahl', 'Raum', 'Lehrer'] // Header row
       ];
       
       classStudents.forEach(student => {
-        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers)
+        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers, reportChoices)
           .forEach(row => tableData.push(row));
       });
       
@@ -2362,6 +5867,7 @@ export default function WerkstattVerwaltungApp() {
         { wch: 25 }, // Schüler
         { wch: 12 }, // Band
         { wch: 30 }, // Werkstatt
+        { wch: 10 }, // Wahl
         { wch: 12 }, // Raum
         { wch: 20 }  // Lehrer
       ];
@@ -2390,6 +5896,7 @@ export default function WerkstattVerwaltungApp() {
     
     const assignments = assignmentData.assignments;
     const reportBandIds = getPayloadBandIds(assignmentData);
+    const reportChoices = normalizeBandDataObject(load(`wv_choices_${key}`, createEmptyChoicesMap()));
     
     // Group students by class
     const studentsByClass = {};
@@ -2415,11 +5922,11 @@ export default function WerkstattVerwaltungApp() {
         [`${reportYearTrimester.schoolYearStart}-${reportYearTrimester.schoolYearEnd} - Trimester ${reportYearTrimester.trimester}`],
         [`Erstellt am: ${new Date().toLocaleDateString('de-DE')}`],
         [], // Empty row
-        ['Schüler', 'Band', 'Werkstatt', 'Raum', 'Lehrer'] // Header row
+        ['Schüler', 'Band', 'Werkstatt', 'Wahl', 'Raum', 'Lehrer'] // Header row
       ];
       
       classStudents.forEach(student => {
-        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers)
+        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers, reportChoices)
           .forEach(row => tableData.push(row));
       });
       
@@ -2431,6 +5938,7 @@ export default function WerkstattVerwaltungApp() {
         { wch: 25 }, // Schüler
         { wch: 12 }, // Band
         { wch: 30 }, // Werkstatt
+        { wch: 10 }, // Wahl
         { wch: 12 }, // Raum
         { wch: 20 }  // Lehrer
       ];
@@ -2572,6 +6080,7 @@ export default function WerkstattVerwaltungApp() {
     
     const assignments = assignmentData.assignments;
     const reportBandIds = getPayloadBandIds(assignmentData);
+    const reportChoices = normalizeBandDataObject(load(`wv_choices_${key}`, createEmptyChoicesMap()));
     
     // Create new PDF document
     const doc = new jsPDF('p', 'mm', 'a4');
@@ -2634,24 +6143,25 @@ export default function WerkstattVerwaltungApp() {
       // Prepare table data - each student gets two rows (one per band)
       const tableData = [];
       classStudents.forEach(student => {
-        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers)
+        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers, reportChoices)
           .forEach(row => tableData.push(row));
       });
       
       // Add table
       autoTable(doc, {
         startY: yPos,
-        head: [['Schüler', 'Band', 'Werkstatt', 'Raum', 'Lehrer']],
+        head: [['Schüler', 'Band', 'Werkstatt', 'Wahl', 'Raum', 'Lehrer']],
         body: tableData,
         theme: 'striped',
         headStyles: { fillColor: [66, 139, 202], textColor: 255, fontStyle: 'bold' },
         styles: { fontSize: 8, cellPadding: 1.5 },
         columnStyles: {
-          0: { cellWidth: 45, fontStyle: 'bold' },
-          1: { cellWidth: 25, fontStyle: 'normal' },
-          2: { cellWidth: 50 },
-          3: { cellWidth: 25 },
-          4: { cellWidth: 40 }
+          0: { cellWidth: 40, fontStyle: 'bold' },
+          1: { cellWidth: 20, fontStyle: 'normal' },
+          2: { cellWidth: 45 },
+          3: { cellWidth: 20 },
+          4: { cellWidth: 22 },
+          5: { cellWidth: 35 }
         },
         didParseCell: function(data) {
           // Don't modify header cells - they should use headStyles
@@ -2704,6 +6214,7 @@ export default function WerkstattVerwaltungApp() {
     
     const assignments = assignmentData.assignments;
     const reportBandIds = getPayloadBandIds(assignmentData);
+    const reportChoices = normalizeBandDataObject(load(`wv_choices_${key}`, createEmptyChoicesMap()));
     
     // Group students by class
     const studentsByClass = {};
@@ -2745,24 +6256,25 @@ export default function WerkstattVerwaltungApp() {
       // Prepare table data - each student gets two rows (one per band)
       const tableData = [];
       classStudents.forEach(student => {
-        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers)
+        buildStudentReportRows(student, assignments, reportBandIds, workshopRooms, workshopTeachers, reportChoices)
           .forEach(row => tableData.push(row));
       });
       
       // Add table
       autoTable(doc, {
         startY: yPos,
-        head: [['Schüler', 'Band', 'Werkstatt', 'Raum', 'Lehrer']],
+        head: [['Schüler', 'Band', 'Werkstatt', 'Wahl', 'Raum', 'Lehrer']],
         body: tableData,
         theme: 'striped',
         headStyles: { fillColor: [66, 139, 202], textColor: 255, fontStyle: 'bold' },
         styles: { fontSize: 8, cellPadding: 1.5 },
         columnStyles: {
-          0: { cellWidth: 45, fontStyle: 'bold' },
-          1: { cellWidth: 25, fontStyle: 'normal' },
-          2: { cellWidth: 50 },
-          3: { cellWidth: 25 },
-          4: { cellWidth: 40 }
+          0: { cellWidth: 40, fontStyle: 'bold' },
+          1: { cellWidth: 20, fontStyle: 'normal' },
+          2: { cellWidth: 45 },
+          3: { cellWidth: 20 },
+          4: { cellWidth: 22 },
+          5: { cellWidth: 35 }
         },
         didParseCell: function(data) {
           // Don't modify header cells - they should use headStyles
@@ -2795,6 +6307,65 @@ export default function WerkstattVerwaltungApp() {
     });
   }
 
+  // PDF export of the decision trace of one student (last auto-assignment of the current trimester)
+  function exportStudentTracePDF(student) {
+    if (!autoResult || !autoResult.bandResults) {
+      alert('Für dieses Trimester liegt keine Auto-Zuordnung vor.');
+      return;
+    }
+    const key = getSchoolYearKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
+    const doc = new jsPDF('p', 'mm', 'a4');
+    const pageWidth = doc.internal.pageSize.getWidth();
+    let yPos = 20;
+
+    doc.setFontSize(18);
+    doc.setFont(undefined, 'bold');
+    doc.text(`Zuordnungsprotokoll: ${student}`, pageWidth / 2, yPos, { align: 'center' });
+    yPos += 8;
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'normal');
+    doc.text(`${yearTrimester.schoolYearStart}-${yearTrimester.schoolYearEnd} - Trimester ${yearTrimester.trimester}`, pageWidth / 2, yPos, { align: 'center' });
+    yPos += 6;
+
+    doc.setFontSize(10);
+    doc.setTextColor(100, 100, 100);
+    doc.text(`Verfahren: ${getAssignmentEngineLabel(autoResult.engine)} · Erstellt am: ${new Date().toLocaleDateString('de-DE')}`, pageWidth / 2, yPos, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPos += 10;
+
+    (autoResult.activeBandIds || Object.keys(autoResult.bandResults)).forEach(bandId => {
+      const entry = autoResult.bandResults[bandId]?.trace?.[student];
+      doc.setFontSize(12);
+      doc.setFont(undefined, 'bold');
+      doc.text(getBandLabel(bandId), 20, yPos);
+      yPos += 5;
+      doc.setFontSize(9);
+      doc.setFont(undefined, 'normal');
+      doc.text(describeTracePriority(entry), 20, yPos);
+      yPos += 3;
+
+      autoTable(doc, {
+        startY: yPos,
+        head: [['Schritt', 'Details']],
+        body: (entry?.steps || []).map((step, idx) => [String(idx + 1), describeTraceStep(step)]),
+        theme: 'striped',
+        headStyles: { fillColor: [66, 139, 202], textColor: 255, fontStyle: 'bold' },
+        styles: { fontSize: 8, cellPadding: 1.5 },
+        columnStyles: { 0: { cellWidth: 15 } },
+        margin: { left: 20, right: 20 }
+      });
+      yPos = doc.lastAutoTable.finalY + 10;
+      if (yPos > doc.internal.pageSize.getHeight() - 30) {
+        doc.addPage();
+        yPos = 20;
+      }
+    });
+
+    const safeName = student.replace(/[^a-zA-Z0-9]/g, '_');
+    doc.save(`Zuordnungsprotokoll_${safeName}_${key}.pdf`);
+  }
+
   // PDF Report generation functions - generates one PDF with all workshops
   function generatePDFAllWorkshopsReport() {
     const key = getSchoolYearKey(reportYearTrimester.schoolYearStart, reportYearTrimester.schoolYearEnd, reportYearTrimester.trimester);
@@ -3064,6 +6635,8 @@ export default function WerkstattVerwaltungApp() {
         [LS_KEYS.workshopTeachers]: workshopTeachers,
         [LS_KEYS.workshopRooms]: workshopRooms,
         [LS_KEYS.archivedWorkshops]: archivedWorkshops,
+        [LS_KEYS.studentBandConstraints]: studentBandConstraints,
+        [LS_KEYS.studentPairs]: studentPairs,
         [LS_KEYS.assignments]: confirmedAssignments
       };
       
@@ -3111,6 +6684,8 @@ export default function WerkstattVerwaltungApp() {
       if (importedData[LS_KEYS.workshopTeachers]) setWorkshopTeachers(importedData[LS_KEYS.workshopTeachers]);
       if (importedData[LS_KEYS.workshopRooms]) setWorkshopRooms(importedData[LS_KEYS.workshopRooms]);
       if (importedData[LS_KEYS.archivedWorkshops]) setArchivedWorkshops(importedData[LS_KEYS.archivedWorkshops]);
+      if (importedData[LS_KEYS.studentBandConstraints]) setStudentBandConstraints(importedData[LS_KEYS.studentBandConstraints]);
+      if (importedData[LS_KEYS.studentPairs]) setStudentPairs(importedData[LS_KEYS.studentPairs]);
       if (importedData.assignments) {
         setConfirmedAssignments(importedData.assignments);
       }
@@ -3147,6 +6722,14 @@ export default function WerkstattVerwaltungApp() {
     if (!isWorkshopAvailableInBand(workshops, workshopName, band)) {
       return { ok: false, reason: `Diese Werkstatt ist in ${getBandLabel(band)} nicht verfügbar.` };
     }
+    const eligibilityViolation = getEligibilityViolation(workshops, workshopName, studentClasses[student]);
+    if (eligibilityViolation) {
+      return { ok: false, reason: eligibilityViolation };
+    }
+    const bandViolation = getBandConstraintViolation(bandRestrictions[student], workshopName, band);
+    if (bandViolation) {
+      return { ok: false, reason: bandViolation };
+    }
     
     for (const otherBandId of activeBandIds) {
       if (otherBandId === band) continue;
@@ -3165,6 +6748,9 @@ export default function WerkstattVerwaltungApp() {
       if (thisWorkshopCannotBeParallel.includes(otherBandAssignment)) {
         return { ok: false, reason: `Kann nicht parallel zu ${otherBandAssignment} (${getBandLabel(otherBandId)}) belegt werden.` };
       }
+      if (isSameBandPair(bandRestrictions[student], otherBandAssignment, workshopName)) {
+        return { ok: false, reason: `${workshopName} muss im selben Band wie ${otherBandAssignment} belegt werden, nicht parallel (${getBandLabel(otherBandId)}).` };
+      }
     }
     
     const counts = getCurrentWorkshopCounts();
@@ -3172,38 +6758,37 @@ export default function WerkstattVerwaltungApp() {
     if ((counts[workshopName] ?? 0) >= capacity) {
       return { ok: false, reason: `Kapazität erreicht (${counts[workshopName]}/${capacity})` };
     }
-    const last = prevAssignments[student];
-    if (last && last === workshopName) {
-      return { ok: false, reason: `Schüler hatte diese Werkstatt bereits letztes Jahr (${last}).` };
+    const maxAssistance = getWorkshopMaxAssistance(workshops[workshopName]);
+    if (studentAssistants[student] && maxAssistance !== null) {
+      const assistanceCount = getAssistanceCount(workshopName, band, student);
+      if (assistanceCount >= maxAssistance) {
+        return { ok: false, reason: `Max. ${maxAssistance} Schüler mit Lernbegleitung in ${workshopName} erreicht (${assistanceCount}/${maxAssistance}).` };
+      }
+    }
+    const repeatViolation = getRepeatViolation(workshops, workshopName, lastTaken[student], getSlotOrdinal(yearTrimester.schoolYearStart, yearTrimester.trimester));
+    if (repeatViolation) {
+      return { ok: false, reason: repeatViolation };
+    }
+    if (!hasPrereqs(student, workshopName, completedCourses, prereqs)) {
+      return { ok: false, reason: `Voraussetzungen für ${workshopName} nicht erfüllt (${formatPrereqExpression(prereqs[workshopName])}).` };
     }
-    if (!hasPrereqs(student, workshopName, prevAssignments, prereqs)) {
-      return { ok: false, reason: `Voraussetzungen für ${workshopName} nicht erfüllt.` };
+    const pairViolation = getStudentPairViolation(studentPairs, student, workshopName, dragAssignments[band] || {});
+    if (pairViolation) {
+      return { ok: false, reason: pairViolation };
     }
 
-    const requiredFolgekurs = getRequiredFolgekurs(student, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, band);
+    const requiredFolgekurs = getRequiredFolgekurs(student, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, band, activeBandIds);
     if (requiredFolgekurs) {
       const isFulfilled = isFolgekursFulfilled(requiredFolgekurs, dragAssignments, student, activeBandIds);
-      if (requiredFolgekurs.band !== null) {
-        if (requiredFolgekurs.band === band) {
-          if (!isFulfilled && requiredFolgekurs.course !== workshopName) {
-            const prevKey = getPreviousTrimesterKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
-            return { 
-              ok: false, 
-              reason: `Folgekurs-Regel: Schüler muss ${requiredFolgekurs.course} belegen (hat im vorherigen Trimester ${prevKey} einen Kurs belegt, der diese Regel auslöst).` 
-            };
-          }
-        } else if (workshopName === requiredFolgekurs.course) {
+      if (requiredFolgekurs.band !== null && requiredFolgekurs.band !== band) {
+        if (requiredFolgekurs.courses.includes(workshopName)) {
           return { 
             ok: false, 
-            reason: `Folgekurs-Regel: ${requiredFolgekurs.course} muss im ${getBandLabel(requiredFolgekurs.band)} belegt werden (gleiches Band wie im vorherigen Trimester erforderlich).` 
+            reason: `Folgekurs-Regel: ${workshopName} muss im ${getBandLabel(requiredFolgekurs.band)} belegt werden (gleiches Band wie der Ausgangskurs erforderlich).` 
           };
         }
-      } else if (!isFulfilled && requiredFolgekurs.course !== workshopName) {
-        const prevKey = getPreviousTrimesterKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester);
-        return { 
-          ok: false, 
-          reason: `Folgekurs-Regel: Schüler muss ${requiredFolgekurs.course} belegen (hat im vorherigen Trimester ${prevKey} einen Kurs belegt, der diese Regel auslöst).` 
-        };
+      } else if (!isFulfilled && !requiredFolgekurs.courses.includes(workshopName)) {
+        return { ok: false, reason: describeRequiredFolgekurs(requiredFolgekurs) };
       }
     }
 
@@ -3349,99 +6934,32 @@ export default function WerkstattVerwaltungApp() {
       }));
     } else {
       // Also check for Folgekurs rule violations even if other checks pass
-      const requiredFolgekurs = getRequiredFolgekurs(student, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, activeBand);
+      const requiredFolgekurs = getRequiredFolgekurs(student, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester, activeBand, activeBandIds);
       if (requiredFolgekurs) {
         // Check if the rule is already fulfilled in the current assignments (after this drop)
         const updatedAssignments = { ...dragAssignments };
         updatedAssignments[activeBand] = { ...updatedAssignments[activeBand], [student]: workshopName };
-        const erstesBandAssignment = updatedAssignments.erstesBand?.[student];
-        const zweitesBandAssignment = updatedAssignments.zweitesBand?.[student];
-        
-        // Check if rule is already fulfilled
-        let isFulfilled = false;
-        
-        if (requiredFolgekurs.band !== null) {
-          // sameBand is required - check only the same band
-          if (requiredFolgekurs.band === 'erstesBand' && erstesBandAssignment === requiredFolgekurs.course) {
-            isFulfilled = true;
-          } else if (requiredFolgekurs.band === 'zweitesBand' && zweitesBandAssignment === requiredFolgekurs.course) {
-            isFulfilled = true;
+        const isFulfilled = isFolgekursFulfilled(requiredFolgekurs, updatedAssignments, student, activeBandIds);
+
+        let violation = null;
+        if (requiredFolgekurs.band !== null && requiredFolgekurs.band !== activeBand) {
+          // This is NOT the required band - the required course must not be taken here
+          if (requiredFolgekurs.courses.includes(workshopName)) {
+            violation = `Folgekurs-Regel: ${workshopName} muss im ${getBandLabel(requiredFolgekurs.band)} belegt werden (gleiches Band wie der Ausgangskurs erforderlich).`;
           }
-          
-          // Check if we're in the required band
-          if (requiredFolgekurs.band === activeBand) {
-            // This is the band where the rule applies
-            if (!isFulfilled && requiredFolgekurs.course !== workshopName) {
-              setPersistentViolations(prev => ({
-                ...prev,
-                [workshopName]: {
-                  ...(prev[workshopName] || {}),
-                  [student]: `Folgekurs-Regel: Schüler muss ${requiredFolgekurs.course} belegen (hat im vorherigen Trimester ${getPreviousTrimesterKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)} einen Kurs belegt, der diese Regel auslöst).`
-                }
-              }));
-            } else if (requiredFolgekurs.course === workshopName) {
-              // Clear violation for this student if assignment is now valid
-              setPersistentViolations(prev => {
-                const updated = { ...prev };
-                if (updated[workshopName]) {
-                  const copy = { ...updated[workshopName] };
-                  delete copy[student];
-                  if (Object.keys(copy).length === 0) {
-                    delete updated[workshopName];
-                  } else {
-                    updated[workshopName] = copy;
-                  }
-                }
-                return updated;
-              });
-            }
-          } else {
-            // This is NOT the required band
-            // If student is trying to assign the required course here, that's wrong
-            if (workshopName === requiredFolgekurs.course) {
-              setPersistentViolations(prev => ({
-                ...prev,
-                [workshopName]: {
-                  ...(prev[workshopName] || {}),
-                  [student]: `Folgekurs-Regel: ${requiredFolgekurs.course} muss im ${requiredFolgekurs.band === 'erstesBand' ? 'Ersten' : 'Zweiten'} Band belegt werden (gleiches Band wie im vorherigen Trimester erforderlich).`
-                }
-              }));
+        } else if (!isFulfilled) {
+          violation = describeRequiredFolgekurs(requiredFolgekurs);
+        }
+
+        if (violation) {
+          setPersistentViolations(prev => ({
+            ...prev,
+            [workshopName]: {
+              ...(prev[workshopName] || {}),
+              [student]: violation
             }
-          }
+          }));
         } else {
-          // sameBand is not required - check both bands
-          if (erstesBandAssignment === requiredFolgekurs.course || zweitesBandAssignment === requiredFolgekurs.course) {
-            isFulfilled = true;
-          }
-          
-          // Only show warning if rule is not fulfilled and student is trying to assign something else
-          if (!isFulfilled && requiredFolgekurs.course !== workshopName) {
-            setPersistentViolations(prev => ({
-              ...prev,
-              [workshopName]: {
-                ...(prev[workshopName] || {}),
-                  [student]: `Folgekurs-Regel: Schüler muss ${requiredFolgekurs.course} belegen (hat im vorherigen Trimester ${getPreviousTrimesterKey(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)} einen Kurs belegt, der diese Regel auslöst).`
-              }
-            }));
-          } else if (requiredFolgekurs.course === workshopName) {
-            // Clear violation for this student if assignment is now valid
-            setPersistentViolations(prev => {
-              const updated = { ...prev };
-              if (updated[workshopName]) {
-                const copy = { ...updated[workshopName] };
-                delete copy[student];
-                if (Object.keys(copy).length === 0) {
-                  delete updated[workshopName];
-                } else {
-                  updated[workshopName] = copy;
-                }
-              }
-              return updated;
-            });
-          }
-        }
-        
-        if (isFulfilled) {
           // Rule is fulfilled, clear any violations
           setPersistentViolations(prev => {
             const updated = { ...prev };
@@ -3531,6 +7049,83 @@ export default function WerkstattVerwaltungApp() {
     });
   }
   
+  // Empty input removes the cap
+  function updateWorkshopMaxAssistance(name, value) {
+    const parsed = parseInt(value, 10);
+    setWorkshops(prev => {
+      const current = prev[name] || { capacity: 0, availableBands: ['erstesBand', 'zweitesBand'] };
+      return {
+        ...prev,
+        [name]: {
+          ...current,
+          maxAssistance: Number.isNaN(parsed) || parsed < 0 ? null : parsed
+        }
+      };
+    });
+  }
+
+  // Empty input removes the minimum
+  function updateWorkshopMinParticipants(name, value) {
+    const parsed = parseInt(value, 10);
+    setWorkshops(prev => {
+      const current = prev[name] || { capacity: 0, availableBands: ['erstesBand', 'zweitesBand'] };
+      return {
+        ...prev,
+        [name]: {
+          ...current,
+          minParticipants: Number.isNaN(parsed) || parsed <= 0 ? null : parsed
+        }
+      };
+    });
+  }
+
+  // Raw "N Trimester" input per workshop while it is being edited, so clearing it does not reset the policy
+  const [repeatAfterDrafts, setRepeatAfterDrafts] = useState({});
+
+  // field: 'mode' or 'afterTrimesters'; an empty or invalid N keeps the previous one
+  function updateWorkshopRepeatPolicy(name, field, value) {
+    setWorkshops(prev => {
+      const current = prev[name] || { capacity: 0, availableBands: ['erstesBand', 'zweitesBand'] };
+      const repeatPolicy = { ...getWorkshopRepeatPolicy(current) };
+      if (field === 'mode') {
+        repeatPolicy.mode = value;
+        if (value === 'after' && repeatPolicy.afterTrimesters === null) repeatPolicy.afterTrimesters = 3;
+      } else {
+        const parsed = parseInt(value, 10);
+        if (Number.isNaN(parsed) || parsed <= 0) return prev;
+        repeatPolicy.afterTrimesters = parsed;
+      }
+      return {
+        ...prev,
+        [name]: {
+          ...current,
+          repeatPolicy
+        }
+      };
+    });
+  }
+
+  // field: 'classes' (comma-separated patterns), 'minGrade' or 'maxGrade'; empty input clears it
+  function updateWorkshopEligibility(name, field, value) {
+    setWorkshops(prev => {
+      const current = prev[name] || { capacity: 0, availableBands: ['erstesBand', 'zweitesBand'] };
+      const eligibility = getWorkshopEligibility(current);
+      if (field === 'classes') {
+        eligibility.classes = value.split(',').map(c => c.trim()).filter(c => c);
+      } else {
+        const parsed = parseInt(value, 10);
+        eligibility[field] = Number.isNaN(parsed) ? null : parsed;
+      }
+      return {
+        ...prev,
+        [name]: {
+          ...current,
+          eligibility
+        }
+      };
+    });
+  }
+
   function updateWorkshopAvailableBands(name, bands) {
     setWorkshops(prev => {
       const current = prev[name] || { capacity: 0, availableBands: ['erstesBand', 'zweitesBand'] };
@@ -3603,6 +7198,10 @@ export default function WerkstattVerwaltungApp() {
         [name]: {
           capacity: capacity,
           availableBands: availableBands,
+          maxAssistance: getWorkshopMaxAssistance(workshopData),
+          eligibility: getWorkshopEligibility(workshopData),
+          minParticipants: getWorkshopMinParticipants(workshopData),
+          repeatPolicy: getWorkshopRepeatPolicy(workshopData),
           archivedAt: new Date().toISOString()
         }
       }));
@@ -3650,7 +7249,11 @@ export default function WerkstattVerwaltungApp() {
       ...prev,
       [name]: {
         capacity: archived.capacity || 0,
-        availableBands: archived.availableBands || ['erstesBand', 'zweitesBand']
+        availableBands: archived.availableBands || ['erstesBand', 'zweitesBand'],
+        maxAssistance: getWorkshopMaxAssistance(archived),
+        eligibility: getWorkshopEligibility(archived),
+        minParticipants: getWorkshopMinParticipants(archived),
+        repeatPolicy: getWorkshopRepeatPolicy(archived)
       }
     }));
     
@@ -3780,17 +7383,127 @@ export default function WerkstattVerwaltungApp() {
     });
   }
 
-  // Rules tab: manage rules - students must have taken ALL listed courses at some point
+  // Rules tab: manage rules
   // Rule types:
-  // - "belegung": { type: "belegung", name, options: ["Kunst I","Kunst II"] } - student must have taken ALL courses
-  // - "folgekurs": { type: "folgekurs", name, fromCourse, toCourse, sameBand: boolean } - if student takes fromCourse in trimester T, they must take toCourse in trimester T+1
+  // - "belegung": { type: "belegung", name, options: ["Kunst I","Kunst II"], minCount, windowLength, windowUnit } -
+  //   student must take at least minCount (default: all) of the options within the window (default: any time)
+  // - "folgekurs": { type: "folgekurs", name, fromCourse, toCourses, sameBand: boolean, withinTrimesters } - if student takes
+  //   fromCourse in trimester T, they must take one of toCourses by trimester T+withinTrimesters
   function addRule(rule) {
-    setRules(prev => [...prev, { ...rule, id: Date.now() }]);
+    if (rule.type === 'folgekurs') {
+      const conflicting = findConflictingFolgekursRules(rule, rules);
+      if (conflicting.length > 0 && !window.confirm(`Die Regel widerspricht ${conflicting.map(other => `„${other.name}“`).join(', ')}: Nach ${rule.fromCourse} würden im selben Band verschiedene Folgekurse verlangt. Trotzdem anlegen?`)) {
+        return;
+      }
+    }
+    // Chains add several rules at once, so the id needs more than the timestamp
+    setRules(prev => [...prev, { ...rule, id: Date.now() + Math.random() }]);
+    setRulePreview(null);
+  }
+
+  // "What if" for draft rules from CreateRuleForm: impact on students and on the last auto-assignment
+  const [rulePreview, setRulePreview] = useState(null); // { draftRules, impact, rerun: { before, after, changes } | null }
+
+  function previewRules(draft) {
+    const draftRules = draft.map((rule, idx) => ({ ...rule, id: `draft-${idx}` }));
+    const impact = simulateRuleImpact({
+      draftRules, students, rules, confirmedAssignments, choicesMap: uploadedChoices,
+      schoolYearStart: yearTrimester.schoolYearStart, currentTrimester: yearTrimester.trimester, activeBandIds,
+    });
+    let rerun = null;
+    if (autoResult) {
+      // Same engine and lottery seed as the last run; options or choices may have changed since, so the
+      // baseline is re-run with today's inputs, too, and the only difference left is the draft rule
+      const engine = autoResult.engine || assignmentEngine;
+      const tieBreakOptions = getTieBreakOptions(autoResult.tieBreak?.seed || undefined);
+      const before = computeAutoAssignResult(engine, tieBreakOptions);
+      const after = computeAutoAssignResult(engine, tieBreakOptions, [...rules, ...draftRules]);
+      rerun = { before, after, changes: diffAutoAssignResults(before, after, after.activeBandIds) };
+    }
+    setRulePreview({ draftRules, impact, rerun });
   }
   function deleteRule(id) {
     setRules(prev => prev.filter(r => r.id !== id));
   }
 
+  // Rule set exchange: rules, prerequisites and "nicht parallel" as one JSON file
+  const [ruleSetImport, setRuleSetImport] = useState(null); // { fileName, items, selected: [keys], skipped: [messages] } while the merge dialog is open
+
+  function handleExportRuleSet() {
+    const json = JSON.stringify(buildRuleSet(rules, prereqs, cannotBeParallel), null, 2);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `regelwerk_${timestamp}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function handleImportRuleSet(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseRuleSet(await file.text());
+      const items = diffRuleSet({ rules, prereqs, cannotBeParallel }, imported);
+      if (!items.some(item => item.status !== 'same')) {
+        const skippedText = imported.skipped.length > 0 ? `\n\nNicht übernommen:\n${imported.skipped.join('\n')}` : '';
+        alert(`Das importierte Regelwerk stimmt mit dem aktuellen überein.${skippedText}`);
+        return;
+      }
+      // New and changed items are preselected; local-only items are kept unless explicitly removed
+      const selected = items.filter(item => item.status === 'new' || item.status === 'changed').map(item => item.key);
+      setRuleSetImport({ fileName: file.name, items, selected, skipped: imported.skipped });
+    } catch (error) {
+      alert(`Fehler beim Importieren des Regelwerks: ${error.message}`);
+    }
+  }
+
+  function toggleRuleSetItem(key) {
+    setRuleSetImport(prev => ({
+      ...prev,
+      selected: prev.selected.includes(key) ? prev.selected.filter(k => k !== key) : [...prev.selected, key],
+    }));
+  }
+
+  function applyRuleSetImport() {
+    const merged = mergeRuleSet({ rules, prereqs, cannotBeParallel }, ruleSetImport.items, ruleSetImport.selected);
+    setRules(merged.rules);
+    setPrereqs(merged.prereqs);
+    setCannotBeParallel(merged.cannotBeParallel);
+    setRuleSetImport(null);
+    setValidationIssues(null);
+  }
+
+  // Students who are at risk of missing (or have missed) a Belegungsregel, as of the selected trimester
+  const belegungRuleRisks = useMemo(() => {
+    const currentOrdinal = getSlotOrdinal(yearTrimester.schoolYearStart, yearTrimester.trimester);
+    const belegungRules = rules.filter(r => (r.type || 'belegung') === 'belegung' && getRuleWindowTrimesters(r) !== null);
+    const risks = [];
+    students.forEach(student => {
+      const history = getStudentCourseHistory(student, confirmedAssignments);
+      belegungRules.forEach(rule => {
+        const evaluation = evaluateBelegungRule(rule, history, currentOrdinal, activeBandIds.length);
+        if (evaluation.status === 'atRisk' || evaluation.status === 'missed') {
+          risks.push({ student, rule, evaluation });
+        }
+      });
+    });
+    // Missed first, then by fewest spare course slots
+    return risks.sort((a, b) =>
+      (a.evaluation.status === 'missed' ? 0 : 1) - (b.evaluation.status === 'missed' ? 0 : 1) ||
+      (a.evaluation.spare ?? 0) - (b.evaluation.spare ?? 0) ||
+      a.student.localeCompare(b.student)
+    );
+  }, [students, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester, activeBandIds.length]);
+
+  // Students whose due Folgekurs follow-ups demand different courses in the same band, as of the selected trimester
+  const folgekursConflicts = useMemo(
+    () => collectFolgekursConflicts(students, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester, activeBandIds),
+    [students, rules, confirmedAssignments, yearTrimester.schoolYearStart, yearTrimester.trimester, activeBandIds]
+  );
+
   // Student trimester management
   function updateStudentTrimester(student, trimester) {
     setStudentTrimesters(prev => ({ ...prev, [student]: trimester }));
@@ -3801,11 +7514,45 @@ export default function WerkstattVerwaltungApp() {
     setStudentComments(prev => ({ ...prev, [student]: comment }));
   }
 
+  function addStudentPair(type, studentA, studentB, hard) {
+    if (studentPairs.some(pair => pair.type === type && pair.students.includes(studentA) && pair.students.includes(studentB))) {
+      alert('Diese Vorgabe ist bereits eingetragen.');
+      return;
+    }
+    const opposite = studentPairs.find(pair => pair.type !== type && pair.students.includes(studentA) && pair.students.includes(studentB));
+    if (opposite && !window.confirm(`Es gibt bereits die Vorgabe „${describeStudentPair(opposite)}“. Trotzdem hinzufügen?`)) return;
+    setStudentPairs(prev => [...prev, { id: Date.now(), type, students: [studentA, studentB], hard }]);
+  }
+
+  function removeStudentPair(id) {
+    setStudentPairs(prev => prev.filter(pair => pair.id !== id));
+  }
+
+  // Band blocks and pins of a student; empty constraints are dropped
+  function updateStudentBandConstraints(student, constraints) {
+    setStudentBandConstraints(prev => {
+      const copy = { ...prev };
+      if (constraints.blockedBands.length + constraints.pins.length + constraints.sameBand.length === 0) {
+        delete copy[student];
+      } else {
+        copy[student] = constraints;
+      }
+      return copy;
+    });
+  }
+
   // NEW: toggle personal assistant flag for a student
   function toggleStudentAssistant(student) {
     setStudentAssistants(prev => ({ ...prev, [student]: !prev[student] }));
   }
 
+  // Students with a Lernbegleitung currently assigned to a workshop in a band (optionally ignoring one student)
+  function getAssistanceCount(workshopName, band = activeBand, exceptStudent = null) {
+    return Object.entries(dragAssignments[band] || {})
+      .filter(([student, assignment]) => assignment === workshopName && student !== exceptStudent && studentAssistants[student])
+      .length;
+  }
+
   // Calculate current workshop assignments for the active Band
   function getCurrentWorkshopCounts() {
     const counts = {};
@@ -3826,27 +7573,57 @@ export default function WerkstattVerwaltungApp() {
 
   // Workshop prerequisites management
   const [editingWorkshop, setEditingWorkshop] = useState(null);
-  const [tempPrereqs, setTempPrereqs] = useState([]);
+  const [tempPrereqs, setTempPrereqs] = useState([]); // [{ courses, min }] while the dialog is open
+  const [tempPrereqText, setTempPrereqText] = useState('');
   const [showPrereqDialog, setShowPrereqDialog] = useState(false);
   const [tempCannotBeParallel, setTempCannotBeParallel] = useState([]);
   const [showCannotBeParallelDialog, setShowCannotBeParallelDialog] = useState(false);
 
   function handleWorkshopClick(name) {
     setEditingWorkshop(name);
-    setTempPrereqs(prereqs[name] || []);
+    updateTempPrereqs(getPrereqGroups(prereqs[name]));
     setShowPrereqDialog(true);
   }
 
-  function toggleTempPrereq(course) {
-    if (tempPrereqs.includes(course)) {
-      setTempPrereqs(tempPrereqs.filter((c) => c !== course));
-    } else {
-      setTempPrereqs([...tempPrereqs, course]);
+  function updateTempPrereqs(groups) {
+    setTempPrereqs(groups);
+    setTempPrereqText(formatPrereqExpression(groups));
+  }
+
+  function toggleTempPrereq(groupIndex, course) {
+    updateTempPrereqs(tempPrereqs.map((group, i) => {
+      if (i !== groupIndex) return group;
+      const courses = group.courses.includes(course)
+        ? group.courses.filter((c) => c !== course)
+        : [...group.courses, course];
+      return { courses, min: Math.min(group.min, Math.max(1, courses.length)) };
+    }));
+  }
+
+  function setTempPrereqMin(groupIndex, min) {
+    updateTempPrereqs(tempPrereqs.map((group, i) => (i === groupIndex ? { ...group, min } : group)));
+  }
+
+  function addTempPrereqGroup() {
+    updateTempPrereqs([...tempPrereqs, { courses: [], min: 1 }]);
+  }
+
+  function removeTempPrereqGroup(groupIndex) {
+    updateTempPrereqs(tempPrereqs.filter((_, i) => i !== groupIndex));
+  }
+
+  // Typed expression, e.g. "(Holz I ODER Metall I) UND Sicherheitseinweisung" or "2 aus (A, B, C)"
+  function applyTempPrereqText() {
+    const groups = getPrereqGroups(parsePrereqExpression(tempPrereqText));
+    const unknown = groups.flatMap(group => group.courses).filter(course => !(course in workshops) && !(course in archivedWorkshops));
+    if (unknown.length > 0 && !window.confirm(`Unbekannte Werkstätten: ${[...new Set(unknown)].join(', ')}. Trotzdem übernehmen?`)) {
+      return;
     }
+    updateTempPrereqs(groups);
   }
 
   function saveWorkshopPrereqs() {
-    setPrereqs({ ...prereqs, [editingWorkshop]: tempPrereqs });
+    setPrereqs({ ...prereqs, [editingWorkshop]: toStoredPrereqGroups(tempPrereqs) });
     setShowPrereqDialog(false);
   }
 
@@ -3869,17 +7646,31 @@ export default function WerkstattVerwaltungApp() {
     setShowCannotBeParallelDialog(false);
   }
 
-  function checkViolationsForStudent(s, choices) {
+  function checkViolationsForStudent(s, choices, band = null) {
     const issues = [];
-    // if they chose previous assignment -> violation (we removed it in auto but for record)
-    const last = prevAssignments[s];
-    if (last && (choices || []).includes(last)) {
-      issues.push(`Wahl verletzt Regel: ${last} war bereits letztes Jahr zugeordnet.`);
-    }
+    // choices the repeat policy forbids (removed in auto but for record)
+    const currentOrdinal = getSlotOrdinal(yearTrimester.schoolYearStart, yearTrimester.trimester);
+    [...new Set(choices || [])].forEach(choice => {
+      const repeatViolation = getRepeatViolation(workshops, choice, lastTaken[s], currentOrdinal);
+      if (repeatViolation) issues.push(`Wahl verletzt Regel: ${repeatViolation}`);
+    });
     // if they picked same option twice
-    if (choices && choices.length === 2 && choices[0] === choices[1]) {
+    if (choices && new Set(choices).size < choices.length) {
       issues.push("Wahl enthält zweimal dieselbe Werkstatt.");
     }
+    // choices of workshops the student's class may not take
+    [...new Set(choices || [])].forEach(choice => {
+      const eligibilityViolation = getEligibilityViolation(workshops, choice, studentClasses[s]);
+      if (eligibilityViolation) issues.push(`Wahl nicht zulässig: ${eligibilityViolation}`);
+    });
+    // choices the student's band blocks and pins rule out in this band
+    if (band) {
+      [...new Set(choices || [])].forEach(choice => {
+        const bandViolation = getBandConstraintViolation(bandRestrictions[s], choice, band);
+        const issue = `Wahl nicht zulässig: ${bandViolation}`;
+        if (bandViolation && !issues.includes(issue)) issues.push(issue);
+      });
+    }
     return issues;
   }
 
@@ -3930,6 +7721,12 @@ export default function WerkstattVerwaltungApp() {
       delete copy[studentName];
       return copy;
     });
+    setStudentBandConstraints(prev => {
+      const copy = { ...prev };
+      delete copy[studentName];
+      return copy;
+    });
+    setStudentPairs(prev => prev.filter(pair => !pair.students.includes(studentName)));
     if (selectedStudent === studentName) {
       setSelectedStudent(null);
     }
@@ -3968,6 +7765,12 @@ export default function WerkstattVerwaltungApp() {
       toDelete.forEach(s => delete copy[s]);
       return copy;
     });
+    setStudentBandConstraints(prev => {
+      const copy = { ...prev };
+      toDelete.forEach(s => delete copy[s]);
+      return copy;
+    });
+    setStudentPairs(prev => prev.filter(pair => !pair.students.some(s => toDelete.includes(s))));
     setSelectedStudents(new Set());
     if (selectedStudent && toDelete.includes(selectedStudent)) {
       setSelectedStudent(null);
@@ -4048,31 +7851,6 @@ export default function WerkstattVerwaltungApp() {
     }));
   }
 
-  // Build per-student history view from confirmedAssignments
-  function buildHistoryForStudent(student) {
-    const history = [];
-    Object.entries(confirmedAssignments).forEach(([slotKey, payload]) => {
-      if (isMultiBandPayload(payload)) {
-        const bandIds = getPayloadBandIds(payload);
-        const bandAssignments = bandIds.map(bandId =>
-          payload.assignments[bandId]?.[student] || 'Nicht Zugeordnet'
-        );
-        history.push({
-          slotKey,
-          assigned: bandAssignments.join(' / '),
-          timestamp: payload.timestamp,
-          bandIds,
-          bandAssignments,
-        });
-      } else {
-        const assigned = payload.assignments?.[student] || 'Nicht Zugeordnet';
-        history.push({ slotKey, assigned, timestamp: payload.timestamp });
-      }
-    });
-    history.sort((a, b) => (a.slotKey < b.slotKey ? 1 : -1));
-    return history;
-  }
-
   // ----------------------------
   // UI
   // ----------------------------
@@ -4435,7 +8213,7 @@ export default function WerkstattVerwaltungApp() {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                           </svg>
                           <div className="absolute left-1/2 bottom-full mb-2 transform -translate-x-1/2 w-80 bg-gray-900 text-white text-xs rounded-lg py-2 px-3 opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-50">
-                            Prioritätspunktzahl (1-10): Bestimmt die Reihenfolge bei der Zuweisung. HÖHERE Punktzahlen = höhere Priorität (werden zuerst zugewiesen). Die Punktzahl wird automatisch basierend auf der Historie berechnet: Pro Band - Erste Wahl erhalten: -1 Punkt, Zweite Wahl erhalten: -1 Punkt, Keine Wahl erhalten: +1 Punkt, Auch zweite Wahl nicht erhalten: +1.5 Punkte. Beide Bänder werden gemittelt. Schüler mit Lernbegleitung haben immer höchste Priorität (10).
+                            Prioritätspunktzahl (1-10): Bestimmt die Reihenfolge bei der Zuweisung. HÖHERE Punktzahlen = höhere Priorität (werden zuerst zugewiesen). Die Punktzahl wird automatisch basierend auf der Historie berechnet: Pro Band - Erste Wahl erhalten: -1 Punkt, Zweite Wahl erhalten: -1 Punkt, Dritte oder spätere Wahl erhalten: -0.5 Punkte, Keine Wahl erhalten: +1 Punkt, Auch zweite Wahl nicht erhalten: +1.5 Punkte. Beide Bänder werden gemittelt. Schüler mit Lernbegleitung haben immer höchste Priorität (10).
                           </div>
                         </div>
                       </div>
@@ -4526,6 +8304,29 @@ export default function WerkstattVerwaltungApp() {
                       </div>
                     </div>
 
+                    <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
+                      <h3 className="text-lg font-semibold text-gray-800 mb-3 border-b border-gray-300 pb-2">Band-Vorgaben</h3>
+                      <BandConstraintEditor
+                        key={selectedStudent}
+                        constraints={getStudentBandConstraints(studentBandConstraints, selectedStudent)}
+                        workshops={workshops}
+                        bandIds={activeBandIds}
+                        onChange={constraints => updateStudentBandConstraints(selectedStudent, constraints)}
+                      />
+                    </div>
+
+                    <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
+                      <h3 className="text-lg font-semibold text-gray-800 mb-3 border-b border-gray-300 pb-2">Zusammen / Getrennt</h3>
+                      <StudentPairEditor
+                        key={selectedStudent}
+                        student={selectedStudent}
+                        students={students}
+                        pairs={getStudentPairPartners(studentPairs, selectedStudent)}
+                        onAdd={addStudentPair}
+                        onRemove={removeStudentPair}
+                      />
+                    </div>
+
                     <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
                       <h3 className="text-lg font-semibold text-gray-800 mb-3 border-b border-gray-300 pb-2">Pflichtkurse (fehlend — anhand Regeln geprüft)</h3>
                       <div className="detail-content">
@@ -4537,89 +8338,64 @@ export default function WerkstattVerwaltungApp() {
                               const ruleType = r.type || 'belegung';
                               
                               if (ruleType === 'belegung') {
-                                // determine if the student's history contains ALL of the options (not just one)
-                                const history = buildHistoryForStudent(selectedStudent).map(h => {
-                                  // Extract both bands if available
-                                  if (h.erstesBand && h.zweitesBand) {
-                                    return [h.erstesBand, h.zweitesBand];
-                                  }
-                                  return [h.assigned];
-                                }).flat();
-                                
-                                // Check if student has ALL required courses
-                                const hasAll = (r.options || []).every(opt => history.includes(opt));
+                                // evaluate against the confirmed history per trimester, as of the selected trimester
+                                const evaluation = evaluateBelegungRule(
+                                  r,
+                                  getStudentCourseHistory(selectedStudent, confirmedAssignments),
+                                  getSlotOrdinal(yearTrimester.schoolYearStart, yearTrimester.trimester),
+                                  activeBandIds.length
+                                );
+                                const hasAll = evaluation.status === 'fulfilled';
+                                const statusLabel = {
+                                  fulfilled: 'Erfüllt',
+                                  open: 'Offen',
+                                  atRisk: 'Gefährdet',
+                                  missed: 'Verpasst',
+                                }[evaluation.status];
                                 return (
-                                  <li key={r.id} className={`p-3 rounded-lg ${hasAll ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
+                                  <li key={r.id} className={`p-3 rounded-lg ${hasAll ? 'bg-green-50 border border-green-200' : evaluation.status === 'open' ? 'bg-yellow-50 border border-yellow-200' : 'bg-red-50 border border-red-200'}`}>
                                     <div className="flex items-center justify-between">
                                       <div>
                                         <span className="font-medium">{r.name}</span> — 
-                                        <span className={`ml-2 font-semibold ${hasAll ? 'text-green-700' : 'text-red-700'}`}>
-                                          {hasAll ? 'Erfüllt' : 'Nicht erfüllt'}
+                                        <span className={`ml-2 font-semibold ${hasAll ? 'text-green-700' : evaluation.status === 'open' ? 'text-yellow-700' : 'text-red-700'}`}>
+                                          {statusLabel}
                                         </span>
+                                        <div className="text-xs text-gray-600 mt-1">
+                                          {evaluation.taken.length}/{evaluation.required} belegt
+                                          {evaluation.taken.length > 0 && ` (${evaluation.taken.join(', ')})`}
+                                          {evaluation.windowEnd !== null && ` · Zeitraum ${formatSlotOrdinal(evaluation.windowStart)} – ${formatSlotOrdinal(evaluation.windowEnd)}`}
+                                          {evaluation.remaining !== null && evaluation.status !== 'missed' && ` · noch ${evaluation.remaining} Trimester`}
+                                        </div>
                                       </div>
                                       <div className="group relative inline-block ml-2">
                                         <svg className="w-4 h-4 text-blue-500 cursor-help" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                                         </svg>
                                         <div className="absolute right-0 bottom-full mb-2 transform w-64 bg-gray-900 text-white text-xs rounded-lg py-2 px-3 opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-50">
-                                          <strong>Regel:</strong> Der Schüler muss <strong>alle</strong> Kurse ({(r.options || []).join(', ')}) mindestens einmal belegt haben. {hasAll ? '✓ Alle Kurse wurden bereits belegt.' : '✗ Noch nicht alle Kurse belegt.'}
+                                          <strong>Regel:</strong> {describeBelegungRule(r)} ({(r.options || []).join(', ')}). {hasAll ? '✓ Regel ist erfüllt.' : '✗ Noch nicht erfüllt.'}
                                         </div>
                                       </div>
                                     </div>
                                   </li>
                                 );
                               } else if (ruleType === 'folgekurs') {
-                                // For Folgekurs rules, check if the rule is satisfied based on previous and current trimester assignments
-                                const history = buildHistoryForStudent(selectedStudent);
-                                // Sort history by slotKey to get chronological order
-                                const sortedHistory = [...history].sort((a, b) => {
-                                  // Parse school year and trimester from slotKey (format: "YYYY-YYYY T#" or legacy "YYYY-T#")
-                                  const aParsed = parseSchoolYearKey(a.slotKey);
-                                  const bParsed = parseSchoolYearKey(b.slotKey);
-                                  if (!aParsed || !bParsed) return 0;
-                                  // Sort by school year start, then by trimester
-                                  if (aParsed.schoolYearStart !== bParsed.schoolYearStart) {
-                                    return aParsed.schoolYearStart - bParsed.schoolYearStart;
-                                  }
-                                  return aParsed.trimester - bParsed.trimester;
-                                });
-                                
-                                // Check if there's a previous assignment of fromCourse and if toCourse is assigned in the next trimester
-                                let isSatisfied = true;
-                                let violationMessage = '';
-                                
-                                for (let i = 0; i < sortedHistory.length - 1; i++) {
-                                  const current = sortedHistory[i];
-                                  const next = sortedHistory[i + 1];
-                                  
-                                  // Check if fromCourse is in current trimester
-                                  const hasFromCourse = (current.erstesBand === r.fromCourse || current.zweitesBand === r.fromCourse) ||
-                                                       (!current.erstesBand && !current.zweitesBand && current.assigned === r.fromCourse);
-                                  
-                                  if (hasFromCourse) {
-                                    // Check if toCourse is in next trimester
-                                    const hasToCourse = (next.erstesBand === r.toCourse || next.zweitesBand === r.toCourse) ||
-                                                       (!next.erstesBand && !next.zweitesBand && next.assigned === r.toCourse);
-                                    
-                                    if (!hasToCourse) {
-                                      isSatisfied = false;
-                                      violationMessage = `Nach ${r.fromCourse} muss ${r.toCourse} im nächsten Trimester belegt werden.`;
-                                      break;
-                                    }
-                                    
-                                    // If sameBand is required, check that toCourse is in the same band
-                                    if (r.sameBand && current.erstesBand && current.zweitesBand && next.erstesBand && next.zweitesBand) {
-                                      const fromBand = current.erstesBand === r.fromCourse ? 'erstesBand' : 'zweitesBand';
-                                      const toBand = next.erstesBand === r.toCourse ? 'erstesBand' : 'zweitesBand';
-                                      
-                                      if (fromBand !== toBand) {
-                                        isSatisfied = false;
-                                        violationMessage = `Nach ${r.fromCourse} muss ${r.toCourse} im gleichen Band belegt werden.`;
-                                        break;
-                                      }
-                                    }
-                                  }
-                                }
+                                // For Folgekurs rules, check every time the student took the Ausgangskurs
+                                const evaluation = evaluateFolgekursRule(
+                                  r,
+                                  getStudentCourseHistory(selectedStudent, confirmedAssignments),
+                                  getSlotOrdinal(yearTrimester.schoolYearStart, yearTrimester.trimester)
+                                );
+                                const isSatisfied = evaluation.status !== 'missed';
+                                const statusLabel = {
+                                  inactive: 'Nicht ausgelöst',
+                                  fulfilled: 'Erfüllt',
+                                  open: 'Offen',
+                                  missed: 'Nicht erfüllt',
+                                }[evaluation.status];
+                                const pending = evaluation.occurrences.find(o => o.followedOrdinal === null);
+                                const violationMessage = pending
+                                  ? `Nach ${r.fromCourse} (${formatSlotOrdinal(pending.takenOrdinal)}) muss ${getFolgekursTargets(r).join(' oder ')} bis ${formatSlotOrdinal(pending.dueOrdinal)} belegt werden${r.sameBand ? ' (gleiches Band)' : ''}.`
+                                  : '';
                                 
                                 return (
                                   <li key={r.id} className={`p-3 rounded-lg ${isSatisfied ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
@@ -4627,10 +8403,10 @@ export default function WerkstattVerwaltungApp() {
                                       <div>
                                         <span className="font-medium">{r.name}</span> — 
                                         <span className={`ml-2 font-semibold ${isSatisfied ? 'text-green-700' : 'text-red-700'}`}>
-                                          {isSatisfied ? 'Erfüllt' : 'Nicht erfüllt'}
+                                          {statusLabel}
                                         </span>
-                                        {!isSatisfied && violationMessage && (
-                                          <div className="text-xs text-red-600 mt-1">{violationMessage}</div>
+                                        {violationMessage && (
+                                          <div className={`text-xs mt-1 ${isSatisfied ? 'text-gray-600' : 'text-red-600'}`}>{violationMessage}</div>
                                         )}
                                       </div>
                                       <div className="group relative inline-block ml-2">
@@ -4638,7 +8414,7 @@ export default function WerkstattVerwaltungApp() {
                                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                                         </svg>
                                         <div className="absolute right-0 bottom-full mb-2 transform w-64 bg-gray-900 text-white text-xs rounded-lg py-2 px-3 opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-50">
-                                          <strong>Folgekurs-Regel:</strong> Wenn der Schüler {r.fromCourse} belegt, muss er im nächsten Trimester {r.toCourse} belegen.{r.sameBand ? ' Der Folgekurs muss im gleichen Band sein.' : ''} {isSatisfied ? '✓ Regel ist erfüllt.' : '✗ Regel ist nicht erfüllt.'}
+                                          <strong>Folgekurs-Regel:</strong> {describeFolgekursRule(r)}. {isSatisfied ? '✓ Regel ist nicht verletzt.' : '✗ Regel ist nicht erfüllt.'}
                                         </div>
                                       </div>
                                     </div>
@@ -4652,6 +8428,40 @@ export default function WerkstattVerwaltungApp() {
                       </div>
                     </div>
 
+                    <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
+                      <h3 className="text-lg font-semibold text-gray-800 mb-3 border-b border-gray-300 pb-2">Voraussetzungen</h3>
+                      <div className="detail-content">
+                        {Object.keys(workshops).filter(name => getPrereqGroups(prereqs[name]).length > 0).length === 0 ? (
+                          <div className="text-gray-500 italic p-3 bg-gray-50 rounded-lg">Keine Werkstatt hat Voraussetzungen.</div>
+                        ) : (
+                          <ul className="space-y-2">
+                            {Object.keys(workshops).filter(name => getPrereqGroups(prereqs[name]).length > 0).map(name => {
+                              // evaluated against everything taken before the selected trimester
+                              const groups = evaluatePrereqs(name, prereqs, completedCourses[selectedStudent] || []);
+                              const isMet = groups.every(group => group.met);
+                              return (
+                                <li key={name} className={`p-3 rounded-lg ${isMet ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
+                                  <span className="font-medium">{name}</span> — 
+                                  <span className={`ml-2 font-semibold ${isMet ? 'text-green-700' : 'text-red-700'}`}>
+                                    {isMet ? 'Erfüllt' : 'Nicht erfüllt'}
+                                  </span>
+                                  <div className="text-xs text-gray-600 mt-1 space-y-0.5">
+                                    {groups.map((group, i) => (
+                                      <div key={i} className={group.met ? 'text-gray-600' : 'text-red-600'}>
+                                        {group.met ? '✓' : '✗'} {formatPrereqExpression([group])}
+                                        {group.courses.length > 1 && ` · ${group.taken.length}/${group.min}`}
+                                        {group.taken.length > 0 && group.courses.length > 1 && ` (${group.taken.join(', ')})`}
+                                      </div>
+                                    ))}
+                                  </div>
+                                </li>
+                              );
+                            })}
+                          </ul>
+                        )}
+                      </div>
+                    </div>
+
                     <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
                       <h3 className="text-lg font-semibold text-gray-800 mb-3 border-b border-gray-300 pb-2">Regelverstöße (Wahlen)</h3>
                       <div className="detail-content space-y-4">
@@ -4660,10 +8470,10 @@ export default function WerkstattVerwaltungApp() {
                             <h4 className="font-semibold text-sm mb-2 text-blue-700">{getBandLabel(bandId)}:</h4>
                             {getChoicesForBand(bandId)[selectedStudent] ? (
                               <ul className="space-y-1">
-                                {checkViolationsForStudent(selectedStudent, getChoicesForBand(bandId)[selectedStudent]).map((i, idx) => (
+                                {checkViolationsForStudent(selectedStudent, getChoicesForBand(bandId)[selectedStudent], bandId).map((i, idx) => (
                                   <li key={idx} className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">{i}</li>
                                 ))}
-                                {checkViolationsForStudent(selectedStudent, getChoicesForBand(bandId)[selectedStudent]).length === 0 && (
+                                {checkViolationsForStudent(selectedStudent, getChoicesForBand(bandId)[selectedStudent], bandId).length === 0 && (
                                   <li className="p-2 bg-green-50 border border-green-200 rounded text-sm text-green-700">Keine Auffälligkeiten</li>
                                 )}
                               </ul>
@@ -4673,6 +8483,58 @@ export default function WerkstattVerwaltungApp() {
                       </div>
                     </div>
 
+                    <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
+                      <div className="flex items-center justify-between mb-3 border-b border-gray-300 pb-2">
+                        <h3 className="text-lg font-semibold text-gray-800">Zuordnungsprotokoll</h3>
+                        {autoResult && autoResult.bandResults && (
+                          <button
+                            className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
+                            onClick={() => exportStudentTracePDF(selectedStudent)}
+                          >
+                            Als PDF exportieren
+                          </button>
+                        )}
+                      </div>
+                      <div className="detail-content space-y-4">
+                        {autoResult && autoResult.bandResults ? (
+                          <>
+                            <div className="text-xs text-gray-500">
+                              Letzte Auto-Zuordnung für {yearTrimester.schoolYearStart}-{yearTrimester.schoolYearEnd} T{yearTrimester.trimester} ({getAssignmentEngineLabel(autoResult.engine)})
+                            </div>
+                            {(autoResult.activeBandIds || Object.keys(autoResult.bandResults)).map(bandId => {
+                              const entry = autoResult.bandResults[bandId]?.trace?.[selectedStudent];
+                              return (
+                                <div key={bandId}>
+                                  <h4 className="font-semibold text-sm mb-1 text-blue-700">{getBandLabel(bandId)}:</h4>
+                                  <div className="text-xs text-gray-600 mb-2">{describeTracePriority(entry)}</div>
+                                  {entry && entry.steps.length > 0 ? (
+                                    <ol className="space-y-1">
+                                      {entry.steps.map((step, idx) => (
+                                        <li
+                                          key={idx}
+                                          className={`p-2 rounded text-sm border ${
+                                            step.type === 'assigned' ? 'bg-green-50 border-green-200 text-green-800'
+                                              : step.type === 'unassigned' || step.type === 'removed' ? 'bg-red-50 border-red-200 text-red-700'
+                                              : 'bg-gray-50 border-gray-200 text-gray-700'
+                                          }`}
+                                        >
+                                          <span className="font-medium mr-1">{idx + 1}.</span>{describeTraceStep(step)}
+                                        </li>
+                                      ))}
+                                    </ol>
+                                  ) : (
+                                    <div className="text-gray-500 italic p-2 bg-gray-50 rounded text-sm">Keine Einträge.</div>
+                                  )}
+                                </div>
+                              );
+                            })}
+                          </>
+                        ) : (
+                          <div className="text-gray-500 italic p-2 bg-gray-50 rounded text-sm">Für dieses Trimester liegt keine Auto-Zuordnung vor.</div>
+                        )}
+                      </div>
+                    </div>
+
                     <div className="bg-white rounded-lg p-4 mb-4 shadow-sm border border-gray-200">
                       <h3 className="text-lg font-semibold text-gray-800 mb-3 border-b border-gray-300 pb-2">Vergangene Wahlen</h3>
                       <div className="detail-content">
@@ -4823,27 +8685,20 @@ export default function WerkstattVerwaltungApp() {
                       </span>
                     )}
                   </div>
-                  <div>
-                    <span 
-                      className="px-3 py-1 rounded-lg text-xs mr-2 shadow-sm font-medium"
-                      style={{
-                        backgroundColor: workshopColors[choices[0]] ? `${workshopColors[choices[0]]}20` : undefined,
-                        borderLeft: workshopColors[choices[0]] ? `3px solid ${workshopColors[choices[0]]}` : undefined,
-                        color: workshopColors[choices[0]] || undefined
-                      }}
-                    >
-                      1. {choices[0] || '—'}
-                    </span>
-                    <span 
-                      className="px-3 py-1 rounded-lg text-xs shadow-sm font-medium"
-                      style={{
-                        backgroundColor: workshopColors[choices[1]] ? `${workshopColors[choices[1]]}20` : undefined,
-                        borderLeft: workshopColors[choices[1]] ? `3px solid ${workshopColors[choices[1]]}` : undefined,
-                        color: workshopColors[choices[1]] || undefined
-                      }}
-                    >
-                      2. {choices[1] || '—'}
-                    </span>
+                  <div className="flex flex-wrap justify-end gap-2">
+                    {Array.from({ length: Math.max(choiceCount, choices.length) }, (_, rank) => (
+                      <span 
+                        key={rank}
+                        className="px-3 py-1 rounded-lg text-xs shadow-sm font-medium"
+                        style={{
+                          backgroundColor: workshopColors[choices[rank]] ? `${workshopColors[choices[rank]]}20` : undefined,
+                          borderLeft: workshopColors[choices[rank]] ? `3px solid ${workshopColors[choices[rank]]}` : undefined,
+                          color: workshopColors[choices[rank]] || undefined
+                        }}
+                      >
+                        {rank + 1}. {choices[rank] || '—'}
+                      </span>
+                    ))}
                   </div>
                 </div>
               );
@@ -4881,15 +8736,210 @@ export default function WerkstattVerwaltungApp() {
                   </label>
                 );
               })}
+              {activeBandIds.length > 1 && (
+                <label
+                  className="px-4 py-2 bg-white text-blue-700 text-sm font-medium rounded-lg border border-blue-300 shadow-sm hover:bg-blue-50 transition-all duration-200 cursor-pointer text-center"
+                  title="Eine Datei für alle Bänder: Spalten wie „Band1 Q1, Band2 Q1, …“ oder ein Blatt pro Band"
+                >
+                  <input
+                    ref={el => { fileInputRefs.current.all = el; }}
+                    type="file"
+                    accept=".csv,.xlsx,.xls"
+                    onChange={(e) => handleFileUpload(e, null)}
+                    className="hidden"
+                  />
+                  📁 Alle Bänder hochladen (CSV/XLSX)
+                </label>
+              )}
+              {uploadUndo && (
+                <button
+                  onClick={undoLastUpload}
+                  title={`${uploadUndo.fileName} (${uploadUndo.bandIds.map(getBandLabel).join(', ')})`}
+                  className="px-4 py-2 bg-white text-red-700 text-sm font-medium rounded-lg border border-red-300 shadow-sm hover:bg-red-50 transition-all duration-200"
+                >
+                  ↩️ Letzten Upload rückgängig
+                </button>
+              )}
+              {(Object.keys(nameAliases.students).length > 0 || Object.keys(nameAliases.workshops).length > 0) && (
+                <details className="text-xs text-blue-900 bg-white rounded-lg border border-blue-200 p-2 max-w-xs">
+                  <summary className="cursor-pointer font-medium">
+                    Gemerkte Namenszuordnungen ({Object.keys(nameAliases.students).length + Object.keys(nameAliases.workshops).length})
+                  </summary>
+                  <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {['students', 'workshops'].flatMap(kind => Object.entries(nameAliases[kind]).map(([alias, name]) => (
+                      <li key={`${kind}-${alias}`} className="flex items-center justify-between gap-2">
+                        <span>{alias} → {name}</span>
+                        <button
+                          onClick={() => removeNameAlias(kind, alias)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Zuordnung vergessen"
+                        >
+                          ×
+                        </button>
+                      </li>
+                    )))}
+                  </ul>
+                </details>
+              )}
+            </div>
+            <div className="flex flex-col gap-2">
+              <label className="text-xs font-medium text-blue-900">
+                Verfahren:
+                <select
+                  value={assignmentEngine}
+                  onChange={(e) => setAssignmentEngine(e.target.value)}
+                  className="ml-2 px-2 py-1 border border-blue-300 rounded-md text-sm bg-white"
+                >
+                  {ASSIGNMENT_ENGINES.map(engine => (
+                    <option key={engine.id} value={engine.id} title={engine.description}>{engine.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs font-medium text-blue-900" title="Reihenfolge zwischen Schülern mit gleicher Priorität">
+                Bei Gleichstand:
+                <select
+                  value={tieBreakStrategy}
+                  onChange={(e) => setTieBreakStrategy(e.target.value)}
+                  className="ml-2 px-2 py-1 border border-blue-300 rounded-md text-sm bg-white"
+                >
+                  {TIE_BREAK_STRATEGIES.map(strategy => (
+                    <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                  ))}
+                </select>
+              </label>
+              {tieBreakStrategy === 'lottery' && (
+                <label className="text-xs font-medium text-blue-900" title="Leer lassen, um bei jedem Lauf einen neuen Seed zu ziehen. Mit dem gleichen Seed ist das Ergebnis exakt reproduzierbar.">
+                  Seed:
+                  <input
+                    type="text"
+                    value={tieBreakSeed}
+                    onChange={(e) => setTieBreakSeed(e.target.value)}
+                    placeholder="zufällig"
+                    className="ml-2 w-28 px-2 py-1 border border-blue-300 rounded-md text-sm bg-white"
+                  />
+                </label>
+              )}
+              <label className="text-xs font-medium text-blue-900">
+                Anzahl Wünsche (Q1…Qn):
+                <select
+                  value={choiceCount}
+                  onChange={(e) => setChoiceCount(parseInt(e.target.value, 10))}
+                  className="ml-2 px-2 py-1 border border-blue-300 rounded-md text-sm bg-white"
+                >
+                  {Array.from({ length: MAX_CHOICE_COUNT - 1 }, (_, i) => i + 2).map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs font-medium text-blue-900 flex items-center gap-2" title="Schüler, die keinen ihrer Wünsche bekommen, werden in eine Werkstatt mit freien Plätzen gesetzt (wenig Lernbegleitung bevorzugt).">
+                <input
+                  type="checkbox"
+                  checked={fallbackPlacement}
+                  onChange={(e) => setFallbackPlacement(e.target.checked)}
+                />
+                Zwangszuweisung, wenn kein Wunsch erfüllbar
+              </label>
+              <label className="text-xs font-medium text-blue-900 flex items-center gap-2" title="Werkstätten, die ihre Mindestteilnehmerzahl nicht erreichen, werden für das jeweilige Band geschlossen und ihre Schüler neu verteilt.">
+                <input
+                  type="checkbox"
+                  checked={cancelUnderfilled}
+                  onChange={(e) => setCancelUnderfilled(e.target.checked)}
+                />
+                Unterbelegte Werkstätten schließen
+              </label>
+              <label className="text-xs font-medium text-blue-900" title="Schüler, die eine Belegungsregel mit Zeitraum zu verpassen drohen, werden vorgezogen und bekommen bevorzugt einen Wunsch, der die Regel erfüllt. „Notfalls zuweisen“ setzt sie sonst in einen Regelkurs mit freien Plätzen.">
+                Belegungsregeln:
+                <select
+                  value={rulePriority}
+                  onChange={(e) => setRulePriority(e.target.value)}
+                  className="ml-2 px-2 py-1 border border-blue-300 rounded-md text-sm bg-white"
+                >
+                  {RULE_PRIORITY_MODES.map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button 
+                onClick={runAutoAssign} 
+                className="px-4 py-2 bg-gradient-to-r from-green-500 to-green-600 text-white text-sm font-medium rounded-lg shadow-sm hover:from-green-600 hover:to-green-700 hover:shadow-md transition-all duration-200"
+              >
+                Auto-Zuordnung starten
+              </button>
+              <button
+                onClick={compareAssignmentEngines}
+                className="px-4 py-2 bg-white text-blue-700 text-sm font-medium rounded-lg border border-blue-300 shadow-sm hover:bg-blue-50 transition-all duration-200"
+              >
+                Verfahren vergleichen
+              </button>
             </div>
-            <button 
-              onClick={runAutoAssign} 
-              className="px-4 py-2 bg-gradient-to-r from-green-500 to-green-600 text-white text-sm font-medium rounded-lg shadow-sm hover:from-green-600 hover:to-green-700 hover:shadow-md transition-all duration-200"
-            >
-              Auto-Zuordnung starten
-            </button>
           </div>
 
+          {/* Engine comparison (greedy vs. optimal) */}
+          {engineComparison && (
+            <div className="mt-4 bg-white rounded-lg p-4 border-2 border-blue-300 shadow-md">
+              <div className="flex justify-between items-center mb-3">
+                <h4 className="text-lg font-semibold text-gray-800">⚖️ Vergleich der Verfahren</h4>
+                <button
+                  onClick={() => setEngineComparison(null)}
+                  className="text-gray-500 hover:text-gray-700 text-xl"
+                >
+                  ×
+                </button>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-1 pr-2">Kennzahl</th>
+                    {ASSIGNMENT_ENGINES.map(engine => (
+                      <th key={engine.id} className="py-1 pr-2">{engine.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {(() => {
+                    const summaries = {};
+                    ASSIGNMENT_ENGINES.forEach(engine => {
+                      summaries[engine.id] = getAutoResultSummary(engineComparison[engine.id]);
+                    });
+                    const rows = [
+                      { label: 'Erste Wahlen (%)', value: s => `${s.percentFirst.toFixed(2)}%` },
+                      { label: 'Erste Wahl', value: s => s.totalFirst },
+                      { label: 'Zweite Wahl', value: s => s.totalSecond },
+                      { label: 'Weitere Wahlen (3.+)', value: s => s.totalOther },
+                      { label: 'Zwangszuweisungen', value: s => s.totalForced },
+                      { label: 'Nicht zugeordnet', value: s => s.unassigned },
+                      { label: 'Warnungen', value: s => s.problemCount },
+                    ];
+                    return rows.map(row => (
+                      <tr key={row.label} className="border-b last:border-0">
+                        <td className="py-1 pr-2 text-gray-700">{row.label}</td>
+                        {ASSIGNMENT_ENGINES.map(engine => (
+                          <td key={engine.id} className="py-1 pr-2 font-semibold">{row.value(summaries[engine.id])}</td>
+                        ))}
+                      </tr>
+                    ));
+                  })()}
+                  <tr>
+                    <td></td>
+                    {ASSIGNMENT_ENGINES.map(engine => (
+                      <td key={engine.id} className="pt-2 pr-2">
+                        <button
+                          onClick={() => {
+                            setAssignmentEngine(engine.id);
+                            applyAutoAssignResult(engineComparison[engine.id]);
+                          }}
+                          className="px-3 py-1 bg-gradient-to-r from-green-500 to-green-600 text-white text-xs font-medium rounded-md shadow-sm hover:from-green-600 hover:to-green-700"
+                        >
+                          Übernehmen
+                        </button>
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Upload Summary */}
           {uploadSummary && (
             <div className="mt-4 bg-white rounded-lg p-4 border-2 border-blue-300 shadow-md">
@@ -4943,6 +8993,21 @@ export default function WerkstattVerwaltungApp() {
                   </div>
                 )}
 
+                {uploadSummary.ineligibleChoices?.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                    <div className="font-semibold text-red-800 mb-2">
+                      🚫 Nicht zulässige Wahlen ({uploadSummary.ineligibleChoices.length}):
+                    </div>
+                    <div className="text-sm text-red-700 max-h-32 overflow-y-auto space-y-1">
+                      {uploadSummary.ineligibleChoices.map((item, idx) => (
+                        <div key={idx}>
+                          <strong>{item.student}:</strong> {item.reason}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {uploadSummary.updatedChoices > 0 && (
                   <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
                     <div className="font-semibold text-yellow-800">
@@ -4951,10 +9016,19 @@ export default function WerkstattVerwaltungApp() {
                   </div>
                 )}
 
+                {uploadSummary.removedChoices > 0 && (
+                  <div className="bg-orange-50 border border-orange-200 rounded-lg p-3">
+                    <div className="font-semibold text-orange-800">
+                      🗑️ Wahlen gelöscht (nicht mehr in der Datei): {uploadSummary.removedChoices} Schüler
+                    </div>
+                  </div>
+                )}
+
                 {uploadSummary.newStudents.length === 0 && 
                  uploadSummary.updatedClasses.length === 0 && 
                  uploadSummary.newWorkshops.length === 0 && 
-                 uploadSummary.updatedChoices === 0 && (
+                 uploadSummary.updatedChoices === 0 && 
+                 !uploadSummary.removedChoices && (
                   <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
                     <div className="text-sm text-gray-600">
                       Keine Änderungen erkannt.
@@ -4984,13 +9058,19 @@ export default function WerkstattVerwaltungApp() {
                       </p>
                       <p>
                         Erste Wahl: <b>{stats.totalFirst}</b> | Zweite Wahl: <b>{stats.totalSecond}</b>
+                        {(stats.totalOther || 0) > 0 && (
+                          <> | Weitere Wahlen (3.+): <b>{stats.totalOther}</b></>
+                        )}
+                        {(stats.totalForced || 0) > 0 && (
+                          <> | Zwangszuweisungen: <b>{stats.totalForced}</b></>
+                        )}
                       </p>
                       <div className="mt-2 text-xs space-y-1">
                         <div className="font-semibold">Erstes Band:</div>
                         <div className="ml-3">
                           {stats.erstesBand.total > 0 ? (
                             <>
-                              <strong>{stats.erstesBand.percentFirst.toFixed(2)}%</strong> erste Wahlen ({stats.erstesBand.num1} erste, {stats.erstesBand.num2} zweite von {stats.erstesBand.total} Zuweisungen)
+                              <strong>{stats.erstesBand.percentFirst.toFixed(2)}%</strong> erste Wahlen ({stats.erstesBand.num1} erste, {stats.erstesBand.num2} zweite{stats.erstesBand.numOther ? `, ${stats.erstesBand.numOther} weitere` : ''} von {stats.erstesBand.total} Zuweisungen)
                             </>
                           ) : (
                             <>Keine Zuweisungen mit Wahlen</>
@@ -5000,7 +9080,7 @@ export default function WerkstattVerwaltungApp() {
                         <div className="ml-3">
                           {stats.zweitesBand.total > 0 ? (
                             <>
-                              <strong>{stats.zweitesBand.percentFirst.toFixed(2)}%</strong> erste Wahlen ({stats.zweitesBand.num1} erste, {stats.zweitesBand.num2} zweite von {stats.zweitesBand.total} Zuweisungen)
+                              <strong>{stats.zweitesBand.percentFirst.toFixed(2)}%</strong> erste Wahlen ({stats.zweitesBand.num1} erste, {stats.zweitesBand.num2} zweite{stats.zweitesBand.numOther ? `, ${stats.zweitesBand.numOther} weitere` : ''} von {stats.zweitesBand.total} Zuweisungen)
                             </>
                           ) : (
                             <>Keine Zuweisungen mit Wahlen</>
@@ -5021,6 +9101,32 @@ export default function WerkstattVerwaltungApp() {
                 })()}
               </div>
 
+              {autoResult && autoResult.engine && (
+                <div className="text-xs text-gray-600 mb-2">
+                  Letzte Auto-Zuordnung mit Verfahren: <strong>{getAssignmentEngineLabel(autoResult.engine)}</strong>
+                  {autoResult.tieBreak && (
+                    <>
+                      {' · '}Bei Gleichstand: <strong>{getTieBreakLabel(autoResult.tieBreak.strategy)}</strong>
+                      {autoResult.tieBreak.seed && (
+                        <>
+                          {' '}(Seed <code className="bg-gray-100 px-1 rounded">{autoResult.tieBreak.seed}</code>)
+                          <button
+                            onClick={() => {
+                              setTieBreakStrategy('lottery');
+                              setTieBreakSeed(autoResult.tieBreak.seed);
+                            }}
+                            className="ml-2 text-blue-600 hover:underline"
+                            title="Seed fest eintragen, um diesen Lauf exakt zu wiederholen"
+                          >
+                            Seed übernehmen
+                          </button>
+                        </>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+
               {autoResult && autoResult.problems && autoResult.problems.length > 0 && (
                 <details className="bg-red-50 border border-red-200 rounded-lg p-3 text-xs text-red-800">
                   <summary className="font-semibold cursor-pointer">
@@ -5041,8 +9147,8 @@ export default function WerkstattVerwaltungApp() {
                             onChange={() => toggleWarningCheck(warningKey)}
                             className="mt-0.5 cursor-pointer"
                           />
-                          <span className={isChecked ? 'line-through opacity-60' : ''}>
-                            {bandLabel && <strong>[{bandLabel}]</strong>} {message}
+                          <span className={`${isChecked ? 'line-through opacity-60' : ''} ${p.severity === 'error' ? 'text-red-700 font-semibold' : ''}`}>
+                            {bandLabel && <strong>[{bandLabel}]</strong>} {p.severity === 'error' && 'Fehler: '}{message}
                           </span>
                         </li>
                       );
@@ -5050,6 +9156,76 @@ export default function WerkstattVerwaltungApp() {
                   </ul>
                 </details>
               )}
+
+              {autoResult && autoResult.assistanceCapReport && autoResult.assistanceCapReport.length > 0 && (
+                <details className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs text-amber-900 mt-2">
+                  <summary className="font-semibold cursor-pointer">
+                    {autoResult.assistanceCapReport.length} Schüler wegen Lernbegleitungs-Obergrenze nicht im Wunsch
+                  </summary>
+                  <table className="mt-2 w-full">
+                    <thead>
+                      <tr className="text-left">
+                        <th className="pr-2">Schüler</th>
+                        <th className="pr-2">Band</th>
+                        <th className="pr-2">Gewünscht</th>
+                        <th className="pr-2">Obergrenze</th>
+                        <th>Stattdessen</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {autoResult.assistanceCapReport.map((entry, i) => (
+                        <tr key={i}>
+                          <td className="pr-2 font-medium">{entry.student}</td>
+                          <td className="pr-2">{getBandShortLabel(entry.band)}</td>
+                          <td className="pr-2">{entry.workshop} ({entry.rank + 1}. Wahl)</td>
+                          <td className="pr-2">{entry.max}</td>
+                          <td>{entry.assigned || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+
+              {autoResult && autoResult.ruleReport && (autoResult.ruleReport.placements.length > 0 || autoResult.ruleReport.unresolved.length > 0) && (
+                <details className="bg-orange-50 border border-orange-200 rounded-lg p-3 text-xs text-orange-900 mt-2">
+                  <summary className="font-semibold cursor-pointer">
+                    {autoResult.ruleReport.placements.length} Zuordnungen wegen Belegungsregeln
+                    {autoResult.ruleReport.unresolved.length > 0 && `, ${autoResult.ruleReport.unresolved.length} weiterhin gefährdet`}
+                  </summary>
+                  {autoResult.ruleReport.placements.length > 0 && (
+                    <table className="mt-2 w-full">
+                      <thead>
+                        <tr className="text-left">
+                          <th className="pr-2">Schüler</th>
+                          <th className="pr-2">Band</th>
+                          <th className="pr-2">Werkstatt</th>
+                          <th>Regel</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {autoResult.ruleReport.placements.map((entry, i) => (
+                          <tr key={i}>
+                            <td className="pr-2 font-medium">{entry.student}</td>
+                            <td className="pr-2">{getBandShortLabel(entry.band)}</td>
+                            <td className="pr-2">{entry.workshop} ({entry.rank >= 0 ? `${entry.rank + 1}. Wahl` : 'keine Wahl'})</td>
+                            <td>{entry.ruleName}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {autoResult.ruleReport.unresolved.length > 0 && (
+                    <ul className="list-disc list-inside mt-2 space-y-1">
+                      {autoResult.ruleReport.unresolved.map((entry, i) => (
+                        <li key={i}>
+                          <strong>{entry.student}</strong>: {entry.ruleName} – noch {entry.needed} Kurs(e) offen, {entry.remaining} Trimester übrig
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </details>
+              )}
             </>
           )}
           
@@ -5061,6 +9237,24 @@ export default function WerkstattVerwaltungApp() {
         </div>
       </div>
 
+      {/* --- SCENARIOS: compare alternative auto-assignment runs --- */}
+      <div className="mt-6 bg-gradient-to-br from-teal-50 to-emerald-100 rounded-xl p-6 shadow-sm border border-teal-200">
+        <h3 className="text-lg font-semibold mb-4 text-teal-900 border-b border-teal-300 pb-2">
+          Szenarien ({formatYearTrimester(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)})
+        </h3>
+        <ScenarioPanel
+          scenarios={scenarios}
+          workshops={workshops}
+          choices={uploadedChoices}
+          studentAssistants={studentAssistants}
+          defaultEngine={assignmentEngine}
+          defaultBandCount={activeBandCount}
+          onCreate={createScenario}
+          onDelete={deleteScenario}
+          onPromote={promoteScenario}
+        />
+      </div>
+
       {/* --- BOTTOM SECTION: Drag & Drop Grid --- */}
       <div className="mt-6 bg-gradient-to-br from-purple-50 to-violet-100 rounded-xl p-6 shadow-sm border border-purple-200">
         <div className="flex items-center justify-between mb-4 border-b border-purple-300 pb-2">
@@ -5322,9 +9516,29 @@ export default function WerkstattVerwaltungApp() {
                     </div>
                     <span className={`text-xs ${currentCount >= capacity ? 'text-red-600' : 'text-gray-500'}`}>
                       {currentCount}/{capacity}
+                      {getWorkshopMaxAssistance(workshops[w]) !== null && (
+                        <span
+                          className={`ml-1 ${getAssistanceCount(w) > getWorkshopMaxAssistance(workshops[w]) ? 'text-red-600 font-semibold' : ''}`}
+                          title="Schüler mit Lernbegleitung / Obergrenze"
+                        >
+                          · LB {getAssistanceCount(w)}/{getWorkshopMaxAssistance(workshops[w])}
+                        </span>
+                      )}
                     </span>
                   </div>
 
+                  {autoResult?.cancelledWorkshops?.[activeBand]?.some(entry => entry.workshop === w) && currentCount === 0 && (
+                    <div className="mb-2 px-2 py-1 bg-gray-200 border border-gray-300 rounded-lg text-xs font-semibold text-gray-700">
+                      Geschlossen (Unterbelegung)
+                    </div>
+                  )}
+                  {getWorkshopMinParticipants(workshops[w]) !== null && currentCount < getWorkshopMinParticipants(workshops[w]) &&
+                    !(autoResult?.cancelledWorkshops?.[activeBand]?.some(entry => entry.workshop === w) && currentCount === 0) && (
+                    <div className="mb-2 px-2 py-1 bg-amber-100 border border-amber-300 rounded-lg text-xs font-semibold text-amber-800">
+                      Unter Mindestbelegung ({currentCount}/{getWorkshopMinParticipants(workshops[w])})
+                    </div>
+                  )}
+
                   {hasPersistentViolations && (
                     <div className="mb-2 p-2 bg-red-100 border border-red-300 rounded-lg">
                       <div className="text-xs font-semibold text-red-800 mb-1">⚠️ Regelverstöße:</div>
@@ -5371,17 +9585,34 @@ export default function WerkstattVerwaltungApp() {
                             {studentAssistants[s] && (
                               <div className="ml-1 w-2 h-2 bg-blue-600 rounded-full"></div>
                             )}
+                            {hasStudentBandConstraints(studentBandConstraints, s) && (
+                              <BandConstraintBadge
+                                lines={describeBandConstraints(studentBandConstraints, s)}
+                                blocked={!!bandRestrictions[s]?.blockedBands.includes(activeBand)}
+                              />
+                            )}
                             {persistentViols[s] && (
                               <div className="ml-1 w-2 h-2 bg-red-600 rounded-full"></div>
                             )}
+                            {forcedAssignments[activeBand]?.[s] === w && (
+                              <span className="ml-1 px-1.5 py-0.5 bg-amber-200 text-amber-900 text-xs font-semibold rounded" title="Keiner der Wünsche war erfüllbar">
+                                Zwangszuweisung
+                              </span>
+                            )}
+                            {ruleDrivenAssignments[activeBand]?.[s]?.workshop === w && (
+                              <span className="ml-1 px-1.5 py-0.5 bg-orange-200 text-orange-900 text-xs font-semibold rounded" title={`Belegungsregel: ${ruleDrivenAssignments[activeBand][s].ruleName}`}>
+                                Regel
+                              </span>
+                            )}
                             {hasNoVotesForBand(s, activeBand) && (
                               <div className="ml-1 w-2 h-2 bg-yellow-500 rounded-full" title="Keine Wahlen abgegeben"></div>
                             )}
                           </div>
                           {getChoicesForBand(activeBand)[s] ? (
-                            <div className="text-xs text-gray-600 flex gap-1 mt-1">
-                              <span className="px-1.5 py-0.5 bg-gray-100 rounded text-xs">1. {getChoicesForBand(activeBand)[s][0] || '—'}</span>
-                              <span className="px-1.5 py-0.5 bg-gray-100 rounded text-xs">2. {getChoicesForBand(activeBand)[s][1] || '—'}</span>
+                            <div className="text-xs text-gray-600 flex flex-wrap gap-1 mt-1">
+                              {getChoicesForBand(activeBand)[s].map((choice, rank) => (
+                                <span key={rank} className="px-1.5 py-0.5 bg-gray-100 rounded text-xs">{rank + 1}. {choice || '—'}</span>
+                              ))}
                             </div>
                           ) : (
                             <div className="text-xs text-yellow-700 italic mt-1">
@@ -5483,14 +9714,21 @@ export default function WerkstattVerwaltungApp() {
                         {studentAssistants[s] && (
                           <div className="ml-1 w-2 h-2 bg-blue-600 rounded-full"></div>
                         )}
+                        {hasStudentBandConstraints(studentBandConstraints, s) && (
+                          <BandConstraintBadge
+                            lines={describeBandConstraints(studentBandConstraints, s)}
+                            blocked={!!bandRestrictions[s]?.blockedBands.includes(activeBand)}
+                          />
+                        )}
                         {hasNoVotesForBand(s, activeBand) && (
                           <div className="ml-1 w-2 h-2 bg-yellow-500 rounded-full" title="Keine Wahlen abgegeben"></div>
                         )}
                       </div>
                       {getChoicesForBand(activeBand)[s] ? (
-                        <div className="text-xs text-gray-600 flex gap-1 mt-1">
-                          <span className="px-1.5 py-0.5 bg-orange-100 rounded text-xs">1. {getChoicesForBand(activeBand)[s][0] || '—'}</span>
-                          <span className="px-1.5 py-0.5 bg-orange-100 rounded text-xs">2. {getChoicesForBand(activeBand)[s][1] || '—'}</span>
+                        <div className="text-xs text-gray-600 flex flex-wrap gap-1 mt-1">
+                          {getChoicesForBand(activeBand)[s].map((choice, rank) => (
+                            <span key={rank} className="px-1.5 py-0.5 bg-orange-100 rounded text-xs">{rank + 1}. {choice || '—'}</span>
+                          ))}
                         </div>
                       ) : (
                         <div className="text-xs text-yellow-700 italic mt-1">
@@ -5690,8 +9928,13 @@ export default function WerkstattVerwaltungApp() {
                   {Object.entries(workshops).map(([name, workshop]) => {
                     const cap = getWorkshopCapacity(workshop, name);
                     const availableBands = getWorkshopAvailableBands(workshop, name);
+                    const highlighted = highlightedIssueTarget?.type === 'workshop' && highlightedIssueTarget.id === name;
                     return (
-                    <div key={name} className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200">
+                    <div
+                      key={name}
+                      ref={el => { issueTargetRefs.current[`workshop:${name}`] = el; }}
+                      className={`bg-white rounded-lg p-4 shadow-sm border hover:shadow-md transition-all duration-200 ${highlighted ? 'border-red-400 ring-2 ring-red-400' : 'border-gray-200'}`}
+                    >
                       <div className="workshop-info mb-3">
                         <div className="flex items-center gap-3 mb-2">
                           <div className="text-lg font-semibold text-gray-800 flex-1">{name}</div>
@@ -5724,6 +9967,88 @@ export default function WerkstattVerwaltungApp() {
                             ))}
                           </div>
                         </div>
+                        <div className="text-sm text-gray-600 mb-2">
+                          <label className="block mb-1">Wiederholung:</label>
+                          <div className="flex items-center gap-2">
+                            <select
+                              value={getWorkshopRepeatPolicy(workshop).mode}
+                              onChange={e => updateWorkshopRepeatPolicy(name, 'mode', e.target.value)}
+                              className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-sm"
+                            >
+                              {REPEAT_POLICIES.map(policy => (
+                                <option key={policy.id} value={policy.id}>{policy.label}</option>
+                              ))}
+                            </select>
+                            {getWorkshopRepeatPolicy(workshop).mode === 'after' && (
+                              <input
+                                type="number"
+                                min="1"
+                                value={repeatAfterDrafts[name] ?? getWorkshopRepeatPolicy(workshop).afterTrimesters ?? ''}
+                                onChange={e => {
+                                  const value = e.target.value;
+                                  setRepeatAfterDrafts(prev => ({ ...prev, [name]: value }));
+                                  updateWorkshopRepeatPolicy(name, 'afterTrimesters', value);
+                                }}
+                                onBlur={() => setRepeatAfterDrafts(prev => {
+                                  const next = { ...prev };
+                                  delete next[name];
+                                  return next;
+                                })}
+                                className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 w-20 text-sm"
+                              />
+                            )}
+                          </div>
+                        </div>
+                        <div className="text-sm text-gray-600 mb-2">
+                          <label className="block mb-1">Mindestteilnehmer (je Band):</label>
+                          <input
+                            type="number"
+                            min="1"
+                            value={getWorkshopMinParticipants(workshop) ?? ''}
+                            onChange={e => updateWorkshopMinParticipants(name, e.target.value)}
+                            placeholder="keine"
+                            className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 w-32 text-sm"
+                          />
+                        </div>
+                        <div className="text-sm text-gray-600 mb-2">
+                          <label className="block mb-1">Max. Schüler mit Lernbegleitung (je Band):</label>
+                          <input
+                            type="number"
+                            min="0"
+                            value={getWorkshopMaxAssistance(workshop) ?? ''}
+                            onChange={e => updateWorkshopMaxAssistance(name, e.target.value)}
+                            placeholder="unbegrenzt"
+                            className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 w-32 text-sm"
+                          />
+                        </div>
+                        <div className="text-sm text-gray-600 mb-2">
+                          <label className="block mb-1">Nur für Klassen (z. B. 5*, 6a; leer = alle):</label>
+                          <input
+                            type="text"
+                            defaultValue={getWorkshopEligibility(workshop).classes.join(', ')}
+                            onBlur={e => updateWorkshopEligibility(name, 'classes', e.target.value)}
+                            placeholder="alle Klassen"
+                            className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 w-full text-sm"
+                          />
+                          <div className="flex items-center gap-2 mt-2">
+                            <span>Jahrgang</span>
+                            <input
+                              type="number"
+                              value={getWorkshopEligibility(workshop).minGrade ?? ''}
+                              onChange={e => updateWorkshopEligibility(name, 'minGrade', e.target.value)}
+                              placeholder="von"
+                              className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 w-20 text-sm"
+                            />
+                            <span>bis</span>
+                            <input
+                              type="number"
+                              value={getWorkshopEligibility(workshop).maxGrade ?? ''}
+                              onChange={e => updateWorkshopEligibility(name, 'maxGrade', e.target.value)}
+                              placeholder="bis"
+                              className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 w-20 text-sm"
+                            />
+                          </div>
+                        </div>
                         <div className="text-sm text-gray-600 mb-2">
                           <label className="block mb-1">Lehrer:</label>
                           <input 
@@ -5746,7 +10071,7 @@ export default function WerkstattVerwaltungApp() {
                         </div>
                         {prereqs[name] && prereqs[name].length > 0 && (
                           <div className="text-sm text-gray-600 mb-2">
-                            Voraussetzungen: <span className="font-medium text-orange-600">{prereqs[name].join(', ')}</span>
+                            Voraussetzungen: <span className="font-medium text-orange-600">{formatPrereqExpression(prereqs[name])}</span>
                           </div>
                         )}
                         {cannotBeParallel[name] && cannotBeParallel[name].length > 0 && (
@@ -5821,7 +10146,7 @@ export default function WerkstattVerwaltungApp() {
                             )}
                             {prereqs[name] && prereqs[name].length > 0 && (
                               <div className="text-sm text-gray-600">
-                                Voraussetzungen: <span className="font-medium text-gray-600">{prereqs[name].join(', ')}</span>
+                                Voraussetzungen: <span className="font-medium text-gray-600">{formatPrereqExpression(prereqs[name])}</span>
                               </div>
                             )}
                           </div>
@@ -5868,8 +10193,13 @@ export default function WerkstattVerwaltungApp() {
                   )}
                   {rules.map(r => {
                     const ruleType = r.type || "belegung"; // Default to belegung for backward compatibility
+                    const highlighted = highlightedIssueTarget?.type === 'rule' && highlightedIssueTarget.id === r.id;
                     return (
-                      <div key={r.id} className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200">
+                      <div
+                        key={r.id}
+                        ref={el => { issueTargetRefs.current[`rule:${r.id}`] = el; }}
+                        className={`bg-white rounded-lg p-4 shadow-sm border hover:shadow-md transition-all duration-200 ${highlighted ? 'border-red-400 ring-2 ring-red-400' : 'border-gray-200'}`}
+                      >
                         <div className="flex items-start justify-between mb-2">
                           <div className="flex-1">
                             <div className="flex items-center gap-2 mb-1">
@@ -5881,13 +10211,19 @@ export default function WerkstattVerwaltungApp() {
                             {ruleType === "belegung" ? (
                               <div className="rule-description text-sm text-gray-600 mb-2">
                                 <span className="font-medium text-orange-600">{(r.options || []).join(', ')}</span>
+                                <div className="text-xs text-gray-500 mt-1">{describeBelegungRule(r)}</div>
                               </div>
                             ) : (
                               <div className="rule-description text-sm text-gray-600 mb-2">
                                 <span className="font-medium text-green-600">
-                                  {r.fromCourse} → {r.toCourse}
-                                  {r.sameBand && <span className="text-xs text-gray-500 ml-2">(gleiches Band)</span>}
+                                  {r.fromCourse} → {getFolgekursTargets(r).join(' oder ')}
                                 </span>
+                                <div className="text-xs text-gray-500 mt-1">{describeFolgekursRule(r)}</div>
+                                {findConflictingFolgekursRules(r, rules).length > 0 && (
+                                  <div className="text-xs text-red-600 mt-1">
+                                    Widerspricht: {findConflictingFolgekursRules(r, rules).map(other => other.name).join(', ')}
+                                  </div>
+                                )}
                               </div>
                             )}
                           </div>
@@ -5898,9 +10234,9 @@ export default function WerkstattVerwaltungApp() {
                             <div className="absolute right-0 bottom-full mb-2 transform w-64 bg-gray-900 text-white text-xs rounded-lg py-2 px-3 opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-50">
                               <strong>Was bedeutet diese Regel?</strong><br/>
                               {ruleType === "belegung" ? (
-                                <>Der Schüler muss <strong>alle</strong> aufgelisteten Kurse irgendwann einmal belegt haben. Die Regel ist erfüllt, wenn der Schüler in seiner Historie alle Kurse ({(r.options || []).join(', ')}) mindestens einmal zugeordnet bekommen hat.</>
+                                <>Der Schüler muss {describeBelegungRule(r)} belegen ({(r.options || []).join(', ')}). Der Zeitraum beginnt mit dem ersten Trimester, in dem der Schüler einer Werkstatt zugeordnet war.</>
                               ) : (
-                                <>Wenn ein Schüler den Kurs <strong>{r.fromCourse}</strong> in einem Trimester belegt, muss er im nächsten Trimester automatisch den Kurs <strong>{r.toCourse}</strong> belegen{r.fromCourse === r.toCourse ? " (derselbe Kurs)" : ""}.{r.sameBand ? " Der Folgekurs muss im selben Band (Erstes oder Zweites Band) wie der Ausgangskurs sein." : ""}</>
+                                <>Wenn ein Schüler den Kurs <strong>{r.fromCourse}</strong> belegt, muss er {getFolgekursWithin(r) === 1 ? 'im nächsten Trimester' : `innerhalb der nächsten ${getFolgekursWithin(r)} Trimester`} <strong>{getFolgekursTargets(r).join(' oder ')}</strong> belegen{getFolgekursTargets(r).includes(r.fromCourse) ? " (derselbe Kurs möglich)" : ""}. Die Auto-Zuordnung setzt den Folgekurs spätestens im letzten Trimester dieses Zeitraums.{r.sameBand ? " Der Folgekurs muss im selben Band wie der Ausgangskurs sein." : ""}</>
                               )}
                             </div>
                           </div>
@@ -5920,9 +10256,226 @@ export default function WerkstattVerwaltungApp() {
               </div>
               <div className="bg-gradient-to-br from-orange-50 to-amber-100 rounded-xl p-6 shadow-sm border border-orange-200">
                 <h3 className="text-xl font-semibold text-orange-900 mb-4 border-b border-orange-300 pb-3">Neue Regel erstellen</h3>
-                <CreateRuleForm workshops={Object.keys(workshops)} onAdd={addRule} />
+                <CreateRuleForm workshops={Object.keys(workshops)} ruleNames={rules.map(rule => rule.name)} onAdd={addRule} onPreview={previewRules} />
+                {rulePreview && (
+                  <div className="mt-4 bg-white rounded-lg p-4 border border-orange-300 shadow-sm text-sm">
+                    <div className="flex justify-between items-start mb-3">
+                      <h4 className="font-semibold text-gray-800">
+                        Vorschau: {rulePreview.draftRules.map(rule => `„${rule.name}“`).join(', ')}
+                      </h4>
+                      <button onClick={() => setRulePreview(null)} className="text-gray-500 hover:text-gray-700 text-xl leading-none">×</button>
+                    </div>
+                    <p className="text-xs text-gray-500 mb-3">
+                      Stand: {formatYearTrimester(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)} – bestätigte Historie und aktuelle Wahlen.
+                    </p>
+                    <div className="grid grid-cols-3 gap-2 mb-3">
+                      <div className="p-2 bg-red-50 rounded-lg text-center">
+                        <div className="text-2xl font-bold text-red-700">{rulePreview.impact.violations.length}</div>
+                        <div className="text-xs text-red-700">würden verletzen</div>
+                      </div>
+                      <div className="p-2 bg-yellow-50 rounded-lg text-center">
+                        <div className="text-2xl font-bold text-yellow-700">{rulePreview.impact.atRisk.length}</div>
+                        <div className="text-xs text-yellow-700">gefährdet</div>
+                      </div>
+                      <div className="p-2 bg-green-50 rounded-lg text-center">
+                        <div className="text-2xl font-bold text-green-700">{rulePreview.impact.folgekurs.filter(entry => !entry.conflict).length}</div>
+                        <div className="text-xs text-green-700">
+                          Folgekurs-Platzierungen
+                          {rulePreview.impact.folgekurs.some(entry => !entry.conflict && !entry.chosen) && ` (${rulePreview.impact.folgekurs.filter(entry => !entry.conflict && !entry.chosen).length} ohne passende Wahl)`}
+                        </div>
+                      </div>
+                    </div>
+                    {[
+                      { label: 'Würden die Regel verletzen', entries: rulePreview.impact.violations },
+                      { label: 'Gefährdet', entries: rulePreview.impact.atRisk },
+                      { label: 'Folgekurs jetzt fällig', entries: rulePreview.impact.folgekurs.map(entry => ({
+                        ...entry,
+                        detail: `${entry.detail}${entry.conflict ? ' – widerspricht einer bestehenden Folgekurs-Regel' : entry.chosen ? '' : ' – nicht gewählt, wird gesetzt'}`,
+                      })) },
+                    ].filter(group => group.entries.length > 0).map(group => (
+                      <details key={group.label} className="mb-2">
+                        <summary className="cursor-pointer font-medium text-gray-700">{group.label} ({group.entries.length})</summary>
+                        <ul className="mt-1 ml-4 text-xs text-gray-600 space-y-0.5 max-h-40 overflow-y-auto">
+                          {group.entries.map((entry, i) => (
+                            <li key={i}><span className="font-medium">{entry.student}</span>{rulePreview.draftRules.length > 1 && ` · ${entry.ruleName}`}: {entry.detail}</li>
+                          ))}
+                        </ul>
+                      </details>
+                    ))}
+                    <div className="mt-3 pt-3 border-t border-gray-200">
+                      <h5 className="font-semibold text-gray-700 mb-2">Auto-Zuordnung mit dieser Regel (gleiches Verfahren und Los wie zuletzt, aktuelle Einstellungen)</h5>
+                      {!rulePreview.rerun ? (
+                        <div className="text-xs text-gray-500 italic">Für dieses Trimester gibt es noch keine Auto-Zuordnung.</div>
+                      ) : (
+                        <>
+                          <table className="w-full text-xs mb-2">
+                            <thead>
+                              <tr className="text-left text-gray-600 border-b">
+                                <th className="py-1 pr-2">Kennzahl</th>
+                                <th className="py-1 pr-2">Ohne Regel</th>
+                                <th className="py-1 pr-2">Mit Regel</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {(() => {
+                                const before = getAutoResultSummary(rulePreview.rerun.before);
+                                const after = getAutoResultSummary(rulePreview.rerun.after);
+                                return [
+                                  { label: 'Erste Wahlen (%)', value: s => `${s.percentFirst.toFixed(2)}%` },
+                                  { label: 'Zwangszuweisungen', value: s => s.totalForced },
+                                  { label: 'Nicht zugeordnet', value: s => s.unassigned },
+                                  { label: 'Warnungen', value: s => s.problemCount },
+                                ].map(row => (
+                                  <tr key={row.label} className="border-b last:border-0">
+                                    <td className="py-1 pr-2 text-gray-700">{row.label}</td>
+                                    <td className="py-1 pr-2 font-semibold">{row.value(before)}</td>
+                                    <td className="py-1 pr-2 font-semibold">{row.value(after)}</td>
+                                  </tr>
+                                ));
+                              })()}
+                            </tbody>
+                          </table>
+                          {rulePreview.rerun.changes.length === 0 ? (
+                            <div className="text-xs text-gray-500">Keine Zuordnung würde sich ändern.</div>
+                          ) : (
+                            <details>
+                              <summary className="cursor-pointer font-medium text-gray-700">{rulePreview.rerun.changes.length} Zuordnungen würden sich ändern</summary>
+                              <ul className="mt-1 ml-4 text-xs text-gray-600 space-y-0.5 max-h-40 overflow-y-auto">
+                                {rulePreview.rerun.changes.map(change => (
+                                  <li key={`${change.band}-${change.student}`}>
+                                    <span className="font-medium">{change.student}</span> ({getBandShortLabel(change.band)}): {change.before || 'nicht zugeordnet'} → {change.after || 'nicht zugeordnet'}
+                                  </li>
+                                ))}
+                              </ul>
+                            </details>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="mt-6 bg-gradient-to-br from-teal-50 to-cyan-100 rounded-xl p-6 shadow-sm border border-teal-200">
+              <h3 className="text-xl font-semibold text-teal-900 mb-1 border-b border-teal-300 pb-3">Regelwerk austauschen</h3>
+              <p className="text-xs text-teal-700 mt-2 mb-3">
+                Regeln, Voraussetzungen und „nicht parallel“-Angaben als eine JSON-Datei (Version {RULE_SET_VERSION}) – z.B. für eine Partnerschule oder das nächste Schuljahr. Beim Import wird jede Abweichung einzeln zur Übernahme angeboten.
+              </p>
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={handleExportRuleSet}
+                  className="px-4 py-2 bg-gradient-to-r from-teal-500 to-teal-600 text-white text-sm font-medium rounded-lg shadow-sm hover:from-teal-600 hover:to-teal-700 hover:shadow-md transition-all duration-200"
+                >
+                  Regelwerk exportieren
+                </button>
+                <label className="px-4 py-2 bg-white text-teal-700 text-sm font-medium rounded-lg shadow-sm border border-teal-300 hover:bg-teal-50 cursor-pointer transition-all duration-200">
+                  Regelwerk importieren…
+                  <input type="file" accept=".json,application/json" onChange={handleImportRuleSet} className="hidden" />
+                </label>
+              </div>
+            </div>
+
+            <div className="mt-6 bg-gradient-to-br from-slate-50 to-gray-100 rounded-xl p-6 shadow-sm border border-gray-300">
+              <div className="flex items-center justify-between gap-4 mb-1 border-b border-gray-300 pb-3">
+                <h3 className="text-xl font-semibold text-gray-900">Konfiguration prüfen</h3>
+                <button
+                  onClick={runValidation}
+                  className="px-4 py-2 bg-gradient-to-r from-slate-600 to-slate-700 text-white text-sm font-medium rounded-lg shadow-sm hover:from-slate-700 hover:to-slate-800 hover:shadow-md transition-all duration-200"
+                >
+                  Jetzt prüfen
+                </button>
               </div>
+              <p className="text-xs text-gray-600 mt-2 mb-3">
+                Prüft Werkstätten, Bänder, Kapazitäten, Voraussetzungen, „nicht parallel“ und Regeln auf Widersprüche. Läuft auch automatisch vor jeder Auto-Zuordnung.
+              </p>
+              {validationIssues === null ? (
+                <div className="text-gray-500 italic p-4 bg-white rounded-lg text-center">
+                  Noch nicht geprüft.
+                </div>
+              ) : validationIssues.length === 0 ? (
+                <div className="text-green-700 p-4 bg-white rounded-lg text-center">
+                  Keine Widersprüche gefunden.
+                </div>
+              ) : (
+                <ul className="space-y-2 text-sm max-h-96 overflow-y-auto">
+                  {validationIssues.map((issue, i) => (
+                    <li key={i} className="p-2 bg-white rounded-lg flex items-start gap-3">
+                      <span className={`text-xs px-2 py-1 rounded-full font-semibold ${issue.severity === 'error' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}`}>
+                        {issue.severity === 'error' ? 'Fehler' : 'Hinweis'}
+                      </span>
+                      <span className="flex-1">{issue.message}</span>
+                      {issue.target && (
+                        <button
+                          onClick={() => showIssueTarget(issue.target)}
+                          className="text-blue-600 hover:underline whitespace-nowrap"
+                        >
+                          {issue.target.type === 'workshop' ? 'Werkstatt' : 'Regel'}: {issue.target.label} →
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="mt-6 bg-gradient-to-br from-red-50 to-rose-100 rounded-xl p-6 shadow-sm border border-red-200">
+              <h3 className="text-xl font-semibold text-red-900 mb-1 border-b border-red-300 pb-3">Gefährdete Schüler</h3>
+              <p className="text-xs text-red-700 mt-2 mb-3">
+                Stand: {formatYearTrimester(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)}. Berücksichtigt werden Belegungsregeln mit Zeitraum; gefährdet heißt, dass höchstens {RULE_RISK_SLACK} Kursplatz Spielraum bleibt (ein Kurs je Band und Trimester).
+              </p>
+              {belegungRuleRisks.length === 0 ? (
+                <div className="text-gray-500 italic p-4 bg-white rounded-lg text-center">
+                  Keine Schüler gefährdet.
+                </div>
+              ) : (
+                <div className="max-h-96 overflow-y-auto">
+                  <table className="w-full text-sm bg-white rounded-lg">
+                    <thead>
+                      <tr className="text-left border-b border-gray-200">
+                        <th className="p-2">Schüler</th>
+                        <th className="p-2">Regel</th>
+                        <th className="p-2">Status</th>
+                        <th className="p-2">Belegt</th>
+                        <th className="p-2">Zeitraum</th>
+                        <th className="p-2">Verbleibend</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {belegungRuleRisks.map(({ student, rule, evaluation }) => (
+                        <tr key={`${rule.id}-${student}`} className="border-b border-gray-100">
+                          <td className="p-2 font-medium">{student}</td>
+                          <td className="p-2">{rule.name}</td>
+                          <td className={`p-2 font-semibold ${evaluation.status === 'missed' ? 'text-red-700' : 'text-orange-700'}`}>
+                            {evaluation.status === 'missed' ? 'Verpasst' : 'Gefährdet'}
+                          </td>
+                          <td className="p-2">{evaluation.taken.length}/{evaluation.required}</td>
+                          <td className="p-2">{formatSlotOrdinal(evaluation.windowStart)} – {formatSlotOrdinal(evaluation.windowEnd)}</td>
+                          <td className="p-2">{evaluation.remaining} Trimester ({evaluation.remaining * activeBandIds.length} Plätze) für {evaluation.needed} Kurs(e)</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
+
+            {folgekursConflicts.length > 0 && (
+              <div className="mt-6 bg-gradient-to-br from-red-50 to-rose-100 rounded-xl p-6 shadow-sm border border-red-200">
+                <h3 className="text-xl font-semibold text-red-900 mb-1 border-b border-red-300 pb-3">Widersprüchliche Folgekurs-Regeln</h3>
+                <p className="text-xs text-red-700 mt-2 mb-3">
+                  Diese Schüler müssten in {formatYearTrimester(yearTrimester.schoolYearStart, yearTrimester.schoolYearEnd, yearTrimester.trimester)} mehr verschiedene Folgekurse belegen, als Bänder frei sind. Die Auto-Zuordnung berücksichtigt jeweils nur die erste Regel.
+                </p>
+                <ul className="space-y-2 text-sm">
+                  {folgekursConflicts.map(({ student, requirement, accepted }, i) => (
+                    <li key={i} className="p-2 bg-white rounded-lg">
+                      <span className="font-medium">{student}</span>: „{requirement.ruleName}“ ({requirement.fromCourse} → {requirement.courses.join(' oder ')}
+                      {requirement.band ? `, ${getBandLabel(requirement.band)}` : ''}) widerspricht {accepted.map(other => `„${other.ruleName}“`).join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </section>
       )}
@@ -6022,30 +10575,465 @@ export default function WerkstattVerwaltungApp() {
               </div>
             </div>
           </div>
-        </section>
+        </section>
+      )}
+
+      {/* Choice upload: assign file columns before importing */}
+      {columnMapping && (() => {
+        const part = columnMapping.parts[columnMapping.active];
+        const header = part.data[0];
+        const mapping = part.mapping;
+        const mappingError = getColumnMappingError(columnMapping.parts);
+        const previewRows = part.data.slice(1, UPLOAD_PREVIEW_ROWS + 1);
+        const rowCount = columnMapping.parts.reduce((sum, p) => sum + p.data.length - 1, 0);
+        const fields = [
+          { field: 'name', label: 'Name', idx: mapping.name },
+          { field: 'klasse', label: 'Klasse', idx: mapping.klasse },
+          { field: 'submitted', label: 'Übermittelt', idx: mapping.submitted },
+          ...mapping.choices.map((idx, rank) => ({ field: 'choices', rank, label: `Q${rank + 1}`, idx })),
+        ];
+        const labelOfColumn = col => fields.filter(f => f.idx === col).map(f => f.label).join(', ');
+        return (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-4xl w-full mx-4">
+              <h3 className="text-xl font-semibold text-gray-800 mb-2 border-b border-gray-300 pb-3">
+                Spalten zuordnen – {columnMapping.fileName} ({columnMapping.parts.map(p => getBandLabel(p.bandId)).join(', ')})
+              </h3>
+              {columnMapping.parts.length > 1 && (
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {columnMapping.parts.map((p, i) => (
+                    <button
+                      key={p.bandId}
+                      onClick={() => setColumnMapping(prev => ({ ...prev, active: i }))}
+                      className={`px-3 py-1 text-sm rounded-lg border ${i === columnMapping.active ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-blue-700 border-blue-300 hover:bg-blue-50'}`}
+                    >
+                      {getBandLabel(p.bandId)}{!p.byHeader && p.sheetName !== columnMapping.fileName && ` (Blatt „${p.sheetName}“)`}
+                      {validateColumnMapping(p.mapping) && ' ⚠️'}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {columnMapping.ignoredSheets.length > 0 && (
+                <p className="text-xs text-gray-500 mb-2">Nicht verwendete Blätter: {columnMapping.ignoredSheets.join(', ')}</p>
+              )}
+              <p className="text-sm text-gray-600 mb-4">
+                Prüfen Sie, welche Spalte der Datei welches Feld enthält. Klasse und Übermittelt sind optional.
+                {columnMapping.parseReport && ` Gelesen als ${columnMapping.parseReport.encoding}, Trennzeichen „${columnMapping.parseReport.delimiter === '\t' ? 'Tab' : columnMapping.parseReport.delimiter}“.`}
+              </p>
+              {columnMapping.parseReport?.errors.length > 0 && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm">
+                  <div className="font-semibold text-red-800 mb-1">
+                    ⚠️ {columnMapping.parseReport.errors.length} fehlerhafte Zeile(n) werden nicht übernommen:
+                  </div>
+                  <ul className="text-red-700 max-h-24 overflow-y-auto space-y-1">
+                    {columnMapping.parseReport.errors.map((err, idx) => (
+                      <li key={idx}><strong>Zeile {err.line}:</strong> {err.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="max-h-48 overflow-auto mb-4 border border-gray-200 rounded-lg">
+                <table className="min-w-full text-xs">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      {header.map((h, col) => (
+                        <th key={col} className="px-2 py-1 text-left font-semibold text-gray-700 whitespace-nowrap">
+                          {String(h ?? '')}
+                          {labelOfColumn(col) && <div className="font-normal text-blue-700">→ {labelOfColumn(col)}</div>}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((row, r) => (
+                      <tr key={r} className="border-t border-gray-100">
+                        {header.map((_, col) => (
+                          <td key={col} className="px-2 py-1 text-gray-600 whitespace-nowrap">{String(row[col] ?? '')}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 max-h-48 overflow-y-auto">
+                {fields.map(({ field, rank, label, idx }) => (
+                  <label key={field + (rank ?? '')} className="text-sm text-gray-700">
+                    {label}
+                    <select
+                      value={idx}
+                      onChange={(e) => updateColumnMapping(field, parseInt(e.target.value), rank)}
+                      className="mt-1 w-full p-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      <option value={-1}>— nicht vorhanden —</option>
+                      {header.map((h, col) => (
+                        <option key={col} value={col}>{String(h ?? '') || `Spalte ${col + 1}`}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-gray-50 rounded-lg text-sm">
+                <span className="text-gray-700">Vorlage:</span>
+                <select
+                  value={uploadMappingPresets[part.presetName] ? part.presetName : ''}
+                  onChange={(e) => selectMappingPreset(e.target.value)}
+                  className="p-1 border border-gray-300 rounded-lg"
+                >
+                  <option value="">— automatisch erkannt —</option>
+                  {Object.keys(uploadMappingPresets).sort().map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                {uploadMappingPresets[part.presetName] && (
+                  <button
+                    onClick={() => deleteMappingPreset(part.presetName)}
+                    className="px-2 py-1 text-red-600 hover:text-red-800"
+                  >
+                    Löschen
+                  </button>
+                )}
+                <input
+                  type="text"
+                  value={part.presetName}
+                  onChange={(e) => { const presetName = e.target.value; updateActiveMappingPart(() => ({ presetName })); }}
+                  placeholder="Name der Vorlage"
+                  className="flex-1 min-w-[10rem] p-1 border border-gray-300 rounded-lg"
+                />
+                <button
+                  onClick={saveMappingPreset}
+                  className="px-3 py-1 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200"
+                >
+                  Vorlage speichern
+                </button>
+              </div>
+              {mappingError && (
+                <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{mappingError}</div>
+              )}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setColumnMapping(null)}
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-gray-500 to-gray-600 text-white font-medium rounded-lg shadow-sm hover:from-gray-600 hover:to-gray-700 hover:shadow-md transition-all duration-200"
+                >
+                  Abbrechen
+                </button>
+                <button
+                  onClick={applyColumnMapping}
+                  disabled={!!mappingError}
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white font-medium rounded-lg shadow-sm hover:from-blue-600 hover:to-blue-700 hover:shadow-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Übernehmen ({rowCount} Zeilen)
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Choice upload: confirm merges of similar names */}
+      {nameMatching && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-2xl w-full mx-4">
+            <h3 className="text-xl font-semibold text-gray-800 mb-2 border-b border-gray-300 pb-3">
+              Namen abgleichen – {nameMatching.fileName}
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Diese Namen aus der Datei gibt es noch nicht, sie ähneln aber vorhandenen. Angehakte Paare werden zusammengeführt und für künftige Uploads gemerkt; sonst wird der Name neu angelegt.
+            </p>
+            <div className="max-h-96 overflow-y-auto mb-6 space-y-4">
+              {[['student', 'Schüler'], ['workshop', 'Werkstätten']].map(([kind, label]) => {
+                const items = nameMatching.suggestions.map((s, index) => ({ ...s, index })).filter(s => s.kind === kind);
+                if (items.length === 0) return null;
+                return (
+                  <div key={kind}>
+                    <h4 className="font-semibold text-sm text-gray-700 mb-2">{label} ({items.length})</h4>
+                    <ul className="space-y-2">
+                      {items.map(item => (
+                        <li key={item.index} className="flex items-center gap-3 p-2 bg-gray-50 rounded-lg text-sm">
+                          <input
+                            type="checkbox"
+                            checked={item.accepted}
+                            onChange={() => toggleNameSuggestion(item.index)}
+                            className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          <span className="flex-1">
+                            <span className="font-medium">{item.from}</span> → <span className="font-medium text-blue-700">{item.to}</span>
+                          </span>
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">
+                            {NAME_MATCH_REASONS[item.reason]}{item.reason === 'fuzzy' && ` (${item.distance} Zeichen)`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setNameMatching(null)}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-gray-500 to-gray-600 text-white font-medium rounded-lg shadow-sm hover:from-gray-600 hover:to-gray-700 hover:shadow-md transition-all duration-200"
+              >
+                Abbrechen
+              </button>
+              <button
+                onClick={confirmNameMatching}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white font-medium rounded-lg shadow-sm hover:from-blue-600 hover:to-blue-700 hover:shadow-md transition-all duration-200"
+              >
+                Weiter ({nameMatching.suggestions.filter(s => s.accepted).length} zusammenführen)
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Choice upload: review the changes before they are written */}
+      {uploadStaging && (() => {
+        const formatChoices = choices => choices.join(' › ');
+        // With several bands each choice change names its band
+        const studentLabel = item => (uploadStaging.bandIds.length > 1 ? `${item.student} (${getBandShortLabel(item.band)})` : item.student);
+        const renderItem = (category, item) => {
+          switch (category) {
+            case 'newStudents':
+            case 'newWorkshops':
+              return item;
+            case 'classChanges':
+              return <><strong>{item.student}:</strong> {item.old || '(keine)'} → {item.new}</>;
+            case 'newChoices':
+              return <><strong>{studentLabel(item)}:</strong> {formatChoices(item.new)}</>;
+            case 'changedChoices':
+              return <><strong>{studentLabel(item)}:</strong> <span className="line-through text-gray-500">{formatChoices(item.old)}</span> → {formatChoices(item.new)}</>;
+            default:
+              return <><strong>{studentLabel(item)}:</strong> {formatChoices(item.old)}</>;
+          }
+        };
+        const hints = {
+          newStudents: 'Abgelehnt: Zeilen dieser Schüler werden ganz übersprungen.',
+          newWorkshops: 'Abgelehnt: diese Werkstätten werden aus den Wahlen entfernt.',
+          missingStudents: 'Angehakt: die Wahlen dieser Schüler werden im Band gelöscht.',
+        };
+        const hasChanges = UPLOAD_CHANGE_CATEGORIES.some(({ id }) => uploadStaging[id].length > 0);
+        return (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-3xl w-full mx-4">
+              <h3 className="text-xl font-semibold text-gray-800 mb-2 border-b border-gray-300 pb-3">
+                Upload prüfen – {uploadStaging.fileName} ({uploadStaging.bandIds.map(getBandLabel).join(', ')})
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Noch wurde nichts gespeichert. Angehakte Bereiche werden übernommen.
+                {uploadStaging.unchangedChoices > 0 && ` ${uploadStaging.unchangedChoices} Schüler haben unveränderte Wahlen.`}
+              </p>
+              <div className="max-h-96 overflow-y-auto mb-6 space-y-4">
+                {!hasChanges && (
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-600">Keine Änderungen erkannt.</div>
+                )}
+                {UPLOAD_CHANGE_CATEGORIES.map(({ id, label }) => {
+                  const items = uploadStaging[id];
+                  if (items.length === 0) return null;
+                  return (
+                    <div key={id}>
+                      <label className="flex items-center gap-2 font-semibold text-sm text-gray-700 mb-1">
+                        <input
+                          type="checkbox"
+                          checked={uploadStaging.accepted[id]}
+                          onChange={() => toggleUploadCategory(id)}
+                          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
+                        />
+                        {label} ({items.length})
+                      </label>
+                      {hints[id] && <div className="text-xs text-gray-500 mb-1 ml-6">{hints[id]}</div>}
+                      <ul className={`ml-6 max-h-32 overflow-y-auto text-sm space-y-1 ${uploadStaging.accepted[id] ? 'text-gray-700' : 'text-gray-400'}`}>
+                        {items.map((item, idx) => <li key={idx}>{renderItem(id, item)}</li>)}
+                      </ul>
+                    </div>
+                  );
+                })}
+                {uploadStaging.ineligibleChoices.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                    <div className="font-semibold text-sm text-red-800 mb-1">
+                      🚫 Nicht zulässige Wahlen ({uploadStaging.ineligibleChoices.length}) – werden übernommen, aber bei der Zuteilung übersprungen:
+                    </div>
+                    <div className="text-sm text-red-700 max-h-32 overflow-y-auto space-y-1">
+                      {uploadStaging.ineligibleChoices.map((item, idx) => (
+                        <div key={idx}><strong>{item.student}:</strong> {item.reason}</div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setUploadStaging(null)}
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-gray-500 to-gray-600 text-white font-medium rounded-lg shadow-sm hover:from-gray-600 hover:to-gray-700 hover:shadow-md transition-all duration-200"
+                >
+                  Verwerfen
+                </button>
+                <button
+                  onClick={applyUploadStaging}
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white font-medium rounded-lg shadow-sm hover:from-blue-600 hover:to-blue-700 hover:shadow-md transition-all duration-200"
+                >
+                  Übernehmen
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Rule set import: merge item by item */}
+      {ruleSetImport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-3xl w-full mx-4">
+            <h3 className="text-xl font-semibold text-gray-800 mb-2 border-b border-gray-300 pb-3">
+              Regelwerk importieren – {ruleSetImport.fileName}
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Angehakte Einträge werden übernommen. „Nur lokal“ angehakt heißt: der Eintrag wird gelöscht.
+            </p>
+            {ruleSetImport.skipped.length > 0 && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                <div className="font-semibold mb-1">Nicht übernommen ({ruleSetImport.skipped.length}):</div>
+                <ul className="list-disc ml-5 space-y-0.5">
+                  {ruleSetImport.skipped.map((message, i) => <li key={i}>{message}</li>)}
+                </ul>
+              </div>
+            )}
+            <div className="max-h-96 overflow-y-auto mb-6 space-y-4">
+              {RULE_SET_KINDS.map(({ id: kind, label }) => {
+                const items = ruleSetImport.items.filter(item => item.kind === kind && item.status !== 'same');
+                const unchanged = ruleSetImport.items.filter(item => item.kind === kind && item.status === 'same').length;
+                if (items.length === 0 && unchanged === 0) return null;
+                return (
+                  <div key={kind}>
+                    <h4 className="font-semibold text-sm text-gray-700 mb-2">{label} {unchanged > 0 && <span className="font-normal text-gray-500">({unchanged} unverändert)</span>}</h4>
+                    <ul className="space-y-2">
+                      {items.map(item => (
+                        <li key={item.key} className="flex items-start gap-3 p-2 bg-gray-50 rounded-lg text-sm">
+                          <input
+                            type="checkbox"
+                            checked={ruleSetImport.selected.includes(item.key)}
+                            onChange={() => toggleRuleSetItem(item.key)}
+                            className="mt-1 w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          <div className="flex-1">
+                            <div className="flex items-center gap-2">
+                              <span className="font-medium">{item.name}</span>
+                              <span className={`text-xs px-2 py-0.5 rounded-full ${
+                                item.status === 'new' ? 'bg-green-100 text-green-700' : item.status === 'changed' ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-200 text-gray-700'
+                              }`}>
+                                {{ new: 'Neu', changed: 'Geändert', localOnly: 'Nur lokal' }[item.status]}
+                              </span>
+                            </div>
+                            {item.status !== 'new' && (
+                              <div className="text-xs text-gray-600 mt-1">Aktuell: {describeRuleSetValue(kind, item.current)}</div>
+                            )}
+                            {item.status !== 'localOnly' && (
+                              <div className="text-xs text-blue-700 mt-1">Import: {describeRuleSetValue(kind, item.imported)}</div>
+                            )}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setRuleSetImport(null)}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-gray-500 to-gray-600 text-white font-medium rounded-lg shadow-sm hover:from-gray-600 hover:to-gray-700 hover:shadow-md transition-all duration-200"
+              >
+                Abbrechen
+              </button>
+              <button
+                onClick={applyRuleSetImport}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white font-medium rounded-lg shadow-sm hover:from-blue-600 hover:to-blue-700 hover:shadow-md transition-all duration-200"
+              >
+                {ruleSetImport.selected.length} Einträge übernehmen
+              </button>
+            </div>
+          </div>
+        </div>
       )}
 
       {/* Prerequisites Dialog */}
       {showPrereqDialog && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full mx-4">
+          <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-2xl w-full mx-4">
             <h3 className="text-xl font-semibold text-gray-800 mb-4 border-b border-gray-300 pb-3">
               Voraussetzungen bearbeiten – {editingWorkshop}
             </h3>
-            <div className="space-y-2 max-h-64 overflow-y-auto mb-6">
-              {Object.keys(workshops)
-                .filter((w) => w !== editingWorkshop)
-                .map((w) => (
-                  <div key={w} className="flex items-center p-3 bg-gradient-to-r from-gray-50 to-gray-100 rounded-lg hover:from-gray-100 hover:to-gray-200 transition-all duration-200">
-                    <input
-                      type="checkbox"
-                      checked={tempPrereqs.includes(w)}
-                      onChange={() => toggleTempPrereq(w)}
-                      className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
-                    />
-                    <label className="ml-3 text-sm font-medium text-gray-700 cursor-pointer">{w}</label>
+            <p className="text-sm text-gray-600 mb-4">
+              Alle Gruppen müssen erfüllt sein. In jeder Gruppe reicht die angegebene Anzahl der angekreuzten Werkstätten. Geprüft wird gegen alle bestätigten Trimester vor dem aktuellen.
+            </p>
+            <div className="space-y-3 max-h-80 overflow-y-auto mb-4">
+              {tempPrereqs.length === 0 && (
+                <div className="text-gray-500 italic p-3 bg-gray-50 rounded-lg text-center">Keine Voraussetzungen.</div>
+              )}
+              {tempPrereqs.map((group, groupIndex) => (
+                <div key={groupIndex} className="p-3 bg-gradient-to-r from-gray-50 to-gray-100 rounded-lg border border-gray-200">
+                  <div className="flex items-center gap-2 mb-2 text-sm text-gray-700">
+                    {groupIndex > 0 && <span className="font-semibold text-blue-700">UND</span>}
+                    <span>mindestens</span>
+                    <select
+                      value={group.min}
+                      onChange={(e) => setTempPrereqMin(groupIndex, parseInt(e.target.value))}
+                      className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Array.from({ length: Math.max(1, group.courses.length) }, (_, i) => i + 1).map(n => (
+                        <option key={n} value={n}>{n}</option>
+                      ))}
+                    </select>
+                    <span>von:</span>
+                    <button
+                      onClick={() => removeTempPrereqGroup(groupIndex)}
+                      className="ml-auto text-xs text-red-600 hover:underline"
+                    >
+                      Gruppe entfernen
+                    </button>
                   </div>
-                ))}
+                  <div className="flex flex-wrap gap-2">
+                    {Object.keys(workshops)
+                      .filter((w) => w !== editingWorkshop)
+                      .map((w) => (
+                        <label key={w} className="flex items-center gap-2 px-2 py-1 bg-white rounded border border-gray-200 text-sm text-gray-700 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={group.courses.includes(w)}
+                            onChange={() => toggleTempPrereq(groupIndex, w)}
+                            className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          {w}
+                        </label>
+                      ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={addTempPrereqGroup}
+              className="mb-4 text-sm text-blue-600 hover:underline"
+            >
+              + Gruppe hinzufügen
+            </button>
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Als Ausdruck</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={tempPrereqText}
+                  onChange={(e) => setTempPrereqText(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') applyTempPrereqText(); }}
+                  placeholder="z.B. (Holz I ODER Metall I) UND Sicherheitseinweisung"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={applyTempPrereqText}
+                  className="px-3 py-2 bg-gray-200 text-gray-800 text-sm font-medium rounded-lg hover:bg-gray-300"
+                >
+                  Übernehmen
+                </button>
+              </div>
+              <div className="text-xs text-gray-500 mt-1">UND, ODER (großgeschrieben), Klammern und „2 aus (A, B, C)“ sind möglich. Namen mit Komma oder Klammern in "Anführungszeichen" setzen.</div>
             </div>
             <div className="flex gap-3">
               <button 
@@ -6150,42 +11138,100 @@ function AddWorkshopForm({ onAdd }) {
   );
 }
 
-function CreateRuleForm({ workshops, onAdd }) {
+function CreateRuleForm({ workshops, ruleNames, onAdd, onPreview }) {
   const [ruleType, setRuleType] = useState("belegung"); // "belegung" or "folgekurs"
   const [name, setName] = useState("");
   const [selected, setSelected] = useState([]); // for belegung rules
+  const [minCount, setMinCount] = useState(""); // for belegung rules, empty = all
+  const [windowLength, setWindowLength] = useState(""); // for belegung rules, empty = any time
+  const [windowUnit, setWindowUnit] = useState("years"); // for belegung rules
   const [fromCourse, setFromCourse] = useState(""); // for folgekurs rules
-  const [toCourse, setToCourse] = useState(""); // for folgekurs rules
+  const [toCourses, setToCourses] = useState([]); // for folgekurs rules, alternatives
+  const [withinTrimesters, setWithinTrimesters] = useState("1"); // for folgekurs rules
+  const [chain, setChain] = useState([]); // for folgekurs rules, further courses of a sequence
   const [sameBand, setSameBand] = useState(false); // for folgekurs rules
 
   function toggleOpt(opt) {
     setSelected(prev => prev.includes(opt) ? prev.filter(x=>x!==opt) : [...prev, opt]);
   }
 
-  function submit() {
+  function toggleToCourse(opt) {
+    setToCourses(prev => prev.includes(opt) ? prev.filter(x=>x!==opt) : [...prev, opt]);
+  }
+
+  // The rules described by the form (a chain gives several), or null after telling the user what is missing
+  function buildRules() {
     if (!name) {
       alert('Bitte einen Regel-Namen eingeben.');
-      return;
+      return null;
     }
     
     if (ruleType === "belegung") {
       if (selected.length === 0) {
         alert('Bitte mindestens eine Option wählen.');
-        return;
-      }
-      onAdd({ type: "belegung", name, options: selected });
-      setName(""); setSelected([]);
-    } else if (ruleType === "folgekurs") {
-      if (!fromCourse || !toCourse) {
-        alert('Bitte sowohl Ausgangskurs als auch Folgekurs auswählen.');
-        return;
+        return null;
       }
-      // Allow fromCourse === toCourse (student must take the same course again)
-      onAdd({ type: "folgekurs", name, fromCourse, toCourse, sameBand });
-      setName(""); setFromCourse(""); setToCourse(""); setSameBand(false);
+      const parsedMinCount = parseInt(minCount, 10);
+      const parsedWindowLength = parseInt(windowLength, 10);
+      return [{
+        type: "belegung",
+        name,
+        options: selected,
+        minCount: Number.isNaN(parsedMinCount) ? null : Math.min(parsedMinCount, selected.length),
+        windowLength: Number.isNaN(parsedWindowLength) || parsedWindowLength <= 0 ? null : parsedWindowLength,
+        windowUnit,
+      }];
+    }
+    if (!fromCourse || toCourses.length === 0) {
+      alert('Bitte sowohl Ausgangskurs als auch Folgekurs auswählen.');
+      return null;
+    }
+    const links = chain.filter(Boolean);
+    if (links.length > 0 && toCourses.length > 1) {
+      alert('Eine Kette kann nur über einen einzelnen Folgekurs fortgesetzt werden.');
+      return null;
+    }
+    const parsedWithin = parseInt(withinTrimesters, 10);
+    const within = Number.isNaN(parsedWithin) || parsedWithin <= 0 ? 1 : parsedWithin;
+    // Allow fromCourse === toCourse (student must take the same course again).
+    // A chain A → B → C is stored as the consecutive rules A → B and B → C.
+    const steps = [
+      [fromCourse, toCourses],
+      ...links.map((course, idx) => [idx === 0 ? toCourses[0] : links[idx - 1], [course]]),
+    ];
+    return steps.map(([from, to], idx) => ({
+      type: "folgekurs",
+      name: steps.length > 1 ? `${name} (${idx + 1})` : name,
+      fromCourse: from,
+      toCourse: to[0],
+      toCourses: to,
+      sameBand,
+      withinTrimesters: within,
+    }));
+  }
+
+  function submit() {
+    const built = buildRules();
+    if (!built) return;
+    // Rule sets are merged by rule name, so names must be unique
+    const taken = built.find(rule => ruleNames.includes(rule.name));
+    if (taken) {
+      alert(`Es gibt schon eine Regel „${taken.name}“. Bitte einen anderen Namen wählen.`);
+      return;
+    }
+    built.forEach(rule => onAdd(rule));
+    if (ruleType === "belegung") {
+      setName(""); setSelected([]); setMinCount(""); setWindowLength("");
+    } else {
+      setName(""); setFromCourse(""); setToCourses([]); setWithinTrimesters("1"); setChain([]); setSameBand(false);
     }
   }
 
+  function preview() {
+    const built = buildRules();
+    if (built) onPreview(built);
+  }
+
   return (
     <div className="space-y-4">
       <div>
@@ -6228,13 +11274,49 @@ function CreateRuleForm({ workshops, onAdd }) {
               ))}
             </div>
           </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Mindestens belegen:</label>
+              <select
+                value={minCount}
+                onChange={e=>setMinCount(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200"
+              >
+                <option value="">alle ausgewählten Kurse</option>
+                {selected.slice(1).map((_, idx) => (
+                  <option key={idx + 1} value={idx + 1}>{idx + 1} von {selected.length}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Innerhalb von:</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="1"
+                  value={windowLength}
+                  onChange={e=>setWindowLength(e.target.value)}
+                  placeholder="jederzeit"
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200"
+                />
+                <select
+                  value={windowUnit}
+                  onChange={e=>setWindowUnit(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200"
+                >
+                  <option value="years">Schuljahren</option>
+                  <option value="trimesters">Trimestern</option>
+                </select>
+              </div>
+            </div>
+          </div>
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-2">
             <div className="flex items-start gap-2">
               <svg className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
               <div className="text-xs text-blue-700">
-                <strong>Hinweis:</strong> Diese Regel bedeutet, dass der Schüler <strong>alle</strong> ausgewählten Kurse irgendwann einmal belegt haben muss. Die Regel ist erfüllt, wenn der Schüler in seiner gesamten Historie alle Kurse mindestens einmal zugeordnet bekommen hat.
+                <strong>Hinweis:</strong> Der Schüler muss die angegebene Anzahl der ausgewählten Kurse belegen (ohne Angabe: alle). Mit einem Zeitraum zählt nur, was innerhalb dieses Zeitraums belegt wurde; er beginnt mit dem ersten Trimester, in dem der Schüler einer Werkstatt zugeordnet war. Ohne Zeitraum zählt die gesamte Historie.
               </div>
             </div>
           </div>
@@ -6255,17 +11337,64 @@ function CreateRuleForm({ workshops, onAdd }) {
             </select>
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Folgekurs (muss im nächsten Trimester belegt werden):</label>
-            <select 
-              value={toCourse} 
-              onChange={e=>setToCourse(e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200"
-            >
-              <option value="">-- Folgekurs wählen --</option>
+            <label className="block text-sm font-medium text-gray-700 mb-3">Folgekurs (mehrere = Alternativen, einer davon genügt):</label>
+            <div className="grid grid-cols-2 gap-2 max-h-48 overflow-y-auto">
               {workshops.map(w => (
-                <option key={w} value={w}>{w}</option>
+                <div key={w} className="flex items-center p-2 bg-white rounded-lg border border-gray-200 hover:bg-gray-50 transition-all duration-200">
+                  <input 
+                    type="checkbox" 
+                    checked={toCourses.includes(w)} 
+                    onChange={()=>toggleToCourse(w)}
+                    className="w-4 h-4 text-orange-600 bg-gray-100 border-gray-300 rounded focus:ring-orange-500"
+                  />
+                  <label className="ml-2 text-sm font-medium text-gray-700 cursor-pointer">{w}</label>
+                </div>
               ))}
-            </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Innerhalb der nächsten … Trimester:</label>
+            <input
+              type="number"
+              min="1"
+              value={withinTrimesters}
+              onChange={e=>setWithinTrimesters(e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Kette fortsetzen (optional):</label>
+            {chain.map((course, idx) => (
+              <div key={idx} className="flex items-center gap-2 mb-2">
+                <span className="text-gray-500">→</span>
+                <select
+                  value={course}
+                  onChange={e => {
+                    const value = e.target.value;
+                    setChain(prev => prev.map((c, i) => (i === idx ? value : c)));
+                  }}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200"
+                >
+                  <option value="">-- Kurs wählen --</option>
+                  {workshops.map(w => (
+                    <option key={w} value={w}>{w}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setChain(prev => prev.filter((_, i) => i !== idx))}
+                  className="px-2 py-1 text-red-600 hover:bg-red-50 rounded"
+                  title="Kettenglied entfernen"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setChain(prev => [...prev, ""])}
+              className="text-sm text-orange-700 hover:underline"
+            >
+              + Weiterer Folgekurs
+            </button>
           </div>
           <div className="flex items-center p-3 bg-white rounded-lg border border-gray-200">
             <input 
@@ -6285,19 +11414,29 @@ function CreateRuleForm({ workshops, onAdd }) {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
               <div className="text-xs text-blue-700">
-                <strong>Hinweis:</strong> Wenn ein Schüler den Ausgangskurs in einem Trimester belegt, muss er im nächsten Trimester automatisch den Folgekurs belegen. Der Folgekurs kann derselbe Kurs sein (z.B. Kurs A → Kurs A). Wenn "gleiches Band" aktiviert ist, muss der Folgekurs im selben Band (Erstes oder Zweites Band) wie der Ausgangskurs sein.
+                <strong>Hinweis:</strong> Wenn ein Schüler den Ausgangskurs belegt, muss er innerhalb der angegebenen Trimester einen der Folgekurse belegen; die Auto-Zuordnung setzt ihn spätestens im letzten dieser Trimester. Der Folgekurs kann derselbe Kurs sein (z.B. Kurs A → Kurs A). Eine Kette (z.B. Holz I → Holz II → Holz III) wird als mehrere aufeinanderfolgende Regeln angelegt. Wenn "gleiches Band" aktiviert ist, muss der Folgekurs im selben Band wie der Ausgangskurs sein.
               </div>
             </div>
           </div>
         </>
       )}
       
-      <button 
-        onClick={submit} 
-        className="w-full px-6 py-3 bg-gradient-to-r from-orange-500 to-orange-600 text-white font-semibold rounded-lg shadow-sm hover:from-orange-600 hover:to-orange-700 hover:shadow-md transition-all duration-200"
-      >
-        Regel erstellen
-      </button>
+      <div className="flex gap-3">
+        {onPreview && (
+          <button
+            onClick={preview}
+            className="flex-1 px-6 py-3 bg-white text-orange-700 font-semibold rounded-lg shadow-sm border border-orange-300 hover:bg-orange-50 hover:shadow-md transition-all duration-200"
+          >
+            Vorschau
+          </button>
+        )}
+        <button 
+          onClick={submit} 
+          className="flex-1 px-6 py-3 bg-gradient-to-r from-orange-500 to-orange-600 text-white font-semibold rounded-lg shadow-sm hover:from-orange-600 hover:to-orange-700 hover:shadow-md transition-all duration-200"
+        >
+          Regel erstellen
+        </button>
+      </div>
     </div>
   );
 }
@@ -6423,6 +11562,192 @@ function StudentHistoryTable({ student, confirmedAssignments, workshops, onChang
 }
 
 // ColorPicker component for workshop colors
+// pairs: [{ pair, partner }] of the student (see getStudentPairPartners)
+function StudentPairEditor({ student, students, pairs, onAdd, onRemove }) {
+  const [type, setType] = useState('together');
+  const [partner, setPartner] = useState('');
+  const [hard, setHard] = useState(false);
+
+  const add = () => {
+    if (!partner) {
+      alert('Bitte einen Schüler auswählen.');
+      return;
+    }
+    onAdd(type, student, partner, hard);
+    setPartner('');
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      {pairs.length === 0 ? (
+        <div className="text-gray-500 italic p-2 bg-gray-50 rounded">Keine Vorgaben.</div>
+      ) : (
+        <ul className="space-y-1">
+          {pairs.map(({ pair, partner: other }) => (
+            <li
+              key={pair.id}
+              className={`flex items-center justify-between p-2 rounded border ${pair.type === 'apart' ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'}`}
+            >
+              <span>
+                {pair.type === 'apart' ? 'Getrennt von' : 'Zusammen mit'} <span className="font-medium">{other}</span>
+                <span className="ml-2 text-xs text-gray-600">{pair.hard ? 'hart' : 'weich'}</span>
+              </span>
+              <button onClick={() => onRemove(pair.id)} className="text-red-600 hover:text-red-800" title="Entfernen">✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={type} onChange={e => setType(e.target.value)} className="px-2 py-1 border border-gray-300 rounded text-sm">
+          {STUDENT_PAIR_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+        </select>
+        <select value={partner} onChange={e => setPartner(e.target.value)} className="px-2 py-1 border border-gray-300 rounded text-sm">
+          <option value="">Schüler…</option>
+          {students.filter(s => s !== student).map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <label className="flex items-center gap-1" title="Hart: wird notfalls auch außerhalb der Wahlen durchgesetzt">
+          <input type="checkbox" checked={hard} onChange={e => setHard(e.target.checked)} />
+          hart
+        </label>
+        <button onClick={add} className="px-3 py-1 bg-indigo-500 text-white text-sm rounded hover:bg-indigo-600 transition-all duration-200">
+          Hinzufügen
+        </button>
+      </div>
+      <div className="text-xs text-gray-500">
+        Weiche Vorgaben werden nur innerhalb der Wahlen umgesetzt, harte notfalls auch außerhalb; ein hart getrenntes Paar wird sonst aufgelöst.
+      </div>
+    </div>
+  );
+}
+
+function BandConstraintBadge({ lines, blocked }) {
+  return (
+    <span
+      className={`ml-1 px-1.5 py-0.5 text-xs font-semibold rounded ${blocked ? 'bg-red-200 text-red-900' : 'bg-indigo-200 text-indigo-900'}`}
+      title={lines.join('\n')}
+    >
+      {blocked ? 'Band gesperrt' : 'Band-Vorgabe'}
+    </span>
+  );
+}
+
+// constraints: { blockedBands, pins, sameBand } of one student (see getStudentBandConstraints)
+function BandConstraintEditor({ constraints, workshops, bandIds, onChange }) {
+  const workshopNames = Object.keys(workshops);
+  const [pinWorkshop, setPinWorkshop] = useState('');
+  const [pinBand, setPinBand] = useState(bandIds[0] || '');
+  const [pairA, setPairA] = useState('');
+  const [pairB, setPairB] = useState('');
+
+  const toggleBlocked = bandId => {
+    const blockedBands = constraints.blockedBands.includes(bandId)
+      ? constraints.blockedBands.filter(b => b !== bandId)
+      : [...constraints.blockedBands, bandId];
+    onChange({ ...constraints, blockedBands });
+  };
+
+  const addPin = () => {
+    if (!pinWorkshop || !pinBand) {
+      alert('Bitte Werkstatt und Band auswählen.');
+      return;
+    }
+    // One pin per workshop: a new band replaces the old one
+    const pins = [...constraints.pins.filter(pin => pin.workshop !== pinWorkshop), { workshop: pinWorkshop, band: pinBand }];
+    onChange({ ...constraints, pins });
+    setPinWorkshop('');
+  };
+
+  const addPair = () => {
+    if (!pairA || !pairB || pairA === pairB) {
+      alert('Bitte zwei verschiedene Werkstätten auswählen.');
+      return;
+    }
+    if (constraints.sameBand.some(pair => pair.includes(pairA) && pair.includes(pairB))) {
+      alert('Dieses Paar ist bereits eingetragen.');
+      return;
+    }
+    onChange({ ...constraints, sameBand: [...constraints.sameBand, [pairA, pairB]] });
+    setPairA('');
+    setPairB('');
+  };
+
+  const selectClass = "px-2 py-1 border border-gray-300 rounded text-sm";
+  const buttonClass = "px-3 py-1 bg-indigo-500 text-white text-sm rounded hover:bg-indigo-600 transition-all duration-200";
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <div className="font-medium text-gray-700 mb-1">Gesperrte Bänder (keine Werkstatt, z. B. wegen Therapie)</div>
+        <div className="flex flex-wrap gap-3">
+          {bandIds.map(bandId => (
+            <label key={bandId} className="flex items-center gap-1">
+              <input type="checkbox" checked={constraints.blockedBands.includes(bandId)} onChange={() => toggleBlocked(bandId)} />
+              {getBandLabel(bandId)}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="font-medium text-gray-700 mb-1">Werkstatt nur in einem Band</div>
+        <ul className="space-y-1 mb-2">
+          {constraints.pins.map(pin => (
+            <li key={pin.workshop} className="flex items-center justify-between p-2 bg-indigo-50 border border-indigo-200 rounded">
+              <span>{pin.workshop} nur in {getBandLabel(pin.band)}</span>
+              <button
+                onClick={() => onChange({ ...constraints, pins: constraints.pins.filter(p => p !== pin) })}
+                className="text-red-600 hover:text-red-800"
+                title="Entfernen"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap gap-2">
+          <select value={pinWorkshop} onChange={e => setPinWorkshop(e.target.value)} className={selectClass}>
+            <option value="">Werkstatt…</option>
+            {workshopNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select value={pinBand} onChange={e => setPinBand(e.target.value)} className={selectClass}>
+            {bandIds.map(bandId => <option key={bandId} value={bandId}>{getBandLabel(bandId)}</option>)}
+          </select>
+          <button onClick={addPin} className={buttonClass}>Festlegen</button>
+        </div>
+      </div>
+
+      <div>
+        <div className="font-medium text-gray-700 mb-1">Zwei Werkstätten im selben Band (über die Trimester hinweg)</div>
+        <ul className="space-y-1 mb-2">
+          {constraints.sameBand.map(pair => (
+            <li key={pair.join('+')} className="flex items-center justify-between p-2 bg-indigo-50 border border-indigo-200 rounded">
+              <span>{pair[0]} und {pair[1]}</span>
+              <button
+                onClick={() => onChange({ ...constraints, sameBand: constraints.sameBand.filter(p => p !== pair) })}
+                className="text-red-600 hover:text-red-800"
+                title="Entfernen"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap gap-2">
+          <select value={pairA} onChange={e => setPairA(e.target.value)} className={selectClass}>
+            <option value="">Werkstatt…</option>
+            {workshopNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select value={pairB} onChange={e => setPairB(e.target.value)} className={selectClass}>
+            <option value="">Werkstatt…</option>
+            {workshopNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <button onClick={addPair} className={buttonClass}>Hinzufügen</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function ColorPicker({ currentColor, usedColors, allWorkshopColors = {}, onColorChange }) {
   const [isOpen, setIsOpen] = useState(false);
   const [inputColor, setInputColor] = useState(currentColor);
@@ -6560,3 +11885,239 @@ function ColorPicker({ currentColor, usedColors, allWorkshopColors = {}, onColor
     </div>
   );
 }
+
+// Scenario sandbox: create named auto-assignment runs with different settings and compare them
+function ScenarioPanel({ scenarios, workshops, choices, studentAssistants, defaultEngine, defaultBandCount, onCreate, onDelete, onPromote }) {
+  const [name, setName] = useState('');
+  const [engine, setEngine] = useState(defaultEngine);
+  const [bandCount, setBandCount] = useState(defaultBandCount);
+  const [fallbackPlacement, setFallbackPlacement] = useState(false);
+  const [capacityOverrides, setCapacityOverrides] = useState({});
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  function submit() {
+    if (!name.trim()) {
+      alert('Bitte einen Szenario-Namen eingeben.');
+      return;
+    }
+    onCreate(name.trim(), { engine, bandCount, fallbackPlacement, capacityOverrides });
+    setName('');
+    setCapacityOverrides({});
+  }
+
+  function toggleSelected(id) {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  }
+
+  function summarize(scenario) {
+    const res = scenario.result;
+    const bandIds = res.activeBandIds;
+    const assignments = {};
+    const forced = {};
+    const assistance = {};
+    let unassigned = 0;
+    bandIds.forEach((bandId, idx) => {
+      assignments[bandId] = res.bandResults[bandId]?.assignments || {};
+      forced[bandId] = res.bandResults[bandId]?.forced || {};
+      Object.keys(choices[bandId] || {}).forEach(student => {
+        if ((choices[bandId][student] || []).length > 0 && !assignments[bandId][student]) unassigned++;
+      });
+      Object.entries(assignments[bandId]).forEach(([student, workshop]) => {
+        if (!studentAssistants[student]) return;
+        if (!assistance[workshop]) assistance[workshop] = bandIds.map(() => 0);
+        assistance[workshop][idx] += 1;
+      });
+    });
+    const stats = computeBandStatistics(assignments, choices, bandIds, forced);
+    return { ...stats, unassigned, assistance, assignments, bandIds, problemCount: res.problems.length };
+  }
+
+  const selected = scenarios.filter(s => selectedIds.includes(s.id));
+  const summaries = selected.map(summarize);
+  const assistanceWorkshops = [...new Set(summaries.flatMap(sum => Object.keys(sum.assistance)))].sort();
+
+  // Per-student differences of every selected scenario against the first selected one
+  const diffs = [];
+  if (summaries.length >= 2) {
+    const base = summaries[0];
+    summaries.slice(1).forEach((other, idx) => {
+      const bandIds = [...new Set([...base.bandIds, ...other.bandIds])];
+      const allStudents = new Set();
+      bandIds.forEach(bandId => {
+        Object.keys(base.assignments[bandId] || {}).forEach(s => allStudents.add(s));
+        Object.keys(other.assignments[bandId] || {}).forEach(s => allStudents.add(s));
+      });
+      [...allStudents].sort((a, b) => a.localeCompare(b)).forEach(student => {
+        bandIds.forEach(bandId => {
+          const from = base.assignments[bandId]?.[student] || 'Nicht zugeordnet';
+          const to = other.assignments[bandId]?.[student] || 'Nicht zugeordnet';
+          if (from !== to) {
+            diffs.push({ scenario: selected[idx + 1].name, student, bandId, from, to });
+          }
+        });
+      });
+    });
+  }
+
+  const metricRows = [
+    { label: 'Erste Wahlen (%)', value: s => `${s.percentFirst.toFixed(2)}%` },
+    { label: 'Erste Wahl', value: s => s.totalFirst },
+    { label: 'Zweite Wahl', value: s => s.totalSecond },
+    { label: 'Weitere Wahlen (3.+)', value: s => s.totalOther },
+    { label: 'Zwangszuweisungen', value: s => s.totalForced },
+    { label: 'Nicht zugeordnet', value: s => s.unassigned },
+    { label: 'Warnungen', value: s => s.problemCount },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg p-4 border border-teal-200 space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            placeholder="Szenario-Name"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select value={engine} onChange={e => setEngine(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+            {ASSIGNMENT_ENGINES.map(e => (
+              <option key={e.id} value={e.id} title={e.description}>{e.label}</option>
+            ))}
+          </select>
+          <select value={bandCount} onChange={e => setBandCount(Number(e.target.value))} className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+            {Array.from({ length: MAX_BANDS - 1 }, (_, i) => i + 2).map(n => (
+              <option key={n} value={n}>{n} Bänder</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={fallbackPlacement} onChange={e => setFallbackPlacement(e.target.checked)} />
+            Zwangszuweisung
+          </label>
+        </div>
+        <details className="text-sm">
+          <summary className="cursor-pointer text-teal-800 font-medium">
+            Kapazitäten anpassen ({Object.keys(capacityOverrides).length} geändert)
+          </summary>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2 max-h-48 overflow-y-auto">
+            {Object.keys(workshops).sort().map(w => (
+              <label key={w} className="flex items-center justify-between gap-2 p-2 bg-gray-50 rounded border border-gray-200">
+                <span className="truncate">{w}</span>
+                <input
+                  type="number"
+                  min="0"
+                  placeholder={String(getWorkshopCapacity(workshops[w], w))}
+                  value={capacityOverrides[w] ?? ''}
+                  onChange={e => {
+                    const value = e.target.value;
+                    setCapacityOverrides(prev => {
+                      const next = { ...prev };
+                      if (value === '') delete next[w];
+                      else next[w] = Number(value);
+                      return next;
+                    });
+                  }}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+                />
+              </label>
+            ))}
+          </div>
+        </details>
+        <button
+          onClick={submit}
+          className="px-4 py-2 bg-gradient-to-r from-teal-500 to-teal-600 text-white text-sm font-medium rounded-lg shadow-sm hover:from-teal-600 hover:to-teal-700"
+        >
+          Szenario berechnen
+        </button>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <div className="text-gray-500 italic text-sm">Noch keine Szenarien für dieses Trimester.</div>
+      ) : (
+        <div className="space-y-2">
+          {scenarios.map(scenario => (
+            <div key={scenario.id} className="flex flex-wrap items-center justify-between gap-2 bg-white rounded-lg p-3 border border-gray-200">
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={selectedIds.includes(scenario.id)} onChange={() => toggleSelected(scenario.id)} />
+                <span className="font-semibold">{scenario.name}</span>
+                <span className="text-xs text-gray-500">
+                  {getAssignmentEngineLabel(scenario.settings.engine)} · {scenario.settings.bandCount} Bänder
+                  {scenario.settings.fallbackPlacement ? ' · Zwangszuweisung' : ''}
+                  {Object.keys(scenario.settings.capacityOverrides || {}).length > 0 ? ` · ${Object.keys(scenario.settings.capacityOverrides).length} Kapazitätsänderungen` : ''}
+                  {scenario.result.tieBreak?.seed ? ` · Seed ${scenario.result.tieBreak.seed}` : ''}
+                  {' · '}{new Date(scenario.createdAt).toLocaleString('de-DE')}
+                </span>
+              </label>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onPromote(scenario.id)}
+                  className="px-3 py-1 bg-gradient-to-r from-green-500 to-green-600 text-white text-xs font-medium rounded-md shadow-sm hover:from-green-600 hover:to-green-700"
+                >
+                  Übernehmen
+                </button>
+                <button
+                  onClick={() => onDelete(scenario.id)}
+                  className="px-3 py-1 bg-gradient-to-r from-red-500 to-red-600 text-white text-xs font-medium rounded-md shadow-sm hover:from-red-600 hover:to-red-700"
+                >
+                  Löschen
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selected.length > 0 && (
+        <div className="bg-white rounded-lg p-4 border-2 border-teal-300 shadow-md overflow-x-auto">
+          <h4 className="text-lg font-semibold text-gray-800 mb-3">⚖️ Szenario-Vergleich</h4>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-1 pr-2">Kennzahl</th>
+                {selected.map(s => <th key={s.id} className="py-1 pr-2">{s.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {metricRows.map(row => (
+                <tr key={row.label} className="border-b">
+                  <td className="py-1 pr-2 text-gray-700">{row.label}</td>
+                  {summaries.map((sum, idx) => <td key={selected[idx].id} className="py-1 pr-2 font-semibold">{row.value(sum)}</td>)}
+                </tr>
+              ))}
+              {assistanceWorkshops.length > 0 && (
+                <tr>
+                  <td colSpan={selected.length + 1} className="pt-3 pb-1 font-semibold text-blue-800">Lernbegleitung pro Werkstatt (je Band)</td>
+                </tr>
+              )}
+              {assistanceWorkshops.map(w => (
+                <tr key={w} className="border-b last:border-0">
+                  <td className="py-1 pr-2 text-gray-700">{w}</td>
+                  {summaries.map((sum, idx) => (
+                    <td key={selected[idx].id} className="py-1 pr-2">{(sum.assistance[w] || sum.bandIds.map(() => 0)).join(' / ')}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {selected.length >= 2 && (
+            <div className="mt-4">
+              <div className="font-semibold text-gray-800 mb-2">
+                Unterschiede pro Schüler (gegenüber „{selected[0].name}“): {diffs.length}
+              </div>
+              <div className="max-h-64 overflow-y-auto text-xs space-y-1">
+                {diffs.map((d, idx) => (
+                  <div key={idx} className="flex gap-2 border-b py-1">
+                    <span className="font-medium w-40 truncate">{d.student}</span>
+                    <span className="text-gray-500 w-20">{getBandShortLabel(d.bandId)}</span>
+                    <span>{d.from} → <strong>{d.to}</strong></span>
+                    {selected.length > 2 && <span className="text-gray-400">({d.scenario})</span>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,927 @@
+import {
+  formatPrereqExpression,
+  parsePrereqExpression,
+  createFlowGraph,
+  addFlowEdge,
+  runMinCostFlow,
+  autoAssignAllBands,
+  collectRuleNeeds,
+  evaluateBelegungRule,
+  findUnderfilledWorkshops,
+  getRepeatViolation,
+  compactAutoAssignResult,
+  parseRuleSet,
+  diffRuleSet,
+  mergeRuleSet,
+  findNameMatch,
+  suggestNameMatches,
+  decodeCsvBytes,
+  parseCsvRecords,
+  sniffCsvDelimiter,
+  parseCsvFile,
+  stageChoiceRows,
+  applyChoiceStaging,
+  findBandInText,
+  detectHeaderBands,
+  splitUploadByBand,
+  proposeColumnMapping,
+  mappingToPreset,
+  applyMappingPreset,
+  findMatchingPreset,
+  planFolgekursBands,
+  getRequiredFolgekurs,
+  collectFolgekursConflicts,
+  validateConfiguration,
+} from './WerkstattVerwaltungApp';
+
+describe('runMinCostFlow', () => {
+  test('sends each unit along the cheapest free path', () => {
+    // source 0, sink 1, students 2/3, workshops 4/5 with one seat each
+    const graph = createFlowGraph(6);
+    addFlowEdge(graph, 0, 2, 1, 0);
+    addFlowEdge(graph, 0, 3, 1, 0);
+    const aFirst = addFlowEdge(graph, 2, 4, 1, 0);
+    const aSecond = addFlowEdge(graph, 2, 5, 1, 5);
+    const bFirst = addFlowEdge(graph, 3, 4, 1, 0);
+    const bSecond = addFlowEdge(graph, 3, 5, 1, 1);
+    addFlowEdge(graph, 4, 1, 1, 0);
+    addFlowEdge(graph, 5, 1, 1, 0);
+    expect(runMinCostFlow(graph, 0, 1)).toBe(1);
+    expect([aFirst.flow, aSecond.flow, bFirst.flow, bSecond.flow]).toEqual([1, 0, 0, 1]);
+  });
+});
+
+describe('Folgekurs placement', () => {
+  // a took Holz I last trimester and must continue with Holz II; b wants the only Holz II seat first
+  const workshops = { 'Holz I': { capacity: 2 }, 'Holz II': { capacity: 1 }, Malen: { capacity: 5 } };
+  const rules = [{ id: 1, type: 'folgekurs', name: 'Holz', fromCourse: 'Holz I', toCourses: ['Holz II'], toCourse: 'Holz II', withinTrimesters: 1 }];
+  const confirmed = { '2025-2026 T1': { bands: ['erstesBand'], assignments: { erstesBand: { a: 'Holz I' } } } };
+  const run = options => autoAssignAllBands(
+    ['a', 'b'], workshops, {}, {}, { erstesBand: { a: ['Malen'], b: ['Holz II', 'Malen'] } },
+    {}, { a: 1, b: 10 }, rules, confirmed, 2025, 2026, 2, {}, ['erstesBand'], options
+  );
+
+  test.each(['greedy', 'optimal', 'joint'])('%s engine gives the seat to the Folgekurs student', engine => {
+    const result = run({ engine });
+    expect(result.bandResults.erstesBand.assignments).toEqual({ a: 'Holz II', b: 'Malen' });
+    expect(result.problems.filter(p => p.message.includes('Kapazität ist erreicht'))).toEqual([]);
+  });
+
+  test('greedy and optimal agree when a boosted Belegungsregel competes for the seat', () => {
+    // b must take Holz II in this trimester to meet the rule, which boosts it above b's first choice
+    const boostRules = [...rules, { id: 2, type: 'belegung', name: 'Holz', options: ['Holz II'], minCount: 1, windowLength: 2, windowUnit: 'trimesters' }];
+    const history = { '2025-2026 T1': { bands: ['erstesBand'], assignments: { erstesBand: { a: 'Holz I', b: 'Töpfern' } } } };
+    const runBoost = engine => autoAssignAllBands(
+      ['a', 'b'], { ...workshops, Töpfern: { capacity: 5 } }, {}, {}, { erstesBand: { a: ['Malen'], b: ['Malen', 'Holz II'] } },
+      {}, { a: 1, b: 10 }, boostRules, history, 2025, 2026, 2, {}, ['erstesBand'], { engine, rulePriority: 'boost' }
+    );
+    const greedy = runBoost('greedy').bandResults.erstesBand.assignments;
+    expect(greedy).toEqual({ a: 'Holz II', b: 'Malen' });
+    expect(runBoost('optimal').bandResults.erstesBand.assignments).toEqual(greedy);
+  });
+
+  test.each(['greedy', 'optimal'])('%s engine keeps the prerequisites of the Folgekurs', engine => {
+    const result = autoAssignAllBands(
+      ['a'], workshops, {}, { 'Holz II': ['Sicherheit'] }, { erstesBand: { a: ['Malen'] } },
+      {}, {}, rules, confirmed, 2025, 2026, 2, {}, ['erstesBand'], { engine }
+    );
+    expect(result.bandResults.erstesBand.assignments).toEqual({ a: 'Malen' });
+    expect(result.problems.map(p => p.message)).toContain(
+      'a muss Holz II belegen (Folgekurs-Regel), das ist aber nicht möglich: Voraussetzungen für Holz II nicht erfüllt (Sicherheit).'
+    );
+  });
+});
+
+describe('Folgekurs rules', () => {
+  const bandIds = ['erstesBand', 'zweitesBand'];
+  const rules = [
+    { id: 1, type: 'folgekurs', name: 'Holz', fromCourse: 'Holz I', toCourses: ['Holz II'], withinTrimesters: 1 },
+    { id: 2, type: 'folgekurs', name: 'Holz', fromCourse: 'Holz II', toCourses: ['Holz III'], withinTrimesters: 2 },
+    { id: 3, type: 'folgekurs', name: 'Keramik', fromCourse: 'Keramik I', toCourses: ['Keramik II', 'Töpfern II'], withinTrimesters: 1, sameBand: true },
+  ];
+  const confirmed = {
+    '2025-2026 T1': { bands: bandIds, assignments: { erstesBand: { a: 'Holz I', b: 'Keramik I' } } },
+    '2025-2026 T2': { bands: bandIds, assignments: { erstesBand: { a: 'Holz II' } } },
+  };
+  const required = (student, schoolYearStart, trimester, band, ruleSet = rules) =>
+    getRequiredFolgekurs(student, ruleSet, confirmed, schoolYearStart, schoolYearStart + 1, trimester, band, bandIds);
+
+  test('follows a chain link by link and enforces a longer window only when it is due', () => {
+    expect(required('a', 2025, 2, 'erstesBand')).toEqual(expect.objectContaining({ courses: ['Holz II'], band: null }));
+    // Holz II in T2 may be followed up to two trimesters later
+    expect(required('a', 2025, 3, 'erstesBand')).toBeNull();
+    expect(required('a', 2026, 1, 'erstesBand')).toEqual(expect.objectContaining({ courses: ['Holz III'], band: null }));
+  });
+
+  test('offers the alternatives in the band of the first course', () => {
+    const inOtherBand = required('b', 2025, 2, 'zweitesBand');
+    expect(inOtherBand).toEqual(expect.objectContaining({ course: 'Keramik II', courses: ['Keramik II', 'Töpfern II'], band: 'erstesBand' }));
+    expect(required('b', 2025, 3, 'erstesBand')).toBeNull();
+  });
+
+  test('planFolgekursBands narrows shared alternatives and spreads the rest over the bands', () => {
+    const keramik = { ruleId: 1, courses: ['Keramik II', 'Töpfern II'], band: null };
+    const toepfern = { ruleId: 2, courses: ['Töpfern II'], band: null };
+    const holz = { ruleId: 3, courses: ['Holz II'], band: null };
+    expect(planFolgekursBands([keramik, toepfern], ['erstesBand'])).toEqual({
+      erstesBand: { courses: ['Töpfern II'], requirements: [keramik, toepfern] },
+    });
+    expect(planFolgekursBands([keramik, holz], bandIds)).toEqual({
+      erstesBand: { courses: ['Keramik II', 'Töpfern II'], requirements: [keramik] },
+      zweitesBand: { courses: ['Holz II'], requirements: [holz] },
+    });
+    expect(planFolgekursBands([keramik, holz], ['erstesBand'])).toBeNull();
+    expect(planFolgekursBands([{ ...keramik, band: 'zweitesBand' }, { ...holz, band: 'zweitesBand' }], bandIds)).toBeNull();
+  });
+
+  test('collectFolgekursConflicts reports a second rule demanding another course in the same slot', () => {
+    const glasur = { id: 4, type: 'folgekurs', name: 'Glasur', fromCourse: 'Keramik I', toCourses: ['Glasur'], withinTrimesters: 1, sameBand: true };
+    expect(collectFolgekursConflicts(['a', 'b'], rules, confirmed, 2025, 2, bandIds)).toEqual([]);
+    const conflicts = collectFolgekursConflicts(['a', 'b'], [...rules, glasur], confirmed, 2025, 2, bandIds);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toEqual(expect.objectContaining({ student: 'b' }));
+    expect(conflicts[0].requirement).toEqual(expect.objectContaining({ ruleId: 4, courses: ['Glasur'], band: 'erstesBand' }));
+    expect(conflicts[0].accepted.map(requirement => requirement.ruleId)).toEqual([3]);
+  });
+
+  // b owes Keramik II or Töpfern II in band 1, c wants the only Keramik II seat
+  test.each([
+    // greedy takes the first alternative with a free seat
+    ['greedy', { b: 'Keramik II' }],
+    ['optimal', { b: 'Töpfern II', c: 'Keramik II' }],
+    ['joint', { b: 'Töpfern II', c: 'Keramik II' }],
+  ])('%s engine places one of the alternative follow-ups', (engine, expected) => {
+    const workshops = { 'Keramik II': { capacity: 1 }, 'Töpfern II': { capacity: 2 }, Malen: { capacity: 5 }, Holz: { capacity: 5 } };
+    const choices = {
+      erstesBand: { b: ['Malen'], c: ['Keramik II'] },
+      zweitesBand: { b: ['Holz'], c: ['Holz'] },
+    };
+    const result = autoAssignAllBands(
+      ['b', 'c'], workshops, {}, {}, choices, {}, { c: 10 }, rules, confirmed, 2025, 2026, 2, {}, bandIds, { engine }
+    );
+    expect(result.bandResults.erstesBand.assignments).toEqual(expected);
+    expect(result.problems.filter(p => p.message.includes('Folgekurs'))).toEqual([]);
+  });
+});
+
+describe('validateConfiguration', () => {
+  const bandIds = ['erstesBand', 'zweitesBand'];
+  const base = {
+    students: ['a', 'b'],
+    workshops: { Holz: { capacity: 5 }, Malen: { capacity: 5 } },
+    prereqs: {},
+    cannotBeParallel: {},
+    rules: [],
+    confirmedAssignments: {},
+    schoolYearStart: 2025,
+    currentTrimester: 2,
+    activeBandIds: bandIds,
+  };
+  const validate = config => validateConfiguration({ ...base, ...config }).map(issue => [issue.severity, issue.message]);
+
+  test('finds nothing in a consistent configuration', () => {
+    expect(validate({})).toEqual([]);
+  });
+
+  test('reports workshops without seats, impossible limits and too few seats per band, errors first', () => {
+    expect(validate({
+      students: ['a', 'b', 'c', 'd', 'e', 'f', 'g'],
+      workshops: {
+        Holz: { capacity: 0 },
+        Malen: { capacity: 3, minParticipants: 4, eligibility: { minGrade: 9, maxGrade: 7 } },
+        Druck: { capacity: 5, availableBands: ['drittesBand'] },
+      },
+    })).toEqual([
+      ['error', 'Holz hat keine Plätze.'],
+      ['error', 'Malen: Mindestteilnehmer (4) übersteigen die Kapazität (3).'],
+      ['error', 'Malen: Jahrgang von 9 bis 7 schließt alle Schüler aus.'],
+      ['warning', 'Druck wird in keinem aktiven Band angeboten.'],
+      ['warning', 'Erstes Band: nur 3 Plätze für 7 Schüler.'],
+      ['warning', 'Zweites Band: nur 3 Plätze für 7 Schüler.'],
+    ]);
+  });
+
+  test('reports self-references, cycles and unknown courses among the prerequisites', () => {
+    const workshops = { Holz: { capacity: 5 }, Malen: { capacity: 5 }, Druck: { capacity: 5 }, Weben: { capacity: 5 } };
+    expect(validate({ workshops, prereqs: { Holz: ['Holz'], Malen: ['Metall'], Druck: ['Weben'], Weben: ['Druck'] } })).toEqual([
+      ['error', 'Holz ist seine eigene Voraussetzung – niemand kann Holz belegen.'],
+      ['error', 'Voraussetzungen bilden einen Kreis: Druck → Weben → Druck.'],
+      ['warning', 'Malen: Voraussetzung Metall ist keine aktive Werkstatt.'],
+    ]);
+  });
+
+  test('reports contradicting band constraints, student pairs and unknown parallel workshops', () => {
+    expect(validate({
+      workshops: { Holz: { capacity: 5 }, Malen: { capacity: 5, availableBands: ['erstesBand'] } },
+      cannotBeParallel: { Holz: ['Metall'] },
+      studentBandConstraints: {
+        a: { blockedBands: ['zweitesBand'], pins: [{ workshop: 'Holz', band: 'zweitesBand' }] },
+        b: { pins: [{ workshop: 'Holz', band: 'erstesBand' }, { workshop: 'Malen', band: 'zweitesBand' }], sameBand: [['Holz', 'Malen']] },
+      },
+      studentPairs: [
+        { type: 'together', students: ['a', 'b'], hard: true },
+        { type: 'apart', students: ['b', 'a'], hard: false },
+        { type: 'together', students: ['a', 'x'] },
+      ],
+    })).toEqual([
+      ['error', 'a: Holz ist auf Zweites Band festgelegt, aber Zweites Band ist gesperrt.'],
+      ['error', 'b: Holz und Malen sollen im selben Band liegen, sind aber auf verschiedene Bänder festgelegt.'],
+      ['error', 'a und b sollen zugleich zusammen und getrennt sein.'],
+      ['warning', 'Holz: „nicht parallel zu“ Metall, aber Metall ist keine aktive Werkstatt.'],
+      ['warning', 'b: Malen ist auf Zweites Band festgelegt, wird dort aber nicht angeboten.'],
+      ['warning', 'a und x zusammen (weich): x ist kein aktiver Schüler.'],
+    ]);
+  });
+
+  test('reports rules that cannot be met and Folgekurs demand beyond the seats', () => {
+    const rules = [
+      { id: 1, type: 'folgekurs', name: 'Keramik', fromCourse: 'Keramik I', toCourses: ['Keramik II'], withinTrimesters: 1, sameBand: true },
+      { id: 2, type: 'folgekurs', name: 'Glasur', fromCourse: 'Keramik I', toCourses: ['Glasur'], withinTrimesters: 1, sameBand: true },
+      { id: 3, type: 'folgekurs', name: 'Druck', fromCourse: 'Druck I', toCourses: ['Druck II'], withinTrimesters: 1 },
+      { id: 4, type: 'belegung', name: 'Kunst', options: ['Malen', 'Glasur', 'Bildhauerei'], minCount: 3 },
+    ];
+    const issues = validateConfiguration({
+      ...base,
+      rules,
+      workshops: { 'Keramik I': { capacity: 5 }, 'Keramik II': { capacity: 1, availableBands: ['zweitesBand'] }, Glasur: { capacity: 5 }, Malen: { capacity: 5 } },
+      confirmedAssignments: { '2025-2026 T1': { bands: bandIds, assignments: { zweitesBand: { a: 'Keramik I', b: 'Keramik I' } } } },
+    });
+    expect(issues.map(issue => [issue.severity, issue.message, issue.target.id])).toEqual([
+      ['error', 'Regel „Keramik“: Nach Keramik I im Erstes Band muss der Folgekurs im selben Band liegen, aber Keramik II wird dort nicht angeboten.', 1],
+      ['error', 'Regeln „Keramik“ und „Glasur“ verlangen nach Keramik I verschiedene Folgekurse im selben Band.', 1],
+      ['error', 'Regel „Druck“: Druck II wird in keinem aktiven Band angeboten.', 3],
+      ['error', 'Regel „Kunst“ verlangt 3 Kurse, aber nur 2 davon werden angeboten.', 4],
+      ['error', '2 Schüler müssen Keramik II als Folgekurs belegen (Zweites Band), es gibt aber nur 1 Plätze.', 1],
+      ['warning', 'Regel „Druck“: Ausgangskurs Druck I ist keine aktive Werkstatt.', 3],
+      ['warning', 'Regel „Kunst“: Bildhauerei ist keine aktive Werkstatt.', 4],
+      ['warning', 'a: Folgekurs-Regel „Glasur“ lässt sich nicht mit den anderen fälligen Folgekursen vereinbaren.', 2],
+      ['warning', 'b: Folgekurs-Regel „Glasur“ lässt sich nicht mit den anderen fälligen Folgekursen vereinbaren.', 2],
+    ]);
+  });
+});
+
+describe('sequential engines', () => {
+  // a took Holz I in the second band and must continue there, but already got Holz II in the first band
+  const rules = [{ id: 1, type: 'folgekurs', name: 'Holz', fromCourse: 'Holz I', toCourses: ['Holz II'], toCourse: 'Holz II', withinTrimesters: 1, sameBand: true }];
+  const confirmed = { '2025-2026 T1': { bands: ['erstesBand', 'zweitesBand'], assignments: { zweitesBand: { a: 'Holz I' } } } };
+  const workshops = { 'Holz I': { capacity: 2 }, 'Holz II': { capacity: 2 }, Malen: { capacity: 5 }, Voll: { capacity: 1 } };
+  const choices = {
+    erstesBand: { a: ['Holz II'], b: ['Malen'], c: ['Malen'] },
+    zweitesBand: { a: ['Voll'], b: ['Voll', 'Holz I'], c: ['Voll'] },
+  };
+
+  test.each(['greedy', 'optimal'])('%s: removing a duplicate placement takes back only its own rank', engine => {
+    const result = autoAssignAllBands(
+      ['a', 'b', 'c'], workshops, {}, {}, choices, {}, { a: 1, b: 1, c: 10 }, rules, confirmed, 2025, 2026, 2, {}, ['erstesBand', 'zweitesBand'], { engine }
+    );
+    const band = result.bandResults.zweitesBand;
+    expect(band.assignments).toEqual({ b: 'Holz I', c: 'Voll' });
+    expect([band.num1, band.num2, band.numOther, band.numByRank]).toEqual([1, 1, 0, [1, 1]]);
+    expect(band.kap['Holz II']).toBe(2);
+  });
+
+  test('greedy reports students who got none of several choices', () => {
+    const result = autoAssignAllBands(
+      ['a', 'b', 'c'], { X: { capacity: 1 }, Y: { capacity: 1 } }, {}, {}, { erstesBand: { a: ['X'], b: ['X', 'Y', 'Z'], c: ['Y'] } },
+      {}, { a: 10, b: 1, c: 10 }, [], {}, 2025, 2026, 1, {}, ['erstesBand'], { engine: 'greedy' }
+    );
+    expect(result.problems.map(p => p.message)).toContain('b hat keine seiner 2 gültigen Wahlen bekommen.');
+  });
+});
+
+describe('fallback placement', () => {
+  test.each(['greedy', 'optimal', 'joint'])('%s engine counts placements outside the choices as forced, not by rank', engine => {
+    const workshops = { X: { capacity: 1 }, Y: { capacity: 1 }, Z: { capacity: 3 }, W: { capacity: 2 } };
+    const choices = { erstesBand: { a: ['X', 'Y'], b: ['X', 'Y'], c: ['X', 'Y'], d: ['X'], e: [] } };
+    const result = autoAssignAllBands(
+      ['a', 'b', 'c', 'd', 'e'], workshops, {}, {}, choices, {}, { a: 9, b: 8 }, [], {}, 2025, 2026, 1, {},
+      ['erstesBand'], { engine, fallbackPlacement: true }
+    );
+    const band = result.bandResults.erstesBand;
+    // most free seats first; e did not choose and stays out
+    expect(band.assignments).toEqual({ a: 'X', b: 'Y', c: 'Z', d: 'Z' });
+    expect(band.kap).toEqual({ X: 0, Y: 0, Z: 1, W: 2 });
+    expect(band.forced).toEqual({ c: 'Z', d: 'Z' });
+    expect(band.numForced).toBe(2);
+    expect([band.num1, band.num2, band.numOther]).toEqual([1, 1, 0]);
+    expect(band.countedRanks).toEqual({ a: 0, b: 1 });
+  });
+
+  test.each(['greedy', 'optimal', 'joint'])('%s engine skips parallel workshops and blocked bands and reports who stays out', engine => {
+    const firstBand = ['erstesBand'];
+    const secondBand = ['zweitesBand'];
+    const workshops = {
+      X: { capacity: 1, availableBands: firstBand },
+      Z: { capacity: 3, availableBands: firstBand },
+      P: { capacity: 1, availableBands: secondBand },
+      V: { capacity: 1, availableBands: secondBand },
+      W: { capacity: 5, availableBands: secondBand },
+    };
+    const choices = {
+      erstesBand: { a: ['X'], b: ['X'], c: ['X'], e: ['X'] },
+      zweitesBand: { a: ['P'], b: ['P'], c: ['P'], e: ['P'] },
+    };
+    const result = autoAssignAllBands(
+      ['a', 'b', 'c', 'e'], workshops, {}, {}, choices, {}, { a: 9, b: 8, c: 7, e: 1 }, [], {}, 2025, 2026, 1, { Z: ['W'] },
+      ['erstesBand', 'zweitesBand'], { engine, fallbackPlacement: true, studentBandConstraints: { e: { blockedBands: ['zweitesBand'] } } }
+    );
+    expect(result.bandResults.erstesBand.forced).toEqual({ b: 'Z', c: 'Z', e: 'Z' });
+    // W is the only free seat left for c, but cannot run parallel to Z
+    expect(result.bandResults.zweitesBand.assignments).toEqual({ a: 'P', b: 'V' });
+    expect(result.bandResults.zweitesBand.numForced).toBe(1);
+    const fallbackMessages = result.problems.map(p => p.message).filter(m => m.includes('Zwangszuweisung'));
+    expect(fallbackMessages.filter(m => m.startsWith('e ') || m.includes('keiner Werkstatt'))).toEqual([
+      'e wurde per Zwangszuweisung Z zugeordnet.',
+      'c konnte auch per Zwangszuweisung keiner Werkstatt zugeordnet werden.',
+    ]);
+  });
+});
+
+describe('assistance cap', () => {
+  // four students with Lernbegleitung, Metall takes at most one of them; Holz and Malen have three seats together
+  const workshops = { Metall: { capacity: 5, maxAssistance: 1 }, Holz: { capacity: 2 }, Malen: { capacity: 1 } };
+  const choices = { erstesBand: { s: ['Metall', 'Holz'], t: ['Metall', 'Holz'], u: ['Metall', 'Malen'], v: ['Metall'], w: ['Malen'] } };
+  const assistants = { s: true, t: true, u: true, w: true };
+
+  test.each([
+    ['greedy', false], ['greedy', true],
+    ['optimal', false], ['optimal', true],
+    ['joint', false], ['joint', true],
+  ])('%s engine (fallback %s) keeps the cap and reports who was sent elsewhere', (engine, fallbackPlacement) => {
+    const result = autoAssignAllBands(
+      ['s', 't', 'u', 'v', 'w'], workshops, {}, {}, choices, assistants, {}, [], {}, 2025, 2026, 1, {},
+      ['erstesBand'], { engine, fallbackPlacement }
+    );
+    const { assignments } = result.bandResults.erstesBand;
+    const inMetall = Object.keys(assignments).filter(student => assignments[student] === 'Metall');
+    expect(inMetall.filter(student => assistants[student])).toHaveLength(1);
+    expect(inMetall).toContain('v');
+    expect(Object.keys(assignments).length).toBeGreaterThanOrEqual(fallbackPlacement ? 5 : 4);
+
+    const capped = ['s', 't', 'u'].filter(student => assignments[student] !== 'Metall');
+    expect(result.assistanceCapReport).toEqual(capped.map(student => ({
+      student, band: 'erstesBand', workshop: 'Metall', rank: 0, max: 1, assigned: assignments[student] || null,
+    })));
+    capped.forEach(student => {
+      expect(result.problems.map(p => p.message)).toContain(`${student} (Lernbegleitung) hat Metall (1. Wahl) nicht bekommen: max. 1 Schüler mit Lernbegleitung erreicht.`);
+    });
+  });
+});
+
+describe('student band constraints', () => {
+  // a pins Holz to band 1, b has band 2 blocked, c took Holz I in band 1 and must take Holz II there as well;
+  // each of them wants the restricted workshop in band 2 first
+  const workshops = { Holz: { capacity: 5 }, 'Holz I': { capacity: 5 }, 'Holz II': { capacity: 5 }, Malen: { capacity: 5 }, Töpfern: { capacity: 5 } };
+  const confirmed = { '2025-2026 T1': { bands: ['erstesBand', 'zweitesBand'], assignments: { erstesBand: { c: 'Holz I' } } } };
+  const choices = {
+    erstesBand: { a: ['Malen', 'Holz'], b: ['Malen'], c: ['Töpfern'] },
+    zweitesBand: { a: ['Holz', 'Malen'], b: ['Malen'], c: ['Holz II', 'Töpfern'] },
+  };
+  const studentBandConstraints = {
+    a: { pins: [{ workshop: 'Holz', band: 'erstesBand' }] },
+    b: { blockedBands: ['zweitesBand'] },
+    c: { sameBand: [['Holz I', 'Holz II']] },
+  };
+
+  test.each([
+    ['greedy', false], ['greedy', true],
+    ['optimal', false], ['optimal', true],
+    ['joint', false], ['joint', true],
+  ])('%s engine (fallback %s) never places a restricted workshop in a forbidden band', (engine, fallbackPlacement) => {
+    const result = autoAssignAllBands(
+      ['a', 'b', 'c'], workshops, {}, {}, choices, {}, {}, [], confirmed, 2025, 2026, 2, {},
+      ['erstesBand', 'zweitesBand'], { engine, fallbackPlacement, studentBandConstraints }
+    );
+    const secondBand = result.bandResults.zweitesBand.assignments;
+    expect(secondBand.a).not.toBe('Holz');
+    expect(secondBand.b).toBeUndefined();
+    expect(secondBand.c).not.toBe('Holz II');
+    expect(result.bandResults.erstesBand.assignments.b).toBe('Malen');
+  });
+});
+
+describe('student pairs', () => {
+  const workshops = { X: { capacity: 5 }, Y: { capacity: 5 } };
+  const run = (choices, studentPairs) => autoAssignAllBands(
+    Object.keys(choices), workshops, {}, {}, { erstesBand: choices }, {}, {}, [], {}, 2025, 2026, 1, {}, ['erstesBand'], { engine: 'greedy', studentPairs }
+  );
+
+  test('a hard move outside the choices counts as Zwangszuweisung', () => {
+    const result = run({ a: ['X'], b: ['Y'] }, [{ type: 'together', students: ['a', 'b'], hard: true }]);
+    const band = result.bandResults.erstesBand;
+    expect(band.assignments).toEqual({ a: 'Y', b: 'Y' });
+    expect(band.forced).toEqual({ a: 'Y' });
+    expect([band.num1, band.numForced]).toEqual([1, 1]);
+  });
+
+  test('a move does not break another hard pair, and the unfixable pair is an error', () => {
+    const result = run({ a: ['X'], b: ['Y'], c: ['Y'], d: ['X'] }, [
+      { type: 'together', students: ['a', 'd'], hard: true },
+      { type: 'together', students: ['b', 'c'], hard: true },
+      { type: 'together', students: ['a', 'b'], hard: true },
+    ]);
+    expect(result.bandResults.erstesBand.assignments).toEqual({ a: 'X', b: 'Y', c: 'Y', d: 'X' });
+    expect(result.problems).toContainEqual(expect.objectContaining({ message: 'a und b sollen zusammen sein, sind aber in X und Y.', severity: 'error' }));
+  });
+  test('a move takes back the rank the engine counted, not the raw choice index', () => {
+    // X is not offered in this band, so a's Y counted as first choice and Z as second
+    const result = autoAssignAllBands(
+      ['a', 'b'], { X: { capacity: 5, availableBands: ['zweitesBand'] }, Y: { capacity: 5 }, Z: { capacity: 5 } }, {}, {},
+      { erstesBand: { a: ['X', 'Y', 'Z'], b: ['Z'] } }, {}, {}, [], {}, 2025, 2026, 1, {}, ['erstesBand'],
+      { engine: 'greedy', studentPairs: [{ type: 'together', students: ['a', 'b'], hard: true }] }
+    );
+    const band = result.bandResults.erstesBand;
+    expect(band.assignments).toEqual({ a: 'Z', b: 'Z' });
+    expect([band.num1, band.num2, band.numOther]).toEqual([1, 1, 0]);
+    expect(band.countedRanks).toEqual({ a: 1, b: 0 });
+  });
+});
+
+describe('tie-breaking', () => {
+  // five students with equal priority want the single X seat first
+  const students = ['Anna', 'Ben', 'Cem', 'Dora', 'Emil'];
+  const choices = { erstesBand: Object.fromEntries(students.map(s => [s, ['X', 'Y']])) };
+  const run = (options, priorityScores = {}) => autoAssignAllBands(
+    students, { X: { capacity: 1 }, Y: { capacity: 10 } }, {}, {}, choices,
+    {}, priorityScores, [], {}, 2025, 2026, 1, {}, ['erstesBand'], options
+  );
+  const seatX = result => Object.keys(result.bandResults.erstesBand.assignments).find(s => result.bandResults.erstesBand.assignments[s] === 'X');
+
+  test.each(['greedy', 'optimal', 'joint'])('%s engine repeats a lottery with the same seed', engine => {
+    const first = run({ engine, tieBreak: { strategy: 'lottery', seed: '1' } });
+    const second = run({ engine, tieBreak: { strategy: 'lottery', seed: '1' } });
+    expect(second.bandResults.erstesBand.assignments).toEqual(first.bandResults.erstesBand.assignments);
+    expect(seatX(first)).toBe('Cem');
+    expect(first.tieBreak).toEqual({ strategy: 'lottery', seed: '1' });
+  });
+
+  test('a different seed changes the order among tied students', () => {
+    expect(['1', '2', '3'].map(seed => seatX(run({ tieBreak: { strategy: 'lottery', seed } })))).toEqual(['Cem', 'Dora', 'Anna']);
+  });
+
+  test('submission, class and alphabetical order do not depend on the seed', () => {
+    const data = {
+      studentClasses: { Anna: '7b', Ben: '10a', Cem: '7a', Dora: '9c', Emil: '7a' },
+      tieBreakData: { submissionTimes: { Dora: 5, Ben: 3 } },
+    };
+    const winners = strategy => ['1', '2'].map(seed => {
+      const result = run({ ...data, tieBreak: { strategy, seed } });
+      expect(result.tieBreak).toEqual({ strategy, seed: null });
+      return seatX(result);
+    });
+    // earliest timestamp; lowest class with "7a" before "10a", then by name; by name
+    expect(winners('submission')).toEqual(['Ben', 'Ben']);
+    expect(winners('class')).toEqual(['Cem', 'Cem']);
+    expect(winners('alphabetical')).toEqual(['Anna', 'Anna']);
+  });
+
+  test('a higher priority score wins before any tie-break', () => {
+    expect(seatX(run({ tieBreak: { strategy: 'alphabetical' } }, { Emil: 8 }))).toBe('Emil');
+    expect(seatX(run({ tieBreak: { strategy: 'lottery', seed: '1' } }, { Emil: 8 }))).toBe('Emil');
+  });
+});
+
+describe('joint engine', () => {
+  test('finds the joint optimum where excluding the worse-ranked placement does not', () => {
+    // Excluding X for a in the second band (equal rank, later band yields) leaves a without a workshop
+    // there, as Z goes to b; the optimum gives a Y in the first band instead
+    const result = autoAssignAllBands(
+      ['a', 'b'], { X: { capacity: 5 }, Y: { capacity: 5 }, Z: { capacity: 1 } }, {}, {},
+      { erstesBand: { a: ['X', 'Y'] }, zweitesBand: { a: ['X', 'Z'], b: ['Z'] } },
+      {}, {}, [], {}, 2025, 2026, 1, {}, ['erstesBand', 'zweitesBand'], { engine: 'joint' }
+    );
+    expect(result.bandResults.erstesBand.assignments).toEqual({ a: 'Y' });
+    expect(result.bandResults.zweitesBand.assignments).toEqual({ a: 'X', b: 'Z' });
+    expect(result.jointSearch.optimal).toBe(true);
+    expect(result.problems).toEqual([]);
+  });
+
+  test('keeps parallel conflicts out and reports students left without a workshop', () => {
+    const result = autoAssignAllBands(
+      ['a', 'b', 'c', 'd'], { X: { capacity: 1 }, Y: { capacity: 1 }, Z: { capacity: 1 } }, {}, {},
+      {
+        erstesBand: { a: ['Y', 'X'], b: ['Z', 'Y'], c: ['X'], d: ['Z', 'Y'] },
+        zweitesBand: { a: ['X', 'Y'], b: ['X', 'Y'], c: ['X'], d: ['Z', 'Y'] },
+      },
+      {}, { a: 6, b: 7, c: 1, d: 8 }, [], {}, 2025, 2026, 1, { X: ['Y'] }, ['erstesBand', 'zweitesBand'], { engine: 'joint' }
+    );
+    expect(result.bandResults.zweitesBand.assignments.d).toBe('Z');
+    expect(result.bandResults.zweitesBand.unplaced).toEqual({ c: expect.objectContaining({ reason: 'choicesFull' }) });
+    expect(result.problems.map(p => p.message)).toEqual([
+      'a hat keine seiner Wahlen bekommen (alle gewählten Werkstätten sind voll).',
+      'c hat keine seiner Wahlen bekommen (alle gewählten Werkstätten sind voll).',
+    ]);
+  });
+});
+
+describe('collectRuleNeeds', () => {
+  const rules = [{ id: 2, type: 'belegung', name: 'Holz', options: ['Holz II'], minCount: 1, windowLength: 2, windowUnit: 'trimesters' }];
+  const history = { '2025-2026 T1': { bands: ['erstesBand'], assignments: { erstesBand: { b: 'Töpfern' } } } };
+
+  test('ignores the saved result of an earlier run in the current trimester', () => {
+    const rerun = { ...history, '2025-2026 T2': { bands: ['erstesBand'], assignments: { erstesBand: { b: 'Holz II' } } } };
+    const first = collectRuleNeeds(['b'], rules, history, 2025, 2);
+    expect(first.b).toEqual([expect.objectContaining({ ruleId: 2, options: ['Holz II'], needed: 1, remaining: 1 })]);
+    expect(collectRuleNeeds(['b'], rules, rerun, 2025, 2)).toEqual(first);
+  });
+
+  test('counts one course per active band and trimester as remaining slots', () => {
+    const twoOf = [{ id: 3, type: 'belegung', name: 'Kunst', options: ['Kunst I', 'Kunst II'], windowLength: 3, windowUnit: 'trimesters' }];
+    // T2 of a window T1–T3: two trimesters left for two courses
+    expect(collectRuleNeeds(['b'], twoOf, history, 2025, 2, 1).b).toHaveLength(1);
+    expect(collectRuleNeeds(['b'], twoOf, history, 2025, 2, 2)).toEqual({});
+  });
+
+});
+
+describe('parsePrereqExpression', () => {
+  test('reads upper-case UND/ODER, parentheses and "n aus"', () => {
+    expect(parsePrereqExpression('(Holz I ODER Metall I) UND Sicherheitseinweisung')).toEqual([
+      { courses: ['Holz I', 'Metall I'], min: 1 },
+      'Sicherheitseinweisung',
+    ]);
+    expect(parsePrereqExpression('2 aus (Holz I, Metall I, Textil I)')).toEqual([{ courses: ['Holz I', 'Metall I', 'Textil I'], min: 2 }]);
+    expect(parsePrereqExpression('Kunst und Design')).toEqual(['Kunst und Design']);
+  });
+
+  test.each([
+    [['Kunst und Design']],
+    [['Kunst UND Design', 'Holz I']],
+    [[{ courses: ['Holz, Metall', 'Textil (alt)'], min: 1 }]],
+    [[{ courses: ['Der "Klassiker"', '3 aus 5', 'Malen'], min: 2 }]],
+  ])('round-trips %j through formatPrereqExpression', required => {
+    expect(parsePrereqExpression(formatPrereqExpression(required))).toEqual(required);
+  });
+});
+
+describe('evaluateBelegungRule', () => {
+  test('ignores history entered for later trimesters', () => {
+    const rule = { type: 'belegung', name: 'Holz', options: ['Holz II'], windowLength: 3, windowUnit: 'trimesters' };
+    const history = [
+      { ordinal: 2025 * 3, workshops: ['Töpfern'] },
+      { ordinal: 2025 * 3 + 2, workshops: ['Holz II'] },
+    ];
+    expect(evaluateBelegungRule(rule, history, 2025 * 3 + 1)).toEqual(expect.objectContaining({ status: 'atRisk', taken: [], remaining: 2, spare: 1 }));
+  });
+
+  test('counts a window in school years from the start of the first school year', () => {
+    const rule = { type: 'belegung', name: 'Holz', options: ['Holz I', 'Holz II'], windowLength: 1, windowUnit: 'years' };
+    const history = [{ ordinal: 2024 * 3 + 1, workshops: ['Holz I'] }];
+    expect(evaluateBelegungRule(rule, history, 2024 * 3 + 2)).toEqual(expect.objectContaining({
+      status: 'atRisk', windowStart: 2024 * 3, windowEnd: 2024 * 3 + 2, remaining: 1,
+    }));
+    // First school year ended with T3 2024-2025; T1 2025-2026 no longer counts
+    expect(evaluateBelegungRule(rule, history, 2025 * 3)).toEqual(expect.objectContaining({ status: 'missed', remaining: 0 }));
+  });
+});
+
+describe('findUnderfilledWorkshops', () => {
+  test('counts offered workshops nobody was placed into', () => {
+    const workshops = {
+      Holz: { capacity: 5, minParticipants: 2 },
+      Malen: { capacity: 5, minParticipants: 3 },
+      Metall: { capacity: 5, minParticipants: 3, availableBands: ['zweitesBand'] },
+    };
+    const bandResults = { erstesBand: { assignments: { a: 'Holz', b: 'Holz', c: 'Malen' } } };
+    expect(findUnderfilledWorkshops(workshops, bandResults, ['erstesBand'])).toEqual({
+      erstesBand: [{ workshop: 'Malen', count: 1, min: 3 }],
+    });
+    expect(findUnderfilledWorkshops(workshops, { erstesBand: { assignments: {} } }, ['erstesBand'])).toEqual({
+      erstesBand: [{ workshop: 'Holz', count: 0, min: 2 }, { workshop: 'Malen', count: 0, min: 3 }],
+    });
+  });
+});
+
+describe('compactAutoAssignResult', () => {
+  test('keeps assignments and summary but not the decision traces', () => {
+    const result = autoAssignAllBands(
+      ['a', 'b'], { X: { capacity: 1 }, Y: { capacity: 1 } }, {}, {},
+      { erstesBand: { a: ['X', 'Y'], b: ['X', 'Y'] } },
+      {}, { a: 2, b: 1 }, [], {}, 2025, 2026, 1, {}, ['erstesBand'], { engine: 'greedy' }
+    );
+    const compact = compactAutoAssignResult(result);
+    expect(compact.bandResults.erstesBand.assignments).toEqual(result.bandResults.erstesBand.assignments);
+    expect(compact.bandResults.erstesBand.trace).toBeUndefined();
+    expect(compact.erstesBand).toBe(compact.bandResults.erstesBand);
+    expect(compact.problems).toEqual(result.problems);
+    expect(compact.tieBreak).toEqual(result.tieBreak);
+    expect(compactAutoAssignResult(compact)).toEqual(compact);
+  });
+});
+
+describe('getRepeatViolation', () => {
+  const workshops = {
+    Holz: { capacity: 5 },
+    Malen: { capacity: 5, repeatPolicy: { mode: 'never' } },
+    Metall: { capacity: 5, repeatPolicy: { mode: 'after', afterTrimesters: 4 } },
+    Ton: { capacity: 5, repeatPolicy: { mode: 'unlimited' } },
+  };
+  // ordinal = school year start * 3 + trimester - 1; the current trimester is 2025/26, 2nd trimester
+  const current = 2025 * 3 + 1;
+  const lastYear = 2024 * 3 + 2;
+  const twoYearsAgo = 2023 * 3;
+  const violation = (workshop, last) => getRepeatViolation(workshops, workshop, { [workshop]: last }, current);
+
+  test('without a policy only blocks a workshop taken last school year, as before', () => {
+    expect(violation('Holz', lastYear)).toContain('im letzten Schuljahr');
+    expect(violation('Holz', twoYearsAgo)).toBeNull();
+    expect(violation('Holz', current - 1)).toBeNull();
+    expect(getRepeatViolation(workshops, 'Holz', {}, current)).toBeNull();
+  });
+
+  test('applies never, after N trimesters and unlimited over the whole history', () => {
+    expect(violation('Malen', twoYearsAgo)).not.toBeNull();
+    expect(violation('Metall', lastYear)).toContain('erst nach 4 Trimester(n)');
+    expect(violation('Metall', twoYearsAgo)).toBeNull();
+    expect(violation('Ton', current - 1)).toBeNull();
+  });
+});
+
+describe('rule set exchange', () => {
+  const header = { format: 'werkstatt-regelwerk', version: 1 };
+
+  test('leaves out items with a wrong shape and repeated rule names', () => {
+    const parsed = parseRuleSet(JSON.stringify({
+      ...header,
+      rules: [
+        { type: 'belegung', name: 'Kunst', options: ['Kunst I'] },
+        { type: 'belegung', name: 'Kunst', options: ['Kunst II'] },
+        { type: 'belegung', name: 'Kaputt', options: 'Kunst I' },
+        { type: 'folgekurs', name: 'Holz', fromCourse: 'Holz I', toCourses: ['Holz II'] },
+        { options: ['Malen'] },
+      ],
+      prereqs: { 'Holz II': ['Holz I'], Metall: 'Holz I' },
+      cannotBeParallel: { Holz: 'Metall', Malen: ['Töpfern'] },
+    }));
+    expect(parsed.rules.map(rule => rule.name)).toEqual(['Kunst', 'Holz']);
+    expect(parsed.prereqs).toEqual({ 'Holz II': ['Holz I'] });
+    expect(parsed.cannotBeParallel).toEqual({ Malen: ['Töpfern'] });
+    expect(parsed.skipped).toHaveLength(5);
+  });
+
+  test('keeps local rules with the same name apart', () => {
+    const current = {
+      rules: [{ id: 1, name: 'Kunst', options: ['A'] }, { id: 2, name: 'Kunst', options: ['B'] }],
+      prereqs: {},
+      cannotBeParallel: {},
+    };
+    const imported = { rules: [{ name: 'Kunst', options: ['C'] }], prereqs: {}, cannotBeParallel: {} };
+    const items = diffRuleSet(current, imported);
+    expect(items.map(item => [item.key, item.status])).toEqual([['rule:Kunst', 'changed'], ['rule:Kunst #2', 'localOnly']]);
+    const merged = mergeRuleSet(current, items, ['rule:Kunst #2']);
+    expect(merged.rules).toEqual([{ id: 1, name: 'Kunst', options: ['A'] }]);
+  });
+});
+
+const utf8 = text => new Uint8Array(Buffer.from(text, 'utf8'));
+
+describe('findNameMatch', () => {
+  const students = ['Anna Müller', 'Ben Schulz', 'Lena Meier', 'Lena Mayer', 'Tim Ott'];
+
+  test('matches case, umlaut spelling and swapped first and last name', () => {
+    expect(findNameMatch('anna  müller', students)).toEqual({ match: 'Anna Müller', reason: 'normalized', distance: 0 });
+    expect(findNameMatch('Mueller, Anna', students)).toEqual({ match: 'Anna Müller', reason: 'swapped', distance: 0 });
+  });
+
+  test('allows a typo only when one candidate is closest', () => {
+    expect(findNameMatch('Ben Schultz', students)).toEqual({ match: 'Ben Schulz', reason: 'fuzzy', distance: 1 });
+    expect(findNameMatch('Lena Maier', students)).toBeNull();
+    expect(findNameMatch('Ben Schmidt', students)).toBeNull();
+  });
+
+  test('does not guess for short names, empty names or duplicate spellings', () => {
+    expect(findNameMatch('Tom', ['Tim'])).toBeNull();
+    expect(findNameMatch('  ', students)).toBeNull();
+    expect(findNameMatch('anna müller', ['Anna Müller', 'Anna Mueller'])).toBeNull();
+  });
+});
+
+describe('suggestNameMatches', () => {
+  test('uses stored aliases first and suggests each unknown name once', () => {
+    const data = [
+      ['Name', 'Wahl 1', 'Wahl 2'],
+      ['Mueller, Anna', 'Holzwerkstatt: Montag', 'Malen'],
+      ['Mueller, Anna', 'Holzwerkstatt', 'Malen'],
+      ['Benni', 'Metall', 'Holz'],
+    ];
+    const result = suggestNameMatches([{ data, mapping: { name: 0, choices: [1, 2] } }], {
+      students: ['Anna Müller', 'Ben Schulz'],
+      workshops: { Holzwerkstatt: {}, Malen: {}, Metallwerkstatt: {} },
+      aliases: { students: { Benni: 'Ben Schulz' }, workshops: { Metall: 'Metallwerkstatt' } },
+    });
+    expect(result.renames).toEqual({ students: { Benni: 'Ben Schulz' }, workshops: { Metall: 'Metallwerkstatt' } });
+    expect(result.suggestions).toEqual([
+      { kind: 'student', from: 'Mueller, Anna', to: 'Anna Müller', reason: 'swapped', distance: 0 },
+    ]);
+  });
+});
+
+describe('decodeCsvBytes', () => {
+  test('strips a UTF-8 BOM', () => {
+    const bytes = new Uint8Array([0xEF, 0xBB, 0xBF, ...utf8('Name;Q1')]);
+    expect(decodeCsvBytes(bytes)).toEqual({ text: 'Name;Q1', encoding: 'UTF-8' });
+  });
+
+  test('reads UTF-16 with and without BOM', () => {
+    const body = Buffer.from('Name\tQ1\nÖzil\tHolz', 'utf16le');
+    const withBom = new Uint8Array(Buffer.concat([Buffer.from([0xFF, 0xFE]), body]));
+    expect(decodeCsvBytes(withBom)).toEqual({ text: 'Name\tQ1\nÖzil\tHolz', encoding: 'UTF-16' });
+    expect(decodeCsvBytes(new Uint8Array(body)).encoding).toBe('UTF-16');
+  });
+
+  test('falls back to Windows-1252 for invalid UTF-8', () => {
+    const bytes = new Uint8Array(Buffer.from('Jürgen;Töpfern', 'latin1'));
+    expect(decodeCsvBytes(bytes)).toEqual({ text: 'Jürgen;Töpfern', encoding: 'Windows-1252' });
+  });
+});
+
+describe('parseCsvRecords', () => {
+  test('handles quoted delimiters, escaped quotes and line breaks inside quotes', () => {
+    const { records, errors } = parseCsvRecords('Name,Kommentar\r\n"Ben ""B"" Bo","ja, gern\nwirklich"\r\n\r\nCem,ok\r\n', ',');
+    expect(errors).toEqual([]);
+    expect(records).toEqual([
+      { line: 1, fields: ['Name', 'Kommentar'] },
+      { line: 2, fields: ['Ben "B" Bo', 'ja, gern\nwirklich'] },
+      { line: 5, fields: ['Cem', 'ok'] },
+    ]);
+  });
+
+  test('reports malformed quoting with the line number', () => {
+    const { records, errors } = parseCsvRecords('a;b\n"x"y;1\nz"w;2\nok;3\n"offen;4\n', ';');
+    expect(records.map(r => r.fields[0])).toEqual(['a', 'ok']);
+    expect(errors.map(e => e.line)).toEqual([2, 3, 5]);
+  });
+});
+
+describe('sniffCsvDelimiter', () => {
+  test('picks the delimiter that splits the rows consistently', () => {
+    expect(sniffCsvDelimiter('Name;Klasse;Q1\nMüller, Anna;5a;Holz\n')).toBe(';');
+    expect(sniffCsvDelimiter('Name,Klasse,Q1\nAnna,5a,"Holz; Metall"\n')).toBe(',');
+    expect(sniffCsvDelimiter('Name\tQ1\nAnna\tHolz\n')).toBe('\t');
+  });
+
+  test('prefers the semicolon on ties', () => {
+    expect(sniffCsvDelimiter('Name')).toBe(';');
+  });
+});
+
+describe('parseCsvFile', () => {
+  test('leaves out rows with extra non-empty fields and reports them', () => {
+    const result = parseCsvFile(utf8('Name,Q1,Kommentar\nAnna,Holz,"ja, gern"\nBen,Metall,nein, danke\nCem,Holz,,\n'));
+    expect(result.delimiter).toBe(',');
+    expect(result.data).toEqual([['Name', 'Q1', 'Kommentar'], ['Anna', 'Holz', 'ja, gern'], ['Cem', 'Holz', '']]);
+    expect(result.errors).toEqual([{ line: 3, message: expect.stringContaining('4 Spalten statt 3') }]);
+  });
+});
+
+describe('choice upload staging', () => {
+  const allChoices = {
+    erstesBand: { Anna: ['Holz', 'Malen'], Ben: ['Malen'], Cem: ['Töpfern'] },
+    zweitesBand: { Anna: ['Töpfern'] },
+  };
+  const data = [
+    ['Name', 'Klasse', 'Q1', 'Q2'],
+    ['Anna', '7a', 'Holz', 'Malen'],
+    ['Ben', '8b', 'Töpfern', 'Metall'],
+    ['Dora', '7b', 'Malen', ''],
+  ];
+  const mapping = { name: 0, klasse: 1, submitted: -1, choices: [2, 3] };
+  const makeCurrent = () => ({
+    students: ['Anna', 'Ben', 'Cem'],
+    studentClasses: { Anna: '7a', Ben: '8a', Cem: '9a' },
+    workshops: { Holz: 6, Malen: 6, Töpfern: 6 },
+    bandChoices: { erstesBand: JSON.parse(JSON.stringify(allChoices.erstesBand)) },
+    submissionTimes: { Anna: 1000 },
+  });
+
+  test('applying and undoing an upload restores the earlier choices exactly', () => {
+    // the app keeps current as the undo snapshot and writes it back over the applied bands
+    const current = makeCurrent();
+    const before = JSON.parse(JSON.stringify(current));
+    const staging = stageChoiceRows([{ bandId: 'erstesBand', data, mapping }], current);
+    expect(staging.newStudents).toEqual(['Dora']);
+    expect(staging.changedChoices).toEqual([{ student: 'Ben', band: 'erstesBand', old: ['Malen'], new: ['Töpfern', 'Metall'] }]);
+    expect(staging.missingStudents).toEqual([{ student: 'Cem', band: 'erstesBand', old: ['Töpfern'] }]);
+    expect(staging.unchangedChoices).toBe(1);
+
+    const accepted = Object.fromEntries(['newStudents', 'classChanges', 'newWorkshops', 'newChoices', 'changedChoices', 'missingStudents'].map(c => [c, true]));
+    const applied = applyChoiceStaging(staging, accepted, current);
+    const afterUpload = { ...allChoices, ...applied.bandChoices };
+    expect(afterUpload.erstesBand).toEqual({ Anna: ['Holz', 'Malen'], Ben: ['Töpfern', 'Metall'], Dora: ['Malen'] });
+    expect(applied.students).toEqual(['Anna', 'Ben', 'Cem', 'Dora']);
+    expect(applied.workshops.Metall).toBe(6);
+
+    expect(current).toEqual(before);
+    expect({ ...afterUpload, ...current.bandChoices }).toEqual(allChoices);
+  });
+
+  test('rejected new students and workshops leave no trace', () => {
+    const current = makeCurrent();
+    const staging = stageChoiceRows([{ bandId: 'erstesBand', data, mapping }], current);
+    const applied = applyChoiceStaging(staging, { newChoices: true, changedChoices: true, classChanges: true }, current);
+    expect(applied.students).toEqual(current.students);
+    expect(applied.workshops).toEqual(current.workshops);
+    expect(applied.bandChoices.erstesBand).toEqual({ Anna: ['Holz', 'Malen'], Ben: ['Töpfern'], Cem: ['Töpfern'] });
+    expect(applied.studentClasses).toEqual({ Anna: '7a', Ben: '8b', Cem: '9a' });
+  });
+});
+
+describe('band detection in uploads', () => {
+  const bandIds = ['erstesBand', 'zweitesBand'];
+
+  test.each([
+    ['Band1 Q1', 'erstesBand'],
+    ['Band 2 Q1', 'zweitesBand'],
+    ['1. Band', 'erstesBand'],
+    ['2.Band Q3', 'zweitesBand'],
+    ['Erstes Band', 'erstesBand'],
+    ['Zweites Band: Q1', 'zweitesBand'],
+    ['erstesBand', 'erstesBand'],
+    ['zweitesBand_Q2', 'zweitesBand'],
+  ])('findBandInText reads "%s"', (text, bandId) => {
+    expect(findBandInText(text, bandIds)).toBe(bandId);
+  });
+
+  test('findBandInText returns null without a band or for a band that is not active', () => {
+    expect(findBandInText('Q1', bandIds)).toBeNull();
+    expect(findBandInText('Bandname', bandIds)).toBeNull();
+    expect(findBandInText('Band10 Q1', bandIds)).toBeNull();
+    expect(findBandInText('Band3 Q1', bandIds)).toBeNull();
+    expect(findBandInText('Drittes Band', bandIds)).toBeNull();
+    expect(findBandInText('Band3 Q1', [...bandIds, 'drittesBand'])).toBe('drittesBand');
+  });
+
+  test('detectHeaderBands lists the active bands with own columns in band order', () => {
+    expect(detectHeaderBands(['Name', '2. Band Q1', 'Band1 Q1', 'Band3 Q1'], bandIds)).toEqual(['erstesBand', 'zweitesBand']);
+    expect(detectHeaderBands(['Name', 'Q1', 'Q2'], bandIds)).toEqual([]);
+  });
+
+  test('splitUploadByBand prefers sheets named after a band, then band columns', () => {
+    const data = [['Name', 'Q1']];
+    const sheets = [
+      { name: 'Zweites Band', data },
+      { name: 'Hinweise', data },
+      { name: 'Band 1', data },
+      { name: 'Band1 Kopie', data },
+    ];
+    expect(splitUploadByBand(sheets, null, bandIds)).toEqual({
+      parts: [
+        { bandId: 'erstesBand', sheetName: 'Band 1', data, byHeader: false },
+        { bandId: 'zweitesBand', sheetName: 'Zweites Band', data, byHeader: false },
+      ],
+      ignoredSheets: ['Hinweise', 'Band1 Kopie'],
+    });
+
+    const combined = [['Name', 'Band1 Q1', 'Band2 Q1']];
+    expect(splitUploadByBand([{ name: 'Antworten', data: combined }, { name: 'Leer', data: [] }], null, bandIds)).toEqual({
+      parts: [
+        { bandId: 'erstesBand', sheetName: 'Antworten', data: combined, byHeader: true },
+        { bandId: 'zweitesBand', sheetName: 'Antworten', data: combined, byHeader: true },
+      ],
+      ignoredSheets: [],
+    });
+    expect(splitUploadByBand([{ name: 'Antworten', data }], null, bandIds).parts).toEqual([]);
+  });
+
+  test('splitUploadByBand fills the chosen band from the first sheet', () => {
+    const data = [['Name', 'Band2 Q1']];
+    expect(splitUploadByBand([{ name: 'Leer', data: [] }, { name: 'Tabelle1', data }], 'erstesBand', bandIds).parts)
+      .toEqual([{ bandId: 'erstesBand', sheetName: 'Tabelle1', data, byHeader: false }]);
+  });
+});
+
+describe('upload column mapping', () => {
+  const bandIds = ['erstesBand', 'zweitesBand'];
+  const header = ['Zeitstempel', 'Name des Schülers', 'Klasse', 'Q10', 'Q1: Erstwahl', 'Q2'];
+  const combined = ['Name', 'Klasse', 'Band1 Q1', 'Band1 Q2', 'Band2 Q1', 'Band2 Q2'];
+
+  test('proposeColumnMapping does not take Q10 for Q1 and leaves missing Q-columns unmapped', () => {
+    expect(proposeColumnMapping(header, 3)).toEqual({ name: 1, klasse: 2, submitted: 0, choices: [4, 5, -1] });
+  });
+
+  test('proposeColumnMapping with a band only uses the Q-columns of that band', () => {
+    expect(proposeColumnMapping(combined, 2, 'erstesBand', bandIds).choices).toEqual([2, 3]);
+    expect(proposeColumnMapping(combined, 2, 'zweitesBand', bandIds).choices).toEqual([4, 5]);
+  });
+
+  test('a preset finds its columns again after the form was reordered', () => {
+    const preset = mappingToPreset(header, { name: 1, klasse: 2, submitted: 0, choices: [4, 5] });
+    expect(preset).toEqual({ name: 'Name des Schülers', klasse: 'Klasse', submitted: 'Zeitstempel', choices: ['Q1: Erstwahl', 'Q2'] });
+    const reordered = ['Q2', 'klasse', 'Zeitstempel', 'q1: erstwahl', 'Name des Schülers'];
+    expect(applyMappingPreset(reordered, preset, 2)).toEqual({ name: 4, klasse: 1, submitted: 2, choices: [3, 0] });
+    expect(applyMappingPreset(['Name des Schülers', 'Q1: Erstwahl', 'Q2'], preset, 2)).toBeNull();
+  });
+
+  test('findMatchingPreset skips presets whose Q-columns name another band', () => {
+    const presets = {
+      'Band 1': mappingToPreset(combined, { name: 0, klasse: 1, submitted: -1, choices: [2, 3] }),
+      'Band 2': mappingToPreset(combined, { name: 0, klasse: 1, submitted: -1, choices: [4, 5] }),
+    };
+    expect(findMatchingPreset(combined, presets, 2, 'zweitesBand', bandIds)).toEqual({
+      name: 'Band 2',
+      mapping: { name: 0, klasse: 1, submitted: -1, choices: [4, 5] },
+    });
+    expect(findMatchingPreset(combined, presets, 2).name).toBe('Band 1');
+    expect(findMatchingPreset(['Name', 'Q1'], presets, 2)).toBeNull();
+  });
+});